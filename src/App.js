@@ -1,91 +1,94 @@
 // src/App.js
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import axios from "axios";
 import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  buildDiagnosticReportBundle,
+  uuidv4,
+  toDatetimeLocalValue,
+  emptySpecimen,
+  SPECIMEN_TYPES,
+  SPECIMEN_BODY_SITES,
+  INTERPRETATION_CODES,
+  computeInterpretation,
+  toLoincCoding,
+  validateTemplateCatalog,
+  mergeTemplateCatalogs,
+  templateToObservationRows,
+  templateToPanel,
+  UCUM_UNITS,
+  isValidUcum,
+  resolveUcum,
+  conversionTargets,
+  convertObservationRow,
+  validateBundle,
+  validateAbhaNumber,
+  validateAbhaAddress,
+  parseSubmittedBundle,
+} from "./fhir";
+import LoincPicker from "./components/LoincPicker";
+import OutboxPanel from "./components/OutboxPanel";
+import DraftsPanel from "./components/DraftsPanel";
+import BundlePreview from "./components/BundlePreview";
+import PractitionerSelect from "./components/PractitionerSelect";
+import PatientSearch from "./components/PatientSearch";
+import PatientCard from "./components/PatientCard";
+import AmendmentPanel from "./components/AmendmentPanel";
+import SigningPanel from "./components/SigningPanel";
+import { signBundle, verifyBundleSignature } from "./signing";
+import CareContextPanel from "./components/CareContextPanel";
+import { createBrowserCareContextStore, careContextPayload } from "./abdm";
+import EnvironmentSwitcher from "./components/EnvironmentSwitcher";
+import { builtInEnvironmentConfig, endpointUrl, abhaEnvironmentFor, switchEnvironment } from "./config";
+import AuthStatus from "./components/AuthStatus";
+import { createEnvironmentSession, createHttpClient, AUTH_STATUS } from "./auth";
+import ObservationImport from "./components/ObservationImport";
+import Hl7Import from "./components/Hl7Import";
+import { createBrowserOutbox, OUTBOX_STATUS } from "./outbox";
+import { createBrowserDraftStore, patientKeyOf } from "./drafts";
+import { createPatientSearch, findPatientMatch, findPatientById, abhaAddressesOf } from "./patients";
+import { createBrowserProfileStore } from "./importer";
+import { loadPractitioners, mergePractitioners, resolveGlobalPractitioner, isSyntheticPractitioner, normalizePractitioner } from "./practitioners";
+import { downloadJson, readFileAsText, base64ToBlob } from "./utils/download";
 
 /*
   Diagnostic Report Record — Builder (ABDM/FHIR document bundle)
-  - Patient: fetched from /patients.json (public)
-  - Practitioner: from window.GlobalPractioner (FHIR Practitioner) or safe fallback
+  - Backend environment (dev / UAT / prod, overridable in public/config.json) is picked at startup and shown
+    in the header; API base URL, auth mode and ABHA domain come from it (see ./config)
+  - Auth per environment: OIDC popup login or tokens posted by the host app; tokens live in memory, are
+    refreshed before expiry, and a 401 asks the user to sign in again (see ./auth)
+  - Patient: search-as-you-type against <baseUrl>/api/v5/patients (paginated); falls back to searching /patients.json
+  - ABHA number (checksum) and ABHA addresses (@sbx / @abdm) are validated; malformed values are flagged and left out
+  - Practitioners: API, then /practitioners.json (plus window.GlobalPractioner); author, performer and
+    attester are picked separately and a report is never signed with a placeholder identity
   - ABHA addresses normalized and selectable
-  - DiagnosticReport + Observation(s)
+  - DiagnosticReport + Observation(s) + Specimen(s)
+  - Test / Observation codes picked from a bundled LOINC subset (/loinc-lab.json); free text allowed
+  - Panel templates (/panel-templates.json + user imports in localStorage) pre-fill observation rows
+  - Units validated against a bundled UCUM table; analyte-aware unit conversion per row
+  - Observations can be imported from analyzer CSV/XLSX exports (column mapping, saved per-analyzer profiles)
+  - HL7 v2 ORU^R01 results (pasted or uploaded) pre-fill the report; PID is matched to a registered patient
   - Optional Encounter, Custodian, Attester
-  - Optional DocumentReference + Binary (PDF/JPG/JPEG uploads; placeholder PDF if none)
-  - Composition.type: LOINC 11502-2 "Laboratory report"
+  - Optional DocumentReference + Binary (PDF/JPG/JPEG uploads; a lab report PDF is generated from the form if none)
+  - Resources declare the NRCES profiles; Composition.type: SNOMED 721981007 "Diagnostic studies report";
+    DiagnosticReport.code: selected panel
   - Bundle.type: "document"; internal references via urn:uuid:<uuid>
+  - Submissions go through a persistent outbox (IndexedDB) with retry; Bundle.identifier is the idempotency key
+  - In-progress reports autosave as drafts (localStorage + file blobs in IndexedDB)
+  - Preview renders the built Bundle (resource tree / raw JSON) with download, copy and submit
+  - Submitted reports (outbox or .json file) can be amended: ids kept, versions bumped, Composition.relatesTo "replaces"
+  - Built bundles are validated against the NRCES DiagnosticReportRecord constraints; errors block submission
   - All narratives include lang & xml:lang (validator-friendly)
+  - A Provenance resource records author, enterer, organization and data origin (manual / analyzer file / HL7 / upload)
+  - Optional Bundle.signature (detached JWS) with an in-memory practitioner key (PKCS#12 / PKCS#8 or a
+    generated test key); signatures of previewed and amended bundles are verified
+  - Each submission is linked to an ABDM care context of the patient (kept in localStorage); amendments
+    stay under the care context of the report they replace
+  - Embeddable in a host application: mount API or iframe + postMessage (prefill patient / practitioner /
+    form, token hand-over, submitted / error / cancel callbacks; see ./embed)
+  - Resource/Bundle construction lives in ./fhir (pure); this file only gathers form state
 */
 
 /* ------------------------------- UTILITIES --------------------------------- */
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
-
-function isUuid(s) {
-  return typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(s);
-}
-function safeUuid(maybeId) {
-  return isUuid((maybeId || "").toLowerCase()) ? maybeId.toLowerCase() : uuidv4();
-}
-
-/* Convert dd-mm-yyyy (or dd/mm/yyyy) to yyyy-mm-dd, else return undefined */
-function ddmmyyyyToISO(v) {
-  if (!v) return undefined;
-  const s = String(v).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-  const sep = s.includes("-") ? "-" : s.includes("/") ? "/" : null;
-  if (!sep) return undefined;
-  const parts = s.split(sep);
-  if (parts.length !== 3) return undefined;
-  const [dd, mm, yyyy] = parts;
-  return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
-}
-
-/* ISO datetime with local timezone offset (e.g., 2025-08-30T15:04:05+05:30) */
-function isoWithLocalOffsetFromDate(d) {
-  const date = d instanceof Date ? d : new Date(d);
-  const pad = n => String(Math.abs(Math.floor(n))).padStart(2, "0");
-  const tzo = -date.getTimezoneOffset();
-  const sign = tzo >= 0 ? "+" : "-";
-  const hh = pad(Math.floor(Math.abs(tzo) / 60));
-  const mm = pad(Math.abs(tzo) % 60);
-  return (
-    date.getFullYear() +
-    "-" +
-    pad(date.getMonth() + 1) +
-    "-" +
-    pad(date.getDate()) +
-    "T" +
-    pad(date.getHours()) +
-    ":" +
-    pad(date.getMinutes()) +
-    ":" +
-    pad(date.getSeconds()) +
-    sign +
-    hh +
-    ":" +
-    mm
-  );
-}
-
-/* Convert 'datetime-local' input (YYYY-MM-DDTHH:MM) to iso-with-offset */
-function localDatetimeToISOWithOffset(localDatetime) {
-  if (!localDatetime) return isoWithLocalOffsetFromDate(new Date());
-  return isoWithLocalOffsetFromDate(new Date(localDatetime));
-}
-
-/* XHTML narrative wrapper with lang/xml:lang */
-function buildNarrative(title, innerHtml) {
-  return {
-    status: "generated",
-    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${title}</h3>${innerHtml}</div>`,
-  };
-}
-
 /* Read file -> base64 (strip data: prefix) */
 function fileToBase64NoPrefix(file) {
   return new Promise((resolve, reject) => {
@@ -101,14 +104,50 @@ function fileToBase64NoPrefix(file) {
   });
 }
 
-/* tiny placeholder PDF header */
-const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
+/* base64 attachment from a submitted bundle -> File (so it can be edited like an upload) */
+function base64ToFile(b64, name, type) {
+  return new File([base64ToBlob(b64)], name || "attachment", { type: type || "application/octet-stream" });
+}
+
+/* POST one queued submission; the server dedupes on Idempotency-Key */
+function sendQueuedBundle(http, record) {
+  return http.post(record.url, record.payload, { headers: { "Idempotency-Key": record.id } });
+}
+
+/* Blank observation row (section 7) */
+function emptyObservation() {
+  return {
+    codeText: "",
+    codeCoding: null, // LOINC coding when picked from the catalog
+    valueText: "",
+    valueUnit: "",
+    effectiveDate: "",
+    specimenId: "",
+    refLow: "",
+    refHigh: "",
+    refText: "",
+    critLow: "",
+    critHigh: "",
+    interpretation: "", // "" = auto
+    panelId: "", // set when the row came from a panel template
+  };
+}
+
+function isObservationBlank(m) {
+  return !m.codeText?.trim() && !m.valueText?.trim() && !m.valueUnit?.trim();
+}
 
-/* Fixed LOINC coding for Composition.type and section code (Laboratory report) */
-const LOINC_LAB_REPORT = { system: "http://loinc.org", code: "11502-2", display: "Laboratory report" };
+/* User-imported panel templates survive reloads */
+const CUSTOM_TEMPLATES_KEY = "drb.customPanelTemplates";
+function loadCustomTemplates() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(CUSTOM_TEMPLATES_KEY) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch { return []; }
+}
 
 /* Normalize ABHA addresses (strings or objects) */
-function normalizeAbhaAddresses(patientObj) {
+function normalizeAbhaAddresses(patientObj, abhaEnvironment) {
   const raw =
     patientObj?.additional_attributes?.abha_addresses && Array.isArray(patientObj.additional_attributes.abha_addresses)
       ? patientObj.additional_attributes.abha_addresses
@@ -119,118 +158,178 @@ function normalizeAbhaAddresses(patientObj) {
   const out = raw
     .map(item => {
       if (!item) return null;
-      if (typeof item === "string") return { value: item, label: item, primary: false };
-      if (typeof item === "object") {
-        if (item.address) return { value: String(item.address), label: item.isPrimary ? `${item.address} (primary)` : String(item.address), primary: !!item.isPrimary };
-        try {
-          const v = JSON.stringify(item);
-          return { value: v, label: v, primary: !!item.isPrimary };
-        } catch { return null; }
-      }
+      if (typeof item === "string") return { value: item, primary: false };
+      if (typeof item === "object" && item.address) return { value: String(item.address), primary: !!item.isPrimary };
       return null;
     })
-    .filter(Boolean);
-  out.sort((a, b) => (b.primary - a.primary) || a.value.localeCompare(b.value));
+    .filter(Boolean)
+    .map(a => {
+      const check = validateAbhaAddress(a.value, { environment: abhaEnvironment });
+      const value = check.normalized || a.value;
+      const label = `${value}${a.primary ? " (primary)" : ""}${check.valid ? "" : " — invalid"}`;
+      return { ...a, value, label, valid: check.valid, problems: [...check.errors, ...check.warnings] };
+    })
+    .filter((a, i, arr) => arr.findIndex(b => b.value === a.value) === i);
+  // valid first, then primary, then alphabetical
+  out.sort((a, b) => (b.valid - a.valid) || (b.primary - a.primary) || a.value.localeCompare(b.value));
   return out;
 }
 
-// /* Practitioner globals (from window) */
-// const gp = typeof window !== "undefined" ? window.GlobalPractioner : null;
-// const practitionerRefId = safeUuid(gp?.id);
-// const practitionerDisplayName =
-//   (Array.isArray(gp?.name) && gp.name?.[0]?.text) ||
-//   (typeof gp?.name === "string" ? gp.name : "") ||
-//   "Dr. ABC";
-// const practitionerLicense =
-//   (Array.isArray(gp?.identifier) && gp.identifier?.[0]?.value) ||
-//   gp?.license ||
-//   "LIC-TEMP-0001";
-/* Resolve practitioner from global window object with safe fallbacks */
-function resolveGlobalPractitioner() {
-  const gp =
-    (typeof window !== "undefined" &&
-      (window.GlobalPractioner || window.GlobalPractitionerFHIR)) ||
-    null;
-
-  const fallback = {
-    id: `TEMP-${uuidv4()}`,
-    name: "Doctor ABC",
-    license: "ABC-0000-0000",
-  };
-
-  if (!gp) return fallback;
+/* Numeric registry id the backend files the report under; null for snapshots not resolved against the registry */
+function registryIdOf(patient) {
+  const raw = patient && patient.user_id;
+  if (raw === undefined || raw === null || String(raw).trim() === "") return null;
+  return Number.isFinite(Number(raw)) ? Number(raw) : null;
+}
 
-  // If already flattened (name is a string)
-  if (typeof gp.name === "string") {
-    return {
-      id: gp.id || fallback.id,
-      name: gp.name || fallback.name,
-      license: gp.license || fallback.license,
-    };
+/* Human-readable problems with a patient's ABHA number / addresses */
+function abhaWarningsFor(patient, abhaOptions) {
+  if (!patient) return [];
+  const warnings = [];
+  if (patient.abha_ref) {
+    const number = validateAbhaNumber(patient.abha_ref);
+    if (!number.valid) warnings.push(...number.errors.map(e => `${e} It will not be included in the report.`));
+  } else {
+    warnings.push("Patient has no ABHA number.");
   }
-
-  // FHIR Practitioner shape
-  const id = gp.id || fallback.id;
-  const name =
-    (Array.isArray(gp.name) && gp.name[0] && gp.name[0].text) || fallback.name;
-  const license =
-    (Array.isArray(gp.identifier) && gp.identifier[0] && gp.identifier[0].value) ||
-    gp.license ||
-    fallback.license;
-
-  return { id, name, license };
+  if (!abhaOptions.length) warnings.push("Patient has no ABHA address.");
+  abhaOptions.forEach(a => warnings.push(...a.problems));
+  return warnings;
 }
 
-
 /* ------------------------------- APP -------------------------------------- */
-export default function App() {
-  /* Patient selection */
-  const [patients, setPatients] = useState([]);
-  const [selectedPatientIdx, setSelectedPatientIdx] = useState(-1);
-  const selectedPatient = useMemo(() => (selectedPatientIdx >= 0 ? patients[selectedPatientIdx] : null), [patients, selectedPatientIdx]);
+const BUILT_IN = builtInEnvironmentConfig();
+
+/*
+  `environment` / `environments` come from the startup step in index.js (see ./config);
+  `embed` is the bridge to a host application when the builder is embedded (see ./embed)
+*/
+export default function App({ environment = BUILT_IN.environment, environments = BUILT_IN.config.environments, embed = null }) {
+  /* Backend: where requests go, how they authenticate, which ABHA domain is expected */
+  const abhaEnvironment = abhaEnvironmentFor(environment);
+
+  /* Auth session (token in memory only) and the HTTP client every API call goes through */
+  const [auth] = useState(() => createEnvironmentSession(environment, embed ? embed.auth : {}));
+  const [authState, setAuthState] = useState(() => auth.getState());
+  const [http] = useState(() => createHttpClient({ session: auth }));
+  const signedIn = authState.status === AUTH_STATUS.AUTHENTICATED;
+  useEffect(() => {
+    const unsubscribe = auth.subscribe(setAuthState);
+    const stop = auth.start();
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, [auth]);
+
+  async function signIn() {
+    try {
+      await auth.login();
+    } catch (err) {
+      console.warn("Sign-in failed:", err);
+      alert(`Sign-in failed: ${err.message}`);
+    }
+  }
 
-  // Practitioner (author/attester)
-  const [practitioner, setPractitioner] = useState(resolveGlobalPractitioner());
-  const practitionerRefId = safeUuid(practitioner.id);
-  const practitionerDisplayName = practitioner.name;
-  const practitionerLicense = practitioner.license;
+  /* Patient selection */
+  const [patientSearch] = useState(() => createPatientSearch({ http, apiUrl: endpointUrl(environment, "patients") }));
+  const [selectedPatient, setSelectedPatient] = useState(null);
+  const selectedPatientKey = patientKeyOf(selectedPatient);
+
+  /* Practitioners: author, performer and attester ("" = same as author) */
+  const [practitioners, setPractitioners] = useState([]);
+  const [authorId, setAuthorId] = useState(() => resolveGlobalPractitioner()?.id || "");
+  const [performerId, setPerformerId] = useState("");
+  const [attesterPractitionerId, setAttesterPractitionerId] = useState("");
+  const author = practitioners.find(p => p.id === authorId) || null;
+  const performer = performerId ? practitioners.find(p => p.id === performerId) || null : author;
+  const attesterPractitioner = attesterPractitionerId ? practitioners.find(p => p.id === attesterPractitionerId) || null : author;
 
   /* ABHA selection */
   const [abhaOptions, setAbhaOptions] = useState([]);
   const [selectedAbha, setSelectedAbha] = useState("");
+  const abhaWarnings = useMemo(() => abhaWarningsFor(selectedPatient, abhaOptions), [selectedPatient, abhaOptions]);
+
+  /* ABDM care context the next submission is linked to ("" = create one on submit) */
+  const careContextStore = useMemo(() => createBrowserCareContextStore(), []);
+  const [careContexts, setCareContexts] = useState(() => careContextStore.list());
+  const [careContextRef, setCareContextRef] = useState("");
+  const [careContextDisplay, setCareContextDisplay] = useState("");
+  const patientCareContexts = careContexts.filter(c => c.patientKey === selectedPatientKey || c.referenceNumber === careContextRef);
+  const selectedCareContext = patientCareContexts.find(c => c.referenceNumber === careContextRef) || null;
 
   /* Composition meta */
   const [status, setStatus] = useState("final");
   const [title, setTitle] = useState("Diagnostic Report");
-  const [dateTimeLocal, setDateTimeLocal] = useState(() => {
-    const d = new Date();
-    const pad = n => String(n).padStart(2, "0");
-    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
-  });
+  const [dateTimeLocal, setDateTimeLocal] = useState(() => toDatetimeLocalValue(new Date()));
 
   /* Optional metadata */
   const [encounterText, setEncounterText] = useState("");
   const [custodianName, setCustodianName] = useState("");
+  const [narrativeStatus, setNarrativeStatus] = useState("generated"); // Resource.text.status, see fhir/narrative
   const [attesterMode, setAttesterMode] = useState("professional"); // personal | professional | legal | official
   const [attesterPartyType, setAttesterPartyType] = useState("Practitioner"); // Practitioner | Organization
   const [attesterOrgName, setAttesterOrgName] = useState("");
 
+  /* Amendment of a previously submitted report (null for a new report); see fhir/amend */
+  const [amendment, setAmendment] = useState(null);
+
+  /* Where the data came from (analyzer files, HL7 messages); observation rows point at one via sourceId. See fhir/provenance */
+  const [dataSources, setDataSources] = useState([]);
+  const [enterer, setEnterer] = useState(() => resolveGlobalPractitioner()); // the signed-in user at the keyboard
+
+  /* Practitioner signing key (memory only, see signing/) */
+  const [signingKey, setSigningKey] = useState(null);
+
   /* Diagnostic data */
   const [testCode, setTestCode] = useState("CBC"); // mandatory-- remove CBC later
-  const [observations, setObservations] = useState([
-    { codeText: "", valueText: "", valueUnit: "", effectiveDate: "" },
-  ]);
+  const [testCoding, setTestCoding] = useState(null); // LOINC coding of the selected panel/test
+  const [observations, setObservations] = useState(() => [emptyObservation()]);
 
   function addObservation() {
-    setObservations(prev => [...prev, { codeText: "", valueText: "", valueUnit: "", effectiveDate: "" }]);
+    setObservations(prev => [...prev, emptyObservation()]);
   }
   function updateObservation(i, key, val) {
-    setObservations(prev => prev.map((m, idx) => (idx === i ? { ...m, [key]: val } : m)));
+    patchObservation(i, { [key]: val });
+  }
+  function patchObservation(i, patch) {
+    setObservations(prev => prev.map((m, idx) => (idx === i ? { ...m, ...patch } : m)));
   }
   function removeObservation(i) {
     setObservations(prev => prev.filter((_, idx) => idx !== i));
   }
 
+  /* Specimens (optional) — observations link to them by row id */
+  const [specimens, setSpecimens] = useState([]);
+
+  function addSpecimen() {
+    setSpecimens(prev => [...prev, emptySpecimen(uuidv4())]);
+  }
+  function updateSpecimen(i, key, val) {
+    setSpecimens(prev => prev.map((s, idx) => (idx === i ? { ...s, [key]: val } : s)));
+  }
+  function removeSpecimen(i) {
+    const removedId = specimens[i]?.id;
+    setSpecimens(prev => prev.filter((_, idx) => idx !== i));
+    setObservations(prev => prev.map(m => (m.specimenId === removedId ? { ...m, specimenId: "" } : m)));
+  }
+
+  /* Submission outbox (survives reloads) */
+  const [outbox] = useState(() => createBrowserOutbox(record => sendQueuedBundle(http, record)));
+  const [outboxRecords, setOutboxRecords] = useState([]);
+  useEffect(() => {
+    const unsubscribe = outbox.subscribe(setOutboxRecords);
+    outbox.start().catch(err => console.error("Outbox failed to start:", err));
+    return () => {
+      unsubscribe();
+      outbox.stop();
+    };
+  }, [outbox]);
+  // Submissions rejected with 401 wait for the next sign-in
+  useEffect(() => {
+    if (signedIn) outbox.processDue().catch(err => console.error("Outbox retry failed:", err));
+  }, [signedIn, outbox]);
+
   /* Document uploads (optional) */
   const fileInputRef = useRef(null);
   const [files, setFiles] = useState([]);
@@ -246,471 +345,783 @@ export default function App() {
     setFilePreviewNames(prev => prev.filter((_, idx) => idx !== i));
     if (fileInputRef.current) fileInputRef.current.value = "";
   }
-  // Load Practioner
-  // Re-resolve once on mount in case the global attaches late
+  /* ---------- Fetch practitioners: try API first, fallback to local (again after sign-in) ---------- */
   useEffect(() => {
-    setPractitioner(prev => {
-      const resolved = resolveGlobalPractitioner();
-      if (!prev || prev.id !== resolved.id || prev.name !== resolved.name || prev.license !== resolved.license) {
-        return resolved;
-      }
-      return prev;
-    });
+    loadPractitioners({ http, apiUrl: endpointUrl(environment, "practitioners") })
+      .then(({ practitioners: loaded }) => {
+        // Re-resolve here too in case the host page attached the global late
+        const global = resolveGlobalPractitioner();
+        // The new answer replaces the list; of the old one only real practitioners added since
+        // (host prefill, amended report) stay, never sample rows from an earlier fallback
+        setPractitioners(prev => mergePractitioners(global ? [global] : [], loaded, prev.filter(p => !isSyntheticPractitioner(p))));
+        if (global) setAuthorId(prev => prev || global.id);
+      })
+      .catch(err => {
+        console.error("Failed to load practitioners:", err);
+        // a 401 is answered by signing in, which loads the list again
+        if (!(err.response && err.response.status === 401)) alert(`Could not load practitioners: ${err.message}`);
+      });
+  }, [signedIn]); // eslint-disable-line -- the environment is fixed for the page load
+
+
+  /* LOINC lab subset for the code pickers */
+  const [loincCatalog, setLoincCatalog] = useState([]);
+  useEffect(() => {
+    fetch("/loinc-lab.json")
+      .then(res => res.json())
+      .then(data => setLoincCatalog(Array.isArray(data) ? data : []))
+      .catch(err => console.error("Failed to fetch local loinc-lab.json:", err));
   }, []);
 
+  function onTestCodePicked(entry) {
+    setTestCoding(toLoincCoding(entry));
+    if (entry) setTestCode(entry.shortName || entry.display);
+  }
+  function onObservationCodePicked(i, entry) {
+    const m = observations[i];
+    patchObservation(i, {
+      codeCoding: toLoincCoding(entry),
+      ...(entry ? { codeText: entry.shortName || entry.display } : {}),
+      ...(entry && entry.unit && !m.valueUnit ? { valueUnit: entry.unit } : {}),
+    });
+  }
+
+  /* Panel templates (bundled + user-imported) */
+  const [bundledTemplates, setBundledTemplates] = useState([]);
+  const [customTemplates, setCustomTemplates] = useState(loadCustomTemplates);
+  const templateCatalog = useMemo(() => mergeTemplateCatalogs(bundledTemplates, customTemplates), [bundledTemplates, customTemplates]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState("");
+  const [panels, setPanels] = useState([]); // panels applied to this report
+  const templateImportRef = useRef(null);
 
-  /* Load patients */
-  /* ---------- Fetch patients: try API first, fallback to local ---------- */
   useEffect(() => {
-    (async () => {
-      try {
-        // 🔹 First try API endpoint
-        const apiRes = await fetch("/api/v5/patients", {
-          headers: {
-            "Content-Type": "application/json",
-            ...(window.GlobalAuthToken ? { "Authorization": `Bearer ${window.GlobalAuthToken}` } : {})
-          }
-        });
-        if (!apiRes.ok) throw new Error("API fetch failed");
-        const apiData = await apiRes.json();
-        if (!Array.isArray(apiData) || apiData.length === 0) throw new Error("API returned empty");
-
-        // If API worked, use it
-        setPatients(apiData);
-        setSelectedPatientIdx(0);
-
-        const p = apiData[0];
-        const abhas = normalizeAbhaAddresses(p);
-        setAbhaOptions(abhas);
-        setSelectedAbha(abhas.length ? abhas[0].value : "");
-      } catch (apiErr) {
-        console.warn("⚠️ Patient not found in API. Fetching from local patients.json instead.");
-        console.warn("API fetch failed, falling back to local patients.json", apiErr);
-        try {
-          const localRes = await fetch("/patients.json");
-          const localData = await localRes.json();
-          const arr = Array.isArray(localData) ? localData : [];
-          setPatients(arr);
-          if (arr.length > 0) {
-            setSelectedPatientIdx(0);
-            const p = arr[0];
-            const abhas = normalizeAbhaAddresses(p);
-            setAbhaOptions(abhas);
-            setSelectedAbha(abhas.length ? abhas[0].value : "");
-          }
-        } catch (localErr) {
-          console.error("Failed to fetch local patients.json:", localErr);
-        }
-      }
-    })();
+    fetch("/panel-templates.json")
+      .then(res => res.json())
+      .then(data => setBundledTemplates(Array.isArray(data) ? data : []))
+      .catch(err => console.error("Failed to fetch local panel-templates.json:", err));
   }, []);
 
+  /* Analyzer export import (section 7): rows replace the blank placeholders */
+  const [importOpen, setImportOpen] = useState(false);
+  const importProfileStore = useMemo(() => createBrowserProfileStore(), []);
+  function importObservations(rows, { fileName, profileName } = {}) {
+    const source = { id: `source-${uuidv4()}`, kind: "analyzer-import", label: fileName || "", device: profileName || "" };
+    setDataSources(prev => [...prev, source]);
+    setObservations(prev => [...prev.filter(m => !isObservationBlank(m)), ...rows.map(r => ({ ...emptyObservation(), ...r, sourceId: source.id }))]);
+    setImportOpen(false);
+  }
+
+  function applyTemplate() {
+    const t = templateCatalog.find(x => x.id === selectedTemplateId);
+    if (!t) return;
+    const panel = templateToPanel(t);
+    setObservations(prev => [...prev.filter(m => !isObservationBlank(m)), ...templateToObservationRows(t, emptyObservation)]);
+    setPanels(prev => (prev.some(p => p.id === panel.id) ? prev : [...prev, panel]));
+    if (!testCoding && panel.coding) {
+      setTestCoding(panel.coding);
+      setTestCode(t.name);
+    }
+  }
+
+  async function onTemplatesImported(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await readFileAsText(file));
+      const errors = validateTemplateCatalog(parsed);
+      if (errors.length) {
+        alert("Template catalog rejected:\n" + errors.join("\n"));
+        return;
+      }
+      const next = mergeTemplateCatalogs(customTemplates, parsed);
+      localStorage.setItem(CUSTOM_TEMPLATES_KEY, JSON.stringify(next));
+      setCustomTemplates(next);
+      alert(`Imported ${parsed.length} template(s).`);
+    } catch (err) {
+      console.error("Template import failed:", err);
+      alert("Could not read template catalog (invalid JSON).");
+    }
+  }
+
+  function exportTemplates() {
+    downloadJson("panel-templates.json", templateCatalog);
+  }
+
+  /* ------------------------------ Drafts ---------------------------------- */
+  const [draftStore] = useState(() => createBrowserDraftStore());
+  const [drafts, setDrafts] = useState(() => draftStore.list());
+  const [currentDraftId, setCurrentDraftId] = useState(null);
+  const [hasUnsubmittedChanges, setHasUnsubmittedChanges] = useState(false);
+  const draftBaselineRef = useRef(null); // serialized form that counts as "no changes"
+
+  // Everything the user typed; patient, ABHA and care context are stored alongside the form
+  const draftForm = useMemo(() => ({
+    status, title, dateTimeLocal, encounterText, custodianName, narrativeStatus,
+    authorId, performerId, attesterPractitionerId,
+    attesterMode, attesterPartyType, attesterOrgName,
+    testCode, testCoding, panels, observations, specimens, amendment, dataSources,
+  }), [status, title, dateTimeLocal, encounterText, custodianName, narrativeStatus, authorId, performerId, attesterPractitionerId, attesterMode, attesterPartyType, attesterOrgName, testCode, testCoding, panels, observations, specimens, amendment, dataSources]);
+  const draftFingerprint = useMemo(
+    () => [JSON.stringify(draftForm), files.map(f => `${f.name}:${f.size}`).join(","), selectedPatientKey, selectedAbha, careContextRef, careContextDisplay].join("|"),
+    [draftForm, files, selectedPatientKey, selectedAbha, careContextRef, careContextDisplay]
+  );
+
+  async function saveDraftNow() {
+    const id = currentDraftId || uuidv4();
+    try {
+      await draftStore.save({
+        id,
+        label: `${title || "Untitled"} — ${selectedPatient?.name || "no patient"}`,
+        updatedAt: Date.now(),
+        patientKey: patientKeyOf(selectedPatient),
+        patient: selectedPatient,
+        selectedAbha,
+        careContextRef,
+        careContextDisplay,
+        form: draftForm,
+      }, files);
+      setCurrentDraftId(id);
+      setDrafts(draftStore.list());
+    } catch (err) {
+      console.error("Draft autosave failed:", err);
+    }
+  }
+
+  // Autosave 1s after the last edit
+  useEffect(() => {
+    if (draftBaselineRef.current === null) {
+      draftBaselineRef.current = draftFingerprint;
+      return;
+    }
+    if (draftFingerprint === draftBaselineRef.current) return;
+    setHasUnsubmittedChanges(true);
+    const t = setTimeout(saveDraftNow, 1000);
+    return () => clearTimeout(t);
+  }, [draftFingerprint]); // eslint-disable-line
+
+  // Warn before leaving with an unsubmitted report
   useEffect(() => {
-    if (!selectedPatient) {
-      setAbhaOptions([]);
-      setSelectedAbha("");
+    if (!hasUnsubmittedChanges) return;
+    const onBeforeUnload = e => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => window.removeEventListener("beforeunload", onBeforeUnload);
+  }, [hasUnsubmittedChanges]);
+
+  function applyDraftForm(form, restoredFiles) {
+    setStatus(form.status || "final");
+    setTitle(form.title || "");
+    setDateTimeLocal(form.dateTimeLocal || toDatetimeLocalValue(new Date()));
+    setEncounterText(form.encounterText || "");
+    setCustodianName(form.custodianName || "");
+    setNarrativeStatus(form.narrativeStatus || "generated");
+    if (form.authorId) setAuthorId(form.authorId);
+    setPerformerId(form.performerId || "");
+    setAttesterPractitionerId(form.attesterPractitionerId || "");
+    setAttesterMode(form.attesterMode || "professional");
+    setAttesterPartyType(form.attesterPartyType || "Practitioner");
+    setAttesterOrgName(form.attesterOrgName || "");
+    setTestCode(form.testCode || "");
+    setTestCoding(form.testCoding || null);
+    setPanels(Array.isArray(form.panels) ? form.panels : []);
+    setObservations(Array.isArray(form.observations) && form.observations.length ? form.observations.map(o => ({ ...emptyObservation(), ...o })) : [emptyObservation()]);
+    setSpecimens(Array.isArray(form.specimens) ? form.specimens : []);
+    setAmendment(form.amendment || null);
+    setDataSources(Array.isArray(form.dataSources) ? form.dataSources : []);
+    setFiles(restoredFiles);
+    setFilePreviewNames(restoredFiles.map(f => f.name));
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  }
+
+  /* Select a patient record, optionally re-selecting a stored ABHA address.
+     The ABHA choice lands in the same render, so a restore is fingerprinted as a whole. */
+  function selectPatient(patient, abha) {
+    if (patient && patientKeyOf(patient) === selectedPatientKey) {
+      if (abha) setSelectedAbha(abha);
+      setSelectedPatient(patient);
       return;
     }
-    const abhas = normalizeAbhaAddresses(selectedPatient);
+    const abhas = patient ? normalizeAbhaAddresses(patient, abhaEnvironment) : [];
     setAbhaOptions(abhas);
-    setSelectedAbha(abhas.length ? abhas[0].value : "");
-  }, [selectedPatientIdx]); // eslint-disable-line
+    setSelectedAbha(abha && abhas.some(a => a.value === abha) ? abha : abhas.length && abhas[0].valid ? abhas[0].value : "");
+    setCareContextRef("");
+    setCareContextDisplay("");
+    setSelectedPatient(patient || null);
+  }
+
+  async function resumeDraft(id) {
+    let loaded;
+    try {
+      loaded = await draftStore.load(id);
+    } catch (err) {
+      console.error("Could not load draft:", err);
+      alert("Failed to open the draft. See console.");
+      return;
+    }
+    if (!loaded) return;
+    const { draft, files: restoredFiles } = loaded;
+    draftBaselineRef.current = null; // the restore itself is not an edit
+    applyDraftForm(draft.form || {}, restoredFiles);
+    selectPatient(draft.patient, draft.selectedAbha);
+    setCareContextRef(draft.careContextRef || "");
+    setCareContextDisplay(draft.careContextDisplay || "");
+    setCurrentDraftId(draft.id);
+    setHasUnsubmittedChanges(true);
+  }
+
+  async function deleteDraft(id) {
+    if (!window.confirm("Delete this draft?")) return;
+    try {
+      await draftStore.remove(id);
+    } catch (err) {
+      console.error("Could not delete draft:", err);
+      alert("Failed to delete the draft. See console.");
+      return;
+    }
+    if (id === currentDraftId) {
+      setCurrentDraftId(null);
+      setHasUnsubmittedChanges(false);
+    }
+    setDrafts(draftStore.list());
+  }
+
+  function startNewReport() {
+    draftBaselineRef.current = null;
+    applyDraftForm({ title: "Diagnostic Report", testCode: "" }, []);
+    setCurrentDraftId(null);
+    setHasUnsubmittedChanges(false);
+  }
+
+  /* After a submission is queued the draft has done its job */
+  async function finishDraft() {
+    if (currentDraftId) await draftStore.remove(currentDraftId);
+    setCurrentDraftId(null);
+    setHasUnsubmittedChanges(false);
+    if (amendment) {
+      // further edits start a fresh report, not another amendment of the same version
+      setAmendment(null);
+      draftBaselineRef.current = null;
+    } else {
+      draftBaselineRef.current = draftFingerprint;
+    }
+    setDrafts(draftStore.list());
+  }
+
+  /* ------------------------------ Amendments -------------------------------- */
+  /* Load a submitted bundle into the form; ids and versions come along in `amendment` */
+  async function startAmendment(bundle, sourceLabel, patientUserId) {
+    let parsed;
+    try {
+      parsed = parseSubmittedBundle(bundle);
+    } catch (err) {
+      alert(`Cannot amend this file: ${err.message}`);
+      return;
+    }
+    const signature = await verifyBundleSignature(bundle);
+    if (signature.status === "invalid" && !window.confirm(`The signature of this report does not verify: ${signature.message}\nAmend it anyway?`)) return;
+    if (hasUnsubmittedChanges && !window.confirm("Replace the report you are editing with the submitted one?")) return;
+
+    // Practitioners are matched by license; unknown ones are added to the pickers
+    const known = [];
+    const idFor = p => {
+      if (!p || !p.license) return "";
+      const hit = practitioners.find(x => x.license === p.license) || known.find(x => x.license === p.license);
+      if (hit) return hit.id;
+      const added = { id: `bundle-${p.id}`, name: p.name, license: p.license };
+      known.push(added);
+      return added.id;
+    };
+    const authorKey = idFor(parsed.practitioners.author);
+    const performerKey = idFor(parsed.practitioners.performer);
+    const attesterKey = idFor(parsed.practitioners.attester);
+    if (known.length) setPractitioners(prev => mergePractitioners(prev, known));
+
+    const restoredFiles = parsed.attachments.map(a => base64ToFile(a.data, a.title, a.contentType));
+    draftBaselineRef.current = null;
+    applyDraftForm({
+      ...parsed.form,
+      authorId: authorKey,
+      performerId: performerKey !== authorKey ? performerKey : "",
+      attesterPractitionerId: attesterKey && attesterKey !== authorKey ? attesterKey : "",
+      amendment: { ...parsed.amendment, sourceLabel, signature: { status: signature.status, message: signature.message } },
+    }, restoredFiles);
+    setCurrentDraftId(null);
+    setHasUnsubmittedChanges(true);
+    // Outbox records know the registry id; a bundle file only carries a snapshot of the patient
+    const registered = parsed.patient && registryIdOf({ user_id: patientUserId }) !== null;
+    if (registered) selectPatient({ ...parsed.patient, user_id: patientUserId }, parsed.patient.additional_attributes.abha_addresses[0]);
+    else if (!(await selectMatchingPatient(parsed.patient, sourceLabel))) return;
+    const linked = careContextStore.contextOfDocument(parsed.amendment.replaces.identifier.value);
+    setCareContextRef(linked ? linked.referenceNumber : "");
+  }
+
+  async function amendFromFile(file) {
+    let bundle;
+    try {
+      bundle = JSON.parse(await readFileAsText(file));
+    } catch (err) {
+      console.error("Could not read bundle file:", err);
+      alert("That file is not valid JSON.");
+      return;
+    }
+    await startAmendment(bundle, file.name);
+  }
+
+  /* Select the registry record matching a patient snapshot (bundle, HL7 PID); none when nothing matches */
+  async function selectMatchingPatient(candidate, sourceLabel) {
+    let match = null;
+    try {
+      match = await findPatientMatch(patientSearch.search, candidate);
+    } catch (err) {
+      console.error("Patient match failed:", err);
+    }
+    if (match) {
+      const abha = abhaAddressesOf(candidate)[0];
+      selectPatient(match.patient, abha && abhaAddressesOf(match.patient).includes(abha) ? abha : undefined);
+      return match.patient;
+    }
+    selectPatient(null);
+    alert(`No registered patient matches ${sourceLabel} by ABHA number, MRN or ABHA address${candidate && candidate.name ? ` (${candidate.name})` : ""}. Search for the patient in section 1.`);
+    return null;
+  }
+
+  /* ---------------------------- HL7 v2 results ------------------------------ */
+  /* Load a parsed ORU^R01 message; the patient is matched against the registry by identifier */
+  function loadOruResult(parsed, sourceLabel) {
+    if (hasUnsubmittedChanges && !window.confirm("Replace the report you are editing with the HL7 result?")) return false;
+
+    const performerMatch = parsed.performer && parsed.performer.license && practitioners.find(p => p.license === parsed.performer.license);
+    const source = { id: `source-${uuidv4()}`, kind: "hl7", label: sourceLabel, identifier: parsed.message.controlId, device: parsed.message.sendingFacility };
+    draftBaselineRef.current = null;
+    applyDraftForm({
+      ...parsed.form,
+      observations: parsed.form.observations.map(o => ({ ...o, sourceId: source.id })),
+      dataSources: [source],
+      title: "Diagnostic Report",
+      authorId,
+      performerId: performerMatch && performerMatch.id !== authorId ? performerMatch.id : "",
+    }, parsed.attachments.map(a => base64ToFile(a.data, a.title, a.contentType)));
+    setCurrentDraftId(null);
+    setHasUnsubmittedChanges(true);
+
+    selectMatchingPatient(parsed.patient, sourceLabel);
+    if (parsed.performer && !performerMatch) {
+      alert(`Performer "${parsed.performer.name || parsed.performer.license}" from the message is not a known practitioner; pick the performer in section 2.`);
+    }
+    return true;
+  }
 
   /* Validation */
   function validateBeforeBuild() {
     const errors = [];
     if (!selectedPatient) errors.push("Select a patient (required).");
+    else if (registryIdOf(selectedPatient) === null) errors.push(`"${selectedPatient.name || "This patient"}" is not linked to a registry record; search for the patient in section 1.`);
+    const abhaCheck = selectedAbha ? validateAbhaAddress(selectedAbha, { environment: abhaEnvironment }) : null;
+    if (abhaCheck && !abhaCheck.valid) errors.push(`ABHA address "${selectedAbha}" is malformed; pick a valid one or none.`);
+    // an address from the other ABDM environment would never resolve on this gateway
+    else if (abhaCheck && abhaCheck.warnings.length) errors.push(`${abhaCheck.warnings.join(" ")} Pick an address for ${abhaEnvironment} or none.`);
+    const roles = [["Author", author], ["Performer", performer]];
+    if (attesterPartyType === "Practitioner") roles.push(["Attester", attesterPractitioner]);
+    roles.forEach(([role, p]) => {
+      if (!p) errors.push(`${role}: select a practitioner (required).`);
+      else if (isSyntheticPractitioner(p)) errors.push(`${role}: "${p.name}" has no verifiable license and cannot sign a report.`);
+    });
     if (!status) errors.push("Status is required.");
     if (!title || !title.trim()) errors.push("Title is required.");
     if (!testCode || !testCode.trim()) errors.push("Test code is required.");
+    if (amendment) {
+      if (!amendment.reason || !amendment.reason.trim()) errors.push("Amendment: state the reason for the change.");
+      if (status !== "amended" && status !== "entered-in-error") errors.push(`Amendment: status must be "amended" or "entered-in-error", not "${status}".`);
+    }
     // Require at least one observation (with a value) OR at least one document
     const hasObsWithValue = observations.some(o => (o.valueText && o.valueText.trim()) || (o.valueUnit && o.valueUnit.trim()));
     const hasDocs = files && files.length > 0;
     if (!(hasObsWithValue || hasDocs)) errors.push("Add at least one observation with a result value, or upload at least one document.");
+    observations.forEach((o, i) => {
+      if (o.valueUnit && o.valueUnit.trim() && !isValidUcum(o.valueUnit)) errors.push(`Observation #${i + 1}: unit "${o.valueUnit}" is not a recognised UCUM unit.`);
+    });
     return errors;
   }
 
   /* ---------------------- Build FHIR Bundle (async) ------------------------ */
-  async function onBuildBundle() {
+  /* Validate the form and build the Bundle; null when the form has errors */
+  async function buildBundleFromForm() {
     const errors = validateBeforeBuild();
     if (errors.length) {
       alert("Please fix:\n" + errors.join("\n"));
-      return;
+      return null;
     }
 
-    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
-
-    // UUID ids for urn:uuid references
-    const compId = uuidv4();
-    const patientId = uuidv4(); // bundle-local Patient.id
-    const practitionerId = practitionerRefId || uuidv4(); // use global if valid
-    const encounterId = encounterText ? uuidv4() : null;
-    const custodianId = custodianName ? uuidv4() : null;
-    const attesterOrgId = attesterPartyType === "Organization" && attesterOrgName ? uuidv4() : null;
-
-    const obsIds = observations.map(() => uuidv4());
-    const diagReportId = uuidv4();
-    const docBinaryIds = (files.length ? files : [null]).map(() => uuidv4());
-    const docRefIds = docBinaryIds.map(() => uuidv4());
-
-    // Patient resource
-    function buildPatientResource(idForBundle) {
-      const p = selectedPatient || {};
-      const identifiers = [];
-      const mrnLocal = p?.user_ref_id || p?.mrn || p?.abha_ref || p?.id;
-      if (mrnLocal) identifiers.push({ system: "https://healthid.ndhm.gov.in", value: String(mrnLocal) });
-      // if (mrnLocal) identifiers.push({ system: "https://healthid.ndhm.gov.in", value: Number(mrnLocal) });
-      if (p?.abha_ref) identifiers.push({ system: "https://abdm.gov.in/abha", value: p.abha_ref });
-
-      const telecom = [];
-      if (p?.mobile) telecom.push({ system: "phone", value: p.mobile });
-      if (p?.email) telecom.push({ system: "email", value: p.email });
-      if (selectedAbha) telecom.push({ system: "url", value: `abha://${selectedAbha}` });
-
-      return {
-        resourceType: "Patient",
-        id: idForBundle,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Patient"] },
-        // text: buildNarrative("Patient", `<p>${p.name || ""}</p><p>${p.gender || ""} ${p.dob || ""}</p>`),
-        identifier: identifiers.length ? identifiers : undefined,
-        name: p.name ? [{ text: p.name }] : undefined,
-        gender: p.gender ? String(p.gender).toLowerCase() : undefined,
-        birthDate: ddmmyyyyToISO(p.dob) || undefined,
-        telecom: telecom.length ? telecom : undefined,
-        address: p?.address ? [{ text: p.address }] : undefined,
-      };
+    // Uploaded files -> plain attachments for the pure builder
+    const attachments = [];
+    for (const f of files) {
+      attachments.push({ contentType: f.type || "application/pdf", title: f.name, data: await fileToBase64NoPrefix(f) });
     }
 
-    // Practitioner resource
-    function buildPractitionerResource(practRefId, practName, practLicense) {
-      return {
-        resourceType: "Practitioner",
-        id: practRefId,
-        language: "en-IN",
-        meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
-        // text: buildNarrative("Practitioner", `<p>${practName}</p>`),
-        identifier: [{
-          type: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MD", display: "Medical License number" }] },
-          system: "https://doctor.ndhm.gov.in",
-          value: practLicense
-        }],
-        name: [{ text: practName }],
-      };
+    const bundle = buildDiagnosticReportBundle({
+      patient: selectedPatient,
+      selectedAbha,
+      practitioner: author,
+      performer,
+      metadata: {
+        status,
+        title,
+        date: dateTimeLocal,
+        encounterText,
+        custodianName,
+        narrativeStatus,
+        attester: { mode: attesterMode, partyType: attesterPartyType, orgName: attesterOrgName, practitioner: attesterPractitioner },
+      },
+      testCode,
+      testCoding,
+      panels,
+      observations,
+      specimens,
+      attachments,
+      amendment,
+      provenance: { enterer, sources: dataSources },
+    });
+    if (!signingKey) return bundle;
+    try {
+      return await signBundle(bundle, signingKey);
+    } catch (err) {
+      console.error("Signing failed:", err);
+      alert(`Could not sign the bundle: ${err.message}`);
+      return null;
     }
+  }
 
-    // Encounter (optional)
-    function buildEncounterResource() {
-      if (!encounterId) return null;
-      const start = isoWithLocalOffsetFromDate(new Date());
-      return {
-        resourceType: "Encounter",
-        id: encounterId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Encounter"] },
-        // text: buildNarrative("Encounter", `<p>${encounterText}</p>`),
-        status: "finished",
-        class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
-        subject: { reference: `urn:uuid:${patientId}` },
-        period: { start, end: start },
-      };
+  /* Submit straight away unless profile validation finds errors; then show them in the preview */
+  async function onBuildBundle() {
+    const bundle = await buildBundleFromForm();
+    if (!bundle) return;
+    const validation = validateBundle(bundle);
+    if (!validation.valid) {
+      setPreview({ bundle, validation, fingerprint: previewFingerprint });
+      alert(`The bundle has ${validation.errors.length} profile error(s). See the validation report in the preview.`);
+      return;
     }
+    await submitBundle(bundle);
+  }
 
-    // Custodian Organization (optional)
-    function buildCustodianOrg() {
-      if (!custodianId) return null;
-      return {
-        resourceType: "Organization",
-        id: custodianId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Organization"] },
-        // text: buildNarrative("Organization", `<p>${custodianName}</p>`),
-        name: custodianName,
-      };
-    }
+  /* Preview shows exactly what Submit would send */
+  const [preview, setPreview] = useState(null); // { bundle, validation, fingerprint }
+  const previewFingerprint = `${draftFingerprint}|${signingKey ? signingKey.kid : ""}`;
+  async function onPreview() {
+    const bundle = await buildBundleFromForm();
+    if (bundle) setPreview({ bundle, validation: validateBundle(bundle), fingerprint: previewFingerprint });
+  }
+  async function onSubmitPreview() {
+    if (!preview || !preview.validation.valid) return;
+    await submitBundle(preview.bundle);
+    setPreview(null);
+  }
 
-    // Attester org (optional)
-    function buildAttesterOrg() {
-      if (!attesterOrgId) return null;
-      return {
-        resourceType: "Organization",
-        id: attesterOrgId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Organization"] },
-        // text: buildNarrative("Organization", `<p>${attesterOrgName}</p>`),
-        name: attesterOrgName,
-      };
-    }
+  const defaultCareContextDisplay = `${title || "Diagnostic Report"} — ${dateTimeLocal.slice(0, 10)}`;
 
-    // Observations
-    function buildObservationResources() {
-      return observations.map((m, idx) => {
-        const id = obsIds[idx];
-        const occ =
-          m.effectiveDate
-            ? (m.effectiveDate.includes("T")
-              ? new Date(m.effectiveDate).toISOString()
-              : ddmmyyyyToISO(m.effectiveDate) || new Date().toISOString())
-            : authoredOn;
-
-        const hasQuantity = m.valueUnit && m.valueUnit.trim() && !isNaN(Number(m.valueText));
-        const valueQuantity = hasQuantity
-          ? { value: Number(m.valueText), unit: m.valueUnit }
-          : undefined;
-
-        return {
-          resourceType: "Observation",
-          id,
-          language: "en-IN",
-          meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Observation"] },
-          // text: buildNarrative("Observation", `<p>${m.codeText || testCode || "Test"}</p><p>${m.valueText || ""} ${m.valueUnit || ""}</p>`),
-          status: "final",
-          category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" }], text: "Laboratory" }],
-          code: { text: m.codeText?.trim() ? m.codeText : (testCode || "Diagnostic test") },
-          subject: { reference: `urn:uuid:${patientId}` },
-          effectiveDateTime: occ,
-          ...(valueQuantity ? { valueQuantity } : (m.valueText ? { valueString: m.valueText } : {})),
-          performer: [{ reference: `urn:uuid:${practitionerId}`, display: practitionerDisplayName }],
-        };
-      });
-    }
+  /* The selected care context, or a new one for the patient */
+  function careContextForSubmission() {
+    if (selectedCareContext) return selectedCareContext;
+    return careContextStore.create({
+      patientKey: selectedPatientKey,
+      patientName: selectedPatient?.name || "",
+      display: careContextDisplay.trim() || defaultCareContextDisplay,
+    });
+  }
 
-    // DiagnosticReport
-    function buildDiagnosticReportResource(observationIds) {
-      return {
-        resourceType: "DiagnosticReport",
-        id: diagReportId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/DiagnosticReport"] },
-        // text: buildNarrative("DiagnosticReport", `<p>${title}</p><p>Code: ${testCode}</p>`),
-        status: status,
-        category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "LAB", display: "Laboratory" }], text: "Laboratory" }],
-        code: { coding: [LOINC_LAB_REPORT], text: title },
-        subject: { reference: `urn:uuid:${patientId}` },
-        effectiveDateTime: authoredOn,
-        result: observationIds.map(id => ({ reference: `urn:uuid:${id}` })),
-        performer: [{ reference: `urn:uuid:${practitionerId}`, display: practitionerDisplayName }],
-      };
+  function removeCareContext(referenceNumber) {
+    if (!window.confirm(`Remove care context ${referenceNumber}?`)) return;
+    try {
+      careContextStore.remove(referenceNumber);
+    } catch (err) {
+      alert(err.message);
     }
+    if (referenceNumber === careContextRef) setCareContextRef("");
+    setCareContexts(careContextStore.list());
+  }
 
-    // DocumentReference + Binary (optional or placeholder)
-    async function buildDocAndBinaryResources() {
-      const binaries = [];
-      const docRefs = [];
-
-      const toProcess = files.length > 0 ? files : [null]; // null => placeholder
-      for (let i = 0; i < toProcess.length; i++) {
-        const f = toProcess[i];
-        const binId = docBinaryIds[i];
-        const docId = docRefIds[i];
-
-        let contentType = "application/pdf";
-        let dataB64 = PLACEHOLDER_PDF_B64;
-        let title = "placeholder.pdf";
-
-        if (f) {
-          contentType = f.type || "application/pdf";
-          dataB64 = await fileToBase64NoPrefix(f);
-          title = f.name || title;
+  async function submitBundle(bundle) {
+    // Submit through the outbox
+    const originalPatientId = registryIdOf(selectedPatient);
+    let careContext;
+    let queued = false;
+    try {
+      careContext = careContextForSubmission();
+    } catch (err) {
+      alert(`Cannot link the report to a care context: ${err.message}`);
+      return;
+    }
+    try {
+      const record = await outbox.enqueue({
+        id: bundle.identifier.value,
+        url: endpointUrl(environment, "fhirBundle"),
+        payload: { bundle, patient: originalPatientId, careContext: careContextPayload(careContext) },
+        label: `${amendment ? `Amendment v${amendment.version}: ` : ""}${title} — ${selectedPatient?.name || "patient"}`,
+      });
+      queued = true;
+      const composition = bundle.entry[0].resource;
+      careContextStore.linkReport(careContext.referenceNumber, {
+        documentId: composition.identifier.value,
+        bundleId: bundle.identifier.value,
+        title: composition.title,
+        version: composition.meta.versionId,
+        status: composition.status,
+      });
+      setCareContextRef(careContext.referenceNumber);
+      setCareContexts(careContextStore.list());
+      await finishDraft();
+      if (record.status === OUTBOX_STATUS.SENT) {
+        console.log("FHIR Bundle Submitted:", { bundle, patient: originalPatientId });
+        if (!embed) alert("Submitted successfully");
+      } else if (record.status === OUTBOX_STATUS.PENDING && !record.nextAttemptAt) {
+        console.warn("FHIR Bundle waiting for sign-in:", record.lastError);
+        alert("Your session has expired. The report is queued and will be sent once you sign in again.");
+      } else if (record.status === OUTBOX_STATUS.PENDING) {
+        console.warn("FHIR Bundle queued for retry:", record.lastError);
+        alert("Could not reach the server. The report is queued and will be retried automatically.");
+      } else {
+        console.error("Error submitting FHIR Bundle:", record.lastError);
+        alert(`Failed to submit FHIR Bundle: ${record.lastError}\nIt is kept in the submission queue.`);
+      }
+      if (embed) reportToHost(record, careContext);
+    } catch (err) {
+      console.error("Could not queue FHIR Bundle:", err);
+      // a care context made for this submission would otherwise linger without reports
+      if (!queued && careContext !== selectedCareContext) {
+        try {
+          careContextStore.remove(careContext.referenceNumber);
+        } catch (cleanupErr) {
+          console.error("Could not remove the unused care context:", cleanupErr);
         }
-
-        const binary = {
-          resourceType: "Binary",
-          id: binId,
-          language: "en-IN",
-          meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"] },
-          contentType,
-          data: dataB64,
-        };
-
-        const docRef = {
-          resourceType: "DocumentReference",
-          id: docId,
-          language: "en-IN",
-          meta: { profile: ["http://hl7.org/fhir/StructureDefinition/DocumentReference"] },
-          // text: buildNarrative("DocumentReference", `<p>${title}</p>`),
-          status: "current",
-          type: { coding: [LOINC_LAB_REPORT], text: "Laboratory report document" },
-          subject: { reference: `urn:uuid:${patientId}` },
-          date: authoredOn,
-          content: [{ attachment: { contentType, title, url: `urn:uuid:${binId}` } }],
-        };
-
-        binaries.push(binary);
-        docRefs.push(docRef);
       }
+      alert("Failed to queue the FHIR Bundle. See console.");
+      if (embed) embed.error(err);
+    }
+  }
 
-      return { binaries, docRefs };
+  /* Queue actions from the outbox panel; the panel shows the outcome, storage errors are reported here */
+  async function resendSubmission(id) {
+    try {
+      await outbox.resend(id);
+    } catch (err) {
+      console.error("Could not resend FHIR Bundle:", err);
+      alert("Failed to resend the FHIR Bundle. See console.");
+    }
+  }
+  async function discardSubmission(id) {
+    if (!window.confirm("Discard this submission from the queue?")) return;
+    try {
+      await outbox.discard(id);
+    } catch (err) {
+      console.error("Could not discard FHIR Bundle:", err);
+      alert("Failed to discard the FHIR Bundle. See console.");
     }
+  }
 
-    // Composition
-    function buildComposition(docRefsArr) {
-      const entries = [];
-
-      // Include DiagnosticReport first
-      entries.push({ reference: `urn:uuid:${diagReportId}`, type: "DiagnosticReport" });
-      // Include Observations
-      obsIds.forEach(id => entries.push({ reference: `urn:uuid:${id}`, type: "Observation" }));
-      // Include uploaded documents
-      if (docRefsArr && docRefsArr.length) docRefsArr.forEach(dr => entries.push({ reference: `urn:uuid:${dr.id}`, type: "DocumentReference" }));
-
-      const attesterArr = [];
-      if (attesterPartyType === "Practitioner") {
-        attesterArr.push({ mode: attesterMode, party: { reference: `urn:uuid:${practitionerId}` } });
-      } else if (attesterPartyType === "Organization" && attesterOrgId) {
-        attesterArr.push({ mode: attesterMode, party: { reference: `urn:uuid:${attesterOrgId}` } });
+  /* ------------------------------ Embedding --------------------------------- */
+  /* Commands from the host application (prefill, token) */
+  async function applyEmbedCommand(command) {
+    if (command.type === "token") {
+      if (!auth.setToken(command.token)) console.warn("Ignored a host token without accessToken");
+      return;
+    }
+    const { patient, patientId, practitioner, form } = command.data;
+    if (form) {
+      draftBaselineRef.current = null; // a prefill is not an edit
+      applyDraftForm({ title: "Diagnostic Report", ...form }, []);
+      setCurrentDraftId(null);
+    }
+    if (practitioner) {
+      const p = normalizePractitioner(practitioner);
+      if (!p || isSyntheticPractitioner(p)) {
+        embed.error(new Error("The practitioner needs an id, a name and a real license"));
+      } else {
+        setPractitioners(prev => mergePractitioners([p], prev));
+        setAuthorId(p.id);
+        setEnterer(p);
       }
-
-      const comp = {
-        resourceType: "Composition",
-        id: compId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Composition"] },
-        // text: buildNarrative("Composition", `<p>${title}</p><p>Author: ${practitionerDisplayName}</p>`),
-        status: status,
-        type: { coding: [LOINC_LAB_REPORT], text: LOINC_LAB_REPORT.display },
-        subject: { reference: `urn:uuid:${patientId}` },
-        ...(encounterId ? { encounter: { reference: `urn:uuid:${encounterId}` } } : {}),
-        date: authoredOn,
-        author: [{ reference: `urn:uuid:${practitionerId}`, display: practitionerDisplayName }],
-        title: title,
-        attester: (attesterArr.length ? attesterArr : [{ mode: "official", party: { reference: `urn:uuid:${practitionerId}` } }]),
-        ...(custodianId ? { custodian: { reference: `urn:uuid:${custodianId}` } } : {}),
-        section: [
-          {
-            title: "Diagnostic report",
-            code: { coding: [LOINC_LAB_REPORT], text: LOINC_LAB_REPORT.display },
-            entry: entries.length ? entries : undefined,
-            text: entries.length ? undefined : {
-              status: "generated",
-              div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><p>No diagnostic entries</p></div>`,
-            },
-          },
-        ],
-      };
-      return comp;
     }
-
-    // Build resources
-    const patientRes = buildPatientResource(patientId);
-    const practitionerRes = buildPractitionerResource(practitionerId, practitionerDisplayName, practitionerLicense);
-    const encounterRes = buildEncounterResource();
-    const custodianRes = buildCustodianOrg();
-    const attesterOrgRes = buildAttesterOrg();
-    const observationResources = buildObservationResources();
-    const diagnosticReportRes = buildDiagnosticReportResource(obsIds);
-    const { binaries, docRefs } = await buildDocAndBinaryResources();
-    const compositionRes = buildComposition(docRefs);
-
-    // Compose Bundle
-    const bundleId = `DiagnosticReportBundle-${uuidv4()}`;
-    const bundle = {
-      resourceType: "Bundle",
-      id: bundleId,
-      meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Bundle"], lastUpdated: isoWithLocalOffsetFromDate(new Date()) },
-      identifier: { system: "urn:ietf:rfc:3986", value: `urn:uuid:${uuidv4()}` },
-      type: "document",
-      timestamp: isoWithLocalOffsetFromDate(new Date()),
-      entry: [
-        { fullUrl: `urn:uuid:${compositionRes.id}`, resource: compositionRes },
-        { fullUrl: `urn:uuid:${patientRes.id}`, resource: patientRes },
-        { fullUrl: `urn:uuid:${practitionerRes.id}`, resource: practitionerRes },
-        { fullUrl: `urn:uuid:${diagnosticReportRes.id}`, resource: diagnosticReportRes },
-      ],
+    if (patient || patientId) {
+      const found = await registryPatientForHost(patient, patientId).catch(err => {
+        console.error("Patient lookup failed:", err);
+        return null;
+      });
+      const abha = patient && abhaAddressesOf(patient)[0];
+      if (found) {
+        draftBaselineRef.current = null; // nor is a prefilled patient
+        selectPatient(found, abha && abhaAddressesOf(found).includes(abha) ? abha : undefined);
+      } else embed.error(new Error(`Patient ${patientId || (patient && (patient.user_ref_id || patient.name)) || ""} was not found in the registry`));
+    }
+  }
+  /* A host's patient object is only a hint: the report is filed under the registry's record */
+  async function registryPatientForHost(patient, patientId) {
+    if (!patient) return findPatientById(patientSearch.search, patientId);
+    const byId = await findPatientById(patientSearch.search, patient.user_ref_id || patient.user_id);
+    if (byId) return byId;
+    const match = await findPatientMatch(patientSearch.search, patient);
+    return match ? match.patient : null;
+  }
+  const embedCommandRef = useRef(applyEmbedCommand);
+  embedCommandRef.current = applyEmbedCommand;
+  useEffect(() => {
+    if (!embed) return;
+    const unlisten = embed.listen(command => embedCommandRef.current(command));
+    embed.ready();
+    return unlisten;
+  }, [embed]);
+
+  /* Submitted / queued bundles go back to the host; queued ones again once delivered */
+  const awaitingDeliveryRef = useRef(new Map()); // bundle id -> care context payload
+  function reportToHost(record, careContext) {
+    if (record.status === OUTBOX_STATUS.FAILED) {
+      embed.error(new Error(`Submission failed: ${record.lastError}`));
+      return;
+    }
+    const result = {
+      id: record.id,
+      status: record.status,
+      bundle: record.payload.bundle,
+      careContext: careContextPayload(careContext),
+      lastError: record.lastError || null,
     };
+    if (record.status === OUTBOX_STATUS.PENDING) awaitingDeliveryRef.current.set(record.id, result.careContext);
+    embed.submitted(result);
+  }
+  useEffect(() => {
+    if (!embed) return;
+    outboxRecords.forEach(r => {
+      if (r.status !== OUTBOX_STATUS.SENT || !awaitingDeliveryRef.current.has(r.id)) return;
+      const careContext = awaitingDeliveryRef.current.get(r.id);
+      awaitingDeliveryRef.current.delete(r.id);
+      embed.submitted({ id: r.id, status: r.status, bundle: r.payload.bundle, careContext, lastError: null });
+    });
+  }, [outboxRecords, embed]);
 
-    // Optional adds
-    if (encounterRes) bundle.entry.push({ fullUrl: `urn:uuid:${encounterRes.id}`, resource: encounterRes });
-    if (custodianRes) bundle.entry.push({ fullUrl: `urn:uuid:${custodianRes.id}`, resource: custodianRes });
-    if (attesterOrgRes) bundle.entry.push({ fullUrl: `urn:uuid:${attesterOrgRes.id}`, resource: attesterOrgRes });
-
-    // Observations
-    observationResources.forEach(r => bundle.entry.push({ fullUrl: `urn:uuid:${r.id}`, resource: r }));
-
-    // Documents
-    docRefs.forEach(dr => bundle.entry.push({ fullUrl: `urn:uuid:${dr.id}`, resource: dr }));
-    binaries.forEach(b => bundle.entry.push({ fullUrl: `urn:uuid:${b.id}`, resource: b }));
-
-    // Submit
-    const originalPatientId = Number(selectedPatient?.user_id);
-    axios.post("https://uat.discharge.org.in/api/v5/fhir-bundle", { bundle, patient: originalPatientId })
-      .then(response => {
-        console.log("FHIR Bundle Submitted:", response.data);
-        console.log("Sent Data:", { bundle, patient: originalPatientId });
-        alert("Submitted successfully");
-      })
-      .catch(error => {
-        console.error("Error submitting FHIR Bundle:", error.response?.data || error.message);
-        alert("Failed to submit FHIR Bundle. See console.");
-        console.log("FHIR Bundle failed to submit:", { bundle, patient: originalPatientId });
-      });
+  function cancelEmbedded() {
+    if (hasUnsubmittedChanges && !window.confirm("Discard this report and close the builder?")) return;
+    embed.cancel();
   }
 
   /* --------------------------------- UI ------------------------------------ */
   return (
     <div className="container py-4">
-      <h2 className="mb-3">Diagnostic Report — Builder</h2>
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+        <h2 className="mb-0">Diagnostic Report — Builder</h2>
+        <div className="d-flex flex-wrap align-items-center gap-3">
+          <AuthStatus state={authState} onSignIn={signIn} onSignOut={auth.logout} />
+          <EnvironmentSwitcher environment={environment} environments={environments} onSwitch={switchEnvironment} />
+        </div>
+      </div>
+
+      {authState.status === AUTH_STATUS.EXPIRED && (
+        <div className="alert alert-warning d-flex justify-content-between align-items-center">
+          <span>
+            <strong>Please sign in again.</strong> The server rejected your session; your report is kept and
+            queued submissions are sent once you are signed in.
+          </span>
+          <button className="btn btn-sm btn-primary" onClick={signIn}>Sign in</button>
+        </div>
+      )}
+
+      <DraftsPanel
+        drafts={drafts}
+        currentDraftId={currentDraftId}
+        onResume={resumeDraft}
+        onDelete={deleteDraft}
+        onNew={startNewReport}
+      />
+
+      <AmendmentPanel
+        amendment={amendment}
+        onLoadFile={amendFromFile}
+        onReasonChange={reason => setAmendment(prev => ({ ...prev, reason }))}
+        onCancel={() => window.confirm("Stop amending and start a new report?") && startNewReport()}
+      />
+
+      {!amendment && <Hl7Import catalog={loincCatalog} onLoad={loadOruResult} />}
 
       {/* 1. Patient */}
       <div className="card mb-3">
         <div className="card-header">1. Patient <span className="text-danger">*</span></div>
         <div className="card-body">
-          <div className="row g-3 mb-2">
-            <div className="col-md-8">
-              <label className="form-label">Select Patient</label>
-              <select className="form-select" value={selectedPatientIdx} onChange={e => setSelectedPatientIdx(Number(e.target.value))}>
-                {patients.map((p, i) => <option key={p.id || i} value={i}>{p.name} {p.abha_ref ? `(${p.abha_ref})` : ""}</option>)}
-              </select>
+          <div className="row g-3">
+            <div className="col-md-5">
+              <label className="form-label">Find Patient</label>
+              <PatientSearch search={patientSearch.search} selectedKey={selectedPatientKey} onSelect={p => selectPatient(p)} />
             </div>
-            <div className="col-md-4">
-              <label className="form-label">ABHA Address</label>
-              <select className="form-select" value={selectedAbha} onChange={e => setSelectedAbha(e.target.value)} disabled={!abhaOptions.length}>
-                {abhaOptions.length === 0 ? <option value="">No ABHA</option> : abhaOptions.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
-              </select>
+            <div className="col-md-7">
+              {selectedPatient ? (
+                <>
+                  <PatientCard patient={selectedPatient} />
+                  <div className="mt-3">
+                    <label className="form-label">ABHA Address</label>
+                    <select
+                      className={`form-select${selectedAbha && !abhaOptions.find(a => a.value === selectedAbha)?.valid ? " is-invalid" : ""}`}
+                      value={selectedAbha}
+                      onChange={e => setSelectedAbha(e.target.value)}
+                      disabled={!abhaOptions.length}
+                    >
+                      <option value="">{abhaOptions.length ? "-- No ABHA address --" : "No ABHA"}</option>
+                      {abhaOptions.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                    </select>
+                  </div>
+                  <CareContextPanel
+                    contexts={patientCareContexts}
+                    value={careContextRef}
+                    display={careContextDisplay}
+                    defaultDisplay={defaultCareContextDisplay}
+                    onChange={setCareContextRef}
+                    onDisplayChange={setCareContextDisplay}
+                    onRemove={removeCareContext}
+                  />
+                  {abhaWarnings.length > 0 && (
+                    <div className="alert alert-warning py-2 mt-3 mb-0 small">
+                      <strong>ABHA data needs attention</strong>
+                      <ul className="mb-0">
+                        {abhaWarnings.map((w, i) => <li key={i}>{w}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="border rounded p-3 text-muted">No patient selected. Search and pick a patient from the list.</div>
+              )}
             </div>
           </div>
-
-          {selectedPatient && (
-            <div className="row g-3">
-              <div className="col-md-6">
-                <label className="form-label">Name</label>
-                <input className="form-control" readOnly value={selectedPatient.name || ""} />
-              </div>
-              <div className="col-md-2">
-                <label className="form-label">Gender</label>
-                <input className="form-control" readOnly value={selectedPatient.gender || ""} />
-              </div>
-              <div className="col-md-2">
-                <label className="form-label">DOB</label>
-                <input className="form-control" readOnly value={selectedPatient.dob || ""} />
-              </div>
-              <div className="col-md-2">
-                <label className="form-label">Mobile</label>
-                <input className="form-control" readOnly value={selectedPatient.mobile || ""} />
-              </div>
-              <div className="col-12">
-                <label className="form-label">Address</label>
-                <textarea className="form-control" rows={2} readOnly value={selectedPatient.address || ""} />
-              </div>
-            </div>
-          )}
         </div>
       </div>
 
-      {/* 2. Practitioner (global) */}
+      {/* 2. Practitioners */}
       <div className="card mb-3">
-        <div className="card-header">2. Practitioner (Author) <span className="text-danger">*</span></div>
+        <div className="card-header">2. Practitioners <span className="text-danger">*</span></div>
         <div className="card-body">
           <div className="row g-3">
             <div className="col-md-6">
-              <label className="form-label">Practitioner</label>
-              <input className="form-control" readOnly value={practitionerDisplayName} />
+              <PractitionerSelect
+                label="Author (signs the report)"
+                practitioners={practitioners}
+                value={authorId}
+                onChange={setAuthorId}
+                invalid={!author}
+              />
             </div>
             <div className="col-md-6">
-              <label className="form-label">License</label>
-              <input className="form-control" readOnly value={practitionerLicense} />
+              <PractitionerSelect
+                label="Performer (ran the tests)"
+                practitioners={practitioners}
+                value={performerId}
+                onChange={setPerformerId}
+                emptyLabel="Same as author"
+                resolved={performer}
+              />
             </div>
           </div>
+          {practitioners.length === 0 && (
+            <div className="form-text text-danger mt-2">No practitioners could be loaded; reports cannot be submitted without an author.</div>
+          )}
         </div>
       </div>
 
@@ -745,6 +1156,13 @@ export default function App() {
               <label className="form-label">Custodian Organization (optional)</label>
               <input className="form-control" value={custodianName} onChange={e => setCustodianName(e.target.value)} placeholder="Organization name (optional)" />
             </div>
+            <div className="col-md-6">
+              <label className="form-label">Narrative status</label>
+              <select className="form-select" value={narrativeStatus} onChange={e => setNarrativeStatus(e.target.value)}>
+                <option value="generated">generated (from core elements)</option>
+                <option value="extensions">extensions (core elements and extensions)</option>
+              </select>
+            </div>
           </div>
         </div>
       </div>
@@ -780,8 +1198,14 @@ export default function App() {
             )}
             {attesterPartyType === "Practitioner" && (
               <div className="col-md-6">
-                <label className="form-label">Attester Practitioner (read-only)</label>
-                <input className="form-control" readOnly value={practitionerDisplayName} />
+                <PractitionerSelect
+                  label="Attester Practitioner"
+                  practitioners={practitioners}
+                  value={attesterPractitionerId}
+                  onChange={setAttesterPractitionerId}
+                  emptyLabel="Same as author"
+                  resolved={attesterPractitioner}
+                />
               </div>
             )}
           </div>
@@ -794,58 +1218,216 @@ export default function App() {
         <div className="card-body">
           <div className="row g-3">
             <div className="col-md-6">
-              <label className="form-label">Test Code (text or LOINC)</label>
-              <input className="form-control" value={testCode} onChange={e => setTestCode(e.target.value)} placeholder="e.g., 'CBC', 'Glucose', or LOINC text" />
-              <div className="form-text">This will be used as the default Observation.code.text if an observation’s code is blank.</div>
+              <label className="form-label">Test Code (search LOINC or type free text)</label>
+              <LoincPicker
+                catalog={loincCatalog}
+                text={testCode}
+                coding={testCoding}
+                onTextChange={setTestCode}
+                onSelect={onTestCodePicked}
+                placeholder="e.g., 'CBC', 'Lipid', '58410-2' or free text"
+              />
+              <div className="form-text">The selected LOINC code becomes DiagnosticReport.code and the default Observation.code if an observation’s code is blank.</div>
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Panel template</label>
+              <div className="input-group">
+                <select className="form-select" value={selectedTemplateId} onChange={e => setSelectedTemplateId(e.target.value)}>
+                  <option value="">— Choose a panel —</option>
+                  {templateCatalog.map(t => <option key={t.id} value={t.id}>{t.name} ({t.analytes?.length || 0})</option>)}
+                </select>
+                <button className="btn btn-outline-primary" onClick={applyTemplate} disabled={!selectedTemplateId}>Apply</button>
+              </div>
+              <div className="d-flex gap-2 mt-2">
+                <button className="btn btn-sm btn-outline-secondary" onClick={() => templateImportRef.current && templateImportRef.current.click()}>Import catalog…</button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={exportTemplates} disabled={!templateCatalog.length}>Export catalog</button>
+                <input ref={templateImportRef} type="file" accept=".json,application/json" className="d-none" onChange={onTemplatesImported} />
+              </div>
+              <div className="form-text">Applying a panel adds its analytes (codes, units, ranges) as observation rows; results are grouped under the panel in the report.</div>
             </div>
           </div>
         </div>
       </div>
 
-      {/* 6. Observations */}
+      {/* 6. Specimens (optional) */}
+      <div className="card mb-3">
+        <div className="card-header">6. Specimens (optional)</div>
+        <div className="card-body">
+          {specimens.length === 0 && <div className="text-muted mb-2">No specimens recorded.</div>}
+          {specimens.map((s, i) => (
+            <div key={s.id} className="border rounded p-2 mb-2">
+              <div className="row g-2 align-items-end">
+                <div className="col-md-4">
+                  <label className="form-label">Type (SNOMED CT)</label>
+                  <select className="form-select" value={s.typeCode} onChange={e => updateSpecimen(i, "typeCode", e.target.value)}>
+                    <option value="">— Other (use text) —</option>
+                    {SPECIMEN_TYPES.map(t => <option key={t.code} value={t.code}>{t.display} ({t.code})</option>)}
+                  </select>
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Type text (optional)</label>
+                  <input className="form-control" value={s.typeText} onChange={e => updateSpecimen(i, "typeText", e.target.value)} placeholder="e.g., EDTA whole blood" />
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Collected at</label>
+                  <input type="datetime-local" className="form-control" value={s.collectedDateTime} onChange={e => updateSpecimen(i, "collectedDateTime", e.target.value)} />
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Collector (optional)</label>
+                  <input className="form-control" value={s.collector} onChange={e => updateSpecimen(i, "collector", e.target.value)} placeholder="Phlebotomist name" />
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Body site (optional)</label>
+                  <select className="form-select" value={s.bodySiteCode} onChange={e => updateSpecimen(i, "bodySiteCode", e.target.value)}>
+                    <option value="">— None / text —</option>
+                    {SPECIMEN_BODY_SITES.map(b => <option key={b.code} value={b.code}>{b.display}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Body site text (optional)</label>
+                  <input className="form-control" value={s.bodySiteText} onChange={e => updateSpecimen(i, "bodySiteText", e.target.value)} />
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label">Accession number (optional)</label>
+                  <input className="form-control" value={s.accessionId} onChange={e => updateSpecimen(i, "accessionId", e.target.value)} />
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label">Container / tube ID (optional)</label>
+                  <input className="form-control" value={s.containerId} onChange={e => updateSpecimen(i, "containerId", e.target.value)} />
+                </div>
+              </div>
+              <div className="mt-2 d-flex justify-content-end">
+                <button className="btn btn-danger btn-sm" onClick={() => removeSpecimen(i)}>Remove</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={addSpecimen}>+ Add Specimen</button>
+          <div className="form-text mt-2">Specimens without a type are ignored. Link observations to a specimen in the next section.</div>
+        </div>
+      </div>
+
+      {/* 7. Observations */}
       <div className="card mb-3">
-        <div className="card-header">6. Observations (one or more)</div>
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <span>7. Observations (one or more)</span>
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => setImportOpen(o => !o)}>Import CSV / XLSX…</button>
+        </div>
         <div className="card-body">
+          {importOpen && (
+            <ObservationImport
+              catalog={loincCatalog}
+              profileStore={importProfileStore}
+              onImport={importObservations}
+              onClose={() => setImportOpen(false)}
+            />
+          )}
           {observations.map((m, i) => (
             <div key={i} className="border rounded p-2 mb-2">
+              {m.panelId && (
+                <span className="badge bg-info-subtle text-info-emphasis mb-1">{panels.find(p => p.id === m.panelId)?.text || m.panelId}</span>
+              )}
               <div className="row g-2 align-items-end">
-                <div className="col-md-4">
+                <div className="col-md-3">
                   <label className="form-label">Code (optional)</label>
-                  <input className="form-control" value={m.codeText} onChange={e => updateObservation(i, "codeText", e.target.value)} placeholder="Observation code text (if different from Test Code)" />
+                  <LoincPicker
+                    catalog={loincCatalog}
+                    kind="test"
+                    text={m.codeText}
+                    coding={m.codeCoding}
+                    onTextChange={v => updateObservation(i, "codeText", v)}
+                    onSelect={entry => onObservationCodePicked(i, entry)}
+                    placeholder="Search LOINC (if different from Test Code)"
+                  />
                 </div>
                 <div className="col-md-3">
                   <label className="form-label">Value</label>
                   <input className="form-control" value={m.valueText} onChange={e => updateObservation(i, "valueText", e.target.value)} placeholder="Result value (e.g., 5.6 or 'Positive')" />
                 </div>
-                <div className="col-md-3">
+                <div className="col-md-2">
                   <label className="form-label">Unit (optional)</label>
-                  <input className="form-control" value={m.valueUnit} onChange={e => updateObservation(i, "valueUnit", e.target.value)} placeholder="e.g., mg/dL" />
+                  <input
+                    className={`form-control${m.valueUnit && m.valueUnit.trim() && !isValidUcum(m.valueUnit) ? " is-invalid" : ""}`}
+                    list="ucum-units"
+                    value={m.valueUnit}
+                    onChange={e => updateObservation(i, "valueUnit", e.target.value)}
+                    placeholder="e.g., mg/dL"
+                  />
+                  <div className="invalid-feedback">Not a recognised UCUM unit</div>
+                  {conversionTargets(m.valueUnit, m.codeCoding?.code).length > 0 && (
+                    <select className="form-select form-select-sm mt-1" value="" onChange={e => e.target.value && setObservations(prev => prev.map((r, idx) => (idx === i ? convertObservationRow(r, e.target.value) : r)))}>
+                      <option value="">Convert to…</option>
+                      {conversionTargets(m.valueUnit, m.codeCoding?.code).map(code => <option key={code} value={code}>{resolveUcum(code)?.display || code}</option>)}
+                    </select>
+                  )}
                 </div>
                 <div className="col-md-2">
                   <label className="form-label">Date (optional)</label>
                   <input type="date" className="form-control" value={m.effectiveDate} onChange={e => updateObservation(i, "effectiveDate", e.target.value)} />
                 </div>
+                <div className="col-md-2">
+                  <label className="form-label">Specimen</label>
+                  <select className="form-select" value={m.specimenId} onChange={e => updateObservation(i, "specimenId", e.target.value)} disabled={!specimens.length}>
+                    <option value="">—</option>
+                    {specimens.map((s, si) => (
+                      <option key={s.id} value={s.id}>
+                        #{si + 1} {SPECIMEN_TYPES.find(t => t.code === s.typeCode)?.display || s.typeText || "(untyped)"}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="row g-2 align-items-end mt-1">
+                <div className="col-md-2">
+                  <label className="form-label">Ref. low</label>
+                  <input className="form-control" inputMode="decimal" value={m.refLow} onChange={e => updateObservation(i, "refLow", e.target.value)} />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Ref. high</label>
+                  <input className="form-control" inputMode="decimal" value={m.refHigh} onChange={e => updateObservation(i, "refHigh", e.target.value)} />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Ref. text</label>
+                  <input className="form-control" value={m.refText} onChange={e => updateObservation(i, "refText", e.target.value)} placeholder="e.g., Negative" />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Critical low</label>
+                  <input className="form-control" inputMode="decimal" value={m.critLow} onChange={e => updateObservation(i, "critLow", e.target.value)} />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Critical high</label>
+                  <input className="form-control" inputMode="decimal" value={m.critHigh} onChange={e => updateObservation(i, "critHigh", e.target.value)} />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Flag</label>
+                  <select className="form-select" value={m.interpretation} onChange={e => updateObservation(i, "interpretation", e.target.value)}>
+                    <option value="">Auto{computeInterpretation(m) ? ` (${computeInterpretation(m)})` : ""}</option>
+                    {Object.entries(INTERPRETATION_CODES).map(([code, label]) => <option key={code} value={code}>{code} — {label}</option>)}
+                  </select>
+                </div>
               </div>
               <div className="mt-2 d-flex justify-content-end">
                 <button className="btn btn-danger btn-sm" onClick={() => removeObservation(i)} disabled={observations.length === 1}>Remove</button>
               </div>
             </div>
           ))}
+          <datalist id="ucum-units">
+            {UCUM_UNITS.map(u => <option key={u.code} value={u.code}>{u.display}</option>)}
+          </datalist>
           <button className="btn btn-sm btn-outline-secondary" onClick={addObservation}>+ Add Observation</button>
           <div className="form-text mt-2">Add at least one observation with a value or upload at least one document.</div>
         </div>
       </div>
 
-      {/* 7. Documents (optional) */}
+      {/* 8. Documents (optional) */}
       <div className="card mb-3">
-        <div className="card-header">7. Documents (optional) — DocumentReference + Binary</div>
+        <div className="card-header">8. Documents (optional) — DocumentReference + Binary</div>
         <div className="card-body">
           <div className="mb-2">
             <label className="form-label">Upload PDF / JPG / JPEG (multiple)</label>
             <input ref={fileInputRef} type="file" accept=".pdf,.jpg,.jpeg,application/pdf,image/jpeg" multiple onChange={onFilesPicked} />
           </div>
           {filePreviewNames.length === 0 ? (
-            <div className="text-muted">No files selected — a placeholder PDF will be embedded automatically.</div>
+            <div className="text-muted">No files selected — a lab report PDF is generated from the entered data (download or print it from the preview).</div>
           ) : (
             <ul className="list-group">
               {filePreviewNames.map((n, i) => (
@@ -859,10 +1441,32 @@ export default function App() {
         </div>
       </div>
 
+      <SigningPanel signingKey={signingKey} author={author} onChange={setSigningKey} />
+
       {/* Actions */}
       <div className="mb-4">
+        <button className="btn btn-outline-primary me-2" onClick={onPreview}>Preview</button>
         <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+        {embed && <button className="btn btn-outline-secondary ms-2" onClick={cancelEmbedded}>Cancel</button>}
       </div>
+
+      {preview && (
+        <BundlePreview
+          bundle={preview.bundle}
+          validation={preview.validation}
+          stale={preview.fingerprint !== previewFingerprint}
+          onRebuild={onPreview}
+          onSubmit={onSubmitPreview}
+          onClose={() => setPreview(null)}
+        />
+      )}
+
+      <OutboxPanel
+        records={outboxRecords}
+        onResend={resendSubmission}
+        onDiscard={discardSubmission}
+        onAmend={r => startAmendment(r.payload.bundle, r.label, r.payload.patient)}
+      />
     </div>
   );
 }
\ No newline at end of file
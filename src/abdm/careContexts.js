@@ -0,0 +1,91 @@
+// src/abdm/careContexts.js
+/*
+  ABDM care contexts: the handle under which a patient's PHR app discovers a
+  report. Each submission is linked to one care context of its patient.
+
+  careContext = {
+    referenceNumber,   // unique within this HIP, e.g. "CC-20250830-4K7Q2Z"
+    display,           // what the patient sees, e.g. "CBC — 30 Aug 2025"
+    hiType,            // "DiagnosticReport"
+    patientKey, patientName, createdAt,
+    reports: [{ documentId, bundleId, title, version, status, linkedAt }],
+  }
+  Kept in localStorage under CARE_CONTEXTS_KEY. An amendment links its new
+  document to the care context of the document it replaces.
+*/
+
+export const CARE_CONTEXTS_KEY = "drb.careContexts";
+export const HI_TYPE_DIAGNOSTIC_REPORT = "DiagnosticReport";
+
+/* What goes into the submission payload */
+export function careContextPayload(cc) {
+  return { referenceNumber: cc.referenceNumber, display: cc.display, hiType: cc.hiType };
+}
+
+function newReferenceNumber(now) {
+  const d = now();
+  const day = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, "0")}${String(d.getDate()).padStart(2, "0")}`;
+  return `CC-${day}-${Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, "0")}`;
+}
+
+export function createCareContextStore({ storage, now = () => new Date() }) {
+  function readAll() {
+    try {
+      const arr = JSON.parse(storage.getItem(CARE_CONTEXTS_KEY) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    } catch { return []; }
+  }
+  function writeAll(contexts) {
+    storage.setItem(CARE_CONTEXTS_KEY, JSON.stringify(contexts));
+  }
+
+  /* Newest first; only the patient's when patientKey is given */
+  function list(patientKey) {
+    return readAll()
+      .filter(c => patientKey === undefined || c.patientKey === patientKey)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function get(referenceNumber) {
+    return readAll().find(c => c.referenceNumber === referenceNumber) || null;
+  }
+
+  function create({ patientKey, patientName = "", display, referenceNumber }) {
+    const name = String(display || "").trim();
+    if (!patientKey) throw new Error("A care context belongs to a patient");
+    if (!name) throw new Error("A care context needs a display name");
+    const all = readAll();
+    const taken = new Set(all.map(c => c.referenceNumber));
+    let ref = String(referenceNumber || "").trim();
+    if (ref && taken.has(ref)) throw new Error(`Care context ${ref} already exists`);
+    while (!ref || taken.has(ref)) ref = newReferenceNumber(now);
+    const record = { referenceNumber: ref, display: name, hiType: HI_TYPE_DIAGNOSTIC_REPORT, patientKey, patientName, createdAt: now().getTime(), reports: [] };
+    writeAll([...all, record]);
+    return record;
+  }
+
+  /* Adds (or refreshes) a report under the care context */
+  function linkReport(referenceNumber, report) {
+    const all = readAll();
+    const cc = all.find(c => c.referenceNumber === referenceNumber);
+    if (!cc) throw new Error(`Unknown care context ${referenceNumber}`);
+    const entry = { ...report, linkedAt: now().getTime() };
+    cc.reports = [...cc.reports.filter(r => r.documentId !== report.documentId), entry];
+    writeAll(all);
+    return cc;
+  }
+
+  /* The care context a submitted document was linked to */
+  function contextOfDocument(documentId) {
+    return readAll().find(c => c.reports.some(r => r.documentId === documentId)) || null;
+  }
+
+  /* Only empty care contexts can go; linked ones are already known to the patient's PHR */
+  function remove(referenceNumber) {
+    const cc = get(referenceNumber);
+    if (cc && cc.reports.length) throw new Error("A care context with linked reports cannot be removed");
+    writeAll(readAll().filter(c => c.referenceNumber !== referenceNumber));
+  }
+
+  return { list, get, create, linkReport, contextOfDocument, remove };
+}
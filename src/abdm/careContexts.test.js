@@ -0,0 +1,37 @@
+import { createCareContextStore, careContextPayload, CARE_CONTEXTS_KEY } from "./careContexts";
+
+function memoryStorage() {
+  const data = {};
+  return { getItem: k => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+}
+
+test("creates care contexts per patient and links reports and their amendments", () => {
+  const storage = memoryStorage();
+  let t = new Date("2025-08-30T10:00:00").getTime();
+  const store = createCareContextStore({ storage, now: () => new Date(t++) });
+
+  const cbc = store.create({ patientKey: "p1", patientName: "Rohit Kumar", display: " CBC — 30 Aug 2025 " });
+  expect(cbc).toMatchObject({ display: "CBC — 30 Aug 2025", hiType: "DiagnosticReport", reports: [] });
+  expect(cbc.referenceNumber).toMatch(/^CC-20250830-[0-9A-Z]{6}$/);
+  const lipid = store.create({ patientKey: "p1", display: "Lipid profile", referenceNumber: "VISIT-7" });
+  store.create({ patientKey: "p2", display: "Other patient" });
+
+  expect(store.list("p1").map(c => c.referenceNumber)).toEqual(["VISIT-7", cbc.referenceNumber]);
+  expect(store.list()).toHaveLength(3);
+  expect(() => store.create({ patientKey: "p1", display: "Dup", referenceNumber: "VISIT-7" })).toThrow(/already exists/);
+  expect(() => store.create({ patientKey: "p1", display: " " })).toThrow(/display name/);
+
+  store.linkReport(cbc.referenceNumber, { documentId: "urn:uuid:doc-1", bundleId: "urn:uuid:b-1", title: "CBC", version: "1" });
+  store.linkReport(cbc.referenceNumber, { documentId: "urn:uuid:doc-2", bundleId: "urn:uuid:b-2", title: "CBC", version: "2" });
+  store.linkReport(cbc.referenceNumber, { documentId: "urn:uuid:doc-2", bundleId: "urn:uuid:b-3", title: "CBC", version: "2" });
+  expect(store.get(cbc.referenceNumber).reports.map(r => r.bundleId)).toEqual(["urn:uuid:b-1", "urn:uuid:b-3"]);
+  expect(store.contextOfDocument("urn:uuid:doc-1").referenceNumber).toBe(cbc.referenceNumber);
+  expect(store.contextOfDocument("urn:uuid:nope")).toBeNull();
+  expect(JSON.parse(storage.getItem(CARE_CONTEXTS_KEY))).toHaveLength(3);
+
+  expect(() => store.remove(cbc.referenceNumber)).toThrow(/linked reports/);
+  store.remove(lipid.referenceNumber);
+  expect(store.get("VISIT-7")).toBeNull();
+
+  expect(careContextPayload(cbc)).toEqual({ referenceNumber: cbc.referenceNumber, display: "CBC — 30 Aug 2025", hiType: "DiagnosticReport" });
+});
@@ -0,0 +1,152 @@
+// src/abdm/fidelius.js
+import { subtle, bytesToBase64, base64ToBytes } from "../signing/encoding";
+
+/*
+  ABDM health-information transfer encryption ("Fidelius"): ECDH over X25519,
+  HKDF-SHA256 and AES-256-GCM, all through WebCrypto.
+
+    shared  = X25519(our private key, their public key)
+    xor     = ourNonce XOR theirNonce          (32 bytes each)
+    key     = HKDF-SHA256(shared, salt = xor[0..20), info = "")  -> 32 bytes
+    iv      = xor[20..32)                      (12 bytes)
+    payload = base64(AES-GCM(key, iv, plaintext) with the 16-byte tag appended)
+
+  Keys and nonces travel base64-encoded. Public keys are accepted raw (32 bytes)
+  or X.509 SubjectPublicKeyInfo encoded; private keys raw or PKCS#8.
+
+  NOT YET INTEROPERABLE WITH THE ABDM GATEWAY. ABDM's reference Fidelius
+  implementation exchanges Weierstrass-form Curve25519 keys (uncompressed points,
+  SPKI with explicit curve parameters) and runs ECDH in that form. This module
+  speaks RFC 7748 X25519 only: such keys are rejected, and our dhPublicKey
+  (an X25519 SPKI, OID 1.3.101.110) cannot be parsed by such an HIU. It has not
+  been checked against a published ABDM test vector; use it only with peers
+  that also use X25519 (and for local round-trips).
+
+  generateKeyMaterial() -> { privateKey, publicKey, x509PublicKey, nonce }
+  encryptBundle(bundle, { requesterPublicKey, requesterNonce, senderKeyMaterial, now })
+    -> { encryptedData, keyMaterial (ABDM shape), senderKeyMaterial }
+  decryptBundle(encryptedData, { senderPublicKey, senderNonce, requesterPrivateKey, requesterNonce }) -> Bundle
+*/
+
+export const FIDELIUS_CRYPTO_ALG = "ECDH";
+export const FIDELIUS_CURVE = "Curve25519";
+export const FIDELIUS_KEY_PARAMETERS = "Curve25519/32byte random key";
+
+const X25519 = { name: "X25519" };
+const PKCS8_PREFIX = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20];
+const SPKI_PREFIX = [0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x03, 0x21, 0x00];
+const KEY_VALIDITY_MS = 24 * 60 * 60 * 1000;
+
+const startsWith = (bytes, prefix) => prefix.every((b, i) => bytes[i] === b);
+const concat = (a, b) => {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+};
+
+function decode(value, what) {
+  try {
+    return base64ToBytes(String(value || "").replace(/\s+/g, ""));
+  } catch (err) {
+    throw new Error(`${what} is not valid base64`);
+  }
+}
+
+/* Raw 32-byte key from raw or DER (PKCS#8 / SPKI) base64 */
+function rawKey(value, what, prefix) {
+  const bytes = decode(value, what);
+  if (bytes.length === 32) return bytes;
+  if (bytes.length === prefix.length + 32 && startsWith(bytes, prefix)) return bytes.subarray(prefix.length);
+  if (bytes.length === 65 || bytes.length > 80) {
+    throw new Error(`${what} is a Weierstrass-form Curve25519 key (ABDM reference Fidelius); only X25519 keys are supported, so this does not interoperate with the ABDM gateway yet`);
+  }
+  throw new Error(`${what} must be a 32-byte X25519 key`);
+}
+
+function nonceBytes(value, what) {
+  const bytes = decode(value, what);
+  if (bytes.length !== 32) throw new Error(`${what} must be 32 bytes (got ${bytes.length})`);
+  return bytes;
+}
+
+export async function generateKeyMaterial() {
+  const pair = await subtle().generateKey(X25519, true, ["deriveBits"]);
+  const pkcs8 = new Uint8Array(await subtle().exportKey("pkcs8", pair.privateKey));
+  const publicKey = new Uint8Array(await subtle().exportKey("raw", pair.publicKey));
+  const nonce = window.crypto.getRandomValues(new Uint8Array(32));
+  return {
+    privateKey: bytesToBase64(pkcs8.subarray(PKCS8_PREFIX.length)),
+    publicKey: bytesToBase64(publicKey),
+    x509PublicKey: bytesToBase64(concat(new Uint8Array(SPKI_PREFIX), publicKey)),
+    nonce: bytesToBase64(nonce),
+  };
+}
+
+/* AES-GCM key + IV shared by both sides */
+async function sessionKey(ownPrivateKey, ownNonce, peerPublicKey, peerNonce) {
+  const s = subtle();
+  const priv = await s.importKey("pkcs8", concat(new Uint8Array(PKCS8_PREFIX), rawKey(ownPrivateKey, "Private key", PKCS8_PREFIX)), X25519, false, ["deriveBits"]);
+  const pub = await s.importKey("raw", rawKey(peerPublicKey, "Public key", SPKI_PREFIX), X25519, false, []);
+  const shared = new Uint8Array(await s.deriveBits({ name: "X25519", public: pub }, priv, 256));
+
+  const a = nonceBytes(ownNonce, "Own nonce");
+  const b = nonceBytes(peerNonce, "Peer nonce");
+  const xor = a.map((x, i) => x ^ b[i]);
+
+  const ikm = await s.importKey("raw", shared, "HKDF", false, ["deriveKey"]);
+  const key = await s.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: xor.slice(0, 20), info: new Uint8Array(0) },
+    ikm,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  return { key, iv: xor.slice(20) };
+}
+
+export async function encryptData(plaintext, { senderKeyMaterial, requesterPublicKey, requesterNonce }) {
+  const { key, iv } = await sessionKey(senderKeyMaterial.privateKey, senderKeyMaterial.nonce, requesterPublicKey, requesterNonce);
+  const cipher = await subtle().encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(plaintext));
+  return bytesToBase64(new Uint8Array(cipher));
+}
+
+export async function decryptData(encryptedData, { senderPublicKey, senderNonce, requesterPrivateKey, requesterNonce }) {
+  const { key, iv } = await sessionKey(requesterPrivateKey, requesterNonce, senderPublicKey, senderNonce);
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: "AES-GCM", iv }, key, decode(encryptedData, "Encrypted data"));
+  } catch (err) {
+    throw new Error("Decryption failed: wrong key material or the data was modified");
+  }
+  return new TextDecoder().decode(plain);
+}
+
+/* The HIU's dhPublicKey.keyValue / nonce from the health-information request go in as requester* */
+export async function encryptBundle(bundle, { requesterPublicKey, requesterNonce, senderKeyMaterial, now = () => new Date() }) {
+  const sender = senderKeyMaterial || await generateKeyMaterial();
+  const encryptedData = await encryptData(JSON.stringify(bundle), { senderKeyMaterial: sender, requesterPublicKey, requesterNonce });
+  return {
+    encryptedData,
+    keyMaterial: {
+      cryptoAlg: FIDELIUS_CRYPTO_ALG,
+      curve: FIDELIUS_CURVE,
+      dhPublicKey: {
+        expiry: new Date(now().getTime() + KEY_VALIDITY_MS).toISOString(),
+        parameters: FIDELIUS_KEY_PARAMETERS,
+        keyValue: sender.x509PublicKey,
+      },
+      nonce: sender.nonce,
+    },
+    senderKeyMaterial: sender,
+  };
+}
+
+export async function decryptBundle(encryptedData, options) {
+  const text = await decryptData(encryptedData, options);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error("Decrypted data is not JSON");
+  }
+}
@@ -0,0 +1,69 @@
+import { TextEncoder, TextDecoder } from "util";
+import nodeCrypto, { webcrypto } from "crypto";
+import { generateKeyMaterial, encryptBundle, decryptBundle, decryptData } from "./fidelius";
+
+// jsdom has neither the encoders nor SubtleCrypto
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+Object.defineProperty(window, "crypto", { value: webcrypto, configurable: true });
+
+const bundle = { resourceType: "Bundle", type: "document", entry: [{ resource: { resourceType: "Patient", name: [{ text: "Rohit Kumar" }] } }] };
+
+test("round-trips a bundle between a HIP and a HIU", async () => {
+  const hiu = await generateKeyMaterial();
+  const { encryptedData, keyMaterial, senderKeyMaterial } = await encryptBundle(bundle, {
+    requesterPublicKey: hiu.x509PublicKey,
+    requesterNonce: hiu.nonce,
+    now: () => new Date("2025-08-30T10:00:00Z"),
+  });
+  expect(keyMaterial).toEqual({
+    cryptoAlg: "ECDH",
+    curve: "Curve25519",
+    dhPublicKey: { expiry: "2025-08-31T10:00:00.000Z", parameters: "Curve25519/32byte random key", keyValue: senderKeyMaterial.x509PublicKey },
+    nonce: senderKeyMaterial.nonce,
+  });
+  expect(atob(encryptedData)).not.toContain("Rohit");
+
+  const received = await decryptBundle(encryptedData, {
+    senderPublicKey: keyMaterial.dhPublicKey.keyValue,
+    senderNonce: keyMaterial.nonce,
+    requesterPrivateKey: hiu.privateKey,
+    requesterNonce: hiu.nonce,
+  });
+  expect(received).toEqual(bundle);
+});
+
+// Same X25519 key format on both sides: this is not an ABDM gateway test vector (see fidelius.js)
+test("matches an independent X25519 implementation of the scheme", async () => {
+  const hip = await generateKeyMaterial();
+  const hiu = await generateKeyMaterial();
+  const { encryptedData } = await encryptBundle(bundle, { requesterPublicKey: hiu.publicKey, requesterNonce: hiu.nonce, senderKeyMaterial: hip });
+
+  // Node crypto: X25519 -> HKDF(salt = xor[0..20)) -> AES-256-GCM(iv = xor[20..32))
+  const b = s => Buffer.from(s, "base64");
+  const der = (prefix, raw) => Buffer.concat([Buffer.from(prefix, "hex"), raw]);
+  const shared = nodeCrypto.diffieHellman({
+    privateKey: nodeCrypto.createPrivateKey({ key: der("302e020100300506032b656e04220420", b(hiu.privateKey)), format: "der", type: "pkcs8" }),
+    publicKey: nodeCrypto.createPublicKey({ key: b(hip.x509PublicKey), format: "der", type: "spki" }),
+  });
+  const xor = Buffer.from(b(hip.nonce).map((x, i) => x ^ b(hiu.nonce)[i]));
+  const key = Buffer.from(nodeCrypto.hkdfSync("sha256", shared, xor.subarray(0, 20), Buffer.alloc(0), 32));
+  const data = b(encryptedData);
+  const decipher = nodeCrypto.createDecipheriv("aes-256-gcm", key, xor.subarray(20));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString("utf8");
+  expect(JSON.parse(plain)).toEqual(bundle);
+});
+
+test("rejects wrong key material and malformed keys", async () => {
+  const hiu = await generateKeyMaterial();
+  const other = await generateKeyMaterial();
+  const { encryptedData, keyMaterial } = await encryptBundle(bundle, { requesterPublicKey: hiu.publicKey, requesterNonce: hiu.nonce });
+  const options = { senderPublicKey: keyMaterial.dhPublicKey.keyValue, senderNonce: keyMaterial.nonce, requesterPrivateKey: other.privateKey, requesterNonce: hiu.nonce };
+  await expect(decryptData(encryptedData, options)).rejects.toThrow(/Decryption failed/);
+  await expect(encryptBundle(bundle, { requesterPublicKey: btoa("short"), requesterNonce: hiu.nonce })).rejects.toThrow(/32-byte X25519 key/);
+  await expect(encryptBundle(bundle, { requesterPublicKey: hiu.publicKey, requesterNonce: btoa("nonce") })).rejects.toThrow(/must be 32 bytes/);
+  // an uncompressed Weierstrass point as the ABDM reference implementation sends it
+  const weierstrass = Buffer.from(Uint8Array.from({ length: 65 }, (_, i) => (i === 0 ? 4 : i))).toString("base64");
+  await expect(encryptBundle(bundle, { requesterPublicKey: weierstrass, requesterNonce: hiu.nonce })).rejects.toThrow(/does not interoperate with the ABDM gateway yet/);
+});
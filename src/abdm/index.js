@@ -0,0 +1,25 @@
+// src/abdm/index.js
+import { createCareContextStore } from "./careContexts";
+
+/* ABDM Health Information Provider helpers (data-transfer encryption, care contexts).
+   The encryption is X25519-only and does not interoperate with the ABDM gateway yet (see ./fidelius). */
+export {
+  generateKeyMaterial,
+  encryptData,
+  decryptData,
+  encryptBundle,
+  decryptBundle,
+  FIDELIUS_CRYPTO_ALG,
+  FIDELIUS_CURVE,
+  FIDELIUS_KEY_PARAMETERS,
+} from "./fidelius";
+export {
+  createCareContextStore,
+  careContextPayload,
+  CARE_CONTEXTS_KEY,
+  HI_TYPE_DIAGNOSTIC_REPORT,
+} from "./careContexts";
+
+export function createBrowserCareContextStore() {
+  return createCareContextStore({ storage: window.localStorage });
+}
@@ -0,0 +1,38 @@
+// src/auth/http.js
+import axios from "axios";
+
+/*
+  The app's one HTTP client: every API call (patient search, practitioners,
+  bundle submission) goes through it so auth is handled in one place.
+
+    request   Authorization: Bearer <token> when the session has one
+    401       refresh the token once and replay the request; if that fails the
+              session is marked expired (the UI asks the user to sign in again)
+*/
+
+export function createHttpClient({ session } = {}) {
+  const client = axios.create({ timeout: 30 * 1000 });
+
+  client.interceptors.request.use(async config => {
+    const token = session ? await session.getAccessToken() : null;
+    if (token) {
+      config.headers = config.headers || {};
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(undefined, async err => {
+    const config = err && err.config;
+    if (!session || session.mode === "none" || !err.response || err.response.status !== 401 || !config) throw err;
+    if (config.authRetried) {
+      session.expire();
+      throw err;
+    }
+    const token = await session.refresh();
+    if (!token) throw err; // refresh() already expired the session
+    return client({ ...config, authRetried: true });
+  });
+
+  return client;
+}
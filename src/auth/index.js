@@ -0,0 +1,19 @@
+// src/auth/index.js
+import { createAuthSession } from "./session";
+
+export { createAuthSession, normalizeToken, AUTH_STATUS, AUTH_TOKEN_MESSAGE, AUTH_TOKEN_REQUEST_MESSAGE } from "./session";
+export { createHttpClient } from "./http";
+export { completeLoginRedirect, loginWithPopup, resolveOidcEndpoints, jwtClaims, OIDC_CALLBACK_MESSAGE } from "./oidc";
+
+/* Session for a backend environment (see ./config); `host` = token hooks of an embedding page (see ./embed) */
+export function createEnvironmentSession(environment, host = {}) {
+  return createAuthSession({
+    // a page that hands over tokens itself decides how the builder authenticates
+    mode: host.initialToken || host.requestToken ? "host-token" : environment.authMode,
+    oidc: environment.oidc || null,
+    // only an allowed origin may post tokens (see ./embed/iframe); one configured origin needs no ?hostOrigin
+    hostOrigin: host.hostOrigin || (environment.hostOrigins && environment.hostOrigins.length === 1 ? environment.hostOrigins[0] : null),
+    initialToken: host.initialToken || null,
+    requestToken: host.requestToken || null,
+  });
+}
@@ -0,0 +1,147 @@
+// src/auth/oidc.js
+import { subtle, base64url, base64urlToBytes, utf8 } from "../signing/encoding";
+
+/*
+  OAuth2 / OpenID Connect authorization-code login with PKCE, run in a popup so
+  the report being edited stays on screen.
+
+  oidc = {
+    issuer,                                   // discovery via /.well-known/openid-configuration, or:
+    authorizationEndpoint, tokenEndpoint,     // explicit endpoints (win over discovery)
+    clientId, scope = "openid profile offline_access",
+    redirectUri = <page origin + path>,       // must be registered with the provider
+  }
+
+  The popup lands back on this app; index.js calls completeLoginRedirect(),
+  which hands the query string to the opener and closes the popup.
+*/
+
+export const OIDC_CALLBACK_MESSAGE = "drb:oidc-callback";
+const DEFAULT_SCOPE = "openid profile offline_access";
+const POPUP_FEATURES = "width=520,height=680";
+
+function randomToken(bytes = 32) {
+  return base64url(window.crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+async function codeChallenge(verifier) {
+  return base64url(new Uint8Array(await subtle().digest("SHA-256", utf8(verifier))));
+}
+
+export function defaultRedirectUri(win = window) {
+  return `${win.location.origin}${win.location.pathname}`;
+}
+
+/* Endpoints from the config, filling gaps from the issuer's discovery document */
+export async function resolveOidcEndpoints(oidc, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  if (oidc.authorizationEndpoint && oidc.tokenEndpoint) {
+    return { authorizationEndpoint: oidc.authorizationEndpoint, tokenEndpoint: oidc.tokenEndpoint };
+  }
+  if (!oidc.issuer) throw new Error("OIDC needs an issuer or explicit authorization/token endpoints");
+  const res = await fetchImpl(`${oidc.issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`);
+  if (!res.ok) throw new Error(`OIDC discovery failed (${res.status})`);
+  const doc = await res.json();
+  return {
+    authorizationEndpoint: oidc.authorizationEndpoint || doc.authorization_endpoint,
+    tokenEndpoint: oidc.tokenEndpoint || doc.token_endpoint,
+  };
+}
+
+/* POST application/x-www-form-urlencoded to the token endpoint -> raw token response */
+export async function requestToken(tokenEndpoint, params, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  const res = await fetchImpl(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params).toString(),
+  });
+  let data = null;
+  try { data = await res.json(); } catch { /* non-JSON error page */ }
+  if (!res.ok) {
+    const detail = data && (data.error_description || data.error);
+    throw new Error(`Token request failed (${res.status}${detail ? `: ${detail}` : ""})`);
+  }
+  return data;
+}
+
+export async function refreshWithToken(oidc, refreshToken, options) {
+  const { tokenEndpoint } = await resolveOidcEndpoints(oidc, options);
+  return requestToken(tokenEndpoint, { grant_type: "refresh_token", refresh_token: refreshToken, client_id: oidc.clientId }, options);
+}
+
+/* Waits for the popup to report back; rejects when it is closed first */
+function waitForCallback(popup, win) {
+  return new Promise((resolve, reject) => {
+    const onMessage = event => {
+      if (event.origin !== win.location.origin || !event.data || event.data.type !== OIDC_CALLBACK_MESSAGE) return;
+      cleanup();
+      resolve(new URLSearchParams(event.data.search));
+    };
+    const poll = setInterval(() => {
+      if (popup.closed) {
+        cleanup();
+        reject(new Error("Sign-in window was closed"));
+      }
+    }, 500);
+    function cleanup() {
+      clearInterval(poll);
+      win.removeEventListener("message", onMessage);
+    }
+    win.addEventListener("message", onMessage);
+  });
+}
+
+/* Full popup login -> raw token response */
+export async function loginWithPopup(oidc, { win = window, fetchImpl } = {}) {
+  // Open synchronously-ish: popup blockers only allow it close to the click
+  const popup = win.open("about:blank", "drb-oidc-login", POPUP_FEATURES);
+  if (!popup) throw new Error("The sign-in window was blocked; allow popups for this site");
+  try {
+    const { authorizationEndpoint, tokenEndpoint } = await resolveOidcEndpoints(oidc, { fetchImpl });
+    const verifier = randomToken(48);
+    const state = randomToken(16);
+    const redirectUri = oidc.redirectUri || defaultRedirectUri(win);
+    const url = new URL(authorizationEndpoint);
+    Object.entries({
+      response_type: "code",
+      client_id: oidc.clientId,
+      redirect_uri: redirectUri,
+      scope: oidc.scope || DEFAULT_SCOPE,
+      state,
+      code_challenge: await codeChallenge(verifier),
+      code_challenge_method: "S256",
+    }).forEach(([k, v]) => url.searchParams.set(k, v));
+    popup.location.href = url.toString();
+
+    const params = await waitForCallback(popup, win);
+    if (params.get("state") !== state) throw new Error("Sign-in response does not match the request (state)");
+    if (params.get("error")) throw new Error(`Sign-in failed: ${params.get("error_description") || params.get("error")}`);
+    return await requestToken(tokenEndpoint, {
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      redirect_uri: redirectUri,
+      client_id: oidc.clientId,
+      code_verifier: verifier,
+    }, { fetchImpl });
+  } finally {
+    if (!popup.closed) popup.close();
+  }
+}
+
+/* In the popup: pass the provider's answer to the opener. true = this page load was the callback */
+export function completeLoginRedirect(win = window) {
+  const params = new URLSearchParams(win.location.search);
+  if (!win.opener || !params.get("state") || !(params.get("code") || params.get("error"))) return false;
+  win.opener.postMessage({ type: OIDC_CALLBACK_MESSAGE, search: win.location.search }, win.location.origin);
+  win.close();
+  return true;
+}
+
+/* Display claims of a JWT (not verified: only used to show who is signed in) */
+export function jwtClaims(token) {
+  try {
+    const [, payload] = String(token || "").split(".");
+    return JSON.parse(new TextDecoder().decode(base64urlToBytes(payload)));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,220 @@
+// src/auth/session.js
+import { loginWithPopup, refreshWithToken, jwtClaims } from "./oidc";
+
+/*
+  Auth session: the access token lives in memory only (never localStorage) and
+  is refreshed before it runs out.
+
+  Modes (environment.authMode, see ./config):
+    none        no Authorization header
+    oidc        popup login against environment.oidc; refresh_token grant
+    host-token  the embedding app posts tokens into the frame:
+                  host -> frame  { type: "drb:auth-token", accessToken, expiresIn?, expiresAt? }
+                  frame -> host  { type: "drb:auth-token-request" }   (on start, before expiry, after a 401)
+                Messages are only exchanged with hostOrigin (an allowed origin, see ./embed).
+                A legacy window.GlobalAuthToken is taken once as the first token.
+                Mounted without a frame (./embed), `initialToken` / `requestToken()` from
+                the mount config replace the messages.
+
+  state = { mode, status: "anonymous" | "authenticated" | "expired", user, expiresAt }
+  "expired" means a request was rejected and the user has to sign in again.
+*/
+
+export const AUTH_STATUS = {
+  ANONYMOUS: "anonymous",
+  AUTHENTICATED: "authenticated",
+  EXPIRED: "expired",
+};
+export const AUTH_TOKEN_MESSAGE = "drb:auth-token";
+export const AUTH_TOKEN_REQUEST_MESSAGE = "drb:auth-token-request";
+
+/* OAuth token response, host message or bare string -> { accessToken, refreshToken, idToken, expiresAt } */
+export function normalizeToken(raw, now) {
+  if (!raw) return null;
+  if (typeof raw === "string") raw = { accessToken: raw };
+  const accessToken = raw.accessToken || raw.access_token;
+  if (!accessToken) return null;
+  const expiresIn = Number(raw.expiresIn !== undefined ? raw.expiresIn : raw.expires_in);
+  const claims = jwtClaims(accessToken);
+  const expiresAt = raw.expiresAt
+    ? Number(raw.expiresAt)
+    : Number.isFinite(expiresIn) && expiresIn > 0
+      ? now + expiresIn * 1000
+      : claims && claims.exp ? claims.exp * 1000 : null;
+  return {
+    accessToken: String(accessToken),
+    refreshToken: raw.refreshToken || raw.refresh_token || null,
+    idToken: raw.idToken || raw.id_token || null,
+    expiresAt,
+  };
+}
+
+function userOf(token) {
+  const claims = jwtClaims(token.idToken) || jwtClaims(token.accessToken);
+  if (!claims) return null;
+  const name = claims.name || claims.preferred_username || claims.email || claims.sub;
+  return name ? { name: String(name), subject: claims.sub || null } : null;
+}
+
+export function createAuthSession({
+  mode = "none",
+  oidc = null,
+  hostOrigin = null,
+  initialToken = null,
+  requestToken = null,
+  win = window,
+  fetchImpl,
+  now = () => Date.now(),
+  refreshMarginMs = 60 * 1000,
+  hostTimeoutMs = 10 * 1000,
+  setTimer = (fn, ms) => setTimeout(fn, ms),
+  clearTimer = t => clearTimeout(t),
+}) {
+  const listeners = new Set();
+  let token = null;
+  let status = AUTH_STATUS.ANONYMOUS;
+  let refreshing = null;
+  let refreshTimer = null;
+  let hostWaiters = [];
+
+  const framed = () => !!win.parent && win.parent !== win;
+
+  function getState() {
+    return { mode, status, user: token ? userOf(token) : null, expiresAt: token ? token.expiresAt : null };
+  }
+  function emit() {
+    const state = getState();
+    listeners.forEach(fn => fn(state));
+  }
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function scheduleRefresh() {
+    if (refreshTimer) clearTimer(refreshTimer);
+    refreshTimer = null;
+    if (!token || !token.expiresAt) return;
+    if (mode === "oidc" && !token.refreshToken) return;
+    refreshTimer = setTimer(() => { refreshTimer = null; refresh(); }, Math.max(0, token.expiresAt - refreshMarginMs - now()));
+  }
+
+  /* Accept a token (login, refresh, host message); null when it is unusable */
+  function setToken(raw) {
+    const next = normalizeToken(raw, now());
+    if (!next) return null;
+    // a refresh response may omit the refresh token: keep the one we have
+    token = { ...next, refreshToken: next.refreshToken || (token && token.refreshToken) || null };
+    status = AUTH_STATUS.AUTHENTICATED;
+    scheduleRefresh();
+    emit();
+    hostWaiters.forEach(resolve => resolve(token.accessToken));
+    hostWaiters = [];
+    return token.accessToken;
+  }
+
+  /* The server rejected us: drop the token and ask for a new sign-in */
+  function expire() {
+    if (mode === "none") return;
+    token = null;
+    if (refreshTimer) clearTimer(refreshTimer);
+    refreshTimer = null;
+    status = AUTH_STATUS.EXPIRED;
+    emit();
+  }
+
+  function logout() {
+    token = null;
+    if (refreshTimer) clearTimer(refreshTimer);
+    refreshTimer = null;
+    status = AUTH_STATUS.ANONYMOUS;
+    emit();
+  }
+
+  /* Ask the embedding app for a token; resolves null when none arrives in time */
+  function requestHostToken() {
+    if (requestToken) {
+      return Promise.resolve()
+        .then(requestToken)
+        .then(raw => setToken(raw))
+        .catch(err => {
+          console.warn("The host page could not provide a token:", err);
+          return null;
+        });
+    }
+    if (!framed()) return Promise.resolve(null);
+    if (!hostOrigin) {
+      console.warn("Not asking the host page for a token: no allowed host origin");
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => {
+      let done = false;
+      const finish = value => { if (!done) { done = true; resolve(value); } };
+      hostWaiters.push(finish);
+      setTimer(() => finish(null), hostTimeoutMs);
+      win.parent.postMessage({ type: AUTH_TOKEN_REQUEST_MESSAGE }, hostOrigin);
+    });
+  }
+
+  async function doRefresh() {
+    try {
+      if (mode === "oidc" && token && token.refreshToken) {
+        return setToken(await refreshWithToken(oidc, token.refreshToken, { fetchImpl }));
+      }
+      if (mode === "host-token") {
+        const fresh = await requestHostToken();
+        if (fresh) return fresh;
+      }
+    } catch (err) {
+      console.warn("Token refresh failed:", err);
+    }
+    expire();
+    return null;
+  }
+
+  /* New access token (or null); concurrent callers share one refresh */
+  function refresh() {
+    if (mode === "none") return Promise.resolve(null);
+    if (!refreshing) refreshing = doRefresh().finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  /* Token for the next request, refreshed when it is about to run out */
+  async function getAccessToken() {
+    if (mode === "none" || !token) return null;
+    if (token.expiresAt && token.expiresAt - refreshMarginMs <= now()) return refresh();
+    return token.accessToken;
+  }
+
+  async function login() {
+    if (mode === "oidc") {
+      if (!oidc) throw new Error("This environment has no OIDC settings");
+      return setToken(await loginWithPopup(oidc, { win, fetchImpl }));
+    }
+    if (mode === "host-token") {
+      if (!framed() && !requestToken) throw new Error("Sign in through the application this builder is embedded in, then reload");
+      const fresh = await requestHostToken();
+      if (!fresh) throw new Error("The host application did not provide a token");
+      return fresh;
+    }
+    return null;
+  }
+
+  function onMessage(event) {
+    const data = event.data;
+    if (!data || data.type !== AUTH_TOKEN_MESSAGE) return;
+    if (event.source !== win.parent || !hostOrigin || event.origin !== hostOrigin) return;
+    if (!setToken(data)) console.warn("Ignored an auth token message without accessToken");
+  }
+
+  /* Host mode: listen for tokens, take a legacy global, ask for one. Returns stop() */
+  function start() {
+    if (mode !== "host-token") return () => {};
+    win.addEventListener("message", onMessage);
+    const seed = initialToken || win.GlobalAuthToken;
+    if (!seed || !setToken(seed)) requestHostToken();
+    return () => win.removeEventListener("message", onMessage);
+  }
+
+  return { mode, getState, subscribe, getAccessToken, refresh, setToken, expire, login, logout, start };
+}
@@ -0,0 +1,76 @@
+import { TextEncoder, TextDecoder } from "util";
+import { createAuthSession, AUTH_STATUS, AUTH_TOKEN_MESSAGE, AUTH_TOKEN_REQUEST_MESSAGE } from "./session";
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const b64url = obj => Buffer.from(JSON.stringify(obj)).toString("base64url");
+const jwt = claims => `${b64url({ alg: "none" })}.${b64url(claims)}.`;
+
+function jsonResponse(data, ok = true) {
+  return Promise.resolve({ ok, status: ok ? 200 : 400, json: () => Promise.resolve(data) });
+}
+
+function clock(start = 1000000) {
+  let t = start;
+  return { now: () => t, advance: ms => { t += ms; } };
+}
+const noTimers = { setTimer: () => 1, clearTimer: () => {} };
+
+test("refreshes an OIDC token shortly before it expires and keeps the refresh token", async () => {
+  const c = clock();
+  const fetchImpl = jest.fn(() => jsonResponse({ access_token: "second", expires_in: 300 }));
+  const session = createAuthSession({
+    mode: "oidc",
+    oidc: { clientId: "drb", authorizationEndpoint: "https://id.example/auth", tokenEndpoint: "https://id.example/token" },
+    fetchImpl,
+    now: c.now,
+    ...noTimers,
+  });
+  const states = [];
+  session.subscribe(s => states.push(s.status));
+
+  session.setToken({ access_token: "first", refresh_token: "r1", expires_in: 300, id_token: jwt({ sub: "u1", name: "Dr. Asha Rao" }) });
+  expect(session.getState()).toMatchObject({ status: AUTH_STATUS.AUTHENTICATED, user: { name: "Dr. Asha Rao", subject: "u1" } });
+  expect(await session.getAccessToken()).toBe("first");
+
+  c.advance(250 * 1000); // inside the refresh margin
+  const [a, b] = await Promise.all([session.getAccessToken(), session.getAccessToken()]);
+  expect([a, b]).toEqual(["second", "second"]);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  const body = new URLSearchParams(fetchImpl.mock.calls[0][1].body);
+  expect(Object.fromEntries(body)).toEqual({ grant_type: "refresh_token", refresh_token: "r1", client_id: "drb" });
+
+  fetchImpl.mockImplementationOnce(() => jsonResponse({ error: "invalid_grant" }, false));
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  expect(await session.refresh()).toBeNull();
+  warn.mockRestore();
+  expect(session.getState().status).toBe(AUTH_STATUS.EXPIRED);
+  expect(states).toEqual(["authenticated", "authenticated", "expired"]);
+});
+
+test("takes tokens posted by the embedding app and asks it for a new one", async () => {
+  const listeners = {};
+  const parent = { postMessage: jest.fn() };
+  const win = {
+    parent,
+    GlobalAuthToken: jwt({ sub: "legacy", exp: 2000 }),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    removeEventListener: () => {},
+  };
+  const session = createAuthSession({ mode: "host-token", hostOrigin: "https://host.example", win, now: () => 1000 * 1000, ...noTimers });
+  const stop = session.start();
+  expect(session.getState()).toMatchObject({ status: AUTH_STATUS.AUTHENTICATED, expiresAt: 2000 * 1000 });
+
+  // messages from other windows or origins are ignored
+  listeners.message({ source: {}, origin: "https://host.example", data: { type: AUTH_TOKEN_MESSAGE, accessToken: "evil" } });
+  listeners.message({ source: parent, origin: "https://evil.example", data: { type: AUTH_TOKEN_MESSAGE, accessToken: "evil" } });
+  expect(await session.getAccessToken()).not.toBe("evil");
+
+  const pending = session.refresh();
+  expect(parent.postMessage).toHaveBeenCalledWith({ type: AUTH_TOKEN_REQUEST_MESSAGE }, "https://host.example");
+  listeners.message({ source: parent, origin: "https://host.example", data: { type: AUTH_TOKEN_MESSAGE, accessToken: "fresh", expiresIn: 600 } });
+  expect(await pending).toBe("fresh");
+  expect(await session.getAccessToken()).toBe("fresh");
+  stop();
+});
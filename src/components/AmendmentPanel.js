@@ -0,0 +1,61 @@
+// src/components/AmendmentPanel.js
+import React, { useRef } from "react";
+
+/*
+  Amendment banner: load a previously submitted bundle (.json) to correct it,
+  or — while amending — show what is being replaced and capture the reason.
+*/
+export default function AmendmentPanel({ amendment, onLoadFile, onReasonChange, onCancel }) {
+  const fileRef = useRef(null);
+
+  if (!amendment) {
+    return (
+      <div className="mb-3 d-flex justify-content-end">
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="d-none"
+          onChange={e => {
+            const f = e.target.files && e.target.files[0];
+            e.target.value = "";
+            if (f) onLoadFile(f);
+          }}
+        />
+        <button className="btn btn-sm btn-outline-secondary" onClick={() => fileRef.current && fileRef.current.click()}>
+          Amend a submitted report (.json)…
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card mb-3 border-warning">
+      <div className="card-header bg-warning-subtle d-flex justify-content-between align-items-center">
+        <span>
+          Amending <strong>{amendment.sourceLabel || "submitted report"}</strong> — version {amendment.replaces.version} → {amendment.version}
+        </span>
+        <button className="btn btn-sm btn-outline-secondary" onClick={onCancel}>Cancel amendment</button>
+      </div>
+      <div className="card-body">
+        {amendment.signature && amendment.signature.status !== "unsigned" && (
+          <div className={`alert ${amendment.signature.status === "valid" ? "alert-success" : "alert-danger"} py-1 small`}>
+            Signature of the submitted report {amendment.signature.status}: {amendment.signature.message}
+          </div>
+        )}
+        <label className="form-label">Reason for the change <span className="text-danger">*</span></label>
+        <textarea
+          className={`form-control${amendment.reason && amendment.reason.trim() ? "" : " is-invalid"}`}
+          rows={2}
+          value={amendment.reason}
+          onChange={e => onReasonChange(e.target.value)}
+          placeholder="e.g. Hemoglobin re-run after sample haemolysis"
+        />
+        <div className="form-text">
+          Resource ids are kept; the new document replaces Composition {amendment.replaces.compositionId}. Use status
+          "entered-in-error" to retract the report instead.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// src/components/AuthStatus.js
+import React from "react";
+import { AUTH_STATUS } from "../auth";
+
+/* Who is signed in, with sign-in / sign-out; nothing for environments without auth */
+export default function AuthStatus({ state, onSignIn, onSignOut }) {
+  if (state.mode === "none") return null;
+  const signedIn = state.status === AUTH_STATUS.AUTHENTICATED;
+  return (
+    <div className="d-flex align-items-center gap-2 small">
+      {signedIn ? (
+        <>
+          <span className="text-success">● {state.user ? state.user.name : "Signed in"}</span>
+          {state.mode === "oidc" && <button className="btn btn-sm btn-outline-secondary" onClick={onSignOut}>Sign out</button>}
+        </>
+      ) : (
+        <>
+          <span className="text-muted">{state.status === AUTH_STATUS.EXPIRED ? "Session expired" : "Not signed in"}</span>
+          <button className="btn btn-sm btn-primary" onClick={onSignIn}>Sign in</button>
+        </>
+      )}
+    </div>
+  );
+}
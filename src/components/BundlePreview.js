@@ -0,0 +1,115 @@
+// src/components/BundlePreview.js
+import React, { useState } from "react";
+import { downloadJson, downloadBlob, base64ToBlob, printPdf } from "../utils/download";
+import ValidationReport from "./ValidationReport";
+import SignatureStatus from "./SignatureStatus";
+import ProvenanceTrail from "./ProvenanceTrail";
+
+const MAX_INLINE = 120; // long strings (Binary.data, narratives) are shortened in the tree
+
+function ValueLeaf({ value }) {
+  if (value === null) return <span className="text-muted">null</span>;
+  if (typeof value === "string") {
+    const short = value.length > MAX_INLINE ? `${value.slice(0, MAX_INLINE)}… (${value.length} chars)` : value;
+    return <span className="text-success text-break">"{short}"</span>;
+  }
+  return <span className="text-primary">{String(value)}</span>;
+}
+
+/* Collapsible JSON node; objects/arrays expand on click */
+function JsonNode({ name, value, open = false }) {
+  if (value === null || typeof value !== "object") {
+    return (
+      <div className="ms-3">
+        <span className="text-secondary">{name}</span>: <ValueLeaf value={value} />
+      </div>
+    );
+  }
+  const isArray = Array.isArray(value);
+  const keys = Object.keys(value);
+  return (
+    <details className="ms-3" open={open}>
+      <summary>
+        <span className="text-secondary">{name}</span>{" "}
+        <span className="text-muted small">{isArray ? `[${keys.length}]` : `{${keys.length}}`}</span>
+      </summary>
+      {keys.map(k => <JsonNode key={k} name={isArray ? `[${k}]` : k} value={value[k]} />)}
+    </details>
+  );
+}
+
+/* Built Bundle as a resource tree or raw JSON, with its validation report, signature check, provenance trail and download / copy / submit */
+export default function BundlePreview({ bundle, validation, stale, onRebuild, onSubmit, onClose }) {
+  const [tab, setTab] = useState("tree");
+  const [copied, setCopied] = useState(false);
+  const json = JSON.stringify(bundle, null, 2);
+  const { entry, ...header } = bundle;
+
+  // The human-readable report: the first PDF document (generated when nothing was uploaded)
+  const pdfRef = entry.map(e => e.resource).find(r => r.resourceType === "DocumentReference" && r.content?.[0]?.attachment?.contentType === "application/pdf");
+  const pdfAttachment = pdfRef && pdfRef.content[0].attachment;
+  const pdfBinary = pdfAttachment && entry.find(e => e.fullUrl === pdfAttachment.url)?.resource;
+  const pdfBlob = () => base64ToBlob(pdfBinary.data, "application/pdf");
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(json);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      alert("Could not copy to clipboard.");
+    }
+  }
+
+  return (
+    <div className="card mb-3 border-primary">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>Bundle preview — {entry.length} entries</span>
+        <div className="btn-group btn-group-sm">
+          <button className="btn btn-outline-secondary" onClick={() => downloadJson(`${bundle.id}.json`, bundle)}>Download .json</button>
+          <button className="btn btn-outline-secondary" onClick={copy}>{copied ? "Copied" : "Copy"}</button>
+          {pdfBinary && <button className="btn btn-outline-secondary" onClick={() => downloadBlob(pdfAttachment.title || "lab-report.pdf", pdfBlob())}>Download PDF</button>}
+          {pdfBinary && <button className="btn btn-outline-secondary" onClick={() => printPdf(pdfBlob())}>Print</button>}
+          <button className="btn btn-outline-secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+      <div className="card-body">
+        {stale && (
+          <div className="alert alert-warning d-flex justify-content-between align-items-center py-2">
+            The form changed since this preview was built.
+            <button className="btn btn-sm btn-warning" onClick={onRebuild}>Rebuild preview</button>
+          </div>
+        )}
+        <ValidationReport validation={validation} />
+        <SignatureStatus bundle={bundle} />
+        <ul className="nav nav-tabs mb-2">
+          <li className="nav-item">
+            <button className={`nav-link${tab === "tree" ? " active" : ""}`} onClick={() => setTab("tree")}>Resources</button>
+          </li>
+          <li className="nav-item">
+            <button className={`nav-link${tab === "provenance" ? " active" : ""}`} onClick={() => setTab("provenance")}>Provenance</button>
+          </li>
+          <li className="nav-item">
+            <button className={`nav-link${tab === "json" ? " active" : ""}`} onClick={() => setTab("json")}>Raw JSON</button>
+          </li>
+        </ul>
+        {tab === "tree" ? (
+          <div className="font-monospace small" style={{ maxHeight: 480, overflowY: "auto" }}>
+            <JsonNode name="Bundle" value={header} />
+            {entry.map((e, i) => (
+              <JsonNode key={e.fullUrl || i} name={`${e.resource.resourceType} ${e.fullUrl || ""}`} value={e.resource} />
+            ))}
+          </div>
+        ) : tab === "provenance" ? (
+          <ProvenanceTrail bundle={bundle} />
+        ) : (
+          <pre className="small bg-light p-2 border rounded" style={{ maxHeight: 480, overflow: "auto" }}>{json}</pre>
+        )}
+        <div className="mt-3 d-flex justify-content-end">
+          <button className="btn btn-primary" onClick={onSubmit} disabled={stale || (validation && !validation.valid)}>Submit this bundle</button>
+        </div>
+      </div>
+    </div>
+  );
+}
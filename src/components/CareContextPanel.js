@@ -0,0 +1,75 @@
+// src/components/CareContextPanel.js
+import React, { useState } from "react";
+
+const when = ms => new Date(ms).toLocaleString();
+
+/*
+  Care context for the next submission (an existing one of the patient, or a new
+  one with a display name), plus the patient's care contexts with the reports
+  linked to each.
+*/
+export default function CareContextPanel({ contexts, value, display, defaultDisplay, onChange, onDisplayChange, onRemove }) {
+  const [showAll, setShowAll] = useState(false);
+
+  return (
+    <div className="mt-3">
+      <label className="form-label">ABDM care context</label>
+      <div className="input-group">
+        <select className="form-select" value={value} onChange={e => onChange(e.target.value)}>
+          <option value="">New care context…</option>
+          {contexts.map(c => (
+            <option key={c.referenceNumber} value={c.referenceNumber}>
+              {c.display} ({c.referenceNumber}) — {c.reports.length} report(s)
+            </option>
+          ))}
+        </select>
+        {contexts.length > 0 && (
+          <button className="btn btn-outline-secondary" onClick={() => setShowAll(v => !v)}>
+            {showAll ? "Hide" : "Show"} care contexts
+          </button>
+        )}
+      </div>
+      {!value && (
+        <input
+          className="form-control mt-2"
+          value={display}
+          onChange={e => onDisplayChange(e.target.value)}
+          placeholder={defaultDisplay}
+          maxLength={100}
+        />
+      )}
+      <div className="form-text">
+        The patient finds the report in their PHR app under this name. A reference number is assigned on submit.
+      </div>
+
+      {showAll && (
+        <ul className="list-group list-group-flush small mt-2 border rounded">
+          {contexts.map(c => (
+            <li key={c.referenceNumber} className="list-group-item">
+              <div className="d-flex justify-content-between align-items-center">
+                <span>
+                  <strong>{c.display}</strong> <code>{c.referenceNumber}</code>{" "}
+                  <span className="badge bg-secondary">{c.hiType}</span>
+                </span>
+                {c.reports.length === 0 && (
+                  <button className="btn btn-sm btn-link text-danger p-0" onClick={() => onRemove(c.referenceNumber)}>Remove</button>
+                )}
+              </div>
+              {c.reports.length ? (
+                <ul className="mb-0">
+                  {c.reports.map(r => (
+                    <li key={r.documentId}>
+                      {r.title} — version {r.version}{r.status ? `, ${r.status}` : ""} · linked {when(r.linkedAt)}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-muted">No reports linked yet (created {when(c.createdAt)}).</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// src/components/DraftsPanel.js
+import React from "react";
+
+/* "My drafts": resume or delete autosaved in-progress reports */
+export default function DraftsPanel({ drafts, currentDraftId, onResume, onDelete, onNew }) {
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>My drafts</span>
+        <button className="btn btn-sm btn-outline-secondary" onClick={onNew}>New report</button>
+      </div>
+      <div className="card-body">
+        {drafts.length === 0 ? (
+          <div className="text-muted">No saved drafts. Changes are saved automatically while you type.</div>
+        ) : (
+          <ul className="list-group">
+            {drafts.map(d => (
+              <li key={d.id} className="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                  {d.label}
+                  {d.id === currentDraftId && <span className="badge bg-primary ms-2">editing</span>}
+                  <div className="small text-muted">
+                    Saved {new Date(d.updatedAt).toLocaleString()}
+                    {d.fileNames && d.fileNames.length ? ` · ${d.fileNames.length} file(s)` : ""}
+                  </div>
+                </div>
+                <div className="text-nowrap">
+                  <button className="btn btn-sm btn-outline-primary me-1" onClick={() => onResume(d.id)} disabled={d.id === currentDraftId}>Resume</button>
+                  <button className="btn btn-sm btn-outline-danger" onClick={() => onDelete(d.id)}>Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+// src/components/EnvironmentSwitcher.js
+import React from "react";
+
+const badgeClass = env => (env.production ? "bg-danger" : env.id === "uat" ? "bg-warning text-dark" : "bg-secondary");
+
+/* Header badge for the backend in use; picking another one reloads the app */
+export default function EnvironmentSwitcher({ environment, environments, onSwitch }) {
+  const choices = Object.values(environments || {});
+
+  function pick(id) {
+    if (id === environment.id) return;
+    const next = environments[id];
+    const question = next.production
+      ? `Switch to ${next.label}? Reports will be sent to the live ABDM network.`
+      : `Switch to ${next.label}? The app reloads; your draft is kept.`;
+    if (window.confirm(question)) onSwitch(id);
+  }
+
+  return (
+    <div className="d-flex align-items-center gap-2">
+      <span className={`badge ${badgeClass(environment)}`} title={environment.baseUrl || "Same origin as this page"}>
+        {environment.label}
+      </span>
+      <small className="text-muted d-none d-md-inline">{environment.baseUrl || window.location.origin} · @{environment.abhaDomain}</small>
+      {choices.length > 1 && (
+        <select className="form-select form-select-sm w-auto" value={environment.id} onChange={e => pick(e.target.value)} aria-label="Environment">
+          {choices.map(e => <option key={e.id} value={e.id}>{e.label}</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
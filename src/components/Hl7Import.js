@@ -0,0 +1,92 @@
+// src/components/Hl7Import.js
+import React, { useState } from "react";
+import { parseOruR01 } from "../importer";
+
+/*
+  Paste or upload an HL7 v2 ORU^R01 result message, check what was understood
+  and load it into the form with onLoad(parsed, sourceLabel).
+*/
+export default function Hl7Import({ catalog, onLoad }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState("");
+  const [sourceLabel, setSourceLabel] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [error, setError] = useState("");
+
+  function parse(message, label) {
+    setText(message);
+    setSourceLabel(label);
+    if (!message.trim()) {
+      setParsed(null);
+      setError("");
+      return;
+    }
+    try {
+      setParsed(parseOruR01(message, { catalog }));
+      setError("");
+    } catch (err) {
+      setParsed(null);
+      setError(err.message);
+    }
+  }
+
+  async function onFilePicked(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (file) parse(await file.text(), file.name);
+  }
+
+  function close() {
+    setOpen(false);
+    parse("", "");
+  }
+
+  if (!open) {
+    return (
+      <div className="mb-3 d-flex justify-content-end">
+        <button className="btn btn-sm btn-outline-secondary" onClick={() => setOpen(true)}>Import HL7 ORU result…</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>Import HL7 v2 ORU^R01 result</span>
+        <button className="btn btn-sm btn-outline-secondary" onClick={close}>Close</button>
+      </div>
+      <div className="card-body">
+        <div className="mb-2">
+          <input type="file" className="form-control form-control-sm" accept=".hl7,.txt,.oru,text/plain" onChange={onFilePicked} />
+        </div>
+        <textarea
+          className={`form-control font-monospace small${error ? " is-invalid" : ""}`}
+          rows={6}
+          value={text}
+          onChange={e => parse(e.target.value, "pasted message")}
+          placeholder="MSH|^~\&|LIS|LAB|...|ORU^R01|..."
+        />
+        {error && <div className="invalid-feedback">{error}</div>}
+
+        {parsed && (
+          <div className="mt-3">
+            <div className="small mb-2">
+              <strong>{parsed.patient ? parsed.patient.name || "Unnamed patient" : "No patient"}</strong>
+              {" · "}{parsed.form.testCode || "no test code"}
+              {" · "}{parsed.form.observations.length} result(s)
+              {parsed.form.specimens.length > 0 && ` · ${parsed.form.specimens.length} specimen(s)`}
+              {parsed.attachments.length > 0 && ` · ${parsed.attachments.length} attachment(s)`}
+              {parsed.message.controlId && <span className="text-muted"> · message {parsed.message.controlId}</span>}
+            </div>
+            {parsed.warnings.length > 0 && (
+              <ul className="small text-warning-emphasis mb-2">
+                {parsed.warnings.map((w, i) => <li key={i}>{w}</li>)}
+              </ul>
+            )}
+            <button className="btn btn-sm btn-primary" onClick={() => onLoad(parsed, sourceLabel) && close()}>Load into form</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
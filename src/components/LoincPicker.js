@@ -0,0 +1,58 @@
+// src/components/LoincPicker.js
+import React, { useMemo, useState } from "react";
+import { searchLoinc } from "../fhir";
+
+/*
+  Search-as-you-type LOINC picker.
+  - Typing edits the free text and clears any previously selected coding
+  - Picking a suggestion calls onSelect(entry) with the catalog entry
+  - The selected code is shown as a badge with a clear (×) button
+*/
+export default function LoincPicker({ catalog, text, coding, onTextChange, onSelect, kind, placeholder }) {
+  const [open, setOpen] = useState(false);
+  const matches = useMemo(() => searchLoinc(catalog, text, { kind }), [catalog, text, kind]);
+
+  return (
+    <div className="position-relative">
+      <div className="input-group">
+        <input
+          className="form-control"
+          value={text}
+          placeholder={placeholder}
+          onChange={e => {
+            onTextChange(e.target.value);
+            if (coding) onSelect(null);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setTimeout(() => setOpen(false), 150)}
+        />
+        {coding && (
+          <span className="input-group-text bg-success-subtle" title={coding.display}>
+            LOINC {coding.code}
+            <button type="button" className="btn-close ms-2" style={{ fontSize: "0.6rem" }} aria-label="Clear code" onClick={() => onSelect(null)} />
+          </span>
+        )}
+      </div>
+      {open && !coding && matches.length > 0 && (
+        <ul className="list-group position-absolute w-100 shadow-sm" style={{ zIndex: 10, maxHeight: 260, overflowY: "auto" }}>
+          {matches.map(m => (
+            <li
+              key={m.code}
+              className="list-group-item list-group-item-action"
+              role="button"
+              onMouseDown={e => {
+                e.preventDefault();
+                onSelect(m);
+                setOpen(false);
+              }}
+            >
+              <strong>{m.shortName || m.display}</strong> <span className="text-muted small">{m.code}</span>
+              <div className="small text-muted">{m.display}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+// src/components/ObservationImport.js
+import React, { useMemo, useState } from "react";
+import { resolveInterpretation } from "../fhir";
+import { IMPORT_FIELDS, guessMapping, applyMapping, readTableFile } from "../importer";
+
+const DELIMITER_OPTIONS = [
+  { value: "", label: "Auto" },
+  { value: ",", label: "Comma" },
+  { value: ";", label: "Semicolon" },
+  { value: "\t", label: "Tab" },
+];
+
+/*
+  Analyzer / LIS export import: pick a CSV or XLSX file, map its columns to
+  observation fields (or apply a saved profile), check the preview and hand the
+  valid rows to onImport(rows, { fileName, profileName }). Profiles are saved through `profileStore`.
+*/
+export default function ObservationImport({ catalog, profileStore, onImport, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [file, setFile] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [delimiter, setDelimiter] = useState("");
+  const [headerRow, setHeaderRow] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [profiles, setProfiles] = useState(() => profileStore.list());
+  const [profileId, setProfileId] = useState("");
+  const [profileName, setProfileName] = useState("");
+
+  const headers = useMemo(() => {
+    const width = rows.reduce((n, r) => Math.max(n, r.length), 0);
+    return Array.from({ length: width }, (_, i) => (headerRow && rows[0] && rows[0][i]) || `Column ${i + 1}`);
+  }, [rows, headerRow]);
+
+  const dataRows = useMemo(() => (headerRow ? rows.slice(1) : rows), [rows, headerRow]);
+  const missingRequired = IMPORT_FIELDS.filter(f => f.required && !(mapping[f.key] >= 0));
+  const results = useMemo(
+    () => (IMPORT_FIELDS.some(f => f.required && !(mapping[f.key] >= 0)) ? [] : applyMapping(dataRows, mapping, { catalog })),
+    [dataRows, mapping, catalog]
+  );
+  const importable = results.filter(r => r.errors.length === 0);
+
+  async function load(nextFile, nextDelimiter, profile) {
+    try {
+      const table = await readTableFile(nextFile, { delimiter: nextDelimiter || undefined });
+      if (!table.length) {
+        alert("The file has no rows.");
+        return;
+      }
+      setRows(table);
+      if (profile) {
+        setHeaderRow(profile.headerRow !== false);
+        setMapping(profile.mapping || {});
+      } else if (!Object.keys(mapping).length) {
+        setMapping(headerRow ? guessMapping(table[0]) : {});
+      }
+    } catch (err) {
+      console.error("Observation import failed:", err);
+      alert(`Could not read ${nextFile.name}: ${err.message}`);
+    }
+  }
+
+  function onFilePicked(e) {
+    const picked = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!picked) return;
+    setFile(picked);
+    setFileName(picked.name);
+    load(picked, delimiter, profiles.find(p => p.id === profileId));
+  }
+
+  function onDelimiterChange(value) {
+    setDelimiter(value);
+    if (file) load(file, value);
+  }
+
+  function onProfilePicked(id) {
+    setProfileId(id);
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) return;
+    setProfileName(profile.name);
+    setDelimiter(profile.delimiter || "");
+    setHeaderRow(profile.headerRow !== false);
+    setMapping(profile.mapping || {});
+    if (file) load(file, profile.delimiter, profile);
+  }
+
+  function saveProfile() {
+    try {
+      const saved = profileStore.save({ name: profileName, delimiter, headerRow, mapping });
+      setProfiles(profileStore.list());
+      setProfileId(saved.id);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  function deleteProfile() {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile || !window.confirm(`Delete mapping profile "${profile.name}"?`)) return;
+    profileStore.remove(profile.id);
+    setProfiles(profileStore.list());
+    setProfileId("");
+  }
+
+  function doImport() {
+    const profile = profiles.find(p => p.id === profileId);
+    onImport(importable.map(r => r.row), { fileName, profileName: profile ? profile.name : "" });
+  }
+
+  return (
+    <div className="border rounded p-3 mb-3 bg-light">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <strong>Import from analyzer export (CSV / XLSX)</strong>
+        <button className="btn btn-sm btn-outline-secondary" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="row g-2 align-items-end mb-2">
+        <div className="col-md-4">
+          <label className="form-label">File</label>
+          <input type="file" className="form-control form-control-sm" accept=".csv,.txt,.tsv,.xlsx,text/csv" onChange={onFilePicked} />
+          {fileName && <div className="form-text">{fileName}: {dataRows.length} data row(s)</div>}
+        </div>
+        <div className="col-md-2">
+          <label className="form-label">Delimiter</label>
+          <select className="form-select form-select-sm" value={delimiter} onChange={e => onDelimiterChange(e.target.value)}>
+            {DELIMITER_OPTIONS.map(o => <option key={o.label} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        <div className="col-md-2">
+          <div className="form-check">
+            <input id="import-header-row" type="checkbox" className="form-check-input" checked={headerRow} onChange={e => setHeaderRow(e.target.checked)} />
+            <label htmlFor="import-header-row" className="form-check-label">First row is a header</label>
+          </div>
+        </div>
+        <div className="col-md-4">
+          <label className="form-label">Mapping profile</label>
+          <div className="input-group input-group-sm">
+            <select className="form-select" value={profileId} onChange={e => onProfilePicked(e.target.value)}>
+              <option value="">— None —</option>
+              {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button className="btn btn-outline-danger" onClick={deleteProfile} disabled={!profileId}>Delete</button>
+          </div>
+        </div>
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="row g-2 mb-2">
+            {IMPORT_FIELDS.map(f => (
+              <div key={f.key} className="col-md-3 col-lg">
+                <label className="form-label small">{f.label}{f.required && " *"}</label>
+                <select
+                  className={`form-select form-select-sm ${f.required && !(mapping[f.key] >= 0) ? "is-invalid" : ""}`}
+                  value={mapping[f.key] >= 0 ? mapping[f.key] : -1}
+                  onChange={e => setMapping(prev => ({ ...prev, [f.key]: Number(e.target.value) }))}
+                >
+                  <option value={-1}>— not mapped —</option>
+                  {headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="input-group input-group-sm mb-3" style={{ maxWidth: 420 }}>
+            <input className="form-control" placeholder="Profile name, e.g. Sysmex XN-1000" value={profileName} onChange={e => setProfileName(e.target.value)} />
+            <button className="btn btn-outline-secondary" onClick={saveProfile} disabled={!profileName.trim()}>Save mapping</button>
+          </div>
+
+          {missingRequired.length > 0 ? (
+            <div className="alert alert-warning py-2">Map {missingRequired.map(f => f.label).join(" and ")} to see the preview.</div>
+          ) : (
+            <div className="table-responsive" style={{ maxHeight: 360 }}>
+              <table className="table table-sm table-bordered align-middle mb-2">
+                <thead className="table-light">
+                  <tr>
+                    <th>#</th><th>Test</th><th>LOINC</th><th>Value</th><th>Unit</th><th>Range</th><th>Flag</th><th>Date</th><th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map(r => (
+                    <tr key={r.rowNumber} className={r.errors.length ? "table-danger" : r.warnings.length ? "table-warning" : ""}>
+                      <td>{r.rowNumber + (headerRow ? 1 : 0)}</td>
+                      <td>{r.row.codeText}</td>
+                      <td>{r.row.codeCoding ? r.row.codeCoding.code : ""}</td>
+                      <td>{r.row.valueText}</td>
+                      <td>{r.row.valueUnit}</td>
+                      <td>{r.row.refLow || r.row.refHigh ? `${r.row.refLow}–${r.row.refHigh}` : r.row.refText}</td>
+                      <td>{resolveInterpretation(r.row) || ""}</td>
+                      <td>{r.row.effectiveDate}</td>
+                      <td className="small">{[...r.errors, ...r.warnings].join("; ")}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="d-flex align-items-center gap-2">
+            <button className="btn btn-sm btn-primary" onClick={doImport} disabled={!importable.length}>
+              Import {importable.length} row(s)
+            </button>
+            {results.length > importable.length && (
+              <span className="small text-danger">{results.length - importable.length} row(s) with errors will be skipped</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
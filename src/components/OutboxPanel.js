@@ -0,0 +1,78 @@
+// src/components/OutboxPanel.js
+import React from "react";
+import { OUTBOX_STATUS } from "../outbox";
+
+const STATUS_BADGE = {
+  [OUTBOX_STATUS.PENDING]: "bg-warning text-dark",
+  [OUTBOX_STATUS.SENDING]: "bg-info text-dark",
+  [OUTBOX_STATUS.FAILED]: "bg-danger",
+  [OUTBOX_STATUS.SENT]: "bg-success",
+};
+
+function fmt(ms) {
+  return ms ? new Date(ms).toLocaleString() : "";
+}
+
+/* Submission queue: pending / failed / sent bundles with manual resend, discard and amend */
+export default function OutboxPanel({ records, onResend, onDiscard, onAmend }) {
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between">
+        <span>Submission queue</span>
+        <span className="text-muted small">
+          {records.filter(r => r.status === OUTBOX_STATUS.PENDING || r.status === OUTBOX_STATUS.SENDING).length} pending ·{" "}
+          {records.filter(r => r.status === OUTBOX_STATUS.FAILED).length} failed
+        </span>
+      </div>
+      <div className="card-body">
+        {records.length === 0 ? (
+          <div className="text-muted">No submissions yet.</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Report</th>
+                  <th>Queued</th>
+                  <th>Status</th>
+                  <th>Attempts</th>
+                  <th>Details</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {records.map(r => (
+                  <tr key={r.id}>
+                    <td>
+                      {r.label}
+                      <div className="small text-muted text-break">{r.id}</div>
+                    </td>
+                    <td className="small">{fmt(r.createdAt)}</td>
+                    <td><span className={`badge ${STATUS_BADGE[r.status] || "bg-secondary"}`}>{r.status}</span></td>
+                    <td>{r.attempts}</td>
+                    <td className="small">
+                      {r.status === OUTBOX_STATUS.SENT && `Sent ${fmt(r.sentAt)}`}
+                      {r.status === OUTBOX_STATUS.PENDING && r.nextAttemptAt && `Next try ${fmt(r.nextAttemptAt)}`}
+                      {r.lastError && <div className="text-danger text-break">{r.lastError}</div>}
+                    </td>
+                    <td className="text-end text-nowrap">
+                      {(r.status === OUTBOX_STATUS.FAILED || r.status === OUTBOX_STATUS.PENDING) && (
+                        <button className="btn btn-sm btn-outline-primary me-1" onClick={() => onResend(r.id)}>Resend</button>
+                      )}
+                      {r.status === OUTBOX_STATUS.SENT && onAmend && r.payload && r.payload.bundle && (
+                        <button className="btn btn-sm btn-outline-secondary me-1" onClick={() => onAmend(r)}>Amend</button>
+                      )}
+                      {r.status !== OUTBOX_STATUS.SENDING && (
+                        <button className="btn btn-sm btn-outline-danger" onClick={() => onDiscard(r.id)}>Discard</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
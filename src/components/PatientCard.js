@@ -0,0 +1,51 @@
+// src/components/PatientCard.js
+import React from "react";
+import { ddmmyyyyToISO, formatAbhaNumber } from "../fhir";
+import { abhaAddressesOf, mrnOf } from "../patients";
+
+function ageFrom(dob) {
+  const iso = ddmmyyyyToISO(dob);
+  if (!iso) return null;
+  const birth = new Date(iso);
+  const today = new Date();
+  let age = today.getFullYear() - birth.getFullYear();
+  if (today.getMonth() < birth.getMonth() || (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate())) age -= 1;
+  return age >= 0 ? age : null;
+}
+
+function Field({ label, value, className = "col-md-4" }) {
+  return (
+    <div className={className}>
+      <div className="text-muted small">{label}</div>
+      <div className="text-break">{value || <span className="text-muted">—</span>}</div>
+    </div>
+  );
+}
+
+/* Read-only demographics for the selected patient, enough to tell look-alike records apart */
+export default function PatientCard({ patient, onClear }) {
+  if (!patient) return null;
+  const age = ageFrom(patient.dob);
+  const addresses = abhaAddressesOf(patient);
+  return (
+    <div className="border rounded p-3 bg-light">
+      <div className="d-flex justify-content-between align-items-start mb-2">
+        <div>
+          <h5 className="mb-0">{patient.name}</h5>
+          <div className="text-muted small">
+            {[patient.gender, patient.dob && `DOB ${patient.dob}${age !== null ? ` (${age} y)` : ""}`].filter(Boolean).join(" · ")}
+          </div>
+        </div>
+        {onClear && <button className="btn btn-sm btn-outline-secondary" onClick={onClear}>Change patient</button>}
+      </div>
+      <div className="row g-2">
+        <Field label="Mobile" value={patient.mobile} />
+        <Field label="Email" value={patient.email} />
+        <Field label="ABHA number" value={patient.abha_ref ? formatAbhaNumber(patient.abha_ref) || patient.abha_ref : ""} />
+        <Field label="MRN" value={mrnOf(patient)} className="col-md-6" />
+        <Field label="ABHA addresses" value={addresses.length ? `${addresses.length} linked` : ""} className="col-md-6" />
+        <Field label="Address" value={patient.address} className="col-12" />
+      </div>
+    </div>
+  );
+}
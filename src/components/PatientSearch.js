@@ -0,0 +1,100 @@
+// src/components/PatientSearch.js
+import React, { useEffect, useRef, useState } from "react";
+import { mrnOf } from "../patients";
+import { patientKeyOf } from "../drafts";
+
+const DEBOUNCE_MS = 300;
+
+/*
+  Search-as-you-type patient finder with pagination.
+  `search(q, page)` is createPatientSearch().search; responses that arrive out of
+  order are dropped so the list always matches the current query.
+*/
+export default function PatientSearch({ search, selectedKey, onSelect }) {
+  const [query, setQuery] = useState("");
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const seq = ++requestRef.current;
+    setLoading(true);
+    const t = setTimeout(() => {
+      search(query, page)
+        .then(res => {
+          if (seq !== requestRef.current) return;
+          setResult(res);
+          setError("");
+        })
+        .catch(err => {
+          if (seq !== requestRef.current) return;
+          console.error("Patient search failed:", err);
+          const status = err && err.response ? err.response.status : undefined;
+          setError(status === 401 || status === 403 ? "Sign in to search the patient registry." : "Patient search is unavailable.");
+        })
+        .finally(() => {
+          if (seq === requestRef.current) setLoading(false);
+        });
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [search, query, page]);
+
+  const items = result ? result.items : [];
+
+  return (
+    <div>
+      <div className="input-group mb-2">
+        <input
+          className="form-control"
+          value={query}
+          placeholder="Search by name, mobile, ABHA number, ABHA address or MRN"
+          onChange={e => {
+            setQuery(e.target.value);
+            setPage(1);
+          }}
+        />
+        {loading && <span className="input-group-text"><span className="spinner-border spinner-border-sm" role="status" /></span>}
+      </div>
+      {result && result.source === "local" && (
+        <div className="form-text mb-1">Server search unavailable — searching the local patient list.</div>
+      )}
+      {error && <div className="text-danger small mb-1">{error}</div>}
+
+      <ul className="list-group mb-2" style={{ maxHeight: 300, overflowY: "auto" }}>
+        {items.length === 0 && !loading && <li className="list-group-item text-muted">No patients found.</li>}
+        {items.map((p, i) => {
+          const key = patientKeyOf(p);
+          const active = key && key === selectedKey;
+          return (
+            <li
+              key={key || i}
+              className={`list-group-item list-group-item-action${active ? " active" : ""}`}
+              role="button"
+              onClick={() => onSelect(p)}
+            >
+              <div className="d-flex justify-content-between">
+                <strong>{p.name}</strong>
+                <span className="small">{[p.gender, p.dob].filter(Boolean).join(" · ")}</span>
+              </div>
+              <div className={`small ${active ? "" : "text-muted"}`}>
+                {[p.mobile && `Mobile ${p.mobile}`, p.abha_ref && `ABHA ${p.abha_ref}`, mrnOf(p) && `MRN ${mrnOf(p).slice(0, 8)}…`].filter(Boolean).join(" · ")}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {result && (result.page > 1 || result.hasMore) && (
+        <div className="d-flex justify-content-between align-items-center small">
+          <button className="btn btn-sm btn-outline-secondary" disabled={page <= 1 || loading} onClick={() => setPage(p => p - 1)}>Previous</button>
+          <span className="text-muted">
+            Page {result.page}{result.total !== null ? ` of ${Math.max(1, Math.ceil(result.total / result.pageSize))} (${result.total} patients)` : ""}
+          </span>
+          <button className="btn btn-sm btn-outline-secondary" disabled={!result.hasMore || loading} onClick={() => setPage(p => p + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
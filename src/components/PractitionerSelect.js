@@ -0,0 +1,25 @@
+// src/components/PractitionerSelect.js
+import React from "react";
+
+/* Practitioner dropdown with the selected license shown read-only.
+   `emptyLabel` adds a "" option (e.g. "Same as author"); without it the user must pick someone. */
+export default function PractitionerSelect({ label, practitioners, value, onChange, emptyLabel, resolved, invalid }) {
+  const shown = resolved || practitioners.find(p => p.id === value) || null;
+  return (
+    <div className="row g-2">
+      <div className="col-md-7">
+        <label className="form-label">{label}</label>
+        <select className={`form-select${invalid ? " is-invalid" : ""}`} value={value} onChange={e => onChange(e.target.value)}>
+          <option value="">{emptyLabel || "-- Select practitioner --"}</option>
+          {practitioners.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+      </div>
+      <div className="col-md-5">
+        <label className="form-label">License</label>
+        <input className="form-control" readOnly value={shown ? shown.license : ""} />
+      </div>
+    </div>
+  );
+}
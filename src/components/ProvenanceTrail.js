@@ -0,0 +1,36 @@
+// src/components/ProvenanceTrail.js
+import React from "react";
+import { provenanceTrail } from "../fhir";
+
+/* Who recorded the report's data, on whose behalf, and where it came from */
+export default function ProvenanceTrail({ bundle }) {
+  const trail = provenanceTrail(bundle);
+  if (!trail.length) return <div className="text-muted small">This bundle has no Provenance resources.</div>;
+  return (
+    <ol className="list-unstyled small mb-0">
+      {trail.map(p => (
+        <li key={p.id} className="border rounded p-2 mb-2">
+          <div>
+            <span className="badge bg-primary me-2">{p.activity || "activity"}</span>
+            <strong>{p.recorded}</strong>
+            <span className="text-muted"> — {p.targets.length} target(s): {p.targets.join(", ")}</span>
+          </div>
+          {p.reason && <div>Reason: {p.reason}</div>}
+          <div className="mt-1">
+            {p.agents.map((a, i) => (
+              <div key={i}>
+                <span className="text-secondary">{a.role}:</span> {a.name || "—"}
+                {a.onBehalfOf && <span className="text-muted"> on behalf of {a.onBehalfOf}</span>}
+              </div>
+            ))}
+          </div>
+          {p.entities.length > 0 && (
+            <ul className="mb-0 mt-1">
+              {p.entities.map((x, i) => <li key={i}><span className="text-secondary">{x.role}:</span> {x.label}</li>)}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,28 @@
+// src/components/SignatureStatus.js
+import React, { useEffect, useState } from "react";
+import { verifyBundleSignature } from "../signing";
+
+const STYLES = { valid: "alert-success", invalid: "alert-danger", unsigned: "alert-secondary" };
+
+/* Verifies Bundle.signature whenever the bundle changes */
+export default function SignatureStatus({ bundle }) {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    verifyBundleSignature(bundle)
+      .then(r => { if (!cancelled) setResult(r); })
+      .catch(err => { if (!cancelled) setResult({ status: "invalid", message: err.message }); });
+    return () => { cancelled = true; };
+  }, [bundle]);
+
+  if (!result) return <div className="alert alert-light py-2 small">Checking signature…</div>;
+  return (
+    <div className={`alert ${STYLES[result.status]} py-2 small`}>
+      <strong>Signature {result.status}.</strong> {result.message}
+      {result.when && ` · ${result.when}`}
+      {result.alg && <span className="badge bg-secondary ms-2">{result.alg}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+// src/components/SigningPanel.js
+import React, { useState } from "react";
+import { importSigningKey, generateSigningKey, exportPrivateKeyPem } from "../signing";
+import { downloadBlob } from "../utils/download";
+
+/*
+  Signing key for Bundle.signature. The key lives in memory only: it is gone on
+  reload and never written to drafts or the outbox.
+*/
+export default function SigningPanel({ signingKey, author, onChange }) {
+  const [file, setFile] = useState(null);
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function run(task) {
+    setBusy(true);
+    try {
+      await task();
+    } catch (err) {
+      console.error("Signing key:", err);
+      alert(`Could not load the signing key: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const importKey = () => run(async () => {
+    onChange(await importSigningKey(await file.arrayBuffer(), { fileName: file.name, password }));
+    setPassword("");
+  });
+
+  const generate = () => run(async () => onChange(await generateSigningKey()));
+
+  const downloadKey = () => run(async () => {
+    downloadBlob("test-signing-key.pem", new Blob([await exportPrivateKeyPem(signingKey)], { type: "application/x-pem-file" }));
+  });
+
+  const subjectMismatch = signingKey && signingKey.subject && author && signingKey.subject !== author.name;
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">9. Signature (optional)</div>
+      <div className="card-body">
+        {signingKey ? (
+          <>
+            <div className="d-flex justify-content-between align-items-start">
+              <div>
+                <div>
+                  <strong>{signingKey.subject || (signingKey.source === "generated" ? "Generated test key" : "Key without certificate")}</strong>{" "}
+                  <span className="badge bg-secondary">{signingKey.alg}</span>
+                </div>
+                <div className="small text-muted">
+                  Key id <code>{signingKey.kid}</code>
+                  {signingKey.certificates.length > 0 && ` · ${signingKey.certificates.length} certificate(s)`}
+                </div>
+                <div className="small">The bundle is signed as the author{author ? ` (${author.name})` : ""} on Preview and Submit.</div>
+              </div>
+              <div className="btn-group btn-group-sm">
+                {signingKey.source === "generated" && <button className="btn btn-outline-secondary" disabled={busy} onClick={downloadKey}>Download key (.pem)</button>}
+                <button className="btn btn-outline-danger" onClick={() => onChange(null)}>Remove key</button>
+              </div>
+            </div>
+            {subjectMismatch && (
+              <div className="alert alert-warning py-1 small mt-2 mb-0">
+                The certificate is issued to "{signingKey.subject}", but the author is "{author.name}".
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="row g-2 align-items-end">
+            <div className="col-md-5">
+              <label className="form-label">Practitioner key</label>
+              <input type="file" className="form-control" accept=".p12,.pfx,.pem,.key,.der" onChange={e => setFile((e.target.files && e.target.files[0]) || null)} />
+              <div className="form-text">PKCS#12 (.p12/.pfx) or PKCS#8 (.pem/.der)</div>
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Password</label>
+              <input type="password" className="form-control" value={password} onChange={e => setPassword(e.target.value)} autoComplete="off" />
+              <div className="form-text">For .p12 or encrypted keys</div>
+            </div>
+            <div className="col-md-4 mb-4">
+              <button className="btn btn-outline-primary me-2" disabled={!file || busy} onClick={importKey}>Import key</button>
+              <button className="btn btn-outline-secondary" disabled={busy} onClick={generate}>Generate test key pair</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// src/components/ValidationReport.js
+import React from "react";
+
+/* Errors and warnings from validateBundle, one row per resource path */
+export default function ValidationReport({ validation }) {
+  if (!validation) return null;
+  const { errors, warnings } = validation;
+  if (!errors.length && !warnings.length) {
+    return <div className="alert alert-success py-2">Bundle conforms to the NRCES DiagnosticReportRecord constraints.</div>;
+  }
+  const issues = [...errors, ...warnings];
+  return (
+    <div className={`alert ${errors.length ? "alert-danger" : "alert-warning"} py-2`}>
+      <div className="mb-1">
+        <strong>{errors.length} error(s)</strong>, {warnings.length} warning(s)
+        {errors.length > 0 && " — fix the errors before submitting."}
+      </div>
+      <ul className="list-unstyled small mb-0" style={{ maxHeight: 200, overflowY: "auto" }}>
+        {issues.map((x, i) => (
+          <li key={i}>
+            <span className={`badge me-2 ${x.severity === "error" ? "bg-danger" : "bg-warning text-dark"}`}>{x.severity}</span>
+            <code>{x.path}</code> {x.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
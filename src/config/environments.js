@@ -0,0 +1,117 @@
+// src/config/environments.js
+import { ABHA_DOMAINS, abhaEnvironmentOf } from "../fhir/abha";
+
+/*
+  Backend environments. The same build can talk to a local mock, the UAT
+  gateway or production; which one is decided at startup, not at build time.
+
+  environment = {
+    id, label,
+    baseUrl,      // "" = same origin as the page (the host app serves the API)
+    authMode,     // "none" | "oidc" | "host-token" (see ./auth)
+    oidc,         // authMode "oidc": { issuer | authorizationEndpoint + tokenEndpoint, clientId, scope?, redirectUri? }
+    hostOrigins,  // origins allowed to embed the builder in an iframe and post tokens to it
+                  // (config key "hostOrigin": one origin or a list); none = no iframe host is trusted
+    abhaDomain,   // "sbx" | "abdm"; ABHA addresses on another domain are flagged
+    production,   // true only for live patient data
+  }
+
+  Runtime config (public/config.json, fetched once at startup; optional):
+    { "defaultEnvironment": "uat",
+      "environments": { "prod": { "baseUrl": "https://..." }, "mock": { "label": "Mock", "baseUrl": "http://localhost:4010", ... } } }
+  Entries override or extend the built-in profiles field by field.
+
+  Chosen, in order: ?env=<id> in the page URL, the last choice (localStorage),
+  config.defaultEnvironment, REACT_APP_ENVIRONMENT, "uat".
+*/
+
+export const RUNTIME_CONFIG_URL = "/config.json";
+export const ENVIRONMENT_KEY = "drb.environment";
+export const AUTH_MODES = ["none", "oidc", "host-token"];
+
+export const API_PATHS = {
+  patients: "/api/v5/patients",
+  practitioners: "/api/v5/practitioners",
+  fhirBundle: "/api/v5/fhir-bundle",
+};
+
+export const BUILT_IN_ENVIRONMENTS = {
+  dev: { label: "Development", baseUrl: "http://localhost:8000", authMode: "none", abhaDomain: ABHA_DOMAINS.sandbox, production: false },
+  uat: { label: "UAT", baseUrl: "https://uat.discharge.org.in", authMode: "host-token", abhaDomain: ABHA_DOMAINS.sandbox, production: false },
+  prod: { label: "Production", baseUrl: "", authMode: "host-token", abhaDomain: ABHA_DOMAINS.production, production: true },
+};
+const FALLBACK_ENVIRONMENT = "uat";
+
+/* -> { profile, errors }; a profile with errors is not offered */
+export function normalizeEnvironment(id, raw) {
+  const errors = [];
+  const src = raw && typeof raw === "object" ? raw : {};
+  const baseUrl = String(src.baseUrl === undefined || src.baseUrl === null ? "" : src.baseUrl).trim().replace(/\/+$/, "");
+  if (baseUrl && !/^https?:\/\/[^/\s]+(\/\S*)?$/i.test(baseUrl)) errors.push(`baseUrl "${src.baseUrl}" is not an http(s) URL`);
+  const authMode = src.authMode || "none";
+  if (!AUTH_MODES.includes(authMode)) errors.push(`unknown authMode "${authMode}" (expected ${AUTH_MODES.join(", ")})`);
+  const abhaDomain = String(src.abhaDomain || ABHA_DOMAINS.sandbox).replace(/^@/, "").toLowerCase();
+  if (!Object.values(ABHA_DOMAINS).includes(abhaDomain)) errors.push(`unknown abhaDomain "${src.abhaDomain}"`);
+  const oidc = authMode === "oidc" ? src.oidc || {} : null;
+  if (oidc && !oidc.clientId) errors.push("oidc.clientId is required");
+  if (oidc && !oidc.issuer && !(oidc.authorizationEndpoint && oidc.tokenEndpoint)) errors.push("oidc needs an issuer or authorizationEndpoint and tokenEndpoint");
+  const hostOrigins = [].concat(src.hostOrigin || []).map(o => String(o).trim().replace(/\/+$/, ""));
+  hostOrigins.filter(o => !/^https?:\/\/[^/\s]+$/i.test(o)).forEach(o => errors.push(`hostOrigin "${o}" is not an http(s) origin`));
+  return {
+    profile: {
+      id, label: String(src.label || id), baseUrl, authMode, abhaDomain, production: !!src.production,
+      ...(oidc ? { oidc } : {}),
+      hostOrigins,
+    },
+    errors,
+  };
+}
+
+/* Built-in profiles with the runtime config applied -> { environments, defaultEnvironment } */
+export function mergeRuntimeConfig(runtime) {
+  const overrides = (runtime && typeof runtime.environments === "object" && runtime.environments) || {};
+  const environments = {};
+  new Set([...Object.keys(BUILT_IN_ENVIRONMENTS), ...Object.keys(overrides)]).forEach(id => {
+    const { profile, errors } = normalizeEnvironment(id, { ...BUILT_IN_ENVIRONMENTS[id], ...overrides[id] });
+    if (errors.length) console.warn(`Environment "${id}" ignored: ${errors.join("; ")}`);
+    else environments[id] = profile;
+  });
+  const wanted = runtime && runtime.defaultEnvironment;
+  return { environments, defaultEnvironment: environments[wanted] ? wanted : null };
+}
+
+/* First known id among the startup sources */
+export function pickEnvironmentId(config, { query, stored, buildDefault } = {}) {
+  const hit = [query, stored, config.defaultEnvironment, buildDefault, FALLBACK_ENVIRONMENT].find(id => id && config.environments[id]);
+  return hit || Object.keys(config.environments)[0];
+}
+
+/* Absolute (or same-origin) URL of an API endpoint in `env` */
+export function endpointUrl(env, name) {
+  return `${env.baseUrl}${API_PATHS[name]}`;
+}
+
+/* "sandbox" | "production", as fhir/abha's validateAbhaAddress expects */
+export function abhaEnvironmentFor(env) {
+  return abhaEnvironmentOf(`x@${env.abhaDomain}`);
+}
+
+export async function loadRuntimeConfig({ fetchImpl = (...args) => fetch(...args), url = RUNTIME_CONFIG_URL } = {}) {
+  try {
+    const res = await fetchImpl(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(`${url}: ${res.status}`);
+    return mergeRuntimeConfig(await res.json());
+  } catch (err) {
+    console.warn("No runtime config, using the built-in environments", err);
+    return mergeRuntimeConfig(null);
+  }
+}
+
+/* Startup: load the runtime config and pick the environment -> { environment, config } */
+export async function resolveEnvironment({ fetchImpl, storage, search = "", buildDefault } = {}) {
+  const config = await loadRuntimeConfig({ fetchImpl });
+  let stored = null;
+  try { stored = storage && storage.getItem(ENVIRONMENT_KEY); } catch { /* storage disabled */ }
+  const id = pickEnvironmentId(config, { query: new URLSearchParams(search).get("env"), stored, buildDefault });
+  return { environment: config.environments[id], config };
+}
@@ -0,0 +1,45 @@
+import { mergeRuntimeConfig, resolveEnvironment, endpointUrl, abhaEnvironmentFor, ENVIRONMENT_KEY } from "./environments";
+
+function jsonResponse(data, ok = true) {
+  return Promise.resolve({ ok, status: ok ? 200 : 404, json: () => Promise.resolve(data) });
+}
+
+test("runtime config overrides and extends the built-in profiles; invalid ones are dropped", () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const config = mergeRuntimeConfig({
+    defaultEnvironment: "mock",
+    environments: {
+      prod: { baseUrl: "https://api.example.org/", hostOrigin: ["https://emr.example.org/", "https://ward.example.org"] },
+      mock: { label: "Local mock", baseUrl: "http://localhost:4010", abhaDomain: "@sbx" },
+      broken: { baseUrl: "ftp://nope", authMode: "magic" },
+      framed: { hostOrigin: "emr.example.org/ward" },
+      sso: { baseUrl: "https://api.example.org", authMode: "oidc", oidc: { issuer: "https://id.example.org" } },
+    },
+  });
+  warn.mockRestore();
+
+  expect(Object.keys(config.environments)).toEqual(["dev", "uat", "prod", "mock"]);
+  expect(config.defaultEnvironment).toBe("mock");
+  expect(config.environments.prod).toMatchObject({ baseUrl: "https://api.example.org", authMode: "host-token", abhaDomain: "abdm", production: true });
+  expect(config.environments.prod.hostOrigins).toEqual(["https://emr.example.org", "https://ward.example.org"]);
+  expect(config.environments.uat.hostOrigins).toEqual([]);
+  expect(config.environments.mock).toMatchObject({ label: "Local mock", authMode: "none", abhaDomain: "sbx", production: false });
+  expect(endpointUrl(config.environments.uat, "fhirBundle")).toBe("https://uat.discharge.org.in/api/v5/fhir-bundle");
+  expect(endpointUrl(config.environments.prod, "patients")).toBe("https://api.example.org/api/v5/patients");
+  expect(abhaEnvironmentFor(config.environments.prod)).toBe("production");
+  expect(abhaEnvironmentFor(config.environments.uat)).toBe("sandbox");
+});
+
+test("the page URL wins over the stored choice, which wins over the config default", async () => {
+  const fetchImpl = () => jsonResponse({ defaultEnvironment: "dev" });
+  const storage = { getItem: k => (k === ENVIRONMENT_KEY ? "prod" : null) };
+
+  expect((await resolveEnvironment({ fetchImpl, storage, search: "?env=uat" })).environment.id).toBe("uat");
+  expect((await resolveEnvironment({ fetchImpl, storage, search: "?env=unknown" })).environment.id).toBe("prod");
+  expect((await resolveEnvironment({ fetchImpl, storage: null })).environment.id).toBe("dev");
+
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const missing = await resolveEnvironment({ fetchImpl: () => jsonResponse(null, false), buildDefault: "prod" });
+  warn.mockRestore();
+  expect(missing.environment.id).toBe("prod"); // no config.json: the build default applies
+});
@@ -0,0 +1,40 @@
+// src/config/index.js
+import { resolveEnvironment, mergeRuntimeConfig, pickEnvironmentId, ENVIRONMENT_KEY } from "./environments";
+
+export {
+  RUNTIME_CONFIG_URL,
+  ENVIRONMENT_KEY,
+  AUTH_MODES,
+  API_PATHS,
+  BUILT_IN_ENVIRONMENTS,
+  normalizeEnvironment,
+  mergeRuntimeConfig,
+  pickEnvironmentId,
+  endpointUrl,
+  abhaEnvironmentFor,
+  loadRuntimeConfig,
+  resolveEnvironment,
+} from "./environments";
+
+/* Environment for this page load (URL, last choice, config.json, build default) */
+export function resolveBrowserEnvironment() {
+  return resolveEnvironment({
+    storage: window.localStorage,
+    search: window.location.search,
+    buildDefault: process.env.REACT_APP_ENVIRONMENT,
+  });
+}
+
+/* Built-in profiles only, for rendering without the startup step (tests) */
+export function builtInEnvironmentConfig() {
+  const config = mergeRuntimeConfig(null);
+  return { environment: config.environments[pickEnvironmentId(config, { buildDefault: process.env.REACT_APP_ENVIRONMENT })], config };
+}
+
+/* Switching environments reloads the page so nothing built for the old backend lingers */
+export function switchEnvironment(id) {
+  window.localStorage.setItem(ENVIRONMENT_KEY, id);
+  const url = new URL(window.location.href);
+  url.searchParams.delete("env");
+  window.location.assign(url.toString());
+}
@@ -0,0 +1,68 @@
+// src/drafts/drafts.js
+/*
+  Draft persistence for in-progress reports.
+
+  - Draft form state (JSON) lives in localStorage under DRAFTS_KEY as a list
+  - Uploaded files are kept as Blobs in IndexedDB (one record per draft)
+
+  draft = { id, label, updatedAt, patientKey, patient, selectedAbha, form, fileNames }
+*/
+
+export const DRAFTS_KEY = "drb.drafts";
+
+/* Stable identity for a patient record (patients.json repeats `id`) */
+export function patientKeyOf(p) {
+  if (!p) return "";
+  return String(p.user_ref_id || p.abha_ref || p.user_id || p.id || p.name || "");
+}
+
+export function createDraftStore({ storage, fileStore }) {
+  function readAll() {
+    try {
+      const arr = JSON.parse(storage.getItem(DRAFTS_KEY) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    } catch { return []; }
+  }
+  function writeAll(drafts) {
+    storage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+  }
+
+  /* Newest first */
+  function list() {
+    return readAll().sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function save(draft, files = []) {
+    const record = { ...draft, fileNames: files.map(f => f.name) };
+    writeAll([...readAll().filter(d => d.id !== draft.id), record]);
+    if (fileStore) {
+      if (files.length) {
+        await fileStore.put({ draftId: draft.id, files: files.map(f => ({ name: f.name, type: f.type, blob: f })) });
+      } else {
+        await fileStore.delete(draft.id);
+      }
+    }
+    return record;
+  }
+
+  /* { draft, files } where files are File objects rebuilt from the stored Blobs */
+  async function load(id) {
+    const draft = readAll().find(d => d.id === id);
+    if (!draft) return null;
+    let files = [];
+    if (fileStore) {
+      const rec = await fileStore.get(id);
+      files = (rec && Array.isArray(rec.files) ? rec.files : []).map(f =>
+        typeof File === "function" && !(f.blob instanceof File) ? new File([f.blob], f.name, { type: f.type }) : f.blob
+      );
+    }
+    return { draft, files };
+  }
+
+  async function remove(id) {
+    writeAll(readAll().filter(d => d.id !== id));
+    if (fileStore) await fileStore.delete(id);
+  }
+
+  return { list, save, load, remove };
+}
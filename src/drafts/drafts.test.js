@@ -0,0 +1,32 @@
+import { createDraftStore, patientKeyOf, DRAFTS_KEY } from "./drafts";
+import { createMemoryStore } from "../utils/idb";
+
+function memoryStorage() {
+  const data = {};
+  return { getItem: k => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+}
+
+test("saves, lists newest first, loads and removes drafts with their files", async () => {
+  const storage = memoryStorage();
+  const store = createDraftStore({ storage, fileStore: createMemoryStore("draftId") });
+  const file = new File(["%PDF-1.4"], "report.pdf", { type: "application/pdf" });
+
+  await store.save({ id: "a", label: "A", updatedAt: 1, form: { title: "A" } }, [file]);
+  await store.save({ id: "b", label: "B", updatedAt: 2, form: { title: "B" } });
+  expect(store.list().map(d => d.id)).toEqual(["b", "a"]);
+  expect(JSON.parse(storage.getItem(DRAFTS_KEY))).toHaveLength(2);
+
+  const { draft, files } = await store.load("a");
+  expect(draft.fileNames).toEqual(["report.pdf"]);
+  expect(files.map(f => [f.name, f.type])).toEqual([["report.pdf", "application/pdf"]]);
+
+  await store.remove("a");
+  expect(store.list().map(d => d.id)).toEqual(["b"]);
+  expect(await store.load("a")).toBeNull();
+});
+
+test("patient key prefers stable identifiers over the repeated numeric id", () => {
+  expect(patientKeyOf({ id: 3, user_ref_id: "0df16bf4" })).toBe("0df16bf4");
+  expect(patientKeyOf({ id: 3 })).toBe("3");
+  expect(patientKeyOf(null)).toBe("");
+});
@@ -0,0 +1,11 @@
+// src/drafts/index.js
+import { createDraftStore } from "./drafts";
+import { createIdbStore, createMemoryStore, isIndexedDbAvailable } from "../utils/idb";
+
+export { createDraftStore, patientKeyOf, DRAFTS_KEY } from "./drafts";
+
+/* Drafts in localStorage, their files in IndexedDB */
+export function createBrowserDraftStore() {
+  const fileStore = isIndexedDbAvailable() ? createIdbStore("draftFiles") : createMemoryStore("draftId");
+  return createDraftStore({ storage: window.localStorage, fileStore });
+}
@@ -0,0 +1,61 @@
+// src/embed/bridge.js
+/*
+  Link between the builder and the page that embeds it (mount API or iframe).
+
+  host -> builder   prefill({ patient | patientId, practitioner, form })   queued until the builder listens
+                    setToken(token)                                       string or { accessToken, expiresIn }
+  builder -> host   ready(), submitted(result), error({ message }), cancel()
+
+  result = { id, status: "sent" | "pending", bundle, careContext, lastError }
+  A "pending" submission is reported again as "sent" once the outbox delivers it.
+
+  A prefilled patient is looked up in the registry (patientId, or the patient's
+  user_ref_id, ABHA number, MRN or ABHA address); error() reports a miss.
+
+  form takes the draft form fields (title, status, dateTimeLocal, testCode,
+  observations: [{ codeText, valueText, valueUnit, ... }], ...); see App.applyDraftForm.
+*/
+
+export function createEmbedBridge({ onReady, onSubmitted, onError, onCancel, auth = {} } = {}) {
+  const queue = [];
+  let listener = null;
+  let announced = false;
+
+  function dispatch(command) {
+    if (listener) listener(command);
+    else queue.push(command);
+  }
+
+  /* The builder's command handler; returns unlisten() */
+  function listen(fn) {
+    listener = fn;
+    queue.splice(0).forEach(fn);
+    return () => { if (listener === fn) listener = null; };
+  }
+
+  // a throwing host callback must not break the builder
+  const call = (fn, value) => {
+    if (!fn) return;
+    try {
+      fn(value);
+    } catch (err) {
+      console.error("Embedding page callback failed:", err);
+    }
+  };
+
+  return {
+    prefill: data => dispatch({ type: "prefill", data: data || {} }),
+    setToken: token => dispatch({ type: "token", token }),
+    listen,
+    // once per bridge, however often the builder (re)mounts its listener (StrictMode runs effects twice)
+    ready: () => {
+      if (announced) return;
+      announced = true;
+      call(onReady);
+    },
+    submitted: result => call(onSubmitted, result),
+    error: err => call(onError, { message: err && err.message ? err.message : String(err) }),
+    cancel: () => call(onCancel),
+    auth, // { initialToken, requestToken, hostOrigin } for the auth session
+  };
+}
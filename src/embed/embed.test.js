@@ -0,0 +1,73 @@
+import { connectToParent, iframeEmbedOptions, EMBED_MESSAGES } from "./iframe";
+
+function fakeWindow(search = "", referrer = "") {
+  const listeners = {};
+  const parent = { postMessage: jest.fn() };
+  return {
+    parent,
+    location: { search },
+    document: { referrer },
+    listeners,
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    removeEventListener: type => { delete listeners[type]; },
+  };
+}
+
+test("detects iframe embedding and only trusts allowed host origins", () => {
+  const allowed = ["https://emr.example", "https://ward.example"];
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  expect(iframeEmbedOptions(allowed, fakeWindow("?embed=iframe&hostOrigin=https://ward.example/"))).toEqual({ hostOrigin: "https://ward.example" });
+  expect(iframeEmbedOptions(["https://emr.example"], fakeWindow("?embed=iframe"))).toEqual({ hostOrigin: "https://emr.example" });
+  // neither the query nor the referrer can bring in another origin
+  expect(iframeEmbedOptions(allowed, fakeWindow("?embed=iframe&hostOrigin=https://evil.example"))).toEqual({ hostOrigin: null });
+  expect(iframeEmbedOptions(allowed, fakeWindow("?embed=iframe", "https://emr.example/ward/7"))).toEqual({ hostOrigin: null });
+  expect(iframeEmbedOptions([], fakeWindow("?embed=iframe&hostOrigin=https://emr.example"))).toEqual({ hostOrigin: null });
+  warn.mockRestore();
+  expect(iframeEmbedOptions(allowed, fakeWindow(""))).toBeNull();
+  const top = fakeWindow("?embed=iframe");
+  top.parent = top;
+  expect(iframeEmbedOptions(allowed, top)).toBeNull();
+});
+
+test("posts and accepts nothing without an allowed host origin", () => {
+  const win = fakeWindow();
+  const bridge = connectToParent({ hostOrigin: null, win });
+  const commands = [];
+  bridge.listen(c => commands.push(c));
+  win.listeners.message({ source: win.parent, origin: "https://evil.example", data: { type: EMBED_MESSAGES.PREFILL, patientId: "MRN-1" } });
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  bridge.ready();
+  warn.mockRestore();
+  expect(commands).toEqual([]);
+  expect(win.parent.postMessage).not.toHaveBeenCalled();
+});
+
+test("queues prefills from the host until the builder listens and posts results to the host origin only", () => {
+  const win = fakeWindow();
+  const bridge = connectToParent({ hostOrigin: "https://emr.example", win });
+  const prefill = { type: EMBED_MESSAGES.PREFILL, patientId: "MRN-1", form: { title: "CBC" } };
+
+  win.listeners.message({ source: {}, origin: "https://emr.example", data: { ...prefill, patientId: "other-window" } });
+  win.listeners.message({ source: win.parent, origin: "https://evil.example", data: { ...prefill, patientId: "other-origin" } });
+  win.listeners.message({ source: win.parent, origin: "https://emr.example", data: prefill });
+
+  const commands = [];
+  const unlisten = bridge.listen(c => commands.push(c));
+  expect(commands).toEqual([{ type: "prefill", data: { patientId: "MRN-1", form: { title: "CBC" } } }]);
+
+  bridge.ready();
+  bridge.ready(); // a remounted builder does not announce itself twice
+  bridge.submitted({ id: "urn:uuid:1", status: "sent", bundle: { resourceType: "Bundle" } });
+  bridge.error(new Error("Patient MRN-1 was not found in the registry"));
+  bridge.cancel();
+  expect(win.parent.postMessage.mock.calls).toEqual([
+    [{ type: EMBED_MESSAGES.READY }, "https://emr.example"],
+    [{ type: EMBED_MESSAGES.SUBMITTED, id: "urn:uuid:1", status: "sent", bundle: { resourceType: "Bundle" } }, "https://emr.example"],
+    [{ type: EMBED_MESSAGES.ERROR, message: "Patient MRN-1 was not found in the registry" }, "https://emr.example"],
+    [{ type: EMBED_MESSAGES.CANCEL }, "https://emr.example"],
+  ]);
+
+  unlisten();
+  bridge.disconnect();
+  expect(win.listeners.message).toBeUndefined();
+});
@@ -0,0 +1,76 @@
+// src/embed/iframe.js
+import { createEmbedBridge } from "./bridge";
+
+/*
+  postMessage protocol for running the builder in an iframe:
+
+    <iframe src="https://builder.example/?embed=iframe&hostOrigin=https://emr.example&env=prod">
+
+  host -> frame   { type: "drb:prefill", patientId?, patient?, practitioner?, form? }
+                  { type: "drb:auth-token", accessToken, expiresIn? }          (see ./auth)
+  frame -> host   { type: "drb:ready" }
+                  { type: "drb:submitted", id, status, bundle, careContext, lastError }
+                  { type: "drb:error", message }
+                  { type: "drb:cancel" }
+                  { type: "drb:auth-token-request" }
+
+  Hosts should send drb:prefill after drb:ready; earlier messages only arrive
+  once the frame's script has loaded.
+
+  Only messages from the parent window at hostOrigin are accepted, and replies
+  (which carry patient data) are only posted to that origin. hostOrigin must be
+  one of the environment's hostOrigins (see ./config); ?hostOrigin picks one
+  when several are allowed. Without a match nothing is posted or accepted.
+*/
+
+export const EMBED_MESSAGES = {
+  PREFILL: "drb:prefill",
+  READY: "drb:ready",
+  SUBMITTED: "drb:submitted",
+  ERROR: "drb:error",
+  CANCEL: "drb:cancel",
+};
+
+/* { hostOrigin } when this page load is an iframe embed, else null; hostOrigin is null unless allowed */
+export function iframeEmbedOptions(allowedOrigins = [], win = window) {
+  const params = new URLSearchParams(win.location.search);
+  if (params.get("embed") !== "iframe" || !win.parent || win.parent === win) return null;
+  const requested = (params.get("hostOrigin") || "").replace(/\/+$/, "");
+  if (!allowedOrigins.length) {
+    console.warn("Embedded in an iframe, but this environment allows no host origins (hostOrigin in config.json)");
+    return { hostOrigin: null };
+  }
+  if (requested) {
+    if (allowedOrigins.includes(requested)) return { hostOrigin: requested };
+    console.warn(`Host origin ${requested} is not allowed for this environment`);
+    return { hostOrigin: null };
+  }
+  if (allowedOrigins.length > 1) console.warn("Several host origins are allowed; add ?hostOrigin=... to pick one");
+  return { hostOrigin: allowedOrigins.length === 1 ? allowedOrigins[0] : null };
+}
+
+/* Bridge whose host side is the parent window; disconnect() stops listening */
+export function connectToParent({ hostOrigin, win = window }) {
+  const post = (type, data = {}) => {
+    if (!hostOrigin) {
+      console.warn(`Not posting ${type}: no allowed host origin`);
+      return;
+    }
+    win.parent.postMessage({ type, ...data }, hostOrigin);
+  };
+  const bridge = createEmbedBridge({
+    onReady: () => post(EMBED_MESSAGES.READY),
+    onSubmitted: result => post(EMBED_MESSAGES.SUBMITTED, result),
+    onError: error => post(EMBED_MESSAGES.ERROR, error),
+    onCancel: () => post(EMBED_MESSAGES.CANCEL),
+    auth: { hostOrigin },
+  });
+
+  function onMessage(event) {
+    if (event.source !== win.parent || !hostOrigin || event.origin !== hostOrigin) return;
+    const { type, ...data } = event.data || {};
+    if (type === EMBED_MESSAGES.PREFILL) bridge.prefill(data);
+  }
+  win.addEventListener("message", onMessage);
+  return { ...bridge, disconnect: () => win.removeEventListener("message", onMessage) };
+}
@@ -0,0 +1,5 @@
+// src/embed/index.js
+/* Embedding the builder in a host application (mount API, iframe postMessage protocol) */
+export { createEmbedBridge } from "./bridge";
+export { EMBED_MESSAGES, iframeEmbedOptions, connectToParent } from "./iframe";
+export { mountDiagnosticReportBuilder } from "./mount";
@@ -0,0 +1,72 @@
+// src/embed/mount.js
+import React from "react";
+import ReactDOM from "react-dom/client";
+import App from "../App";
+import { createEmbedBridge } from "./bridge";
+import { normalizeEnvironment, loadRuntimeConfig, mergeRuntimeConfig, pickEnvironmentId } from "../config";
+
+/*
+  Mount API for embedding the builder in a host page without an iframe:
+
+    const builder = window.DiagnosticReportBuilder.mount(element, {
+      environment: "prod",                 // id, or a full profile { baseUrl, authMode, abhaDomain, ... }
+      configUrl,                           // optional runtime config.json for the ids
+      patientId | patient,                 // preselected patient
+      practitioner,                        // { id, name, license }: author and enterer
+      form,                                // prefilled form fields (see ./bridge)
+      token, onTokenRequest,               // bearer token and how to get a fresh one (may return a promise)
+      onReady, onSubmitted, onError, onCancel,
+    });
+    builder.prefill({ ... }); builder.setToken(token); builder.unmount();
+
+  The builder shares the host page's CSS (it loads Bootstrap 5 globally); use
+  the iframe protocol (./iframe) when the host needs its styles isolated.
+*/
+
+async function environmentFor(config) {
+  if (config.environment && typeof config.environment === "object") {
+    const { profile, errors } = normalizeEnvironment(config.environment.id || "embedded", config.environment);
+    if (errors.length) throw new Error(`Invalid environment: ${errors.join("; ")}`);
+    return profile;
+  }
+  const runtime = config.configUrl ? await loadRuntimeConfig({ url: config.configUrl }) : mergeRuntimeConfig(null);
+  return runtime.environments[pickEnvironmentId(runtime, { query: config.environment, buildDefault: process.env.REACT_APP_ENVIRONMENT })];
+}
+
+export function mountDiagnosticReportBuilder(element, config = {}) {
+  if (!element || typeof element.appendChild !== "function") throw new Error("mount() needs a DOM element");
+  const bridge = createEmbedBridge({
+    onReady: config.onReady,
+    onSubmitted: config.onSubmitted,
+    onError: config.onError,
+    onCancel: config.onCancel,
+    auth: { initialToken: config.token || null, requestToken: config.onTokenRequest || null },
+  });
+  const { patientId, patient, practitioner, form } = config;
+  if (patientId || patient || practitioner || form) bridge.prefill({ patientId, patient, practitioner, form });
+
+  const root = ReactDOM.createRoot(element);
+  let unmounted = false;
+  const ready = environmentFor(config).then(environment => {
+    if (unmounted) return;
+    // switching environments would reload the host page, so only the chosen one is offered
+    root.render(
+      <React.StrictMode>
+        <App environment={environment} environments={{ [environment.id]: environment }} embed={bridge} />
+      </React.StrictMode>
+    );
+  }).catch(err => {
+    console.error("Could not mount the Diagnostic Report Builder:", err);
+    bridge.error(err);
+  });
+
+  return {
+    ready,
+    prefill: bridge.prefill,
+    setToken: bridge.setToken,
+    unmount() {
+      unmounted = true;
+      root.unmount();
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// src/fhir/abha.js
+/*
+  ABHA (Ayushman Bharat Health Account) identifiers.
+
+  ABHA number   14 digits, written xx-xxxx-xxxx-xxxx; the last digit is a Luhn (mod 10) check digit
+  ABHA address  <handle>@<domain>; handle 8–18 letters/digits with single "." or "_" separators
+                (not leading/trailing); domain "sbx" in the sandbox, "abdm" in production
+
+  Patient.identifier typing follows the NRCES Patient examples:
+    ABHA number  -> type v2-0203 "MR", system https://healthid.ndhm.gov.in
+    ABHA address -> same system, type text "ABHA address"
+    local MRN    -> type v2-0203 "PI" (patient internal identifier)
+*/
+
+export const V2_0203_SYSTEM = "http://terminology.hl7.org/CodeSystem/v2-0203";
+export const ABHA_SYSTEM = "https://healthid.ndhm.gov.in";
+export const MRN_SYSTEM = "https://discharge.org.in/fhir/sid/mrn";
+export const ABHA_DOMAINS = { sandbox: "sbx", production: "abdm" };
+
+const HANDLE_RE = /^[a-z0-9]+(?:[._][a-z0-9]+)*$/;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/* "91710433218355" / "91 7104 3321 8355" -> "91-7104-3321-8355"; null unless exactly 14 digits */
+export function formatAbhaNumber(value) {
+  const raw = String(value || "").trim();
+  if (!/^[\d\s-]+$/.test(raw)) return null;
+  const digits = raw.replace(/\D/g, "");
+  if (digits.length !== 14) return null;
+  return `${digits.slice(0, 2)}-${digits.slice(2, 6)}-${digits.slice(6, 10)}-${digits.slice(10)}`;
+}
+
+/* -> { valid, formatted, errors } */
+export function validateAbhaNumber(value) {
+  const errors = [];
+  const formatted = formatAbhaNumber(value);
+  if (!String(value || "").trim()) errors.push("ABHA number is empty.");
+  else if (!formatted) errors.push(`"${value}" is not a 14-digit ABHA number (xx-xxxx-xxxx-xxxx).`);
+  else if (!luhnValid(formatted.replace(/-/g, ""))) errors.push(`ABHA number ${formatted} fails the checksum.`);
+  return { valid: errors.length === 0, formatted: errors.length ? null : formatted, errors };
+}
+
+/* "sbx" -> "sandbox", "abdm" -> "production", anything else -> null */
+export function abhaEnvironmentOf(address) {
+  const domain = String(address || "").split("@")[1];
+  const hit = Object.entries(ABHA_DOMAINS).find(([, d]) => d === String(domain || "").toLowerCase());
+  return hit ? hit[0] : null;
+}
+
+/* -> { valid, normalized, environment, errors, warnings }; warns when the domain does not match `environment` */
+export function validateAbhaAddress(value, { environment } = {}) {
+  const errors = [];
+  const warnings = [];
+  const normalized = String(value || "").trim().toLowerCase();
+  const parts = normalized.split("@");
+  const [handle, domain] = parts;
+
+  if (!normalized) errors.push("ABHA address is empty.");
+  else if (parts.length !== 2 || !domain) errors.push(`"${value}" is missing the @domain part (e.g. name@${ABHA_DOMAINS.sandbox}).`);
+  else {
+    if (handle.length < 8 || handle.length > 18) errors.push(`"${value}": the name before @ must be 8–18 characters.`);
+    if (!HANDLE_RE.test(handle)) errors.push(`"${value}": use letters and digits with single "." or "_" separators only.`);
+    if (!Object.values(ABHA_DOMAINS).includes(domain)) errors.push(`"${value}": unknown ABHA domain "@${domain}" (expected @${Object.values(ABHA_DOMAINS).join(" or @")}).`);
+  }
+
+  const addressEnv = errors.length ? null : abhaEnvironmentOf(normalized);
+  if (addressEnv && environment && addressEnv !== environment) {
+    warnings.push(`${normalized} is a ${addressEnv} address but the app is connected to ${environment}.`);
+  }
+  return { valid: errors.length === 0, normalized: errors.length ? null : normalized, environment: addressEnv, errors, warnings };
+}
+
+/* Typed Patient.identifier entries; malformed ABHA data is left out */
+export function buildPatientIdentifiers(p, { selectedAbha } = {}) {
+  const identifiers = [];
+  const mrnIdentifier = value => ({
+    type: { coding: [{ system: V2_0203_SYSTEM, code: "PI", display: "Patient internal identifier" }] },
+    system: MRN_SYSTEM,
+    value: String(value),
+  });
+  const mrn = p?.mrn || p?.user_ref_id;
+  if (mrn) identifiers.push(mrnIdentifier(mrn));
+  const number = validateAbhaNumber(p?.abha_ref);
+  if (number.valid) {
+    identifiers.push({
+      type: { coding: [{ system: V2_0203_SYSTEM, code: "MR", display: "Medical record number" }], text: "ABHA number" },
+      system: ABHA_SYSTEM,
+      value: number.formatted,
+    });
+  }
+  const address = validateAbhaAddress(selectedAbha);
+  if (address.valid) {
+    identifiers.push({ type: { text: "ABHA address" }, system: ABHA_SYSTEM, value: address.normalized });
+  }
+  // Patient.identifier is mandatory; the source record id is the last resort
+  if (!identifiers.length && p?.id !== undefined && p?.id !== null && p?.id !== "") identifiers.push(mrnIdentifier(p.id));
+  return identifiers;
+}
@@ -0,0 +1,56 @@
+import {
+  formatAbhaNumber,
+  validateAbhaNumber,
+  validateAbhaAddress,
+  abhaEnvironmentOf,
+  buildPatientIdentifiers,
+  ABHA_SYSTEM,
+  MRN_SYSTEM,
+} from "./abha";
+
+test("formats 14-digit ABHA numbers and verifies the check digit", () => {
+  expect(formatAbhaNumber("91710433218355")).toBe("91-7104-3321-8355");
+  expect(formatAbhaNumber(" 91 7104 3321 8355 ")).toBe("91-7104-3321-8355");
+  expect(formatAbhaNumber("91-7104-3321-835")).toBeNull();
+  expect(formatAbhaNumber("91-71O4-3321-8355")).toBeNull();
+
+  expect(validateAbhaNumber("91-7104-3321-8355")).toEqual({ valid: true, formatted: "91-7104-3321-8355", errors: [] });
+  const bad = validateAbhaNumber("91-7104-3321-8356");
+  expect(bad.valid).toBe(false);
+  expect(bad.errors[0]).toMatch(/checksum/);
+  expect(validateAbhaNumber("12345").errors[0]).toMatch(/14-digit/);
+});
+
+test("validates ABHA address syntax and domain", () => {
+  expect(validateAbhaAddress("RohitKumar30@SBX")).toMatchObject({ valid: true, normalized: "rohitkumar30@sbx", environment: "sandbox" });
+  expect(validateAbhaAddress("sanyam_s.20@sbx").valid).toBe(true);
+  expect(validateAbhaAddress("asha.rao@abdm").environment).toBe("production");
+  expect(validateAbhaAddress("dvdvdvvfvfvf").errors[0]).toMatch(/@domain/);
+  expect(validateAbhaAddress("short@sbx").errors[0]).toMatch(/8–18/);
+  expect(validateAbhaAddress("bad..name1@sbx").valid).toBe(false);
+  expect(validateAbhaAddress("rohitkumar30@gmail").errors[0]).toMatch(/unknown ABHA domain/);
+});
+
+test("warns when the address domain does not match the connected environment", () => {
+  const result = validateAbhaAddress("rohitkumar30@sbx", { environment: "production" });
+  expect(result.valid).toBe(true);
+  expect(result.warnings[0]).toMatch(/sandbox address/);
+  expect(abhaEnvironmentOf("x@abdm")).toBe("production");
+  expect(abhaEnvironmentOf("x@other")).toBeNull();
+});
+
+test("builds typed identifiers and leaves malformed ABHA data out", () => {
+  const ids = buildPatientIdentifiers(
+    { id: 3, user_ref_id: "0df16bf4", abha_ref: "91710433218355" },
+    { selectedAbha: "rohitkumar30@sbx" }
+  );
+  expect(ids.map(i => [i.system, i.type.coding ? i.type.coding[0].code : i.type.text, i.value])).toEqual([
+    [MRN_SYSTEM, "PI", "0df16bf4"],
+    [ABHA_SYSTEM, "MR", "91-7104-3321-8355"],
+    [ABHA_SYSTEM, "ABHA address", "rohitkumar30@sbx"],
+  ]);
+
+  const fallback = buildPatientIdentifiers({ id: 3, abha_ref: "not-an-abha" }, { selectedAbha: "dvdvdvvfvfvf" });
+  expect(fallback).toHaveLength(1);
+  expect(fallback[0]).toMatchObject({ system: MRN_SYSTEM, value: "3" });
+});
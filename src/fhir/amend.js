@@ -0,0 +1,217 @@
+// src/fhir/amend.js
+import { toDatetimeLocalValue } from "./utils";
+import { PLACEHOLDER_PDF_B64 } from "./diagnosticReportBundle";
+import { computeInterpretation, V3_INTERPRETATION_SYSTEM } from "./interpretation";
+import { SNOMED_SYSTEM } from "./specimen";
+import { LOINC_LAB_REPORT } from "./loinc";
+import { ABHA_SYSTEM, MRN_SYSTEM } from "./abha";
+import { GENERATED_REPORT_TITLE } from "./labReportPdf";
+
+/*
+  Amendments of previously submitted Diagnostic Report bundles.
+
+  parseSubmittedBundle(bundle) -> {
+    form,           // draft-form fields (status defaults to "amended"); rows carry `resourceId`
+    patient,        // patients.json-shaped snapshot rebuilt from the Patient resource
+    practitioners,  // { author, performer, attester } as { id, name, license }
+    attachments,    // [{ contentType, title, data }] (generated / placeholder PDFs are dropped; they are re-rendered)
+    amendment,      // pass to buildDiagnosticReportBundle as input.amendment (add `reason`)
+  }
+
+  amendment = {
+    replaces: { compositionId, identifier, version },  // the document being replaced
+    version,        // meta.versionId for every resource of the new document
+    reason,         // why the report changed (required by the UI)
+    ids: {          // identities kept from the prior document
+      patient, encounter, custodian, attesterOrg, diagnosticReport,
+      docRefs: [], binaries: [],
+      practitionersByLicense: { [license]: id },
+    },
+  }
+
+  The amended document gets a new Composition (and Bundle identifier) that points
+  at the prior Composition with relatesTo "replaces"; every other resource keeps
+  its id and has meta.versionId bumped.
+*/
+
+const byRef = (index, ref) => (ref && ref.reference ? index.get(ref.reference) : undefined);
+const idOf = ref => (ref && ref.reference ? ref.reference.replace(/^urn:uuid:/, "") : undefined);
+
+function codingOf(concept, system) {
+  const list = (concept && concept.coding) || [];
+  return (system ? list.find(c => c.system === system) : list[0]) || null;
+}
+
+/* "YYYY-MM-DD" -> "DD-MM-YYYY" (the patients.json date format) */
+function isoToDdMmYyyy(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(iso || "");
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : "";
+}
+
+function practitionerOf(resource) {
+  if (!resource) return null;
+  return {
+    id: resource.id,
+    name: (resource.name && resource.name[0] && resource.name[0].text) || "",
+    license: (resource.identifier && resource.identifier[0] && resource.identifier[0].value) || "",
+  };
+}
+
+function patientSnapshot(p) {
+  if (!p) return null;
+  const identifiers = p.identifier || [];
+  const find = pred => identifiers.find(pred);
+  const mrn = find(i => i.system === MRN_SYSTEM);
+  const abhaNumber = find(i => i.system === ABHA_SYSTEM && i.type && i.type.text === "ABHA number");
+  const abhaAddress = find(i => i.system === ABHA_SYSTEM && i.type && i.type.text === "ABHA address");
+  const telecom = system => ((p.telecom || []).find(t => t.system === system) || {}).value || "";
+  return {
+    name: (p.name && p.name[0] && p.name[0].text) || "",
+    gender: p.gender ? p.gender.charAt(0).toUpperCase() + p.gender.slice(1) : "",
+    dob: isoToDdMmYyyy(p.birthDate),
+    mobile: telecom("phone"),
+    email: telecom("email"),
+    address: (p.address && p.address[0] && p.address[0].text) || "",
+    abha_ref: abhaNumber ? abhaNumber.value : null,
+    user_ref_id: mrn ? mrn.value : undefined,
+    additional_attributes: { abha_addresses: abhaAddress ? [abhaAddress.value] : [] },
+  };
+}
+
+function specimenRow(s) {
+  const type = codingOf(s.type, SNOMED_SYSTEM);
+  const site = codingOf(s.collection && s.collection.bodySite, SNOMED_SYSTEM);
+  const collected = s.collection && s.collection.collectedDateTime;
+  return {
+    id: s.id,
+    resourceId: s.id,
+    typeCode: type ? type.code : "",
+    typeText: (s.type && s.type.text) || "",
+    collectedDateTime: collected ? toDatetimeLocalValue(new Date(collected)) : "",
+    collector: (s.collection && s.collection.collector && s.collection.collector.display) || "",
+    bodySiteCode: site ? site.code : "",
+    bodySiteText: (s.collection && s.collection.bodySite && s.collection.bodySite.text) || "",
+    accessionId: (s.accessionIdentifier && s.accessionIdentifier.value) || "",
+    containerId: (s.container && s.container[0] && s.container[0].identifier && s.container[0].identifier[0].value) || "",
+  };
+}
+
+function observationRow(o, { panelId, authoredOn }) {
+  const range = (o.referenceRange && o.referenceRange[0]) || {};
+  const q = o.valueQuantity;
+  const row = {
+    resourceId: o.id,
+    codeText: (o.code && o.code.text) || "",
+    codeCoding: codingOf(o.code),
+    valueText: q ? String(q.value) : o.valueString || "",
+    valueUnit: q ? q.code || q.unit || "" : "",
+    effectiveDate: o.effectiveDateTime && o.effectiveDateTime !== authoredOn ? o.effectiveDateTime : "",
+    specimenId: idOf(o.specimen) || "",
+    refLow: range.low ? String(range.low.value) : "",
+    refHigh: range.high ? String(range.high.value) : "",
+    refText: range.text || "",
+    critLow: "",
+    critHigh: "",
+    interpretation: "",
+    panelId: panelId || "",
+  };
+  // Critical limits are not part of the document; keep the sent flag unless it is what auto would pick
+  const sent = codingOf(o.interpretation && o.interpretation[0], V3_INTERPRETATION_SYSTEM);
+  if (sent && sent.code !== computeInterpretation(row)) row.interpretation = sent.code;
+  return row;
+}
+
+export function parseSubmittedBundle(bundle) {
+  if (!bundle || bundle.resourceType !== "Bundle" || !Array.isArray(bundle.entry)) {
+    throw new Error("Not a FHIR Bundle");
+  }
+  const index = new Map(bundle.entry.map(e => [e.fullUrl, e.resource]));
+  const composition = bundle.entry[0] && bundle.entry[0].resource;
+  if (!composition || composition.resourceType !== "Composition") throw new Error("The Bundle is not a document (no Composition)");
+
+  const all = type => bundle.entry.map(e => e.resource).filter(r => r && r.resourceType === type);
+  const report = all("DiagnosticReport")[0];
+  if (!report) throw new Error("The document has no DiagnosticReport");
+
+  const patient = byRef(index, composition.subject);
+  const author = practitionerOf(byRef(index, composition.author && composition.author[0]));
+  const performer = practitionerOf(byRef(index, report.performer && report.performer[0]));
+  const attesterEntry = (composition.attester || [])[0] || {};
+  const attesterParty = byRef(index, attesterEntry.party);
+  const encounter = byRef(index, composition.encounter);
+  const custodian = byRef(index, composition.custodian);
+  const authoredOn = composition.date;
+
+  // Panel groups are the results that carry hasMember
+  const results = (report.result || []).map(r => byRef(index, r)).filter(Boolean);
+  const groups = results.filter(o => Array.isArray(o.hasMember));
+  const panelOf = {};
+  groups.forEach(g => g.hasMember.forEach(m => { panelOf[idOf(m)] = g.id; }));
+  const observations = all("Observation").filter(o => !Array.isArray(o.hasMember));
+
+  const docRefs = all("DocumentReference");
+  const attachments = [];
+  const binaries = [];
+  docRefs.forEach(d => {
+    const att = d.content && d.content[0] && d.content[0].attachment;
+    const bin = att && index.get(att.url);
+    binaries.push(bin ? bin.id : undefined);
+    const generated = bin && (bin.data === PLACEHOLDER_PDF_B64 || att.title === GENERATED_REPORT_TITLE || att.title === "placeholder.pdf");
+    if (bin && !generated) attachments.push({ contentType: bin.contentType, title: att.title, data: bin.data });
+  });
+
+  const practitionersByLicense = {};
+  all("Practitioner").forEach(p => {
+    const flat = practitionerOf(p);
+    if (flat.license) practitionersByLicense[flat.license] = p.id;
+  });
+
+  const testCoding = codingOf(report.code);
+  const previousVersion = Number((composition.meta && composition.meta.versionId) || 1) || 1;
+
+  return {
+    form: {
+      status: "amended",
+      title: composition.title || "",
+      dateTimeLocal: authoredOn ? toDatetimeLocalValue(new Date(authoredOn)) : "",
+      encounterText: encounter ? (encounter.type && encounter.type[0] && encounter.type[0].text) || "Encounter" : "",
+      custodianName: (custodian && custodian.name) || "",
+      narrativeStatus: (composition.text && composition.text.status) || "generated",
+      attesterMode: attesterEntry.mode || "professional",
+      attesterPartyType: attesterParty && attesterParty.resourceType === "Organization" ? "Organization" : "Practitioner",
+      attesterOrgName: attesterParty && attesterParty.resourceType === "Organization" ? attesterParty.name || "" : "",
+      testCode: (report.code && report.code.text) || (testCoding && testCoding.display) || "",
+      testCoding: testCoding && testCoding.code !== LOINC_LAB_REPORT.code ? testCoding : null,
+      panels: groups.map(g => ({ id: g.id, resourceId: g.id, coding: codingOf(g.code), text: (g.code && g.code.text) || "" })),
+      observations: observations.map(o => observationRow(o, { panelId: panelOf[o.id], authoredOn })),
+      specimens: all("Specimen").map(specimenRow),
+    },
+    patient: patientSnapshot(patient),
+    practitioners: {
+      author,
+      performer,
+      attester: attesterParty && attesterParty.resourceType === "Practitioner" ? practitionerOf(attesterParty) : null,
+    },
+    attachments,
+    amendment: {
+      replaces: {
+        compositionId: composition.id,
+        identifier: composition.identifier || { system: "urn:ietf:rfc:3986", value: `urn:uuid:${composition.id}` },
+        version: previousVersion,
+        bundleIdentifier: bundle.identifier && bundle.identifier.value,
+      },
+      version: previousVersion + 1,
+      reason: "",
+      ids: {
+        patient: patient && patient.id,
+        encounter: encounter && encounter.id,
+        custodian: custodian && custodian.id,
+        attesterOrg: attesterParty && attesterParty.resourceType === "Organization" ? attesterParty.id : undefined,
+        diagnosticReport: report.id,
+        docRefs: docRefs.map(d => d.id),
+        binaries,
+        practitionersByLicense,
+      },
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import { buildDiagnosticReportBundle, createSequentialUuid, parseSubmittedBundle, validateBundle } from "./index";
+
+const input = {
+  patient: {
+    id: 3,
+    name: "Rohit Kumar",
+    gender: "Male",
+    dob: "30-12-1991",
+    mobile: "7273000898",
+    abha_ref: "91-7104-3321-8355",
+    user_ref_id: "0df16bf4-3271-411c-ab89-ccb09dc76857",
+  },
+  selectedAbha: "rohitkumar30@sbx",
+  practitioner: { id: "PR-001", name: "Dr. ABC1", license: "LIC-1234-1" },
+  metadata: { status: "final", title: "Complete Blood Count", date: "2025-08-30T10:15", encounterText: "OPD visit 2025/0830-17", custodianName: "City Lab" },
+  testCode: "CBC",
+  panels: [{ id: "cbc", coding: { system: "http://loinc.org", code: "58410-2", display: "CBC panel" }, text: "CBC" }],
+  observations: [
+    { codeText: "Hemoglobin", valueText: "13.5", valueUnit: "g/dL", refLow: "13", refHigh: "17", panelId: "cbc", specimenId: "s1" },
+    { codeText: "Remarks", valueText: "Normocytic", interpretation: "A" },
+  ],
+  specimens: [{ id: "s1", typeCode: "119297000", typeText: "Blood specimen", accessionId: "ACC-1" }],
+  attachments: [{ contentType: "application/pdf", title: "cbc.pdf", data: "JVBERi0xLjcK" }],
+};
+
+const clock = () => new Date("2025-08-30T10:20:00");
+
+function amend(original, edit = x => x) {
+  const parsed = parseSubmittedBundle(original);
+  const form = edit(parsed.form);
+  return {
+    parsed,
+    bundle: buildDiagnosticReportBundle({
+      patient: parsed.patient,
+      selectedAbha: parsed.patient.additional_attributes.abha_addresses[0],
+      practitioner: { id: "PR-001", name: "Dr. ABC1", license: "LIC-1234-1" },
+      metadata: { status: form.status, title: form.title, date: form.dateTimeLocal, encounterText: form.encounterText, custodianName: form.custodianName },
+      testCode: form.testCode,
+      testCoding: form.testCoding,
+      panels: form.panels,
+      observations: form.observations,
+      specimens: form.specimens,
+      attachments: parsed.attachments,
+      amendment: { ...parsed.amendment, reason: "Hemoglobin <re-run>" },
+    }, { uuid: createSequentialUuid(500), now: clock }),
+  };
+}
+
+const idsOf = (bundle, type) => bundle.entry.filter(e => e.resource.resourceType === type).map(e => e.resource.id);
+const first = (bundle, type) => bundle.entry.find(e => e.resource.resourceType === type).resource;
+
+test("reads a submitted bundle back into form rows", () => {
+  const original = buildDiagnosticReportBundle(input, { uuid: createSequentialUuid(), now: clock });
+  const { form, patient, attachments, amendment } = parseSubmittedBundle(original);
+  expect(form.status).toBe("amended");
+  expect(form).toMatchObject({ encounterText: "OPD visit 2025/0830-17", custodianName: "City Lab" });
+  expect(form.observations.map(o => [o.codeText, o.valueText, o.valueUnit, o.refLow, o.interpretation])).toEqual([
+    ["Hemoglobin", "13.5", "g/dL", "13", ""],
+    ["Remarks", "Normocytic", "", "", "A"],
+  ]);
+  expect(form.observations[0].panelId).toBe(form.panels[0].id);
+  expect(form.observations[0].specimenId).toBe(form.specimens[0].id);
+  expect(form.specimens[0]).toMatchObject({ typeCode: "119297000", accessionId: "ACC-1" });
+  expect(patient).toMatchObject({ name: "Rohit Kumar", dob: "30-12-1991", abha_ref: "91-7104-3321-8355", user_ref_id: input.patient.user_ref_id });
+  expect(attachments).toEqual(input.attachments);
+  expect(amendment.version).toBe(2);
+});
+
+test("an amendment keeps resource ids, bumps versions and replaces the prior Composition", () => {
+  const original = buildDiagnosticReportBundle(input, { uuid: createSequentialUuid(), now: clock });
+  const { bundle } = amend(original, form => ({
+    ...form,
+    observations: form.observations.map((o, i) => (i === 0 ? { ...o, valueText: "12.1" } : o)),
+  }));
+
+  ["Patient", "Practitioner", "Encounter", "DiagnosticReport", "Observation", "Specimen", "DocumentReference", "Binary", "Organization"].forEach(type => {
+    expect(idsOf(bundle, type)).toEqual(idsOf(original, type));
+  });
+  expect(first(bundle, "Encounter").type).toEqual([{ text: "OPD visit 2025/0830-17" }]);
+  const oldComposition = first(original, "Composition");
+  const composition = first(bundle, "Composition");
+  expect(composition.id).not.toBe(oldComposition.id);
+  expect(bundle.identifier.value).not.toBe(original.identifier.value);
+  expect(composition.relatesTo).toEqual([{ code: "replaces", targetIdentifier: oldComposition.identifier }]);
+  expect(composition.status).toBe("amended");
+  expect(composition.section[1].text.div).toContain("Hemoglobin &lt;re-run&gt;");
+
+  bundle.entry.forEach(e => expect(e.resource.meta.versionId).toBe("2"));
+  original.entry.forEach(e => expect(e.resource.meta.versionId).toBe("1"));
+  const hb = bundle.entry.map(e => e.resource).find(r => r.code && r.code.text === "Hemoglobin");
+  expect(hb).toMatchObject({ status: "amended", valueQuantity: { value: 12.1 } });
+  expect(validateBundle(bundle).errors).toEqual([]);
+});
+
+test("amending an amendment continues the version chain", () => {
+  const original = buildDiagnosticReportBundle(input, { uuid: createSequentialUuid(), now: clock });
+  const second = amend(original).bundle;
+  const third = amend(second);
+  expect(third.parsed.amendment.replaces.version).toBe(2);
+  expect(first(third.bundle, "DiagnosticReport").meta.versionId).toBe("3");
+  expect(first(third.bundle, "Composition").relatesTo[0].targetIdentifier.value).toBe(`urn:uuid:${first(second, "Composition").id}`);
+});
+
+test("rejects files that are not document bundles", () => {
+  expect(() => parseSubmittedBundle({ resourceType: "Patient" })).toThrow(/Bundle/);
+  expect(() => parseSubmittedBundle({ resourceType: "Bundle", entry: [{ resource: { resourceType: "Patient" } }] })).toThrow(/Composition/);
+});
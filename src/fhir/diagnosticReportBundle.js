@@ -0,0 +1,465 @@
+// src/fhir/diagnosticReportBundle.js
+import {
+  uuidv4,
+  safeUuid,
+  ddmmyyyyToISO,
+  isoWithLocalOffsetFromDate,
+  localDatetimeToISOWithOffset,
+  urnRef,
+  toEntry,
+  escapeXml,
+} from "./utils";
+import { buildSpecimenResources, isSpecimenFilled } from "./specimen";
+import { buildReferenceRange, interpretationConcept, resolveInterpretation } from "./interpretation";
+import { LOINC_LAB_REPORT, codeableConcept } from "./loinc";
+import { buildPanelGroupObservations } from "./panels";
+import { ucumQuantity } from "./ucum";
+import { NRCES_PROFILES, SNOMED_DIAGNOSTIC_STUDIES_REPORT } from "./profiles";
+import { buildPatientIdentifiers } from "./abha";
+import { renderLabReportPdf, GENERATED_REPORT_TITLE } from "./labReportPdf";
+import { addNarratives, NARRATIVE_STATUSES } from "./narrative";
+import { buildProvenanceResource } from "./provenance";
+
+/*
+  Diagnostic Report Record — pure Bundle builder (ABDM/FHIR document bundle)
+
+  buildDiagnosticReportBundle(input, options) -> Bundle
+
+  input = {
+    patient,            // raw patient record (patients.json / API shape)
+    selectedAbha,       // ABHA address string used for Patient.telecom
+    practitioner,       // author { id, name, license }
+    performer,          // practitioner who performed the tests (defaults to the author)
+    metadata: {
+      status, title,
+      date,             // 'datetime-local' value or ISO string; defaults to options.now()
+      encounterText, custodianName,
+      narrativeStatus,  // Resource.text.status: "generated" (default) or "extensions" (see ./narrative)
+      attester: { mode, partyType, orgName, practitioner },  // practitioner defaults to the author
+    },
+    testCode,           // free text (shown in the picker)
+    testCoding,         // { system, code, display } of the selected LOINC panel/test, or null
+    panels,             // [{ id, coding, text }] panels applied from templates (see ./panels)
+    observations,       // [{ codeText, codeCoding, valueText, valueUnit, effectiveDate, specimenId, panelId,
+                        //    refLow, refHigh, refText, critLow, critHigh, interpretation }]
+    specimens,          // see ./specimen (rows without a type are skipped)
+    attachments,        // [{ contentType, title, data (base64, no data: prefix) }]; none -> generated lab report PDF
+    amendment,          // optional, see ./amend — keeps prior resource ids and replaces the prior Composition
+    provenance,         // optional { enterer, sources }, see ./provenance
+  }
+
+  Observation / specimen / panel rows may carry `resourceId` to keep an existing resource id.
+
+  options = {
+    uuid: () => string, // id generator (default: random v4)
+    now: () => Date,    // clock (default: current time)
+  }
+
+  Pass a fixed `uuid` (see createSequentialUuid) and `now` to get byte-identical output.
+*/
+
+/* tiny placeholder PDF header (embedded by older versions when nothing was uploaded) */
+export const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
+
+/* ------------------------------ RESOURCES ---------------------------------- */
+export function buildPatientResource(p, { id, selectedAbha }) {
+  p = p || {};
+  const identifiers = buildPatientIdentifiers(p, { selectedAbha });
+
+  const telecom = [];
+  if (p?.mobile) telecom.push({ system: "phone", value: p.mobile });
+  if (p?.email) telecom.push({ system: "email", value: p.email });
+
+  return {
+    resourceType: "Patient",
+    id,
+    language: "en-IN",
+    meta: { profile: [NRCES_PROFILES.Patient] },
+    identifier: identifiers.length ? identifiers : undefined,
+    name: p.name ? [{ text: p.name }] : undefined,
+    gender: p.gender ? String(p.gender).toLowerCase() : undefined,
+    birthDate: ddmmyyyyToISO(p.dob) || undefined,
+    telecom: telecom.length ? telecom : undefined,
+    address: p?.address ? [{ text: p.address }] : undefined,
+  };
+}
+
+export function buildPractitionerResource({ id, name, license }) {
+  return {
+    resourceType: "Practitioner",
+    id,
+    language: "en-IN",
+    meta: { profile: [NRCES_PROFILES.Practitioner] },
+    identifier: [{
+      type: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MD", display: "Medical License number" }] },
+      system: "https://doctor.ndhm.gov.in",
+      value: license
+    }],
+    name: [{ text: name }],
+  };
+}
+
+/* `text` is the form's encounter reference; amendments read it back from type[0].text */
+export function buildEncounterResource({ id, patientId, start, text }) {
+  return {
+    resourceType: "Encounter",
+    id,
+    language: "en-IN",
+    meta: { profile: [NRCES_PROFILES.Encounter] },
+    status: "finished",
+    class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
+    ...(text ? { type: [{ text }] } : {}),
+    subject: { reference: urnRef(patientId) },
+    period: { start, end: start },
+  };
+}
+
+export function buildOrganizationResource({ id, name }) {
+  return {
+    resourceType: "Organization",
+    id,
+    language: "en-IN",
+    meta: { profile: [NRCES_PROFILES.Organization] },
+    name,
+  };
+}
+
+export function buildObservationResources(observations, ctx) {
+  const { ids, testCode, testCoding, authoredOn, performer, now, resultStatus } = ctx;
+  return observations.map((m, idx) => {
+    const specimenId = m.specimenId ? ids.specimenByKey[m.specimenId] : null;
+    const occ =
+      m.effectiveDate
+        ? (m.effectiveDate.includes("T")
+          ? new Date(m.effectiveDate).toISOString()
+          : ddmmyyyyToISO(m.effectiveDate) || now().toISOString())
+        : authoredOn;
+
+    const hasQuantity = m.valueUnit && m.valueUnit.trim() && !isNaN(Number(m.valueText));
+    const valueQuantity = hasQuantity ? ucumQuantity(Number(m.valueText), m.valueUnit) : undefined;
+    const interpretation = interpretationConcept(resolveInterpretation(m));
+    const referenceRange = buildReferenceRange(m);
+
+    return {
+      resourceType: "Observation",
+      id: ids.observations[idx],
+      language: "en-IN",
+      meta: { profile: [NRCES_PROFILES.Observation] },
+      status: resultStatus,
+      category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" }], text: "Laboratory" }],
+      code: codeableConcept(m.codeCoding, m.codeText) || codeableConcept(testCoding, testCode) || { text: "Diagnostic test" },
+      subject: { reference: urnRef(ids.patient) },
+      effectiveDateTime: occ,
+      ...(valueQuantity ? { valueQuantity } : (m.valueText ? { valueString: m.valueText } : {})),
+      ...(interpretation ? { interpretation: [interpretation] } : {}),
+      ...(referenceRange ? { referenceRange } : {}),
+      performer: [{ reference: urnRef(ids.performer), display: performer.name }],
+      ...(specimenId ? { specimen: { reference: urnRef(specimenId) } } : {}),
+    };
+  });
+}
+
+export function buildDiagnosticReportResource(ctx) {
+  const { ids, metadata, testCode, testCoding, authoredOn, performer } = ctx;
+  return {
+    resourceType: "DiagnosticReport",
+    id: ids.diagnosticReport,
+    language: "en-IN",
+    meta: { profile: [NRCES_PROFILES.DiagnosticReport] },
+    status: metadata.status,
+    category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "LAB", display: "Laboratory" }], text: "Laboratory" }],
+    // Selected panel code; generic "Laboratory report" only when the test is free text
+    code: testCoding ? codeableConcept(testCoding, testCode) : { coding: [LOINC_LAB_REPORT], text: metadata.title },
+    subject: { reference: urnRef(ids.patient) },
+    effectiveDateTime: authoredOn,
+    result: ids.reportResults.map(id => ({ reference: urnRef(id) })),
+    ...(ids.specimens.length ? { specimen: ids.specimens.map(id => ({ reference: urnRef(id) })) } : {}),
+    performer: [{ reference: urnRef(ids.performer), display: performer.name }],
+  };
+}
+
+/* DocumentReference + Binary per attachment; with none, one slot for the generated report (filled in by the caller) */
+export function buildDocAndBinaryResources(attachments, ctx) {
+  const { ids, authoredOn } = ctx;
+  const binaries = [];
+  const docRefs = [];
+
+  const toProcess = attachments.length > 0 ? attachments : [null]; // null => generated report
+  toProcess.forEach((a, i) => {
+    const binId = ids.binaries[i];
+    const docId = ids.docRefs[i];
+
+    const contentType = (a && a.contentType) || "application/pdf";
+    const dataB64 = a ? a.data : PLACEHOLDER_PDF_B64;
+    const title = (a && a.title) || GENERATED_REPORT_TITLE;
+
+    binaries.push({
+      resourceType: "Binary",
+      id: binId,
+      language: "en-IN",
+      meta: { profile: [NRCES_PROFILES.Binary] },
+      contentType,
+      data: dataB64,
+    });
+
+    docRefs.push({
+      resourceType: "DocumentReference",
+      id: docId,
+      language: "en-IN",
+      meta: { profile: [NRCES_PROFILES.DocumentReference] },
+      status: "current",
+      type: { coding: [LOINC_LAB_REPORT], text: "Laboratory report document" },
+      subject: { reference: urnRef(ids.patient) },
+      date: authoredOn,
+      content: [{ attachment: { contentType, title, url: urnRef(binId) } }],
+    });
+  });
+
+  return { binaries, docRefs };
+}
+
+export function buildComposition(docRefsArr, ctx) {
+  const { ids, metadata, authoredOn, practitioner, amendment } = ctx;
+  const attester = metadata.attester || {};
+  const entries = [];
+
+  // DiagnosticReportRecord sections hold the DiagnosticReport (which carries the
+  // Observations in DiagnosticReport.result) and the uploaded documents only
+  entries.push({ reference: urnRef(ids.diagnosticReport), type: "DiagnosticReport" });
+  if (docRefsArr && docRefsArr.length) docRefsArr.forEach(dr => entries.push({ reference: urnRef(dr.id), type: "DocumentReference" }));
+
+  const attesterArr = [];
+  if (attester.partyType === "Practitioner") {
+    attesterArr.push({ mode: attester.mode, party: { reference: urnRef(ids.attesterPractitioner), display: attester.practitioner.name } });
+  } else if (attester.partyType === "Organization" && ids.attesterOrg) {
+    attesterArr.push({ mode: attester.mode, party: { reference: urnRef(ids.attesterOrg) } });
+  }
+
+  return {
+    resourceType: "Composition",
+    id: ids.composition,
+    language: "en-IN",
+    meta: { profile: [NRCES_PROFILES.Composition] },
+    identifier: { system: "urn:ietf:rfc:3986", value: urnRef(ids.composition) },
+    status: metadata.status,
+    type: { coding: [SNOMED_DIAGNOSTIC_STUDIES_REPORT], text: SNOMED_DIAGNOSTIC_STUDIES_REPORT.display },
+    subject: { reference: urnRef(ids.patient) },
+    ...(ids.encounter ? { encounter: { reference: urnRef(ids.encounter) } } : {}),
+    date: authoredOn,
+    author: [{ reference: urnRef(ids.practitioner), display: practitioner.name }],
+    title: metadata.title,
+    attester: (attesterArr.length ? attesterArr : [{ mode: "official", party: { reference: urnRef(ids.practitioner) } }]),
+    ...(ids.custodian ? { custodian: { reference: urnRef(ids.custodian) } } : {}),
+    // The replaced document is not part of this bundle, so it is referenced by identifier
+    ...(amendment ? { relatesTo: [{ code: "replaces", targetIdentifier: amendment.replaces.identifier }] } : {}),
+    section: [
+      {
+        title: "Diagnostic report",
+        code: { coding: [LOINC_LAB_REPORT], text: LOINC_LAB_REPORT.display },
+        entry: entries.length ? entries : undefined,
+        text: entries.length ? undefined : {
+          status: "generated",
+          div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><p>No diagnostic entries</p></div>`,
+        },
+      },
+      ...(amendment ? [{
+        title: "Amendment",
+        text: {
+          status: "generated",
+          div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><p>Replaces version ${amendment.replaces.version} of this report.</p><p>Reason: ${escapeXml(amendment.reason || "not stated")}</p></div>`,
+        },
+      }] : []),
+    ],
+  };
+}
+
+/* ------------------------------- BUNDLE ------------------------------------ */
+/* Mint every bundle-local id up front so references can be wired in any order */
+function allocateIds(input, uuid) {
+  const { metadata, panels, observations, specimens, attachments, practitioner, performer, amendment } = input;
+  const attester = metadata.attester || {};
+  // Amendments keep the prior document's ids; a fresh report mints everything
+  const prior = (amendment && amendment.ids) || {};
+  const keep = (id, mint) => id || mint();
+  const practitionerId = p => (prior.practitionersByLicense && prior.practitionersByLicense[p.license]) || safeUuid(p.id, uuid);
+  const ids = {
+    composition: uuid(), // a new document, even for amendments (relatesTo points at the old one)
+    patient: keep(prior.patient, uuid), // bundle-local Patient.id
+    practitioner: practitionerId(practitioner), // keep the global id if it is a UUID
+    encounter: metadata.encounterText ? keep(prior.encounter, uuid) : null,
+    custodian: metadata.custodianName ? keep(prior.custodian, uuid) : null,
+    attesterOrg: attester.partyType === "Organization" && attester.orgName ? keep(prior.attesterOrg, uuid) : null,
+    observations: observations.map(o => keep(o.resourceId, uuid)),
+    diagnosticReport: keep(prior.diagnosticReport, uuid),
+    specimens: specimens.map(s => keep(s.resourceId, uuid)),
+  };
+  // Performer / attester share a Practitioner entry with the author when they are the same person
+  ids.performer = samePractitioner(performer, practitioner) ? ids.practitioner : practitionerId(performer);
+  ids.attesterPractitioner =
+    samePractitioner(attester.practitioner, practitioner) ? ids.practitioner
+      : samePractitioner(attester.practitioner, performer) ? ids.performer
+        : practitionerId(attester.practitioner);
+
+  // Observation rows point at specimen rows by their UI key
+  ids.specimenByKey = {};
+  specimens.forEach((s, i) => { if (s.id) ids.specimenByKey[s.id] = ids.specimens[i]; });
+
+  // Panel groups: only panels that still have rows get a grouping Observation
+  ids.panelGroups = {};
+  ids.panelMembers = {};
+  panels.forEach(p => {
+    const members = ids.observations.filter((_, i) => observations[i].panelId === p.id);
+    if (!members.length) return;
+    ids.panelGroups[p.id] = keep(p.resourceId, uuid);
+    ids.panelMembers[p.id] = members;
+  });
+  // DiagnosticReport.result: panel groups + rows that belong to no group
+  const grouped = new Set(Object.values(ids.panelMembers).flat());
+  ids.reportResults = [...Object.values(ids.panelGroups), ...ids.observations.filter(id => !grouped.has(id))];
+  ids.binaries = (attachments.length ? attachments : [null]).map((_, i) => keep(prior.binaries && prior.binaries[i], uuid));
+  ids.docRefs = ids.binaries.map((_, i) => keep(prior.docRefs && prior.docRefs[i], uuid));
+  ids.provenance = uuid(); // every build is a new activity
+  return ids;
+}
+
+function samePractitioner(a, b) {
+  return a === b || (!!a && !!b && !!a.id && a.id === b.id);
+}
+
+function normalizeInput(input) {
+  const metadata = input.metadata || {};
+  const practitioner = input.practitioner || {};
+  const attester = metadata.attester || { mode: "professional", partyType: "Practitioner" };
+  return {
+    patient: input.patient || null,
+    selectedAbha: input.selectedAbha || "",
+    practitioner,
+    performer: input.performer && input.performer.id ? input.performer : practitioner,
+    metadata: {
+      status: metadata.status || "final",
+      title: metadata.title || "Diagnostic Report",
+      date: metadata.date,
+      encounterText: metadata.encounterText || "",
+      custodianName: metadata.custodianName || "",
+      narrativeStatus: NARRATIVE_STATUSES.includes(metadata.narrativeStatus) ? metadata.narrativeStatus : "generated",
+      attester: { ...attester, practitioner: attester.practitioner && attester.practitioner.id ? attester.practitioner : practitioner },
+    },
+    testCode: input.testCode || "",
+    testCoding: input.testCoding && input.testCoding.code ? input.testCoding : null,
+    panels: Array.isArray(input.panels)
+      ? input.panels.filter((p, i, arr) => p && p.id && arr.findIndex(q => q && q.id === p.id) === i)
+      : [],
+    observations: Array.isArray(input.observations) ? input.observations : [],
+    specimens: Array.isArray(input.specimens) ? input.specimens.filter(isSpecimenFilled) : [],
+    attachments: Array.isArray(input.attachments) ? input.attachments : [],
+    amendment: input.amendment && input.amendment.replaces ? input.amendment : null,
+    provenance: {
+      enterer: input.provenance && input.provenance.enterer && input.provenance.enterer.id ? input.provenance.enterer : null,
+      sources: input.provenance && Array.isArray(input.provenance.sources) ? input.provenance.sources : [],
+    },
+  };
+}
+
+/*
+  Observation.status follows the report: a preliminary or partial report never
+  carries final results, corrections are "amended", retractions "entered-in-error"
+*/
+const OBSERVATION_STATUS_BY_REPORT = {
+  registered: "registered",
+  partial: "preliminary",
+  preliminary: "preliminary",
+  final: "final",
+  amended: "amended",
+  corrected: "amended",
+  appended: "amended",
+  cancelled: "cancelled",
+  "entered-in-error": "entered-in-error",
+};
+
+function observationStatusFor(reportStatus, isAmendment) {
+  const status = OBSERVATION_STATUS_BY_REPORT[reportStatus || "final"] || "final";
+  return isAmendment && status === "final" ? "amended" : status;
+}
+
+export function buildDiagnosticReportBundle(rawInput, options = {}) {
+  const uuid = options.uuid || uuidv4;
+  const now = options.now || (() => new Date());
+  const input = normalizeInput(rawInput || {});
+  const { metadata } = input;
+
+  const ids = allocateIds(input, uuid);
+  const authoredOn = localDatetimeToISOWithOffset(metadata.date, now);
+  const version = String(input.amendment ? input.amendment.version : 1);
+  const resultStatus = observationStatusFor(metadata.status, !!input.amendment);
+  const ctx = { ...input, ids, authoredOn, now, resultStatus };
+
+  // Build resources
+  const patientRes = buildPatientResource(input.patient, { id: ids.patient, selectedAbha: input.selectedAbha });
+  const practitionerRes = buildPractitionerResource({ ...input.practitioner, id: ids.practitioner });
+  const extraPractitionerRes = [];
+  if (ids.performer !== ids.practitioner) extraPractitionerRes.push(buildPractitionerResource({ ...input.performer, id: ids.performer }));
+  if (ids.attesterPractitioner !== ids.practitioner && ids.attesterPractitioner !== ids.performer) {
+    extraPractitionerRes.push(buildPractitionerResource({ ...metadata.attester.practitioner, id: ids.attesterPractitioner }));
+  }
+  const encounterRes = ids.encounter
+    ? buildEncounterResource({ id: ids.encounter, patientId: ids.patient, start: isoWithLocalOffsetFromDate(now()), text: metadata.encounterText })
+    : null;
+  const custodianRes = ids.custodian ? buildOrganizationResource({ id: ids.custodian, name: metadata.custodianName }) : null;
+  const attesterOrgRes = ids.attesterOrg ? buildOrganizationResource({ id: ids.attesterOrg, name: metadata.attester.orgName }) : null;
+  const panelGroupResources = buildPanelGroupObservations(ctx);
+  const observationResources = buildObservationResources(input.observations, ctx);
+  const specimenResources = buildSpecimenResources(input.specimens, ctx);
+  const diagnosticReportRes = buildDiagnosticReportResource(ctx);
+  const { binaries, docRefs } = buildDocAndBinaryResources(input.attachments, ctx);
+  const compositionRes = buildComposition(docRefs, ctx);
+  const provenanceRes = buildProvenanceResource(ctx);
+
+  // Compose Bundle (new identifier per submission, amendments included)
+  const stamp = isoWithLocalOffsetFromDate(now());
+  const bundle = {
+    resourceType: "Bundle",
+    id: `DiagnosticReportBundle-${uuid()}`,
+    meta: { profile: [NRCES_PROFILES.Bundle], lastUpdated: stamp },
+    identifier: { system: "urn:ietf:rfc:3986", value: urnRef(uuid()) },
+    type: "document",
+    timestamp: stamp,
+    entry: [
+      toEntry(compositionRes),
+      toEntry(patientRes),
+      toEntry(practitionerRes),
+      toEntry(diagnosticReportRes),
+    ],
+  };
+
+  // Optional adds
+  extraPractitionerRes.forEach(r => bundle.entry.push(toEntry(r)));
+  if (encounterRes) bundle.entry.push(toEntry(encounterRes));
+  if (custodianRes) bundle.entry.push(toEntry(custodianRes));
+  if (attesterOrgRes) bundle.entry.push(toEntry(attesterOrgRes));
+
+  // Observations (panel groups first)
+  panelGroupResources.forEach(r => bundle.entry.push(toEntry(r)));
+  observationResources.forEach(r => bundle.entry.push(toEntry(r)));
+
+  // Specimens
+  specimenResources.forEach(r => bundle.entry.push(toEntry(r)));
+
+  // Documents
+  docRefs.forEach(dr => bundle.entry.push(toEntry(dr)));
+  binaries.forEach(b => bundle.entry.push(toEntry(b)));
+
+  // Who recorded what, from where
+  bundle.entry.push(toEntry(provenanceRes));
+
+  // Nothing uploaded: embed a human-readable rendering of this very document
+  if (!input.attachments.length) binaries[0].data = renderLabReportPdf(bundle);
+
+  addNarratives(bundle, { status: metadata.narrativeStatus });
+
+  // meta right after id, also for resources that had none
+  bundle.entry.forEach(e => {
+    const { resourceType, id, meta, ...rest } = e.resource;
+    e.resource = { resourceType, id, meta: { versionId: version, ...meta }, ...rest };
+  });
+  return bundle;
+}
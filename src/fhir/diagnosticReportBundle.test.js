@@ -0,0 +1,163 @@
+import { buildDiagnosticReportBundle, createSequentialUuid, GENERATED_REPORT_TITLE, PLACEHOLDER_PDF_B64 } from "./index";
+
+const input = {
+  patient: {
+    id: 3,
+    name: "Rohit Kumar",
+    gender: "Male",
+    dob: "30-12-1991",
+    mobile: "7273000898",
+    abha_ref: "91-7104-3321-8355",
+    user_ref_id: "0df16bf4-3271-411c-ab89-ccb09dc76857",
+  },
+  selectedAbha: "rohitkumar30@sbx",
+  practitioner: { id: "PR-001", name: "Dr. ABC1", license: "LIC-1234-1" },
+  metadata: { status: "final", title: "Complete Blood Count", date: "2025-08-30T10:15" },
+  testCode: "CBC",
+  observations: [
+    { codeText: "Hemoglobin", valueText: "13.5", valueUnit: "g/dL", effectiveDate: "" },
+    { codeText: "Remarks", valueText: "Normocytic", valueUnit: "", effectiveDate: "2025-08-29" },
+  ],
+};
+
+function deterministic() {
+  return { uuid: createSequentialUuid(), now: () => new Date("2025-08-30T10:20:00") };
+}
+
+function resourcesOf(bundle, type) {
+  return bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+}
+
+test("produces identical output with an injected uuid generator and clock", () => {
+  const a = buildDiagnosticReportBundle(input, deterministic());
+  const b = buildDiagnosticReportBundle(input, deterministic());
+  expect(a).toEqual(b);
+  expect(a.entry[0].fullUrl).toBe("urn:uuid:00000000-0000-4000-8000-000000000001");
+});
+
+test("builds a document bundle with resolvable internal references", () => {
+  const bundle = buildDiagnosticReportBundle(input, deterministic());
+  expect(bundle.type).toBe("document");
+  expect(bundle.entry[0].resource.resourceType).toBe("Composition");
+
+  const fullUrls = new Set(bundle.entry.map(e => e.fullUrl));
+  const [report] = resourcesOf(bundle, "DiagnosticReport");
+  report.result.forEach(r => expect(fullUrls.has(r.reference)).toBe(true));
+  expect(fullUrls.has(report.subject.reference)).toBe(true);
+});
+
+test("a preliminary report carries preliminary observations", () => {
+  const bundle = buildDiagnosticReportBundle({ ...input, metadata: { ...input.metadata, status: "preliminary" } }, deterministic());
+  expect(resourcesOf(bundle, "DiagnosticReport")[0].status).toBe("preliminary");
+  expect(resourcesOf(bundle, "Observation").map(o => o.status)).toEqual(["preliminary", "preliminary"]);
+
+  const partial = buildDiagnosticReportBundle({ ...input, metadata: { ...input.metadata, status: "partial" } }, deterministic());
+  expect(resourcesOf(partial, "Observation").every(o => o.status === "preliminary")).toBe(true);
+  const final = buildDiagnosticReportBundle(input, deterministic());
+  expect(resourcesOf(final, "Observation").every(o => o.status === "final")).toBe(true);
+});
+
+test("maps observation values to quantity or string", () => {
+  const bundle = buildDiagnosticReportBundle(input, deterministic());
+  const [hb, remarks] = resourcesOf(bundle, "Observation");
+  expect(hb.valueQuantity).toEqual({ value: 13.5, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" });
+  expect(remarks.valueString).toBe("Normocytic");
+  expect(remarks.effectiveDateTime).toBe("2025-08-29");
+});
+
+test("embeds a generated lab report PDF when no attachments are given", () => {
+  const bundle = buildDiagnosticReportBundle(input, deterministic());
+  const [binary] = resourcesOf(bundle, "Binary");
+  const [docRef] = resourcesOf(bundle, "DocumentReference");
+  expect(binary.contentType).toBe("application/pdf");
+  expect(docRef.content[0].attachment).toMatchObject({ title: GENERATED_REPORT_TITLE, url: `urn:uuid:${binary.id}` });
+
+  const pdf = atob(binary.data);
+  expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+  expect(pdf).toContain("(Rohit Kumar)");
+  expect(pdf).toContain("(Hemoglobin)");
+  expect(binary.data).not.toBe(PLACEHOLDER_PDF_B64);
+});
+
+test("emits specimens referenced from the report and linked observations", () => {
+  const bundle = buildDiagnosticReportBundle({
+    ...input,
+    specimens: [
+      { id: "row-1", typeCode: "119364003", collectedDateTime: "2025-08-30T08:00", accessionId: "ACC-42", containerId: "TUBE-7" },
+      { id: "row-2", typeCode: "", typeText: "" },
+    ],
+    observations: [{ ...input.observations[0], specimenId: "row-1" }, input.observations[1]],
+  }, deterministic());
+
+  const specimens = resourcesOf(bundle, "Specimen");
+  expect(specimens).toHaveLength(1);
+  expect(specimens[0].type.coding[0]).toEqual({ system: "http://snomed.info/sct", code: "119364003", display: "Serum specimen" });
+  expect(specimens[0].accessionIdentifier).toEqual({ value: "ACC-42" });
+  expect(specimens[0].container[0].identifier[0].value).toBe("TUBE-7");
+
+  const ref = `urn:uuid:${specimens[0].id}`;
+  const [report] = resourcesOf(bundle, "DiagnosticReport");
+  expect(report.specimen).toEqual([{ reference: ref }]);
+  const [hb, remarks] = resourcesOf(bundle, "Observation");
+  expect(hb.specimen).toEqual({ reference: ref });
+  expect(remarks.specimen).toBeUndefined();
+});
+
+test("uses the selected LOINC panel for DiagnosticReport.code and coded observations", () => {
+  const cbc = { system: "http://loinc.org", code: "58410-2", display: "CBC panel - Blood by Automated count" };
+  const hgb = { system: "http://loinc.org", code: "718-7", display: "Hemoglobin [Mass/volume] in Blood" };
+  const bundle = buildDiagnosticReportBundle({
+    ...input,
+    testCoding: cbc,
+    observations: [{ ...input.observations[0], codeCoding: hgb }, { valueText: "Normocytic" }],
+  }, deterministic());
+
+  const [report] = resourcesOf(bundle, "DiagnosticReport");
+  expect(report.code).toEqual({ coding: [cbc], text: "CBC" });
+  const [hb, uncoded] = resourcesOf(bundle, "Observation");
+  expect(hb.code).toEqual({ coding: [hgb], text: "Hemoglobin" });
+  expect(uncoded.code).toEqual({ coding: [cbc], text: "CBC" });
+});
+
+test("falls back to the generic laboratory report code for free-text tests", () => {
+  const [report] = resourcesOf(buildDiagnosticReportBundle(input, deterministic()), "DiagnosticReport");
+  expect(report.code.coding[0].code).toBe("11502-2");
+});
+
+test("groups template rows under a panel Observation referenced from the report", () => {
+  const cbc = { system: "http://loinc.org", code: "58410-2", display: "CBC panel - Blood by Automated count" };
+  const bundle = buildDiagnosticReportBundle({
+    ...input,
+    panels: [{ id: "cbc", coding: cbc, text: "Complete Blood Count (CBC)" }],
+    observations: [{ ...input.observations[0], panelId: "cbc" }, input.observations[1]],
+  }, deterministic());
+
+  const [group, hb, remarks] = resourcesOf(bundle, "Observation");
+  expect(group.code.coding).toEqual([cbc]);
+  expect(group.hasMember).toEqual([{ reference: `urn:uuid:${hb.id}` }]);
+
+  const [report] = resourcesOf(bundle, "DiagnosticReport");
+  expect(report.result).toEqual([{ reference: `urn:uuid:${group.id}` }, { reference: `urn:uuid:${remarks.id}` }]);
+});
+
+test("uses separate Practitioner entries for a distinct performer and attester", () => {
+  const bundle = buildDiagnosticReportBundle({
+    ...input,
+    performer: { id: "PR-002", name: "Dr. DEF2", license: "LIC-5678-2" },
+    metadata: { ...input.metadata, attester: { mode: "professional", partyType: "Practitioner", practitioner: { id: "PR-003", name: "Dr. DEF3", license: "LIC-5678-3" } } },
+  }, deterministic());
+  const byName = Object.fromEntries(bundle.entry.filter(e => e.resource.resourceType === "Practitioner").map(e => [e.resource.name[0].text, e.fullUrl]));
+  expect(Object.keys(byName)).toEqual(["Dr. ABC1", "Dr. DEF2", "Dr. DEF3"]);
+
+  const [composition] = resourcesOf(bundle, "Composition");
+  const [report] = resourcesOf(bundle, "DiagnosticReport");
+  expect(composition.author[0].reference).toBe(byName["Dr. ABC1"]);
+  expect(composition.attester[0].party.reference).toBe(byName["Dr. DEF3"]);
+  expect(report.performer[0].reference).toBe(byName["Dr. DEF2"]);
+  resourcesOf(bundle, "Observation").forEach(o => expect(o.performer[0].reference).toBe(byName["Dr. DEF2"]));
+});
+
+test("shares the author's Practitioner entry when performer and attester are the same person", () => {
+  const bundle = buildDiagnosticReportBundle({ ...input, performer: { ...input.practitioner } }, deterministic());
+  expect(resourcesOf(bundle, "Practitioner")).toHaveLength(1);
+});
@@ -0,0 +1,17 @@
+// src/fhir/index.js
+/* Public surface of the FHIR document library (usable without mounting the form) */
+export * from "./utils";
+export * from "./diagnosticReportBundle";
+export * from "./specimen";
+export * from "./interpretation";
+export * from "./loinc";
+export * from "./panels";
+export * from "./ucum";
+export * from "./profiles";
+export * from "./validate";
+export * from "./abha";
+export * from "./amend";
+export * from "./pdf";
+export * from "./labReportPdf";
+export * from "./narrative";
+export * from "./provenance";
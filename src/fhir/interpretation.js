@@ -0,0 +1,82 @@
+// src/fhir/interpretation.js
+import { ucumQuantity } from "./ucum";
+
+/*
+  Observation.referenceRange and Observation.interpretation.
+
+  Observation row fields used here:
+    refLow, refHigh     numeric normal range (either side optional)
+    refText             free-text range, e.g. "Negative" or "< 200"
+    critLow, critHigh   optional critical limits (drive LL / HH)
+    interpretation      manual override code ("" = compute automatically)
+*/
+
+export const V3_INTERPRETATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation";
+
+export const INTERPRETATION_CODES = {
+  N: "Normal",
+  L: "Low",
+  H: "High",
+  LL: "Critical low",
+  HH: "Critical high",
+  A: "Abnormal",
+};
+
+function toNumber(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+  const n = Number(s);
+  return isNaN(n) ? null : n;
+}
+
+/* v3 ObservationInterpretation code computed from the value and range, or null when undecidable */
+export function computeInterpretation(m) {
+  const value = toNumber(m.valueText);
+  const low = toNumber(m.refLow);
+  const high = toNumber(m.refHigh);
+  const critLow = toNumber(m.critLow);
+  const critHigh = toNumber(m.critHigh);
+
+  if (value !== null) {
+    if (critLow !== null && value < critLow) return "LL";
+    if (critHigh !== null && value > critHigh) return "HH";
+    if (low !== null && value < low) return "L";
+    if (high !== null && value > high) return "H";
+    if (low !== null || high !== null) return "N";
+    return null;
+  }
+
+  // Qualitative result vs a textual expected value ("Negative", "Non-reactive", ...)
+  const valueText = (m.valueText || "").trim().toLowerCase();
+  const refText = (m.refText || "").trim().toLowerCase();
+  if (valueText && refText && low === null && high === null) return valueText === refText ? "N" : "A";
+  return null;
+}
+
+/* Manual override wins over the computed flag */
+export function resolveInterpretation(m) {
+  if (m.interpretation && INTERPRETATION_CODES[m.interpretation]) return m.interpretation;
+  return computeInterpretation(m);
+}
+
+export function interpretationConcept(code) {
+  if (!code || !INTERPRETATION_CODES[code]) return undefined;
+  return {
+    coding: [{ system: V3_INTERPRETATION_SYSTEM, code, display: INTERPRETATION_CODES[code] }],
+    text: INTERPRETATION_CODES[code],
+  };
+}
+
+export function buildReferenceRange(m) {
+  const low = toNumber(m.refLow);
+  const high = toNumber(m.refHigh);
+  const text = (m.refText || "").trim();
+  if (low === null && high === null && !text) return undefined;
+
+  const range = {};
+  if (low !== null) range.low = ucumQuantity(low, m.valueUnit);
+  if (high !== null) range.high = ucumQuantity(high, m.valueUnit);
+  if (text) range.text = text;
+  return [range];
+}
@@ -0,0 +1,29 @@
+import { computeInterpretation, resolveInterpretation, buildReferenceRange } from "./interpretation";
+
+test.each([
+  [{ valueText: "9", refLow: "12", refHigh: "16" }, "L"],
+  [{ valueText: "17", refLow: "12", refHigh: "16" }, "H"],
+  [{ valueText: "14", refLow: "12", refHigh: "16" }, "N"],
+  [{ valueText: "5", refLow: "12", refHigh: "16", critLow: "7" }, "LL"],
+  [{ valueText: "25", refLow: "12", refHigh: "16", critHigh: "20" }, "HH"],
+  [{ valueText: "Positive", refText: "Negative" }, "A"],
+  [{ valueText: "negative", refText: "Negative" }, "N"],
+  [{ valueText: "14" }, null],
+])("computeInterpretation(%j) -> %s", (row, expected) => {
+  expect(computeInterpretation(row)).toBe(expected);
+});
+
+test("manual override wins over the computed flag", () => {
+  expect(resolveInterpretation({ valueText: "14", refLow: "12", refHigh: "16", interpretation: "A" })).toBe("A");
+});
+
+test("reference range carries the result unit", () => {
+  expect(buildReferenceRange({ refLow: "12", refHigh: "16", valueUnit: "g/dL" })).toEqual([
+    {
+      low: { value: 12, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" },
+      high: { value: 16, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" },
+    },
+  ]);
+  expect(buildReferenceRange({ refText: "Negative" })).toEqual([{ text: "Negative" }]);
+  expect(buildReferenceRange({})).toBeUndefined();
+});
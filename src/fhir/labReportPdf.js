@@ -0,0 +1,258 @@
+// src/fhir/labReportPdf.js
+import { createPdfDocument, wrapText } from "./pdf";
+import { ABHA_SYSTEM, MRN_SYSTEM, formatAbhaNumber } from "./abha";
+import { INTERPRETATION_CODES } from "./interpretation";
+
+/*
+  Human-readable lab report rendered from a built document Bundle.
+
+  renderLabReportPdf(bundle) -> base64 PDF with
+    - letterhead (custodian organization, report title, date, status)
+    - patient demographics and identifiers
+    - results table (panels as group headings) with ranges and flags
+    - specimens, amendment note and the author / performer signature block
+
+  Everything is read from the Bundle's resources, so the PDF always says what the
+  structured document says. The builder embeds it when no file was uploaded.
+*/
+
+export const GENERATED_REPORT_TITLE = "lab-report.pdf";
+
+const MARGIN = 40;
+const FOOTER = 50;
+const GREY = [0.4, 0.4, 0.4];
+const RED = [0.75, 0.1, 0.1];
+const COLUMNS = [
+  { key: "test", label: "Test", x: MARGIN, width: 200 },
+  { key: "value", label: "Result", x: MARGIN + 205, width: 80 },
+  { key: "unit", label: "Unit", x: MARGIN + 290, width: 70 },
+  { key: "range", label: "Reference range", x: MARGIN + 365, width: 110 },
+  { key: "flag", label: "Flag", x: MARGIN + 480, width: 35 },
+];
+
+/* "2025-08-30T10:15:00+05:30" -> "30-08-2025 10:15" (wall-clock time as recorded, no TZ conversion) */
+function displayDateTime(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(iso || "");
+  if (!m) return iso || "";
+  return `${m[3]}-${m[2]}-${m[1]}${m[4] ? ` ${m[4]}:${m[5]}` : ""}`;
+}
+
+function ageOn(birthDate, onIso) {
+  const b = /^(\d{4})-(\d{2})-(\d{2})/.exec(birthDate || "");
+  const d = /^(\d{4})-(\d{2})-(\d{2})/.exec(onIso || "");
+  if (!b || !d) return null;
+  let age = Number(d[1]) - Number(b[1]);
+  if (d[2] < b[2] || (d[2] === b[2] && d[3] < b[3])) age -= 1;
+  return age >= 0 ? age : null;
+}
+
+const textOf = concept => (concept && (concept.text || (concept.coding && concept.coding[0] && concept.coding[0].display))) || "";
+const nameOf = r => (r && r.name && (typeof r.name === "string" ? r.name : r.name[0] && r.name[0].text)) || "";
+
+function identifierValue(patient, pred) {
+  const id = ((patient && patient.identifier) || []).find(pred);
+  return id ? id.value : "";
+}
+
+function quantityText(o) {
+  if (o.valueQuantity) return { value: String(o.valueQuantity.value), unit: o.valueQuantity.unit || "" };
+  return { value: o.valueString || "", unit: "" };
+}
+
+function rangeText(o) {
+  const r = o.referenceRange && o.referenceRange[0];
+  if (!r) return "";
+  if (r.low && r.high) return `${r.low.value} – ${r.high.value}`;
+  if (r.text) return r.text;
+  if (r.low) return `>= ${r.low.value}`;
+  if (r.high) return `<= ${r.high.value}`;
+  return "";
+}
+
+/* Plain text of an XHTML narrative div */
+function narrativeText(div) {
+  return String(div || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&#39;/g, "'").replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function flagOf(o) {
+  const coding = o.interpretation && o.interpretation[0] && o.interpretation[0].coding && o.interpretation[0].coding[0];
+  return coding && coding.code !== "N" && INTERPRETATION_CODES[coding.code] ? coding.code : "";
+}
+
+export function renderLabReportPdf(bundle) {
+  const index = new Map((bundle.entry || []).map(e => [e.fullUrl, e.resource]));
+  const resolve = ref => (ref && ref.reference ? index.get(ref.reference) : undefined);
+  const composition = bundle.entry[0].resource;
+  const report = bundle.entry.map(e => e.resource).find(r => r.resourceType === "DiagnosticReport") || {};
+  const patient = resolve(composition.subject) || {};
+  const author = resolve(composition.author && composition.author[0]);
+  const performer = resolve(report.performer && report.performer[0]);
+  const custodian = resolve(composition.custodian);
+  const attesterEntry = (composition.attester || [])[0];
+  const attester = attesterEntry && resolve(attesterEntry.party);
+
+  const doc = createPdfDocument({ title: composition.title });
+  const { width, height } = doc;
+  const right = width - MARGIN;
+  let y = MARGIN;
+
+  function newPage() {
+    doc.addPage();
+    y = MARGIN;
+  }
+  function ensure(h, onBreak) {
+    if (y + h <= height - FOOTER) return;
+    newPage();
+    if (onBreak) onBreak();
+  }
+  function heading(text) {
+    ensure(40);
+    y += 18;
+    doc.text(MARGIN, y, text, { size: 11, bold: true });
+    y += 5;
+    doc.line(MARGIN, y, right, y, { color: GREY });
+    y += 4;
+  }
+
+  // Letterhead
+  doc.text(MARGIN, y + 16, (custodian && custodian.name) || "Laboratory Report", { size: 18, bold: true });
+  doc.text(right, y + 10, `Report date: ${displayDateTime(composition.date)}`, { size: 9, align: "right" });
+  doc.text(right, y + 22, `Status: ${report.status || composition.status || ""}`, { size: 9, align: "right", bold: report.status !== "final" });
+  y += 36;
+  doc.text(MARGIN, y, composition.title || "Diagnostic Report", { size: 12 });
+  doc.text(right, y, textOf(report.code), { size: 9, align: "right", color: GREY });
+  y += 8;
+  doc.line(MARGIN, y, right, y, { width: 1.5 });
+
+  // Patient
+  heading("Patient");
+  const age = ageOn(patient.birthDate, composition.date);
+  const abhaNumber = identifierValue(patient, i => i.system === ABHA_SYSTEM && !(i.type && i.type.text === "ABHA address"));
+  const fields = [
+    ["Name", nameOf(patient)],
+    ["Gender / Age", [patient.gender && patient.gender.charAt(0).toUpperCase() + patient.gender.slice(1), age !== null ? `${age} years` : ""].filter(Boolean).join(" / ")],
+    ["Date of birth", displayDateTime(patient.birthDate)],
+    ["Mobile", ((patient.telecom || []).find(t => t.system === "phone") || {}).value || ""],
+    ["ABHA number", formatAbhaNumber(abhaNumber) || abhaNumber],
+    ["ABHA address", identifierValue(patient, i => i.system === ABHA_SYSTEM && i.type && i.type.text === "ABHA address")],
+    ["MRN", identifierValue(patient, i => i.system === MRN_SYSTEM)],
+  ].filter(([, v]) => v);
+  fields.forEach(([label, value], i) => {
+    const col = i % 2;
+    if (col === 0) y += 14;
+    const x = MARGIN + col * 260;
+    doc.text(x, y, label, { size: 8, color: GREY });
+    doc.text(x + 75, y, value, { size: 10, bold: label === "Name" });
+  });
+
+  // Results
+  heading("Results");
+  function tableHeader() {
+    y += 4;
+    doc.rect(MARGIN, y, right - MARGIN, 16);
+    COLUMNS.forEach(c => doc.text(c.x + 3, y + 11, c.label, { size: 9, bold: true }));
+    y += 16;
+  }
+  tableHeader();
+
+  function resultRow(o, indent) {
+    const { value, unit } = quantityText(o);
+    const flag = flagOf(o);
+    const cells = {
+      test: wrapText(textOf(o.code), COLUMNS[0].width - 6 - indent, { size: 9 }),
+      value: wrapText(value, COLUMNS[1].width - 6, { size: 9, bold: !!flag }),
+      unit: wrapText(unit, COLUMNS[2].width - 6, { size: 9 }),
+      range: wrapText(rangeText(o), COLUMNS[3].width - 6, { size: 9 }),
+      flag: [flag],
+    };
+    const lines = Math.max(...Object.values(cells).map(l => l.length));
+    const h = lines * 11 + 5;
+    ensure(h, tableHeader);
+    COLUMNS.forEach(c => cells[c.key].forEach((line, i) => {
+      const emphasis = (c.key === "value" || c.key === "flag") && flag;
+      doc.text(c.x + 3 + (c.key === "test" ? indent : 0), y + 11 + i * 11, line, { size: 9, bold: !!emphasis, color: emphasis ? RED : undefined });
+    }));
+    y += h;
+    doc.line(MARGIN, y, right, y, { width: 0.25, color: GREY });
+  }
+
+  const results = (report.result || []).map(resolve).filter(Boolean);
+  if (!results.length) {
+    y += 14;
+    doc.text(MARGIN, y, "No structured results; see the attached documents.", { size: 9, color: GREY });
+  }
+  results.forEach(o => {
+    if (Array.isArray(o.hasMember)) {
+      ensure(30, tableHeader);
+      y += 14;
+      doc.text(MARGIN + 3, y, textOf(o.code), { size: 10, bold: true });
+      y += 3;
+      o.hasMember.map(resolve).filter(Boolean).forEach(m => resultRow(m, 10));
+    } else {
+      resultRow(o, 0);
+    }
+  });
+
+  // Specimens
+  const specimens = (report.specimen || []).map(resolve).filter(Boolean);
+  if (specimens.length) {
+    heading("Specimens");
+    specimens.forEach(s => {
+      ensure(14);
+      y += 14;
+      const collected = s.collection && s.collection.collectedDateTime;
+      const parts = [
+        textOf(s.type),
+        collected && `collected ${displayDateTime(collected)}`,
+        s.accessionIdentifier && `accession ${s.accessionIdentifier.value}`,
+      ].filter(Boolean);
+      doc.text(MARGIN, y, parts.join(" · "), { size: 9 });
+    });
+  }
+
+  // Amendment
+  const amendmentSection = (composition.section || []).find(s => s.title === "Amendment");
+  if (composition.relatesTo && composition.relatesTo.length) {
+    heading("Amendment");
+    const note = amendmentSection && amendmentSection.text ? narrativeText(amendmentSection.text.div) : "";
+    wrapText(note || "This report replaces an earlier version.", right - MARGIN, { size: 9 }).forEach(line => {
+      ensure(12);
+      y += 12;
+      doc.text(MARGIN, y, line, { size: 9 });
+    });
+  }
+
+  // Signatures
+  ensure(80);
+  y += 50;
+  const signatories = [
+    ["Performed by", performer],
+    ["Authorised by", author],
+  ];
+  if (attester && attester.resourceType === "Practitioner" && attester !== author && attester !== performer) signatories.push(["Attested by", attester]);
+  const slot = (right - MARGIN) / signatories.length;
+  signatories.forEach(([label, p], i) => {
+    const x = MARGIN + i * slot;
+    const license = p && p.identifier && p.identifier[0] ? p.identifier[0].value : "";
+    doc.line(x, y, x + slot - 20, y, { color: GREY });
+    doc.text(x, y + 12, nameOf(p) || "—", { size: 10, bold: true });
+    if (license) doc.text(x, y + 24, `Reg. no. ${license}`, { size: 8, color: GREY });
+    doc.text(x, y + 36, label, { size: 8, color: GREY });
+  });
+  y += 40;
+
+  // Footer on every page
+  const pages = doc.pageCount;
+  for (let i = 0; i < pages; i++) {
+    doc.goToPage(i);
+    doc.line(MARGIN, height - FOOTER + 12, right, height - FOOTER + 12, { width: 0.25, color: GREY });
+    doc.text(MARGIN, height - FOOTER + 26, `Electronically generated from FHIR document ${(bundle.identifier && bundle.identifier.value) || bundle.id}`, { size: 7, color: GREY });
+    doc.text(right, height - FOOTER + 26, `Page ${i + 1} of ${pages}`, { size: 7, align: "right", color: GREY });
+  }
+
+  return doc.toBase64();
+}
@@ -0,0 +1,74 @@
+import { createPdfDocument, toWinAnsi, textWidth, wrapText } from "./pdf";
+import { renderLabReportPdf } from "./labReportPdf";
+import { buildDiagnosticReportBundle } from "./diagnosticReportBundle";
+import { createSequentialUuid } from "./utils";
+
+const input = {
+  patient: { id: 3, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991", mobile: "7273000898", abha_ref: "91710433218355", user_ref_id: "0df16bf4" },
+  selectedAbha: "rohitkumar30@sbx",
+  practitioner: { id: "PR-001", name: "Dr. Asha Rao", license: "LIC-1234-1" },
+  metadata: { status: "final", title: "Complete Blood Count", date: "2025-08-30T10:15", custodianName: "City Diagnostics (Pune)" },
+  testCode: "CBC",
+  panels: [{ id: "cbc", text: "Complete blood count" }],
+  observations: [
+    { codeText: "Hemoglobin", valueText: "11.2", valueUnit: "g/dL", refLow: "13", refHigh: "17", panelId: "cbc" },
+    { codeText: "Platelets", valueText: "250", valueUnit: "10*3/uL", refLow: "150", refHigh: "400", panelId: "cbc" },
+  ],
+};
+
+function build(overrides = {}) {
+  return buildDiagnosticReportBundle({ ...input, ...overrides }, { uuid: createSequentialUuid(), now: () => new Date("2025-08-30T10:20:00") });
+}
+
+test("writes a well-formed PDF with a valid cross-reference table", () => {
+  const doc = createPdfDocument({ title: "Test (1)" });
+  doc.text(40, 60, "Hello (world) \\ µg");
+  doc.addPage();
+  doc.line(40, 40, 100, 40);
+  const pdf = doc.toBinaryString();
+
+  expect(pdf).toContain("/Count 2");
+  expect(pdf).toContain("(Hello \\(world\\) \\\\ \xB5g) Tj");
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  expect(pdf.slice(xref, xref + 4)).toBe("xref");
+  const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(l => Number(l.slice(0, 10)));
+  offsets.forEach((o, i) => expect(pdf.slice(o, o + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`));
+});
+
+test("maps text to WinAnsi and wraps by glyph width", () => {
+  expect(toWinAnsi("10⁶/µL ≤ 5 – ok")).toBe("10^6/\xB5L <= 5 \x96 ok");
+  expect(toWinAnsi("रोहित")).toBe("?????");
+  expect(textWidth("ii", { size: 10 })).toBeCloseTo(4.44);
+  expect(wrapText("Mean corpuscular haemoglobin concentration", 100, { size: 9 })).toEqual(["Mean corpuscular", "haemoglobin", "concentration"]);
+});
+
+test("renders letterhead, demographics, flagged results and signatures from the bundle", () => {
+  const pdf = atob(renderLabReportPdf(build()));
+  [
+    "(City Diagnostics \\(Pune\\))",
+    "(Report date: 30-08-2025 10:15)",
+    "(Rohit Kumar)",
+    "(Male / 33 years)",
+    "(91-7104-3321-8355)",
+    "(rohitkumar30@sbx)",
+    "(Complete blood count)",
+    "(Hemoglobin)",
+    "(13 \x96 17)",
+    "(Dr. Asha Rao)",
+    "(Reg. no. LIC-1234-1)",
+    "(Page 1 of 1)",
+  ].forEach(s => expect(pdf).toContain(s));
+  // low haemoglobin is flagged in red, bold
+  expect(pdf).toMatch(/\/F2 9 Tf 0.75 0.1 0.1 rg [\d. ]+Tm \(L\) Tj/);
+});
+
+test("continues the results table on new pages", () => {
+  const observations = Array.from({ length: 80 }, (_, i) => ({ codeText: `Analyte ${i + 1}`, valueText: String(i), valueUnit: "mg/dL" }));
+  const pdf = atob(renderLabReportPdf(build({ panels: [], observations })));
+  const pages = Number(/\/Count (\d+)/.exec(pdf)[1]);
+  expect(pages).toBeGreaterThan(1);
+  expect(pdf).toContain(`(Page ${pages} of ${pages})`);
+  // the column header is repeated on every page the table continues on
+  expect(pdf.match(/\(Reference range\) Tj/g).length).toBeGreaterThan(1);
+  expect(pdf).toContain("(Analyte 80)");
+});
@@ -0,0 +1,53 @@
+// src/fhir/loinc.js
+/*
+  LOINC lookup over the bundled lab subset (public/loinc-lab.json).
+
+  catalog entry = { code, display, shortName, kind: "panel" | "test", unit? }
+*/
+
+export const LOINC_SYSTEM = "http://loinc.org";
+
+/* Fixed LOINC coding for Composition.type and section code (Laboratory report) */
+export const LOINC_LAB_REPORT = { system: LOINC_SYSTEM, code: "11502-2", display: "Laboratory report" };
+
+export function toLoincCoding(entry) {
+  if (!entry || !entry.code) return null;
+  return { system: LOINC_SYSTEM, code: entry.code, display: entry.display };
+}
+
+/*
+  Rank catalog entries for a query: exact code, then short-name prefix, then
+  every word found in display/short name. `kind` optionally restricts the result.
+*/
+export function searchLoinc(catalog, query, { kind, limit = 10 } = {}) {
+  const list = Array.isArray(catalog) ? catalog : [];
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return [];
+  const words = q.split(/\s+/);
+
+  const scored = [];
+  list.forEach(entry => {
+    if (kind && entry.kind !== kind) return;
+    const code = String(entry.code || "").toLowerCase();
+    const shortName = String(entry.shortName || "").toLowerCase();
+    const haystack = `${String(entry.display || "").toLowerCase()} ${shortName}`;
+    let score = 0;
+    if (code === q) score = 4;
+    else if (code.startsWith(q)) score = 3;
+    else if (shortName.startsWith(q)) score = 2;
+    else if (words.every(w => haystack.includes(w))) score = 1;
+    if (score) scored.push({ entry, score });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || String(a.entry.shortName || a.entry.display).localeCompare(String(b.entry.shortName || b.entry.display)))
+    .slice(0, limit)
+    .map(s => s.entry);
+}
+
+/* CodeableConcept from an optional coding plus the user's text (free text still allowed) */
+export function codeableConcept(coding, text) {
+  const t = text && String(text).trim() ? String(text).trim() : undefined;
+  if (coding && coding.code) return { coding: [coding], text: t || coding.display };
+  return t ? { text: t } : undefined;
+}
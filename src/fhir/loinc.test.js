@@ -0,0 +1,21 @@
+import { searchLoinc, codeableConcept } from "./loinc";
+
+const catalog = [
+  { code: "58410-2", display: "CBC panel - Blood by Automated count", shortName: "CBC", kind: "panel" },
+  { code: "718-7", display: "Hemoglobin [Mass/volume] in Blood", shortName: "Hemoglobin", kind: "test" },
+  { code: "4548-4", display: "Hemoglobin A1c/Hemoglobin.total in Blood", shortName: "HbA1c", kind: "test" },
+];
+
+test("finds entries by code, short name and display words", () => {
+  expect(searchLoinc(catalog, "718-7").map(e => e.code)).toEqual(["718-7"]);
+  expect(searchLoinc(catalog, "cbc").map(e => e.code)).toEqual(["58410-2"]);
+  expect(searchLoinc(catalog, "hemo").map(e => e.code)).toEqual(["718-7", "4548-4"]);
+  expect(searchLoinc(catalog, "a1c blood").map(e => e.code)).toEqual(["4548-4"]);
+  expect(searchLoinc(catalog, "blood", { kind: "panel" }).map(e => e.code)).toEqual(["58410-2"]);
+  expect(searchLoinc(catalog, "  ")).toEqual([]);
+});
+
+test("keeps free text when no coding is selected", () => {
+  expect(codeableConcept(null, "Peripheral smear")).toEqual({ text: "Peripheral smear" });
+  expect(codeableConcept(null, " ")).toBeUndefined();
+});
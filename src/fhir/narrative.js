@@ -0,0 +1,232 @@
+// src/fhir/narrative.js
+import { buildNarrative, escapeXml } from "./utils";
+import { INTERPRETATION_CODES } from "./interpretation";
+
+/*
+  Human-readable Resource.text for every resource of a built document Bundle.
+
+  addNarratives(bundle, { status }) fills `text` on each DomainResource (Binary has
+  none) from the resource's own data, resolving urn:uuid references inside the
+  Bundle for names. status:
+    "generated"   text is derived from the resource's core elements only
+    "extensions"  extensions / modifierExtensions are rendered too
+
+  Every value that may come from user input goes through escapeXml.
+*/
+
+export const NARRATIVE_STATUSES = ["generated", "extensions"];
+
+const esc = escapeXml;
+const textOf = concept => (concept && (concept.text || (concept.coding && concept.coding[0] && (concept.coding[0].display || concept.coding[0].code)))) || "";
+const nameOf = r => (r && (r.name && (typeof r.name === "string" ? r.name : r.name[0] && r.name[0].text))) || "";
+
+/* "2025-08-30T10:15:00+05:30" -> "2025-08-30 10:15" */
+function displayDate(v) {
+  const m = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?/.exec(v || "");
+  return m ? `${m[1]}${m[2] ? ` ${m[2]}` : ""}` : v || "";
+}
+
+function quantity(q) {
+  if (!q || q.value === undefined) return "";
+  return `${q.value}${q.unit ? ` ${q.unit}` : ""}`;
+}
+
+function valueOf(o) {
+  if (o.valueQuantity) return quantity(o.valueQuantity);
+  if (o.valueString !== undefined) return o.valueString;
+  if (o.valueCodeableConcept) return textOf(o.valueCodeableConcept);
+  return "";
+}
+
+function rangeOf(o) {
+  const r = o.referenceRange && o.referenceRange[0];
+  if (!r) return "";
+  if (r.low && r.high) return `${quantity(r.low)} – ${quantity(r.high)}`;
+  if (r.text) return r.text;
+  if (r.low) return `≥ ${quantity(r.low)}`;
+  if (r.high) return `≤ ${quantity(r.high)}`;
+  return "";
+}
+
+function flagOf(o) {
+  const coding = o.interpretation && o.interpretation[0] && o.interpretation[0].coding && o.interpretation[0].coding[0];
+  return coding ? INTERPRETATION_CODES[coding.code] || coding.code : "";
+}
+
+/* <table> of label/value rows; empty values are left out */
+function facts(rows) {
+  const body = rows
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([label, v]) => `<tr><th>${esc(label)}</th><td>${esc(v)}</td></tr>`)
+    .join("");
+  return body ? `<table><tbody>${body}</tbody></table>` : "";
+}
+
+function extensionsOf(resource) {
+  const all = [...(resource.extension || []), ...(resource.modifierExtension || [])];
+  if (!all.length) return "";
+  const items = all.map(x => {
+    const key = Object.keys(x).find(k => k.startsWith("value"));
+    const v = key ? x[key] : "";
+    const shown = typeof v === "object" ? textOf(v) || quantity(v) || JSON.stringify(v) : String(v);
+    return `<li>${esc(x.url)}: ${esc(shown)}</li>`;
+  });
+  return `<p>Extensions</p><ul>${items.join("")}</ul>`;
+}
+
+const RENDERERS = {
+  Composition(r, resolve) {
+    const attester = (r.attester || [])[0];
+    return facts([
+      ["Title", r.title],
+      ["Type", textOf(r.type)],
+      ["Status", r.status],
+      ["Date", displayDate(r.date)],
+      ["Patient", nameOf(resolve(r.subject))],
+      ["Author", (r.author || []).map(a => nameOf(resolve(a)) || a.display).filter(Boolean).join(", ")],
+      ["Attester", attester && `${nameOf(resolve(attester.party)) || (attester.party && attester.party.display) || ""} (${attester.mode})`],
+      ["Custodian", nameOf(resolve(r.custodian))],
+      ["Replaces", r.relatesTo && r.relatesTo[0] && r.relatesTo[0].targetIdentifier && r.relatesTo[0].targetIdentifier.value],
+    ]) + (r.section && r.section.length ? `<p>Sections: ${r.section.map(s => esc(s.title)).join(", ")}</p>` : "");
+  },
+
+  Patient(r) {
+    return facts([
+      ["Name", nameOf(r)],
+      ["Gender", r.gender],
+      ["Date of birth", r.birthDate],
+      ...(r.identifier || []).map(i => [textOf(i.type) || "Identifier", i.value]),
+      ...(r.telecom || []).map(t => [t.system === "phone" ? "Phone" : t.system === "email" ? "Email" : t.system, t.value]),
+      ["Address", r.address && r.address[0] && r.address[0].text],
+    ]);
+  },
+
+  Practitioner(r) {
+    return facts([
+      ["Name", nameOf(r)],
+      ...(r.identifier || []).map(i => [textOf(i.type) || "Identifier", i.value]),
+    ]);
+  },
+
+  Organization(r) {
+    return facts([["Name", r.name]]);
+  },
+
+  Encounter(r) {
+    return facts([
+      ["Status", r.status],
+      ["Class", r.class && (r.class.display || r.class.code)],
+      ["Encounter", r.type && r.type[0] && r.type[0].text],
+      ["Start", displayDate(r.period && r.period.start)],
+    ]);
+  },
+
+  Observation(r, resolve) {
+    const members = (r.hasMember || []).map(resolve).filter(Boolean);
+    return facts([
+      ["Test", textOf(r.code)],
+      ["Status", r.status],
+      ["Result", valueOf(r)],
+      ["Reference range", rangeOf(r)],
+      ["Interpretation", flagOf(r)],
+      ["Effective", displayDate(r.effectiveDateTime)],
+      ["Specimen", textOf((resolve(r.specimen) || {}).type)],
+      ["Performer", (r.performer || []).map(p => nameOf(resolve(p)) || p.display).filter(Boolean).join(", ")],
+      ["Members", members.map(m => textOf(m.code)).join(", ")],
+    ]);
+  },
+
+  DiagnosticReport(r, resolve) {
+    const rows = [];
+    const row = (o, cls) => rows.push(
+      `<tr${cls ? ` class="${cls}"` : ""}><td>${esc(textOf(o.code))}</td><td>${esc(valueOf(o))}</td><td>${esc(rangeOf(o))}</td><td>${esc(flagOf(o))}</td></tr>`
+    );
+    (r.result || []).map(resolve).filter(Boolean).forEach(o => {
+      if (Array.isArray(o.hasMember)) {
+        rows.push(`<tr><th colspan="4">${esc(textOf(o.code))}</th></tr>`);
+        o.hasMember.map(resolve).filter(Boolean).forEach(m => row(m));
+      } else {
+        row(o);
+      }
+    });
+    const table = rows.length
+      ? `<table><thead><tr><th>Test</th><th>Result</th><th>Reference range</th><th>Flag</th></tr></thead><tbody>${rows.join("")}</tbody></table>`
+      : "<p>No structured results.</p>";
+    return facts([
+      ["Report", textOf(r.code)],
+      ["Status", r.status],
+      ["Effective", displayDate(r.effectiveDateTime)],
+      ["Performer", (r.performer || []).map(p => nameOf(resolve(p)) || p.display).filter(Boolean).join(", ")],
+      ["Specimens", (r.specimen || []).map(s => textOf((resolve(s) || {}).type)).filter(Boolean).join(", ")],
+    ]) + table;
+  },
+
+  Specimen(r) {
+    const c = r.collection || {};
+    return facts([
+      ["Type", textOf(r.type)],
+      ["Collected", displayDate(c.collectedDateTime)],
+      ["Collector", c.collector && c.collector.display],
+      ["Body site", textOf(c.bodySite)],
+      ["Accession", r.accessionIdentifier && r.accessionIdentifier.value],
+      ["Container", r.container && r.container[0] && r.container[0].identifier && r.container[0].identifier[0].value],
+    ]);
+  },
+
+  Provenance(r, resolve) {
+    const who = ref => nameOf(resolve(ref)) || (ref && ref.display) || "";
+    return facts([
+      ["Activity", textOf(r.activity)],
+      ["Recorded", displayDate(r.recorded)],
+      ["Reason", (r.reason || []).map(textOf).join("; ")],
+      ...(r.agent || []).map(a => [textOf(a.type) || "Agent", `${who(a.who)}${a.onBehalfOf ? ` for ${who(a.onBehalfOf)}` : ""}`]),
+      ...(r.entity || []).map(x => [x.role === "revision" ? "Revises" : "Source", x.what && x.what.display]),
+      ["Targets", `${(r.target || []).length} resource(s)`],
+    ]);
+  },
+
+  DocumentReference(r) {
+    const att = (r.content && r.content[0] && r.content[0].attachment) || {};
+    return facts([
+      ["Type", textOf(r.type)],
+      ["Title", att.title],
+      ["Content type", att.contentType],
+      ["Status", r.status],
+      ["Date", displayDate(r.date)],
+    ]);
+  },
+};
+
+const TITLES = { DiagnosticReport: "Diagnostic report", DocumentReference: "Document" };
+
+/* Narrative for one resource, or undefined for types without one (Binary) */
+export function narrativeFor(resource, { resolve = () => undefined, status = "generated" } = {}) {
+  const render = RENDERERS[resource.resourceType];
+  if (!render) return undefined;
+  let html = render(resource, ref => (ref && ref.reference ? resolve(ref.reference) : undefined));
+  if (status === "extensions") html += extensionsOf(resource);
+  const title = resource.resourceType === "Composition" && resource.title ? resource.title : TITLES[resource.resourceType] || resource.resourceType;
+  return buildNarrative(title, html, status);
+}
+
+/* `text` goes right after meta (or id), where FHIR serializers put it */
+function withText(resource, text) {
+  const after = "meta" in resource ? "meta" : "id";
+  const out = {};
+  Object.keys(resource).forEach(k => {
+    if (k === "text") return;
+    out[k] = resource[k];
+    if (k === after) out.text = text;
+  });
+  if (!("text" in out)) out.text = text;
+  return out;
+}
+
+export function addNarratives(bundle, { status = "generated" } = {}) {
+  const index = new Map(bundle.entry.map(e => [e.fullUrl, e.resource]));
+  bundle.entry.forEach(e => {
+    const text = narrativeFor(e.resource, { resolve: ref => index.get(ref), status });
+    if (text) e.resource = withText(e.resource, text);
+  });
+  return bundle;
+}
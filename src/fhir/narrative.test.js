@@ -0,0 +1,96 @@
+import { buildDiagnosticReportBundle } from "./diagnosticReportBundle";
+import { narrativeFor } from "./narrative";
+import { validateBundle } from "./validate";
+import { createSequentialUuid } from "./utils";
+
+const input = {
+  patient: { id: 3, name: "Rohit <b>Kumar</b>", gender: "Male", dob: "30-12-1991", mobile: "7273000898", abha_ref: "91710433218355" },
+  selectedAbha: "rohitkumar30@sbx",
+  practitioner: { id: "PR-001", name: "Dr. Asha Rao & Sons", license: "LIC-1234-1" },
+  metadata: { status: "final", title: "CBC <script>alert(1)</script>", date: "2025-08-30T10:15", custodianName: "City Diagnostics" },
+  testCode: "CBC",
+  panels: [{ id: "cbc", text: "Complete blood count" }],
+  observations: [
+    { codeText: "Hemoglobin", valueText: "11.2", valueUnit: "g/dL", refLow: "13", refHigh: "17", panelId: "cbc" },
+    { codeText: "Platelets", valueText: "250", valueUnit: "10*3/uL", refLow: "150", refHigh: "400", panelId: "cbc" },
+    { codeText: "Remarks", valueText: "Sample \"slightly\" haemolysed <check>" },
+  ],
+  specimens: [{ id: "s1", typeText: "Venous blood" }],
+};
+
+function build(metadata = {}) {
+  return buildDiagnosticReportBundle(
+    { ...input, metadata: { ...input.metadata, ...metadata } },
+    { uuid: createSequentialUuid(), now: () => new Date("2025-08-30T10:20:00") }
+  );
+}
+
+const byType = (bundle, type) => bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+
+function parseXhtml(div) {
+  const doc = new DOMParser().parseFromString(div, "application/xml");
+  expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+  return doc.documentElement;
+}
+
+test("every resource except Binary gets a well-formed, escaped XHTML narrative", () => {
+  const bundle = build();
+  expect(byType(bundle, "Binary")[0].text).toBeUndefined();
+  bundle.entry.filter(e => e.resource.resourceType !== "Binary").forEach(({ resource }) => {
+    expect(resource.text.status).toBe("generated");
+    // resourceType, id, meta, [language], text — FHIR element order
+    const keys = Object.keys(resource);
+    expect(keys.slice(0, keys.indexOf("text")).filter(k => !["resourceType", "id", "meta", "language"].includes(k))).toEqual([]);
+    expect(keys.indexOf("meta")).toBe(2);
+    const root = parseXhtml(resource.text.div);
+    expect(root.namespaceURI).toBe("http://www.w3.org/1999/xhtml");
+    expect(root.getElementsByTagName("script")).toHaveLength(0);
+    expect(root.getElementsByTagName("b")).toHaveLength(0);
+  });
+
+  const composition = parseXhtml(bundle.entry[0].resource.text.div);
+  expect(composition.getElementsByTagName("h3")[0].textContent).toBe("CBC <script>alert(1)</script>");
+  expect(composition.textContent).toContain("Rohit <b>Kumar</b>");
+  expect(composition.textContent).toContain("Dr. Asha Rao & Sons");
+  expect(parseXhtml(byType(bundle, "Patient")[0].text.div).textContent).toContain("ABHA number91-7104-3321-8355");
+  expect(validateBundle(bundle).errors).toEqual([]);
+});
+
+test("DiagnosticReport narrative has a results table grouped by panel", () => {
+  const report = byType(build(), "DiagnosticReport")[0];
+  const root = parseXhtml(report.text.div);
+  const rows = Array.from(root.getElementsByTagName("tbody")[1].getElementsByTagName("tr"))
+    .map(tr => Array.from(tr.children).map(c => c.textContent));
+  expect(rows).toEqual([
+    ["Complete blood count"],
+    ["Hemoglobin", "11.2 g/dL", "13 g/dL – 17 g/dL", "Low"],
+    ["Platelets", "250 10³/µL", "150 10³/µL – 400 10³/µL", "Normal"],
+    ["Remarks", "Sample \"slightly\" haemolysed <check>", "", ""],
+  ]);
+});
+
+test("narrative status toggle renders extensions", () => {
+  const bundle = build({ narrativeStatus: "extensions" });
+  expect(bundle.entry.filter(e => e.resource.text).every(e => e.resource.text.status === "extensions")).toBe(true);
+
+  const patient = { ...byType(bundle, "Patient")[0], extension: [{ url: "http://example.org/religion", valueString: "<none>" }] };
+  const plain = narrativeFor(patient);
+  const withExt = narrativeFor(patient, { status: "extensions" });
+  expect(plain.div).not.toContain("religion");
+  expect(parseXhtml(withExt.div).textContent).toContain("http://example.org/religion: <none>");
+
+  expect(byType(build({ narrativeStatus: "bogus" }), "Patient")[0].text.status).toBe("generated");
+});
+
+test("validator flags narratives with active content or a missing namespace", () => {
+  const bundle = build();
+  bundle.entry[1].resource.text.div = bundle.entry[1].resource.text.div.replace("</div>", "<img src=\"x\" onerror=\"alert(1)\"/></div>");
+  bundle.entry[2].resource.text = { status: "generated", div: "<div><p>hi</p></div>" };
+  delete bundle.entry[3].resource.text;
+  const { errors, warnings } = validateBundle(bundle);
+  expect(errors.map(e => e.path)).toEqual([
+    "Bundle.entry[1].resource(Patient).text.div",
+    "Bundle.entry[2].resource(Practitioner).text.div",
+  ]);
+  expect(warnings.some(w => w.path === "Bundle.entry[3].resource(DiagnosticReport)" && /no narrative/.test(w.message))).toBe(true);
+});
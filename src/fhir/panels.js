@@ -0,0 +1,98 @@
+// src/fhir/panels.js
+import { urnRef } from "./utils";
+import { LOINC_SYSTEM, toLoincCoding } from "./loinc";
+import { NRCES_PROFILES } from "./profiles";
+
+/*
+  Panel templates (public/panel-templates.json, user-extendable).
+
+  template = {
+    id, name,
+    code, display,        // LOINC panel
+    analytes: [{ code, display, shortName, unit?, refLow?, refHigh?, refText?, critLow?, critHigh? }]
+  }
+
+  Applying a template yields observation rows tagged with `panelId`; the builder
+  then emits one grouping Observation per panel (hasMember -> rows) and
+  DiagnosticReport.result points at the group instead of the individual rows.
+*/
+
+/* Returns a list of problems; empty list means the catalog can be used */
+export function validateTemplateCatalog(catalog) {
+  const errors = [];
+  if (!Array.isArray(catalog)) return ["Catalog must be a JSON array of panel templates."];
+  const seen = new Set();
+  catalog.forEach((t, i) => {
+    const where = `Template #${i + 1}${t && t.name ? ` (${t.name})` : ""}`;
+    if (!t || typeof t !== "object") { errors.push(`${where}: not an object.`); return; }
+    if (!t.id || typeof t.id !== "string") errors.push(`${where}: "id" is required.`);
+    else if (seen.has(t.id)) errors.push(`${where}: duplicate id "${t.id}".`);
+    else seen.add(t.id);
+    if (!t.name) errors.push(`${where}: "name" is required.`);
+    if (!Array.isArray(t.analytes) || t.analytes.length === 0) errors.push(`${where}: "analytes" must be a non-empty array.`);
+    else t.analytes.forEach((a, j) => {
+      if (!a || !(a.code || a.shortName || a.display)) errors.push(`${where}: analyte #${j + 1} needs a code or a name.`);
+    });
+  });
+  return errors;
+}
+
+/* User templates replace bundled ones with the same id; new ids are appended */
+export function mergeTemplateCatalogs(bundled, custom) {
+  const out = Array.isArray(bundled) ? [...bundled] : [];
+  (Array.isArray(custom) ? custom : []).forEach(t => {
+    const idx = out.findIndex(b => b.id === t.id);
+    if (idx >= 0) out[idx] = t;
+    else out.push(t);
+  });
+  return out;
+}
+
+function str(v) {
+  return v === null || v === undefined ? "" : String(v);
+}
+
+/* Observation rows pre-filled from a template; `makeRow` supplies the blank row shape */
+export function templateToObservationRows(template, makeRow) {
+  return (template.analytes || []).map(a => ({
+    ...makeRow(),
+    panelId: template.id,
+    codeText: a.shortName || a.display || a.code || "",
+    codeCoding: a.code ? toLoincCoding(a) : null,
+    valueUnit: str(a.unit),
+    refLow: str(a.refLow),
+    refHigh: str(a.refHigh),
+    refText: str(a.refText),
+    critLow: str(a.critLow),
+    critHigh: str(a.critHigh),
+  }));
+}
+
+/* Panel descriptor for the builder input */
+export function templateToPanel(template) {
+  return {
+    id: template.id,
+    text: template.name,
+    coding: template.code ? { system: LOINC_SYSTEM, code: template.code, display: template.display || template.name } : null,
+  };
+}
+
+/* One grouping Observation per panel that still has rows */
+export function buildPanelGroupObservations(ctx) {
+  const { ids, panels, authoredOn, performer, resultStatus = "final" } = ctx;
+  return panels
+    .filter(p => ids.panelGroups[p.id] && ids.panelMembers[p.id].length)
+    .map(p => ({
+      resourceType: "Observation",
+      id: ids.panelGroups[p.id],
+      language: "en-IN",
+      meta: { profile: [NRCES_PROFILES.Observation] },
+      status: resultStatus,
+      category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" }], text: "Laboratory" }],
+      code: p.coding ? { coding: [p.coding], text: p.text || p.coding.display } : { text: p.text || p.id },
+      subject: { reference: urnRef(ids.patient) },
+      effectiveDateTime: authoredOn,
+      performer: [{ reference: urnRef(ids.performer), display: performer.name }],
+      hasMember: ids.panelMembers[p.id].map(id => ({ reference: urnRef(id) })),
+    }));
+}
@@ -0,0 +1,39 @@
+import { validateTemplateCatalog, mergeTemplateCatalogs, templateToObservationRows } from "./panels";
+
+const lipid = {
+  id: "lipid",
+  name: "Lipid Profile",
+  code: "57698-3",
+  display: "Lipid panel with direct LDL - Serum or Plasma",
+  analytes: [{ code: "2093-3", display: "Cholesterol [Mass/volume] in Serum or Plasma", shortName: "Total cholesterol", unit: "mg/dL", refHigh: 200 }],
+};
+
+test("validates imported catalogs", () => {
+  expect(validateTemplateCatalog([lipid])).toEqual([]);
+  expect(validateTemplateCatalog({})).toHaveLength(1);
+  expect(validateTemplateCatalog([lipid, { ...lipid }])).toEqual(['Template #2 (Lipid Profile): duplicate id "lipid".']);
+  expect(validateTemplateCatalog([{ id: "x", name: "X", analytes: [] }])).toHaveLength(1);
+});
+
+test("user templates override bundled ones by id", () => {
+  const custom = { ...lipid, name: "Lipid (lab variant)" };
+  const extra = { ...lipid, id: "lipid-extended" };
+  const merged = mergeTemplateCatalogs([lipid], [custom, extra]);
+  expect(merged.map(t => t.name)).toEqual(["Lipid (lab variant)", "Lipid Profile"]);
+});
+
+test("template analytes become pre-filled observation rows", () => {
+  const [row] = templateToObservationRows(lipid, () => ({ valueText: "", refLow: "" }));
+  expect(row).toEqual({
+    valueText: "",
+    panelId: "lipid",
+    codeText: "Total cholesterol",
+    codeCoding: { system: "http://loinc.org", code: "2093-3", display: "Cholesterol [Mass/volume] in Serum or Plasma" },
+    valueUnit: "mg/dL",
+    refLow: "",
+    refHigh: "200",
+    refText: "",
+    critLow: "",
+    critHigh: "",
+  });
+});
@@ -0,0 +1,172 @@
+// src/fhir/pdf.js
+/*
+  Minimal PDF 1.4 writer for generated reports: A4 pages, the two standard
+  Helvetica fonts (no embedding), text, lines and filled rectangles.
+
+  Coordinates are in points from the TOP-left corner of the page. Text is
+  WinAnsi-encoded; characters outside it are transliterated where there is an
+  obvious ASCII spelling ("≤" -> "<=", "⁶" -> "^6") and shown as "?" otherwise.
+
+  const doc = createPdfDocument();
+  doc.text(40, 60, "Hello", { size: 12, bold: true });
+  doc.toBase64()   // -> base64 of the whole file
+*/
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Unicode -> WinAnsi (cp1252) bytes outside Latin-1, plus ASCII spellings for common lab symbols
+const WIN_ANSI = { "–": "\x96", "—": "\x97", "‘": "\x91", "’": "\x92", "“": "\x93", "”": "\x94", "•": "\x95", "…": "\x85", "€": "\x80" };
+const ASCII_SPELLING = { "≤": "<=", "≥": ">=", "⁰": "^0", "⁴": "^4", "⁵": "^5", "⁶": "^6", "⁷": "^7", "⁸": "^8", "⁹": "^9", "₂": "2" };
+
+export function toWinAnsi(str) {
+  let out = "";
+  for (const ch of String(str === undefined || str === null ? "" : str)) {
+    const code = ch.codePointAt(0);
+    if (code >= 32 && code < 127) out += ch;
+    else if (code === 9 || code === 10 || code === 13) out += " ";
+    else if (code >= 160 && code <= 255) out += ch;
+    else if (WIN_ANSI[ch]) out += WIN_ANSI[ch];
+    else if (ASCII_SPELLING[ch]) out += ASCII_SPELLING[ch];
+    else if (code >= 32) out += "?";
+  }
+  return out;
+}
+
+/* Width of `str` in points for the given font size */
+export function textWidth(str, { size = 10, bold = false } = {}) {
+  const table = bold ? HELVETICA_BOLD : HELVETICA;
+  let units = 0;
+  for (const ch of toWinAnsi(str)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code < 127 ? table[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+/* Greedy word wrap to `maxWidth`; over-long words are cut */
+export function wrapText(str, maxWidth, opts = {}) {
+  const lines = [];
+  String(str || "").split(/\r?\n/).forEach(paragraph => {
+    let line = "";
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, opts) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, opts) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), opts) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+const num = n => String(Math.round(n * 100) / 100);
+const color = c => (c || [0, 0, 0]).map(num).join(" ");
+const pdfString = s => `(${toWinAnsi(s).replace(/[\\()]/g, m => `\\${m}`)})`;
+
+export function createPdfDocument({ width = A4.width, height = A4.height, title } = {}) {
+  const pages = [];
+  let current = -1;
+
+  function addPage() {
+    pages.push([]);
+    current = pages.length - 1;
+    return current;
+  }
+  addPage();
+
+  const ops = () => pages[current];
+
+  return {
+    width,
+    height,
+    addPage,
+    goToPage(i) {
+      current = i;
+    },
+    get pageCount() {
+      return pages.length;
+    },
+    get pageIndex() {
+      return current;
+    },
+
+    /* y is the text baseline; align "right" / "center" are relative to x */
+    text(x, y, str, { size = 10, bold = false, align = "left", color: c } = {}) {
+      const w = align === "left" ? 0 : textWidth(str, { size, bold });
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      ops().push(`BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${color(c)} rg 1 0 0 1 ${num(left)} ${num(height - y)} Tm ${pdfString(str)} Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width: w = 0.5, color: c } = {}) {
+      ops().push(`${num(w)} w ${color(c)} RG ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+    },
+
+    rect(x, y, w, h, { fill = [0.93, 0.93, 0.93] } = {}) {
+      ops().push(`${color(fill)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`);
+    },
+
+    /* The file as a binary (Latin-1) string */
+    toBinaryString() {
+      const objects = [];
+      const add = body => objects.push(body); // -> object number
+      const catalog = add(null);
+      const pagesObj = add(null);
+      const fontRegular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const fontBold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const info = add(`<< /Producer (Diagnostic Report Builder)${title ? ` /Title ${pdfString(title)}` : ""} >>`);
+      const kids = pages.map(content => {
+        const stream = content.join("\n");
+        const contentObj = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${contentObj} 0 R >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+      objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      let out = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+      const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      offsets.forEach(o => { out += `${String(o).padStart(10, "0")} 00000 n \n`; });
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return out;
+    },
+
+    toBase64() {
+      return btoa(this.toBinaryString());
+    },
+  };
+}
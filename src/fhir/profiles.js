@@ -0,0 +1,116 @@
+// src/fhir/profiles.js
+/*
+  NRCES (ABDM) profiles used by the DiagnosticReportRecord document, and the
+  subset of their StructureDefinition constraints that validateBundle checks.
+
+  Per element path (dot-separated, arrays are walked transparently):
+    min / max     cardinality within the parent element
+    values        required binding, enumerated (code or Coding.code)
+    pattern       { system, code } that a CodeableConcept must contain
+    targets       allowed resource types for a Reference
+*/
+
+const NRCES = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/";
+
+export const NRCES_PROFILES = {
+  Bundle: `${NRCES}DocumentBundle`,
+  Composition: `${NRCES}DiagnosticReportRecord`,
+  DiagnosticReport: `${NRCES}DiagnosticReportLab`,
+  Observation: `${NRCES}Observation`,
+  Patient: `${NRCES}Patient`,
+  Practitioner: `${NRCES}Practitioner`,
+  Organization: `${NRCES}Organization`,
+  Encounter: `${NRCES}Encounter`,
+  Specimen: `${NRCES}Specimen`,
+  DocumentReference: `${NRCES}DocumentReference`,
+  Binary: `${NRCES}Binary`,
+};
+
+/* Composition.type fixed by DiagnosticReportRecord */
+export const SNOMED_DIAGNOSTIC_STUDIES_REPORT = { system: "http://snomed.info/sct", code: "721981007", display: "Diagnostic studies report" };
+
+const AUTHOR_TARGETS = ["Practitioner", "PractitionerRole", "Organization", "Patient", "RelatedPerson", "Device"];
+const PERFORMER_TARGETS = ["Practitioner", "PractitionerRole", "Organization", "CareTeam", "Patient", "RelatedPerson"];
+
+export const PROFILE_CONSTRAINTS = {
+  Bundle: {
+    identifier: { min: 1, max: 1 },
+    type: { min: 1, values: ["document"] },
+    timestamp: { min: 1 },
+    entry: { min: 1 },
+    "entry.fullUrl": { min: 1 },
+    "entry.resource": { min: 1 },
+  },
+  Composition: {
+    status: { min: 1, values: ["preliminary", "final", "amended", "entered-in-error"] },
+    type: { min: 1, pattern: SNOMED_DIAGNOSTIC_STUDIES_REPORT },
+    subject: { min: 1, targets: ["Patient"] },
+    encounter: { targets: ["Encounter"] },
+    date: { min: 1 },
+    author: { min: 1, targets: AUTHOR_TARGETS },
+    title: { min: 1 },
+    "attester.mode": { min: 1, values: ["personal", "professional", "legal", "official"] },
+    "attester.party": { targets: ["Patient", "RelatedPerson", "Practitioner", "PractitionerRole", "Organization"] },
+    custodian: { targets: ["Organization"] },
+    section: { min: 1 },
+    "section.entry": { targets: ["DiagnosticReport", "DocumentReference"] },
+  },
+  DiagnosticReport: {
+    status: { min: 1, values: ["registered", "partial", "preliminary", "final", "amended", "corrected", "appended", "cancelled", "entered-in-error", "unknown"] },
+    code: { min: 1 },
+    subject: { min: 1, targets: ["Patient"] },
+    performer: { targets: PERFORMER_TARGETS },
+    resultsInterpreter: { targets: PERFORMER_TARGETS },
+    specimen: { targets: ["Specimen"] },
+    result: { targets: ["Observation"] },
+  },
+  Observation: {
+    status: { min: 1, values: ["registered", "preliminary", "final", "amended", "corrected", "cancelled", "entered-in-error", "unknown"] },
+    code: { min: 1 },
+    subject: { min: 1, targets: ["Patient"] },
+    performer: { targets: PERFORMER_TARGETS },
+    specimen: { targets: ["Specimen"] },
+    hasMember: { targets: ["Observation"] },
+  },
+  Patient: {
+    identifier: { min: 1 },
+    name: { min: 1 },
+    gender: { values: ["male", "female", "other", "unknown"] },
+  },
+  Practitioner: {
+    identifier: { min: 1 },
+    name: { min: 1 },
+  },
+  Organization: {
+    name: { min: 1 },
+  },
+  Encounter: {
+    status: { min: 1, values: ["planned", "arrived", "triaged", "in-progress", "onleave", "finished", "cancelled", "entered-in-error", "unknown"] },
+    class: { min: 1 },
+    subject: { min: 1, targets: ["Patient"] },
+  },
+  Specimen: {
+    type: { min: 1 },
+    subject: { min: 1, targets: ["Patient"] },
+    status: { values: ["available", "unavailable", "unsatisfactory", "entered-in-error"] },
+  },
+  DocumentReference: {
+    status: { min: 1, values: ["current", "superseded", "entered-in-error"] },
+    type: { min: 1 },
+    subject: { min: 1, targets: ["Patient"] },
+    content: { min: 1 },
+    "content.attachment": { min: 1, max: 1 },
+    "content.attachment.contentType": { min: 1 },
+  },
+  Binary: {
+    contentType: { min: 1 },
+    data: { min: 1 },
+  },
+  Provenance: {
+    target: { min: 1 },
+    recorded: { min: 1 },
+    agent: { min: 1 },
+    "agent.who": { min: 1 },
+    "entity.role": { min: 1, values: ["derivation", "revision", "quotation", "source", "removal"] },
+  },
+};
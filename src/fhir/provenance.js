@@ -0,0 +1,138 @@
+// src/fhir/provenance.js
+import { urnRef, isoWithLocalOffsetFromDate } from "./utils";
+
+/*
+  Provenance of a built report: who recorded the data, on whose behalf, and
+  where it came from.
+
+  input.provenance = {
+    enterer,   // { id, name, license } of the person at the keyboard (default: the author)
+    sources,   // [{ id, kind, label, identifier, device }]; observation rows point at one via `sourceId`
+  }
+  kind: "manual" | "analyzer-import" | "hl7" | "upload"
+
+  One Provenance targets the DiagnosticReport and every Observation:
+    agent     author (on behalf of the custodian), performer, enterer, custodian organization
+    activity  CREATE, or UPDATE / NULLIFY for amendments and retractions
+    entity    "source" per data origin actually used, "revision" for the replaced document
+*/
+
+export const PROVENANCE_SOURCE_KINDS = {
+  manual: "Manual entry",
+  "analyzer-import": "Analyzer export",
+  hl7: "HL7 v2 message",
+  upload: "Uploaded document",
+};
+
+const PARTICIPANT_SYSTEM = "http://terminology.hl7.org/CodeSystem/provenance-participant-type";
+const DATA_OPERATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/v3-DataOperation";
+const PARTICIPANTS = {
+  author: "Author",
+  performer: "Performer",
+  enterer: "Enterer",
+  custodian: "Custodian",
+};
+const ACTIVITIES = { CREATE: "create", UPDATE: "revise", NULLIFY: "nullify" };
+
+const agentType = code => ({ coding: [{ system: PARTICIPANT_SYSTEM, code, display: PARTICIPANTS[code] }], text: PARTICIPANTS[code] });
+
+/* Each used source once, in first-use order; rows without a known source count as manual entry */
+function usedSources(ctx) {
+  const { observations, attachments, provenance, amendment } = ctx;
+  const byId = new Map((provenance.sources || []).map(s => [s.id, s]));
+  const used = [];
+  const add = s => { if (!used.includes(s)) used.push(s); };
+  const manual = { kind: "manual" };
+  observations.forEach(o => {
+    if (o.sourceId && byId.has(o.sourceId)) add(byId.get(o.sourceId));
+    // Rows carried over from the replaced version are covered by the revision entity
+    else if (!(amendment && o.resourceId)) add(manual);
+  });
+  attachments.forEach(a => add({ kind: "upload", label: a.title }));
+  return used;
+}
+
+function sourceEntity(s) {
+  const label = [PROVENANCE_SOURCE_KINDS[s.kind] || s.kind, s.label, s.device && `from ${s.device}`].filter(Boolean).join(" — ");
+  return {
+    role: "source",
+    what: {
+      ...(s.identifier ? { identifier: { value: s.identifier } } : {}),
+      display: s.kind === "manual" ? `${label} (Diagnostic Report Builder)` : label,
+    },
+  };
+}
+
+export function buildProvenanceResource(ctx) {
+  const { ids, amendment, metadata, resultStatus, now, authoredOn, provenance } = ctx;
+  const practitionerRef = (id, p) => ({ reference: urnRef(id), display: p && p.name });
+
+  const agent = [{
+    type: agentType("author"),
+    who: practitionerRef(ids.practitioner, ctx.practitioner),
+    ...(ids.custodian ? { onBehalfOf: { reference: urnRef(ids.custodian) } } : {}),
+  }];
+  if (ids.performer !== ids.practitioner) agent.push({ type: agentType("performer"), who: practitionerRef(ids.performer, ctx.performer) });
+
+  // The enterer is referenced when they are already in the bundle, otherwise named
+  const enterer = provenance.enterer && provenance.enterer.id ? provenance.enterer : ctx.practitioner;
+  const entererId = [[ctx.practitioner, ids.practitioner], [ctx.performer, ids.performer]]
+    .find(([p]) => p && p.id && p.id === enterer.id);
+  agent.push({
+    type: agentType("enterer"),
+    who: entererId
+      ? practitionerRef(entererId[1], enterer)
+      : { ...(enterer.license ? { identifier: { value: enterer.license } } : {}), display: enterer.name || "Unknown user" },
+  });
+  if (ids.custodian) agent.push({ type: agentType("custodian"), who: { reference: urnRef(ids.custodian), display: metadata.custodianName } });
+
+  const activity = resultStatus === "entered-in-error" ? "NULLIFY" : amendment ? "UPDATE" : "CREATE";
+  const entity = usedSources(ctx).map(sourceEntity);
+  if (amendment) {
+    entity.push({
+      role: "revision",
+      what: { identifier: amendment.replaces.identifier, display: `Version ${amendment.replaces.version} of this report` },
+    });
+  }
+
+  return {
+    resourceType: "Provenance",
+    id: ids.provenance,
+    target: [ids.diagnosticReport, ...Object.values(ids.panelGroups), ...ids.observations].map(id => ({ reference: urnRef(id) })),
+    occurredDateTime: authoredOn,
+    recorded: isoWithLocalOffsetFromDate(now()),
+    ...(amendment && amendment.reason ? { reason: [{ text: amendment.reason }] } : {}),
+    activity: { coding: [{ system: DATA_OPERATION_SYSTEM, code: activity, display: ACTIVITIES[activity] }], text: ACTIVITIES[activity] },
+    agent,
+    entity: entity.length ? entity : undefined,
+  };
+}
+
+/* Provenance resources of a Bundle in a display-friendly shape, oldest first */
+export function provenanceTrail(bundle) {
+  const index = new Map((bundle.entry || []).map(e => [e.fullUrl, e.resource]));
+  const name = ref => {
+    const r = ref && ref.reference && index.get(ref.reference);
+    return (r && (typeof r.name === "string" ? r.name : r.name && r.name[0] && r.name[0].text)) || (ref && ref.display) || "";
+  };
+  return (bundle.entry || [])
+    .map(e => e.resource)
+    .filter(r => r && r.resourceType === "Provenance")
+    .map(p => ({
+      id: p.id,
+      recorded: p.recorded,
+      activity: (p.activity && (p.activity.text || (p.activity.coding && p.activity.coding[0].code))) || "",
+      reason: (p.reason || []).map(r => r.text).filter(Boolean).join("; "),
+      targets: (p.target || []).map(t => {
+        const r = index.get(t.reference);
+        return r ? `${r.resourceType}${r.code && r.code.text ? ` ${r.code.text}` : ""}` : t.reference;
+      }),
+      agents: (p.agent || []).map(a => ({
+        role: (a.type && (a.type.text || (a.type.coding && a.type.coding[0].code))) || "",
+        name: name(a.who),
+        onBehalfOf: name(a.onBehalfOf),
+      })),
+      entities: (p.entity || []).map(x => ({ role: x.role, label: (x.what && x.what.display) || "" })),
+    }))
+    .sort((a, b) => String(a.recorded).localeCompare(String(b.recorded)));
+}
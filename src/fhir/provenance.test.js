@@ -0,0 +1,90 @@
+import { buildDiagnosticReportBundle, createSequentialUuid, parseSubmittedBundle, provenanceTrail, validateBundle } from "./index";
+
+const author = { id: "PR-001", name: "Dr. Asha Rao", license: "LIC-1234-1" };
+const input = {
+  patient: { id: 3, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991", abha_ref: "91710433218355" },
+  practitioner: author,
+  performer: { id: "PR-002", name: "Ravi Tech", license: "LIC-5678-2" },
+  metadata: { status: "final", title: "CBC", date: "2025-08-30T10:15", custodianName: "City Lab" },
+  testCode: "CBC",
+  panels: [{ id: "cbc", text: "Complete blood count" }],
+  observations: [
+    { codeText: "Hemoglobin", valueText: "11.2", valueUnit: "g/dL", panelId: "cbc", sourceId: "src-1" },
+    { codeText: "Platelets", valueText: "250", valueUnit: "10*3/uL", panelId: "cbc", sourceId: "src-1" },
+    { codeText: "Remarks", valueText: "Normocytic" },
+  ],
+  attachments: [{ contentType: "application/pdf", title: "cbc.pdf", data: "JVBERi0xLjcK" }],
+  provenance: {
+    enterer: { id: "U-9", name: "Front desk", license: "" },
+    sources: [
+      { id: "src-1", kind: "analyzer-import", label: "xn1000.csv", device: "Sysmex XN" },
+      { id: "src-unused", kind: "hl7", label: "old.hl7" },
+    ],
+  },
+};
+
+const clock = () => new Date("2025-08-30T10:20:00");
+const build = (overrides = {}, start) => buildDiagnosticReportBundle({ ...input, ...overrides }, { uuid: createSequentialUuid(start), now: clock });
+const provenanceOf = bundle => bundle.entry.find(e => e.resource.resourceType === "Provenance").resource;
+
+test("records agents, activity, targets and the data sources actually used", () => {
+  const bundle = build();
+  const p = provenanceOf(bundle);
+  const report = bundle.entry.find(e => e.resource.resourceType === "DiagnosticReport");
+  const observations = bundle.entry.filter(e => e.resource.resourceType === "Observation");
+
+  expect(p.target.map(t => t.reference).sort()).toEqual([report, ...observations].map(e => e.fullUrl).sort());
+  expect(p.activity.coding[0].code).toBe("CREATE");
+  expect(p.recorded).toMatch(/^2025-08-30T10:20:00/);
+  expect(p.agent.map(a => [a.type.coding[0].code, a.who.display])).toEqual([
+    ["author", "Dr. Asha Rao"],
+    ["performer", "Ravi Tech"],
+    ["enterer", "Front desk"],
+    ["custodian", "City Lab"],
+  ]);
+  expect(p.agent[0].onBehalfOf.reference).toBe(p.agent[3].who.reference);
+  expect(p.agent[2].who.reference).toBeUndefined(); // not a practitioner of this bundle
+  expect(p.entity.map(x => x.what.display)).toEqual([
+    "Analyzer export — xn1000.csv — from Sysmex XN",
+    "Manual entry (Diagnostic Report Builder)",
+    "Uploaded document — cbc.pdf",
+  ]);
+
+  const { errors, warnings } = validateBundle(bundle);
+  expect(errors).toEqual([]);
+  expect(warnings.filter(w => w.message.includes("Provenance"))).toEqual([]);
+});
+
+test("the enterer defaults to the author and is referenced when in the bundle", () => {
+  const p = provenanceOf(build({ provenance: undefined }));
+  const enterer = p.agent.find(a => a.type.coding[0].code === "enterer");
+  expect(enterer.who).toEqual(p.agent[0].who);
+  expect(p.entity.map(x => x.what.display)).toEqual(["Manual entry (Diagnostic Report Builder)", "Uploaded document — cbc.pdf"]);
+});
+
+test("amendments record an UPDATE that revises the prior document", () => {
+  const original = build();
+  const parsed = parseSubmittedBundle(original);
+  const amended = build({
+    metadata: { ...input.metadata, status: "amended" },
+    observations: parsed.form.observations,
+    panels: parsed.form.panels,
+    attachments: [],
+    amendment: { ...parsed.amendment, reason: "Re-run" },
+  }, 500);
+  const p = provenanceOf(amended);
+  expect(p.id).not.toBe(provenanceOf(original).id);
+  expect(p.activity.coding[0].code).toBe("UPDATE");
+  expect(p.reason).toEqual([{ text: "Re-run" }]);
+  // carried-over rows are covered by the revision entity, not "manual entry"
+  expect(p.entity).toEqual([{
+    role: "revision",
+    what: { identifier: original.entry[0].resource.identifier, display: "Version 1 of this report" },
+  }]);
+
+  const trail = provenanceTrail(amended);
+  expect(trail).toHaveLength(1);
+  expect(trail[0]).toMatchObject({ activity: "revise", reason: "Re-run", entities: [{ role: "revision" }] });
+  expect(trail[0].agents[0]).toEqual({ role: "Author", name: "Dr. Asha Rao", onBehalfOf: "City Lab" });
+  expect(trail[0].targets).toContain("DiagnosticReport CBC");
+});
@@ -0,0 +1,96 @@
+// src/fhir/specimen.js
+import { urnRef, localDatetimeToISOWithOffset } from "./utils";
+import { NRCES_PROFILES } from "./profiles";
+
+/*
+  Specimen resources for the DiagnosticReport bundle.
+
+  specimen row = {
+    id,                 // row key; Observation rows link to it via `specimenId`
+    typeCode,           // SNOMED CT code from SPECIMEN_TYPES (optional if typeText given)
+    typeText,
+    collectedDateTime,  // 'datetime-local' value
+    collector,          // collector name (display only)
+    bodySiteCode,       // SNOMED CT code from SPECIMEN_BODY_SITES (optional if bodySiteText given)
+    bodySiteText,
+    accessionId,        // lab accession number -> Specimen.accessionIdentifier
+    containerId,        // tube / container barcode -> Specimen.container.identifier
+  }
+*/
+
+export const SNOMED_SYSTEM = "http://snomed.info/sct";
+
+/* Common lab specimen types (SNOMED CT, specimen hierarchy) */
+export const SPECIMEN_TYPES = [
+  { code: "119297000", display: "Blood specimen" },
+  { code: "122555007", display: "Venous blood specimen" },
+  { code: "122554006", display: "Capillary blood specimen" },
+  { code: "119364003", display: "Serum specimen" },
+  { code: "119361006", display: "Plasma specimen" },
+  { code: "122575003", display: "Urine specimen" },
+  { code: "119339001", display: "Stool specimen" },
+  { code: "119334006", display: "Sputum specimen" },
+  { code: "258529004", display: "Throat swab" },
+  { code: "258500001", display: "Nasopharyngeal swab" },
+  { code: "258450006", display: "Cerebrospinal fluid sample" },
+];
+
+/* Common collection sites (SNOMED CT, body structure hierarchy) */
+export const SPECIMEN_BODY_SITES = [
+  { code: "368208006", display: "Left upper arm structure" },
+  { code: "368209003", display: "Right upper arm structure" },
+  { code: "7569003", display: "Finger structure" },
+  { code: "76853006", display: "Heel structure" },
+  { code: "45206002", display: "Nasal structure" },
+  { code: "54066008", display: "Pharyngeal structure" },
+];
+
+export function emptySpecimen(id) {
+  return {
+    id,
+    typeCode: "",
+    typeText: "",
+    collectedDateTime: "",
+    collector: "",
+    bodySiteCode: "",
+    bodySiteText: "",
+    accessionId: "",
+    containerId: "",
+  };
+}
+
+/* A row is emitted only when it says what was collected */
+export function isSpecimenFilled(s) {
+  return !!(s && ((s.typeCode && s.typeCode.trim()) || (s.typeText && s.typeText.trim())));
+}
+
+function snomedConcept(list, code, text) {
+  const hit = code ? list.find(c => c.code === code) : null;
+  if (hit) return { coding: [{ system: SNOMED_SYSTEM, code: hit.code, display: hit.display }], text: text?.trim() || hit.display };
+  if (text && text.trim()) return { text: text.trim() };
+  return undefined;
+}
+
+export function buildSpecimenResources(specimens, ctx) {
+  const { ids, now } = ctx;
+  return specimens.map((s, idx) => {
+    const collection = {};
+    if (s.collector && s.collector.trim()) collection.collector = { display: s.collector.trim() };
+    if (s.collectedDateTime) collection.collectedDateTime = localDatetimeToISOWithOffset(s.collectedDateTime, now);
+    const bodySite = snomedConcept(SPECIMEN_BODY_SITES, s.bodySiteCode, s.bodySiteText);
+    if (bodySite) collection.bodySite = bodySite;
+
+    return {
+      resourceType: "Specimen",
+      id: ids.specimens[idx],
+      language: "en-IN",
+      meta: { profile: [NRCES_PROFILES.Specimen] },
+      ...(s.accessionId && s.accessionId.trim() ? { accessionIdentifier: { value: s.accessionId.trim() } } : {}),
+      status: "available",
+      type: snomedConcept(SPECIMEN_TYPES, s.typeCode, s.typeText),
+      subject: { reference: urnRef(ids.patient) },
+      ...(Object.keys(collection).length ? { collection } : {}),
+      ...(s.containerId && s.containerId.trim() ? { container: [{ identifier: [{ value: s.containerId.trim() }] }] } : {}),
+    };
+  });
+}
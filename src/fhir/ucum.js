@@ -0,0 +1,197 @@
+// src/fhir/ucum.js
+/*
+  UCUM units for lab quantities.
+
+  - UCUM_UNITS: bundled table of common lab units (canonical code + what
+    analyzers/technicians usually type for it)
+  - resolveUcum(text) -> { code, display } | null
+  - ucumQuantity(value, text) -> Quantity with system/code when the unit resolves
+  - convertValue / conversionTargets: analyte-aware conversions between lab units
+*/
+
+export const UCUM_SYSTEM = "http://unitsofmeasure.org";
+
+export const UCUM_UNITS = [
+  // mass concentration
+  { code: "g/dL", display: "g/dL", aliases: ["gm/dl", "g%", "gm%"] },
+  { code: "g/L", display: "g/L", aliases: ["gm/l"] },
+  { code: "mg/dL", display: "mg/dL", aliases: ["mg%"] },
+  { code: "mg/L", display: "mg/L", aliases: [] },
+  { code: "ug/dL", display: "µg/dL", aliases: ["µg/dl", "mcg/dl"] },
+  { code: "ug/L", display: "µg/L", aliases: ["µg/l", "mcg/l"] },
+  { code: "ug/mL", display: "µg/mL", aliases: ["µg/ml", "mcg/ml"] },
+  { code: "ng/mL", display: "ng/mL", aliases: [] },
+  { code: "ng/dL", display: "ng/dL", aliases: [] },
+  { code: "pg/mL", display: "pg/mL", aliases: [] },
+  { code: "mg/g", display: "mg/g", aliases: [] },
+  { code: "mg/(24.h)", display: "mg/24 h", aliases: ["mg/24hr", "mg/24h", "mg/day"] },
+  { code: "g/(24.h)", display: "g/24 h", aliases: ["g/24hr", "g/24h", "g/day"] },
+  // substance concentration
+  { code: "mmol/L", display: "mmol/L", aliases: [] },
+  { code: "umol/L", display: "µmol/L", aliases: ["µmol/l", "micromol/l"] },
+  { code: "nmol/L", display: "nmol/L", aliases: [] },
+  { code: "pmol/L", display: "pmol/L", aliases: [] },
+  { code: "meq/L", display: "mEq/L", aliases: [] },
+  { code: "mosm/kg", display: "mOsm/kg", aliases: [] },
+  // enzyme / hormone activity
+  { code: "U/L", display: "U/L", aliases: [] },
+  { code: "[IU]/L", display: "IU/L", aliases: ["iu/l"] },
+  { code: "[IU]/mL", display: "IU/mL", aliases: ["iu/ml"] },
+  { code: "m[IU]/L", display: "mIU/L", aliases: ["miu/l"] },
+  { code: "m[IU]/mL", display: "mIU/mL", aliases: ["miu/ml"] },
+  { code: "u[IU]/mL", display: "µIU/mL", aliases: ["uiu/ml", "µiu/ml"] },
+  // counts
+  { code: "10*3/uL", display: "10³/µL", aliases: ["10^3/ul", "x10^3/ul", "10³/µl", "thou/ul", "thou/cumm", "10^3/cumm"] },
+  { code: "10*6/uL", display: "10⁶/µL", aliases: ["10^6/ul", "x10^6/ul", "10⁶/µl", "mill/cumm", "million/cumm", "10^6/cumm"] },
+  { code: "10*5/uL", display: "lakh/µL", aliases: ["lakh/cumm", "lakhs/cumm", "10^5/ul"] },
+  { code: "10*9/L", display: "10⁹/L", aliases: ["10^9/l", "x10^9/l"] },
+  { code: "10*12/L", display: "10¹²/L", aliases: ["10^12/l", "x10^12/l"] },
+  { code: "/uL", display: "/µL", aliases: ["/cumm", "cells/cumm", "cells/ul", "/mm3", "/µl"] },
+  { code: "/[HPF]", display: "/HPF", aliases: ["/hpf", "cells/hpf"] },
+  // red cell indices, fractions, ratios
+  { code: "%", display: "%", aliases: ["percent"] },
+  { code: "fL", display: "fL", aliases: [] },
+  { code: "pg", display: "pg", aliases: [] },
+  { code: "{ratio}", display: "ratio", aliases: ["ratio"] },
+  { code: "{INR}", display: "INR", aliases: ["inr"] },
+  { code: "{SG}", display: "SG", aliases: ["sg"] },
+  { code: "[pH]", display: "pH", aliases: ["ph"] },
+  // time / rate / misc
+  { code: "mm/h", display: "mm/h", aliases: ["mm/hr", "mm/1st hr", "mm in 1st hr"] },
+  { code: "s", display: "s", aliases: ["sec", "secs", "seconds"] },
+  { code: "min", display: "min", aliases: ["mins", "minutes"] },
+  { code: "mL/min/{1.73_m2}", display: "mL/min/1.73 m²", aliases: ["ml/min/1.73m2", "ml/min/1.73 m2", "ml/min/1.73m²"] },
+  { code: "mL", display: "mL", aliases: [] },
+  { code: "L", display: "L", aliases: [] },
+  { code: "g", display: "g", aliases: ["gm"] },
+  { code: "mg", display: "mg", aliases: [] },
+  { code: "kg", display: "kg", aliases: [] },
+  { code: "cm", display: "cm", aliases: [] },
+  { code: "mm[Hg]", display: "mmHg", aliases: ["mmhg"] },
+  { code: "Cel", display: "°C", aliases: ["°c", "degc"] },
+];
+
+/* Canonical UCUM entry for what the user typed, or null if unknown */
+export function resolveUcum(text) {
+  const t = String(text || "").trim();
+  if (!t) return null;
+  const exact = UCUM_UNITS.find(u => u.code === t);
+  if (exact) return { code: exact.code, display: exact.display };
+  const lower = t.toLowerCase();
+  const hit = UCUM_UNITS.find(u => u.code.toLowerCase() === lower || u.display.toLowerCase() === lower || u.aliases.includes(lower));
+  if (hit) return { code: hit.code, display: hit.display };
+  // Pure annotation units ({cells}, {titer}, ...) are valid UCUM for counts/ratios
+  if (/^\{[^{}]+\}$/.test(t)) return { code: t, display: t.slice(1, -1) };
+  return null;
+}
+
+export function isValidUcum(text) {
+  return !!resolveUcum(text);
+}
+
+/* Quantity (value, unit) with UCUM system/code when the unit resolves */
+export function ucumQuantity(value, unitText) {
+  const unit = String(unitText || "").trim();
+  const q = { value };
+  if (!unit) return q;
+  const ucum = resolveUcum(unit);
+  if (!ucum) return { ...q, unit };
+  return { ...q, unit: ucum.display, system: UCUM_SYSTEM, code: ucum.code };
+}
+
+/* ------------------------------ CONVERSIONS -------------------------------- */
+/*
+  factor: value_in_`to` = value_in_`from` * factor (the inverse is derived).
+  `loinc` limits a conversion to specific analytes (molar mass differs per analyte).
+*/
+export const UNIT_CONVERSIONS = [
+  // analyte independent
+  { from: "g/dL", to: "g/L", factor: 10 },
+  { from: "mg/dL", to: "mg/L", factor: 10 },
+  { from: "g/L", to: "mg/dL", factor: 100 },
+  { from: "10*3/uL", to: "10*9/L", factor: 1 },
+  { from: "10*6/uL", to: "10*12/L", factor: 1 },
+  { from: "10*5/uL", to: "10*3/uL", factor: 100 },
+  // glucose (180.16 g/mol)
+  { from: "mg/dL", to: "mmol/L", factor: 1 / 18.016, loinc: ["2345-7", "1558-6", "2339-0", "5792-7"] },
+  // cholesterol: total, HDL, LDL, VLDL (386.65 g/mol)
+  { from: "mg/dL", to: "mmol/L", factor: 1 / 38.67, loinc: ["2093-3", "2085-9", "13457-7", "18262-6", "13458-5"] },
+  // triglycerides (~885.7 g/mol)
+  { from: "mg/dL", to: "mmol/L", factor: 1 / 88.57, loinc: ["2571-8"] },
+  // creatinine (113.12 g/mol)
+  { from: "mg/dL", to: "umol/L", factor: 88.42, loinc: ["2160-0"] },
+  // urea nitrogen (28 g/mol N2)
+  { from: "mg/dL", to: "mmol/L", factor: 0.357, loinc: ["3094-0"] },
+  // uric acid (168.11 g/mol)
+  { from: "mg/dL", to: "umol/L", factor: 59.48, loinc: ["3084-1"] },
+  // calcium (40.08 g/mol)
+  { from: "mg/dL", to: "mmol/L", factor: 1 / 4.008, loinc: ["17861-6"] },
+  // hemoglobin: g/dL -> mmol/L (monomer, 16.11 g/mol basis)
+  { from: "g/dL", to: "mmol/L", factor: 0.6206, loinc: ["718-7"] },
+];
+
+function conversionApplies(c, loincCode) {
+  return !c.loinc || (loincCode && c.loinc.includes(loincCode));
+}
+
+/* Factor to go from one UCUM code to another for an analyte, or null */
+export function conversionFactor(fromCode, toCode, loincCode) {
+  if (fromCode === toCode) return 1;
+  for (const c of UNIT_CONVERSIONS) {
+    if (!conversionApplies(c, loincCode)) continue;
+    if (c.from === fromCode && c.to === toCode) return c.factor;
+    if (c.from === toCode && c.to === fromCode) return 1 / c.factor;
+  }
+  return null;
+}
+
+/* UCUM codes the unit can be converted to for this analyte */
+export function conversionTargets(unitText, loincCode) {
+  const from = resolveUcum(unitText);
+  if (!from) return [];
+  const out = [];
+  UNIT_CONVERSIONS.forEach(c => {
+    if (!conversionApplies(c, loincCode)) return;
+    if (c.from === from.code && !out.includes(c.to)) out.push(c.to);
+    if (c.to === from.code && !out.includes(c.from)) out.push(c.from);
+  });
+  return out;
+}
+
+/* Round to three significant digits, the usual precision of lab results */
+function roundLab(n) {
+  if (!isFinite(n) || n === 0) return n;
+  const digits = Math.max(0, 2 - Math.floor(Math.log10(Math.abs(n))));
+  return Number(n.toFixed(Math.min(digits, 4)));
+}
+
+/* Converted numeric value, or null when no conversion is known */
+export function convertValue(value, fromUnit, toUnit, loincCode) {
+  const n = Number(value);
+  if (value === "" || value === null || value === undefined || isNaN(n)) return null;
+  const from = resolveUcum(fromUnit);
+  const to = resolveUcum(toUnit);
+  if (!from || !to) return null;
+  const factor = conversionFactor(from.code, to.code, loincCode);
+  return factor === null ? null : roundLab(n * factor);
+}
+
+/* Observation row with value, ranges and critical limits converted to `toUnit` */
+export function convertObservationRow(row, toUnit) {
+  const loincCode = row.codeCoding && row.codeCoding.code;
+  const to = resolveUcum(toUnit);
+  if (!to || !resolveUcum(row.valueUnit)) return row;
+  const conv = v => {
+    const c = convertValue(v, row.valueUnit, to.code, loincCode);
+    return c === null ? v : String(c);
+  };
+  return {
+    ...row,
+    valueText: conv(row.valueText),
+    refLow: conv(row.refLow),
+    refHigh: conv(row.refHigh),
+    critLow: conv(row.critLow),
+    critHigh: conv(row.critHigh),
+    valueUnit: to.code,
+  };
+}
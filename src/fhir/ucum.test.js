@@ -0,0 +1,28 @@
+import { resolveUcum, ucumQuantity, convertValue, conversionTargets, convertObservationRow } from "./ucum";
+
+test("resolves common spellings to canonical UCUM codes", () => {
+  expect(resolveUcum("mg/dl")).toEqual({ code: "mg/dL", display: "mg/dL" });
+  expect(resolveUcum("IU/L")).toEqual({ code: "[IU]/L", display: "IU/L" });
+  expect(resolveUcum("lakhs/cumm").code).toBe("10*5/uL");
+  expect(resolveUcum("{cells}").code).toBe("{cells}");
+  expect(resolveUcum("mg/dL.")).toBeNull();
+});
+
+test("emits system and code only for recognised units", () => {
+  expect(ucumQuantity(5.6, "mmol/l")).toEqual({ value: 5.6, unit: "mmol/L", system: "http://unitsofmeasure.org", code: "mmol/L" });
+  expect(ucumQuantity(5.6, "bogus")).toEqual({ value: 5.6, unit: "bogus" });
+});
+
+test("converts analyte-specific units only for that analyte", () => {
+  expect(convertValue("100", "mg/dL", "mmol/L", "2345-7")).toBe(5.55);
+  expect(convertValue("200", "mg/dL", "mmol/L", "2093-3")).toBe(5.17);
+  expect(convertValue("5.55", "mmol/L", "mg/dL", "2345-7")).toBe(100);
+  expect(convertValue("100", "mg/dL", "mmol/L")).toBeNull();
+  expect(convertValue("13.5", "g/dL", "g/L")).toBe(135);
+  expect(conversionTargets("g/dL")).toEqual(["g/L"]);
+});
+
+test("converts value, ranges and critical limits of a row together", () => {
+  const row = { codeCoding: { code: "2345-7" }, valueText: "126", valueUnit: "mg/dL", refLow: "70", refHigh: "100", critLow: "", critHigh: "" };
+  expect(convertObservationRow(row, "mmol/L")).toMatchObject({ valueText: "6.99", refLow: "3.89", refHigh: "5.55", critLow: "", valueUnit: "mmol/L" });
+});
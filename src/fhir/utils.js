@@ -0,0 +1,113 @@
+// src/fhir/utils.js
+/*
+  Shared helpers for building FHIR resources (ids, dates, narratives).
+  No React, no DOM access — safe to use from scripts and tests.
+*/
+
+/* ------------------------------- IDS --------------------------------------- */
+export function uuidv4() {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+}
+
+export function isUuid(s) {
+  return typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(s);
+}
+
+/* Keep a valid UUID as-is (lowercased), otherwise mint one with `gen` */
+export function safeUuid(maybeId, gen = uuidv4) {
+  return isUuid((maybeId || "").toLowerCase()) ? maybeId.toLowerCase() : gen();
+}
+
+/* Deterministic UUID generator for tests/snapshots: 00000000-0000-4000-8000-000000000001, ... */
+export function createSequentialUuid(start = 1) {
+  let n = start;
+  return function () {
+    const hex = (n++).toString(16).padStart(12, "0");
+    return `00000000-0000-4000-8000-${hex}`;
+  };
+}
+
+/* ------------------------------- DATES ------------------------------------- */
+/* Convert dd-mm-yyyy (or dd/mm/yyyy) to yyyy-mm-dd, else return undefined */
+export function ddmmyyyyToISO(v) {
+  if (!v) return undefined;
+  const s = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const sep = s.includes("-") ? "-" : s.includes("/") ? "/" : null;
+  if (!sep) return undefined;
+  const parts = s.split(sep);
+  if (parts.length !== 3) return undefined;
+  const [dd, mm, yyyy] = parts;
+  return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
+}
+
+/* ISO datetime with local timezone offset (e.g., 2025-08-30T15:04:05+05:30) */
+export function isoWithLocalOffsetFromDate(d) {
+  const date = d instanceof Date ? d : new Date(d);
+  const pad = n => String(Math.abs(Math.floor(n))).padStart(2, "0");
+  const tzo = -date.getTimezoneOffset();
+  const sign = tzo >= 0 ? "+" : "-";
+  const hh = pad(Math.floor(Math.abs(tzo) / 60));
+  const mm = pad(Math.abs(tzo) % 60);
+  return (
+    date.getFullYear() +
+    "-" +
+    pad(date.getMonth() + 1) +
+    "-" +
+    pad(date.getDate()) +
+    "T" +
+    pad(date.getHours()) +
+    ":" +
+    pad(date.getMinutes()) +
+    ":" +
+    pad(date.getSeconds()) +
+    sign +
+    hh +
+    ":" +
+    mm
+  );
+}
+
+/* Convert 'datetime-local' input (YYYY-MM-DDTHH:MM) to iso-with-offset */
+export function localDatetimeToISOWithOffset(localDatetime, now = () => new Date()) {
+  if (!localDatetime) return isoWithLocalOffsetFromDate(now());
+  return isoWithLocalOffsetFromDate(new Date(localDatetime));
+}
+
+/* Value for a 'datetime-local' input (YYYY-MM-DDTHH:MM) */
+export function toDatetimeLocalValue(d = new Date()) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/* ----------------------------- NARRATIVE ----------------------------------- */
+/* Escape text for use inside XHTML narrative */
+export function escapeXml(v) {
+  return String(v === undefined || v === null ? "" : v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* XHTML narrative wrapper with lang/xml:lang; innerHtml must already be escaped, the title is escaped here */
+export function buildNarrative(title, innerHtml, status = "generated") {
+  return {
+    status,
+    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${escapeXml(title)}</h3>${innerHtml}</div>`,
+  };
+}
+
+/* ---------------------------- REFERENCES ----------------------------------- */
+export function urnRef(id) {
+  return `urn:uuid:${id}`;
+}
+
+export function toEntry(resource) {
+  return { fullUrl: urnRef(resource.id), resource };
+}
@@ -0,0 +1,196 @@
+// src/fhir/validate.js
+import { NRCES_PROFILES, PROFILE_CONSTRAINTS } from "./profiles";
+
+/*
+  Structural validation of a built document Bundle against the bundled NRCES
+  constraints (see ./profiles).
+
+  validateBundle(bundle) -> { valid, errors, warnings }
+  issue = { severity: "error" | "warning", path, message }
+  path is FHIRPath-like and starts at the resource, e.g.
+    "Bundle.entry[5].resource(Observation).referenceRange[0].low"
+*/
+
+const URN_UUID = /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isPresent(v) {
+  if (v === undefined || v === null || v === "") return false;
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+/* [{ value, path }] for a dot path; arrays are expanded with their index */
+function select(node, segments, basePath) {
+  let current = [{ value: node, path: basePath }];
+  for (const seg of segments) {
+    const next = [];
+    current.forEach(({ value, path }) => {
+      if (!value || typeof value !== "object") return;
+      const child = value[seg];
+      if (!isPresent(child)) return;
+      if (Array.isArray(child)) child.forEach((c, i) => next.push({ value: c, path: `${path}.${seg}[${i}]` }));
+      else next.push({ value: child, path: `${path}.${seg}` });
+    });
+    current = next;
+  }
+  return current;
+}
+
+function countAt(value, seg) {
+  const child = value && typeof value === "object" ? value[seg] : undefined;
+  if (!isPresent(child)) return 0;
+  return Array.isArray(child) ? child.length : 1;
+}
+
+function codeOf(v) {
+  if (typeof v === "string") return v;
+  if (v && typeof v === "object" && typeof v.code === "string") return v.code;
+  return undefined;
+}
+
+/* Every { reference: "..." } anywhere below `node` */
+function collectReferences(node, path, out) {
+  if (!node || typeof node !== "object") return out;
+  if (Array.isArray(node)) {
+    node.forEach((c, i) => collectReferences(c, `${path}[${i}]`, out));
+    return out;
+  }
+  Object.entries(node).forEach(([k, v]) => {
+    if (k === "reference" && typeof v === "string") out.push({ reference: v, path });
+    else if (k === "url" && typeof v === "string" && v.startsWith("urn:uuid:")) out.push({ reference: v, path: `${path}.url` });
+    else collectReferences(v, `${path}.${k}`, out);
+  });
+  return out;
+}
+
+function checkConstraints(resource, rules, basePath, byFullUrl, push) {
+  Object.entries(rules).forEach(([elementPath, rule]) => {
+    const segments = elementPath.split(".");
+    const parentSegs = segments.slice(0, -1);
+    const leaf = segments[segments.length - 1];
+    const parents = select(resource, parentSegs, basePath);
+
+    if (rule.min || rule.max !== undefined) {
+      parents.forEach(({ value, path }) => {
+        const n = countAt(value, leaf);
+        if (rule.min && n < rule.min) push("error", `${path}.${leaf}`, `minimum cardinality ${rule.min} not met (found ${n})`);
+        if (rule.max !== undefined && n > rule.max) push("error", `${path}.${leaf}`, `maximum cardinality ${rule.max} exceeded (found ${n})`);
+      });
+    }
+
+    const values = select(resource, segments, basePath);
+
+    if (rule.values) {
+      values.forEach(({ value, path }) => {
+        const code = codeOf(value);
+        if (!rule.values.includes(code)) push("error", path, `value "${code}" is not in the required value set (${rule.values.join(", ")})`);
+      });
+    }
+
+    if (rule.pattern) {
+      values.forEach(({ value, path }) => {
+        const codings = Array.isArray(value && value.coding) ? value.coding : [];
+        if (!codings.some(c => c.system === rule.pattern.system && c.code === rule.pattern.code)) {
+          push("error", path, `must contain coding ${rule.pattern.system}|${rule.pattern.code} (${rule.pattern.display || ""})`);
+        }
+      });
+    }
+
+    if (rule.targets) {
+      values.forEach(({ value, path }) => {
+        const ref = value && value.reference;
+        if (!ref) return; // display-only references are allowed
+        const target = byFullUrl.get(ref);
+        if (target && !rule.targets.includes(target.resourceType)) {
+          push("error", path, `reference to ${target.resourceType} not allowed (expected ${rule.targets.join(" | ")})`);
+        }
+      });
+    }
+  });
+}
+
+const NARRATIVE_STATUS = ["generated", "extensions", "additional", "empty"];
+const XHTML_DIV = /^<div xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"[\s>]/;
+
+/* Resource.text: dom-6 (should exist), txt-1 / txt-2 (XHTML div, no active content) */
+function checkNarrative(r, base, push) {
+  if (r.resourceType === "Binary" || r.resourceType === "Bundle") return;
+  if (!r.text) {
+    push("warning", base, "has no narrative (text)");
+    return;
+  }
+  if (!NARRATIVE_STATUS.includes(r.text.status)) push("error", `${base}.text.status`, `value "${r.text.status}" is not a narrative status`);
+  const div = typeof r.text.div === "string" ? r.text.div : "";
+  if (!XHTML_DIV.test(div) || !div.endsWith("</div>")) push("error", `${base}.text.div`, "must be a single XHTML <div> in the http://www.w3.org/1999/xhtml namespace");
+  else if (/<\s*(script|style|iframe|object|embed|form|input)\b|\son\w+\s*=|\s(href|src)\s*=\s*["']?\s*javascript:/i.test(div)) push("error", `${base}.text.div`, "contains active content, which narratives may not include");
+}
+
+export function validateBundle(bundle) {
+  const issues = [];
+  const push = (severity, path, message) => issues.push({ severity, path, message });
+
+  if (!bundle || bundle.resourceType !== "Bundle") {
+    push("error", "Bundle", "not a FHIR Bundle");
+    return { valid: false, errors: issues, warnings: [] };
+  }
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const byFullUrl = new Map();
+
+  // Bundle level
+  checkConstraints(bundle, PROFILE_CONSTRAINTS.Bundle, "Bundle", byFullUrl, push);
+  if (!(bundle.meta?.profile || []).includes(NRCES_PROFILES.Bundle)) push("warning", "Bundle.meta.profile", `should declare ${NRCES_PROFILES.Bundle}`);
+  if (!bundle.signature) push("warning", "Bundle.signature", "ABDM document bundles are expected to be signed by the author");
+
+  entries.forEach((e, i) => {
+    const path = `Bundle.entry[${i}]`;
+    if (!e.fullUrl || !e.resource) return; // reported by cardinality
+    if (!URN_UUID.test(e.fullUrl)) push("error", `${path}.fullUrl`, `"${e.fullUrl}" is not a urn:uuid`);
+    else if (e.fullUrl !== `urn:uuid:${e.resource.id}`) push("error", `${path}.fullUrl`, `does not match resource id "${e.resource.id}"`);
+    if (byFullUrl.has(e.fullUrl)) push("error", `${path}.fullUrl`, `duplicate fullUrl ${e.fullUrl}`);
+    else byFullUrl.set(e.fullUrl, e.resource);
+  });
+
+  if (entries.length && entries[0].resource?.resourceType !== "Composition") {
+    push("error", "Bundle.entry[0]", "the first entry of a document Bundle must be a Composition");
+  }
+
+  // Resource level
+  const referenced = new Set();
+  entries.forEach((e, i) => {
+    const r = e.resource;
+    if (!r) return;
+    const base = `Bundle.entry[${i}].resource(${r.resourceType})`;
+
+    const rules = PROFILE_CONSTRAINTS[r.resourceType];
+    if (rules) checkConstraints(r, rules, base, byFullUrl, push);
+    else push("warning", base, `${r.resourceType} is not part of the DiagnosticReportRecord document`);
+
+    const profile = NRCES_PROFILES[r.resourceType];
+    if (profile && !(r.meta?.profile || []).includes(profile)) push("warning", `${base}.meta.profile`, `should declare ${profile}`);
+
+    checkNarrative(r, base, push);
+
+    if (r.resourceType === "Observation" && !r.hasMember && !r.dataAbsentReason && !Object.keys(r).some(k => k.startsWith("value"))) {
+      push("warning", base, "has no value[x], dataAbsentReason or hasMember");
+    }
+
+    // Reference resolution (document bundles must be self-contained)
+    collectReferences(r, base, []).forEach(({ reference, path }) => {
+      if (byFullUrl.has(reference)) referenced.add(reference);
+      else if (!reference.startsWith("#")) {
+        push("error", path, `reference "${reference}" does not resolve to an entry in the Bundle`);
+      }
+    });
+  });
+
+  // Everything except the Composition (and Provenance, which points at its targets) should be reachable from something
+  entries.forEach((e, i) => {
+    if (i === 0 || !e.fullUrl || referenced.has(e.fullUrl) || e.resource?.resourceType === "Provenance") return;
+    push("warning", `Bundle.entry[${i}]`, `${e.resource?.resourceType || "entry"} is not referenced by any other resource`);
+  });
+
+  const errors = issues.filter(x => x.severity === "error");
+  const warnings = issues.filter(x => x.severity === "warning");
+  return { valid: errors.length === 0, errors, warnings };
+}
@@ -0,0 +1,75 @@
+import { buildDiagnosticReportBundle, createSequentialUuid, validateBundle, NRCES_PROFILES } from "./index";
+
+const input = {
+  patient: { id: 3, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991", abha_ref: "91-7104-3321-8355" },
+  selectedAbha: "rohitkumar30@sbx",
+  practitioner: { id: "PR-001", name: "Dr. ABC1", license: "LIC-1234-1" },
+  metadata: { status: "final", title: "Complete Blood Count", date: "2025-08-30T10:15" },
+  testCode: "CBC",
+  observations: [{ codeText: "Hemoglobin", valueText: "13.5", valueUnit: "g/dL", effectiveDate: "" }],
+  specimens: [{ id: "s1", typeCode: "119297000", typeText: "Blood specimen" }],
+};
+
+function build() {
+  return buildDiagnosticReportBundle(input, { uuid: createSequentialUuid(), now: () => new Date("2025-08-30T10:20:00") });
+}
+
+function entryOf(bundle, type) {
+  return bundle.entry.find(e => e.resource.resourceType === type);
+}
+
+test("a freshly built bundle has no errors and declares NRCES profiles", () => {
+  const bundle = build();
+  const result = validateBundle(bundle);
+  expect(result.errors).toEqual([]);
+  expect(result.valid).toBe(true);
+  expect(bundle.meta.profile).toEqual([NRCES_PROFILES.Bundle]);
+  expect(entryOf(bundle, "Composition").resource.meta.profile).toEqual([NRCES_PROFILES.Composition]);
+  // unsigned bundles are only a warning
+  expect(result.warnings.map(w => w.path)).toContain("Bundle.signature");
+});
+
+test("reports missing required elements with a resource path", () => {
+  const bundle = build();
+  delete entryOf(bundle, "DiagnosticReport").resource.code;
+  const { valid, errors } = validateBundle(bundle);
+  expect(valid).toBe(false);
+  expect(errors).toContainEqual(expect.objectContaining({
+    severity: "error",
+    path: expect.stringMatching(/resource\(DiagnosticReport\)\.code$/),
+  }));
+});
+
+test("checks required bindings and the fixed Composition.type", () => {
+  const bundle = build();
+  const composition = entryOf(bundle, "Composition").resource;
+  composition.status = "done";
+  composition.type = { coding: [{ system: "http://loinc.org", code: "11502-2" }] };
+  const paths = validateBundle(bundle).errors.map(e => e.path);
+  expect(paths).toContain("Bundle.entry[0].resource(Composition).status");
+  expect(paths).toContain("Bundle.entry[0].resource(Composition).type");
+});
+
+test("flags unresolved references and wrong reference targets", () => {
+  const bundle = build();
+  const report = entryOf(bundle, "DiagnosticReport").resource;
+  const specimenUrl = entryOf(bundle, "Specimen").fullUrl;
+  report.result = [{ reference: "urn:uuid:00000000-0000-4000-8000-0000000000ff" }, { reference: specimenUrl }];
+  const messages = validateBundle(bundle).errors.map(e => e.message);
+  expect(messages).toContainEqual(expect.stringContaining("does not resolve"));
+  expect(messages).toContainEqual(expect.stringContaining("reference to Specimen not allowed"));
+});
+
+test("detects fullUrl mismatches, duplicates and a non-Composition first entry", () => {
+  const bundle = build();
+  bundle.entry[1].fullUrl = bundle.entry[2].fullUrl;
+  bundle.entry.reverse();
+  const messages = validateBundle(bundle).errors.map(e => e.message);
+  expect(messages).toContainEqual(expect.stringContaining("does not match resource id"));
+  expect(messages).toContainEqual(expect.stringContaining("duplicate fullUrl"));
+  expect(messages).toContainEqual(expect.stringContaining("first entry"));
+});
+
+test("rejects things that are not bundles", () => {
+  expect(validateBundle({ resourceType: "Patient" }).valid).toBe(false);
+});
@@ -0,0 +1,72 @@
+// src/importer/csv.js
+/*
+  RFC 4180 CSV parsing (quoted fields, "" escapes, CRLF/LF, embedded newlines).
+  Analyzer exports vary, so the delimiter is sniffed from the first line
+  (comma, semicolon or tab) unless given.
+*/
+
+const DELIMITERS = [",", ";", "\t"];
+
+export function detectDelimiter(text) {
+  const firstLine = String(text || "").split(/\r?\n/, 1)[0];
+  let best = ",";
+  let bestCount = 0;
+  DELIMITERS.forEach(d => {
+    // count outside quotes only
+    let count = 0;
+    let quoted = false;
+    for (const ch of firstLine) {
+      if (ch === '"') quoted = !quoted;
+      else if (ch === d && !quoted) count++;
+    }
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/* text -> array of rows (arrays of trimmed strings); fully blank rows are dropped */
+export function parseCsv(text, { delimiter } = {}) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const d = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === d) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ""));
+}
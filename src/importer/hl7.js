@@ -0,0 +1,327 @@
+// src/importer/hl7.js
+import { uuidv4, toDatetimeLocalValue } from "../fhir/utils";
+import { resolveUcum } from "../fhir/ucum";
+import { LOINC_SYSTEM, toLoincCoding } from "../fhir/loinc";
+import { SNOMED_SYSTEM, SPECIMEN_TYPES, SPECIMEN_BODY_SITES, emptySpecimen } from "../fhir/specimen";
+import { computeInterpretation } from "../fhir/interpretation";
+import { formatAbhaNumber, validateAbhaAddress } from "../fhir/abha";
+import { parseRange, parseFlag } from "./mapping";
+
+/*
+  HL7 v2 ORU^R01 (unsolicited observation result) -> builder inputs.
+
+  parseHl7(text) -> { separators, segments: [{ name, fields }] }   (generic, any message)
+  parseOruR01(text, { catalog, uuid }) -> {
+    message,        // { type, controlId, sendingFacility, sentAt }
+    patient,        // patients.json-shaped snapshot from PID (for matching / fallback)
+    form,           // { status, dateTimeLocal, testCode, testCoding, panels, observations, specimens }
+    performer,      // { license, name } from OBX-16 / OBR-32, when present
+    attachments,    // [{ contentType, title, data }] from ED (encapsulated data) OBX values
+    warnings,       // what was skipped or could not be mapped
+  }
+
+  Segments used: MSH, PID, OBR (one per ordered test), OBX (results), SPM (specimen,
+  v2.5+). With several OBRs each one becomes a panel grouping its OBX rows.
+*/
+
+/* fields[n] is HL7 field n (fields[0] is the segment name); MSH is re-based so MSH-1 is the separator */
+export function parseHl7(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "").trim();
+  if (!src.startsWith("MSH")) throw new Error("Not an HL7 v2 message (it must start with an MSH segment)");
+  const field = src.charAt(3);
+  const [component = "^", repetition = "~", escape = "\\", subcomponent = "&"] = src.slice(4, 8).split("");
+  const separators = { field, component, repetition, escape, subcomponent };
+
+  const segments = src
+    .split(/\r\n|\r|\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const parts = line.split(field);
+      const name = parts[0];
+      const fields = name === "MSH" ? [name, field, ...parts.slice(1)] : parts;
+      return { name, fields };
+    });
+  return { separators, segments };
+}
+
+/* Decode \F\ \S\ \T\ \R\ \E\ and \.br\ escapes */
+function unescape(value, sep) {
+  const e = sep.escape;
+  if (!value || !value.includes(e)) return value || "";
+  const map = { F: sep.field, S: sep.component, T: sep.subcomponent, R: sep.repetition, E: e, ".br": "\n" };
+  return value.replace(new RegExp(`\\${e}(F|S|T|R|E|\\.br)\\${e}`, "g"), (_, k) => map[k]);
+}
+
+function reader(segment, sep) {
+  const raw = n => (segment && segment.fields[n]) || "";
+  const reps = n => raw(n).split(sep.repetition).filter(Boolean);
+  const comps = value => String(value || "").split(sep.component);
+  return {
+    raw,
+    reps,
+    comps,
+    // field n, component c (1-based), unescaped
+    get: (n, c = 1) => unescape(comps(reps(n)[0])[c - 1] || "", sep),
+  };
+}
+
+/* "YYYYMMDD[HHMM[SS]][+ZZZZ]" -> "datetime-local" value (offsets are converted to local time) */
+export function hl7DateTimeToLocal(ts) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2}))?(?:\.\d+)?)?([+-]\d{4})?$/.exec(String(ts || "").trim());
+  if (!m) return "";
+  const [, y, mo, d, h = "00", mi = "00", s = "00", tz] = m;
+  if (tz) return toDatetimeLocalValue(new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${tz.slice(0, 3)}:${tz.slice(3)}`));
+  return `${y}-${mo}-${d}T${h}:${mi}`;
+}
+
+const hl7Date = ts => hl7DateTimeToLocal(ts).slice(0, 10);
+
+const SEX = { M: "Male", F: "Female", O: "Other", U: "Unknown", A: "Other", N: "Unknown" };
+
+/* Order / result status (OBR-25) -> DiagnosticReport.status offered by the form */
+const REPORT_STATUS = { F: "final", C: "amended", P: "preliminary", I: "preliminary", S: "preliminary", R: "preliminary", A: "preliminary" };
+
+/* CWE/CE "code^text^system" -> { code, text, system } with "LN" / "SCT" recognised */
+function codedElement(value, sep) {
+  const [code = "", text = "", system = ""] = String(value || "").split(sep.component).map(v => unescape(v, sep));
+  const systemUri = /^(LN|LOINC)$/i.test(system) ? LOINC_SYSTEM : /^(SCT|SNM|SNOMED(CT)?)$/i.test(system) ? SNOMED_SYSTEM : system;
+  return { code: code.trim(), text: text.trim(), system: systemUri };
+}
+
+function loincCoding(ce, catalog) {
+  if (ce.system !== LOINC_SYSTEM || !ce.code) return null;
+  const entry = (Array.isArray(catalog) ? catalog : []).find(e => e.code === ce.code);
+  return entry ? toLoincCoding(entry) : { system: LOINC_SYSTEM, code: ce.code, display: ce.text || ce.code };
+}
+
+function patientFromPid(pid, sep, warnings) {
+  const r = reader(pid, sep);
+  if (!pid) {
+    warnings.push("No PID segment; select the patient manually.");
+    return null;
+  }
+  const patient = {
+    name: "",
+    gender: SEX[r.get(8).toUpperCase()] || "",
+    dob: "",
+    mobile: "",
+    email: "",
+    address: "",
+    abha_ref: null,
+    user_ref_id: undefined,
+    additional_attributes: { abha_addresses: [] },
+  };
+
+  // PID-3: identifier list; ABHA numbers / addresses are recognised by shape, MR / PI become the MRN
+  r.reps(3).forEach(rep => {
+    const [id = "", , , authority = "", type = ""] = r.comps(rep).map(v => unescape(v, sep).trim());
+    if (!id) return;
+    const abhaNumber = formatAbhaNumber(id);
+    if (abhaNumber && (/abha|ndhm|abdm|healthid/i.test(authority) || !type || type === "NH")) patient.abha_ref = abhaNumber.replace(/-/g, "");
+    else if (id.includes("@")) {
+      const address = validateAbhaAddress(id);
+      if (address.valid) patient.additional_attributes.abha_addresses.push(address.normalized);
+      else warnings.push(`PID-3 "${id}" is not a valid ABHA address and was ignored.`);
+    } else if ((type === "MR" || type === "PI" || !type) && !patient.user_ref_id) patient.user_ref_id = id;
+  });
+
+  // PID-5 XPN: family^given^middle^suffix^prefix
+  const [family = "", given = "", middle = "", , prefix = ""] = r.comps(r.reps(5)[0]).map(v => unescape(v, sep).trim());
+  patient.name = [prefix, given, middle, family].filter(Boolean).join(" ");
+
+  const dob = hl7Date(r.get(7));
+  if (dob) patient.dob = `${dob.slice(8, 10)}-${dob.slice(5, 7)}-${dob.slice(0, 4)}`;
+
+  // PID-11 XAD: street^other^city^state^zip^country
+  const addr = r.comps(r.reps(11)[0]).slice(0, 6).map(v => unescape(v, sep).trim());
+  patient.address = addr.filter(Boolean).join(", ");
+
+  // PID-13 XTN: first component, or the unformatted number (component 12), or email (component 4)
+  r.reps(13).forEach(rep => {
+    const c = r.comps(rep).map(v => unescape(v, sep).trim());
+    if (c[2] === "Internet" || (c[3] && c[3].includes("@"))) patient.email = patient.email || c[3] || c[0];
+    else patient.mobile = patient.mobile || c[11] || c[0];
+  });
+
+  if (!patient.name) warnings.push("PID-5 has no patient name.");
+  return patient;
+}
+
+/* SPM -> specimen row */
+function specimenFromSpm(spm, sep, uuid) {
+  const r = reader(spm, sep);
+  const row = emptySpecimen(uuid());
+  const type = codedElement(r.reps(4)[0], sep);
+  const typeHit = type.system === SNOMED_SYSTEM && SPECIMEN_TYPES.find(t => t.code === type.code);
+  row.typeCode = typeHit ? typeHit.code : "";
+  row.typeText = type.text || (typeHit ? "" : type.code);
+  const site = codedElement(r.reps(8)[0], sep);
+  const siteHit = site.system === SNOMED_SYSTEM && SPECIMEN_BODY_SITES.find(s => s.code === site.code);
+  row.bodySiteCode = siteHit ? siteHit.code : "";
+  row.bodySiteText = site.text || (siteHit ? "" : site.code);
+  row.collectedDateTime = hl7DateTimeToLocal(r.get(17));
+  // SPM-2 EIP: placer id ^ filler id (each id&namespace); the filler's id is the accession number
+  const placer = r.get(2, 1).split(sep.subcomponent)[0];
+  const filler = r.get(2, 2).split(sep.subcomponent)[0];
+  row.accessionId = (filler || placer).trim();
+  return row;
+}
+
+/* XCN "id^family^given" (or OBR-32's "id&family&given") -> { license, name } */
+function practitionerFrom(value, sep) {
+  const first = String(value || "").split(sep.repetition)[0];
+  if (!first) return null;
+  const parts = first.includes(sep.component) ? first.split(sep.component) : first.split(sep.subcomponent);
+  const [license = "", family = "", given = "", , , prefix = ""] = parts.map(v => unescape(v, sep).trim());
+  const name = [prefix, given, family].filter(Boolean).join(" ");
+  return license || name ? { license, name } : null;
+}
+
+function observationFromObx(obx, sep, { catalog, panelId, specimenId, warnings }) {
+  const r = reader(obx, sep);
+  const setId = r.raw(1) || "?";
+  const valueType = r.raw(2).toUpperCase();
+  const resultStatus = r.raw(11).toUpperCase();
+  if (resultStatus === "D" || resultStatus === "X" || resultStatus === "W") {
+    warnings.push(`OBX ${setId}: result status "${resultStatus}" (deleted / not obtained / wrong) skipped.`);
+    return null;
+  }
+
+  const code = codedElement(r.reps(3)[0], sep);
+  const codeCoding = loincCoding(code, catalog);
+  if (code.code && !codeCoding) warnings.push(`OBX ${setId}: ${code.system || "local"} code ${code.code} kept as text only.`);
+
+  // OBX-5 may repeat (multi-line TX); SN is comparator^num1^separator^num2
+  let valueText;
+  const values = r.reps(5);
+  if (valueType === "SN") {
+    const [cmp = "", n1 = "", joiner = "", n2 = ""] = r.comps(values[0]);
+    valueText = `${cmp === "=" ? "" : cmp}${n1}${joiner ? `${joiner}${n2}` : ""}`;
+  } else if (valueType === "CE" || valueType === "CWE") {
+    const ce = codedElement(values[0], sep);
+    valueText = ce.text || ce.code;
+  } else {
+    valueText = values.map(v => unescape(v, sep)).join("\n");
+  }
+  valueText = String(valueText || "").trim();
+
+  const unit = codedElement(r.reps(6)[0], sep);
+  const ucum = resolveUcum(unit.code) || resolveUcum(unit.text);
+  const unitText = unit.code || unit.text;
+  if (unitText && !ucum) warnings.push(`OBX ${setId}: unit "${unitText}" is not a recognised UCUM unit.`);
+
+  const row = {
+    codeText: code.text || code.code,
+    codeCoding,
+    valueText,
+    valueUnit: ucum ? ucum.code : unitText,
+    effectiveDate: hl7Date(r.get(14)),
+    specimenId: specimenId || "",
+    ...parseRange(r.get(7)),
+    critLow: "",
+    critHigh: "",
+    interpretation: "",
+    panelId: panelId || "",
+  };
+
+  // OBX-8 may repeat; the first recognised flag is kept where it disagrees with the computed one
+  const flag = r.reps(8).map(parseFlag).find(f => f);
+  if (flag && flag !== computeInterpretation(row)) row.interpretation = flag;
+  if (!valueText) warnings.push(`OBX ${setId} (${row.codeText || "no code"}) has no value.`);
+  return row;
+}
+
+/* ED: source^type^subtype^encoding^data */
+function attachmentFromObx(obx, sep, warnings) {
+  const r = reader(obx, sep);
+  const [, type = "", subtype = "", encoding = "", data = ""] = r.comps(r.reps(5)[0]);
+  if (!/^base64$/i.test(encoding) || !data) {
+    warnings.push(`OBX ${r.raw(1) || "?"}: encapsulated data is not Base64 and was skipped.`);
+    return null;
+  }
+  const contentType = `${type || "application"}/${subtype || "octet-stream"}`.toLowerCase();
+  if (contentType !== "application/pdf" && contentType !== "image/jpeg") {
+    warnings.push(`OBX ${r.raw(1) || "?"}: ${contentType} attachments are not supported and were skipped.`);
+    return null;
+  }
+  const title = r.get(3, 2) || r.get(3) || "Lab report";
+  return { contentType, title: contentType === "application/pdf" && !/\.pdf$/i.test(title) ? `${title}.pdf` : title, data: data.replace(/\s+/g, "") };
+}
+
+export function parseOruR01(text, { catalog, uuid = uuidv4 } = {}) {
+  const { separators: sep, segments } = parseHl7(text);
+  const msh = reader(segments[0], sep);
+  const messageType = `${msh.get(9, 1)}^${msh.get(9, 2)}`;
+  if (messageType !== "ORU^R01") throw new Error(`Expected an ORU^R01 message, got ${messageType.replace(/\^$/, "") || "no message type"}`);
+
+  const warnings = [];
+  const patient = patientFromPid(segments.find(s => s.name === "PID"), sep, warnings);
+
+  // Group OBX / SPM under their OBR (ORDER_OBSERVATION groups)
+  const orders = [];
+  segments.forEach(seg => {
+    if (seg.name === "OBR") orders.push({ obr: seg, obx: [], spm: [] });
+    else if ((seg.name === "OBX" || seg.name === "SPM") && orders.length) orders[orders.length - 1][seg.name.toLowerCase()].push(seg);
+    else if (seg.name === "OBX") warnings.push("OBX before any OBR skipped.");
+  });
+  if (!orders.length) throw new Error("The message has no OBR (observation request) segment");
+
+  const specimens = [];
+  const panels = [];
+  const observations = [];
+  const attachments = [];
+  let performer = null;
+
+  orders.forEach(order => {
+    const obr = reader(order.obr, sep);
+    const service = codedElement(obr.reps(4)[0], sep);
+    const orderSpecimens = order.spm.map(s => specimenFromSpm(s, sep, uuid));
+    specimens.push(...orderSpecimens);
+
+    let panelId = "";
+    if (orders.length > 1) {
+      panelId = uuid();
+      panels.push({ id: panelId, text: service.text || service.code, coding: loincCoding(service, catalog) });
+    }
+    order.obx.forEach(obx => {
+      if (reader(obx, sep).raw(2).toUpperCase() === "ED") {
+        const att = attachmentFromObx(obx, sep, warnings);
+        if (att) attachments.push(att);
+        return;
+      }
+      const row = observationFromObx(obx, sep, { catalog, panelId, specimenId: orderSpecimens[0] && orderSpecimens[0].id, warnings });
+      if (row) observations.push(row);
+      performer = performer || practitionerFrom(reader(obx, sep).raw(16), sep);
+    });
+    performer = performer || practitionerFrom(obr.raw(32), sep);
+  });
+
+  const firstObr = reader(orders[0].obr, sep);
+  const service = codedElement(firstObr.reps(4)[0], sep);
+  const statusCode = firstObr.raw(25).toUpperCase();
+  if (statusCode === "X") throw new Error("The order was cancelled (OBR-25 = X); there are no results to import");
+  if (statusCode && !REPORT_STATUS[statusCode]) warnings.push(`Unknown result status "${statusCode}" in OBR-25; using "final".`);
+
+  return {
+    message: {
+      type: messageType,
+      controlId: msh.get(10),
+      sendingFacility: msh.get(4),
+      sentAt: hl7DateTimeToLocal(msh.get(7)),
+    },
+    patient,
+    form: {
+      status: REPORT_STATUS[statusCode] || "final",
+      dateTimeLocal: hl7DateTimeToLocal(firstObr.get(22)) || hl7DateTimeToLocal(firstObr.get(7)) || "",
+      testCode: orders.length > 1 ? "Laboratory report" : service.text || service.code,
+      testCoding: orders.length > 1 ? null : loincCoding(service, catalog),
+      panels,
+      observations,
+      specimens,
+    },
+    performer,
+    attachments,
+    warnings,
+  };
+}
@@ -0,0 +1,104 @@
+import { parseHl7, parseOruR01, hl7DateTimeToLocal } from "./hl7";
+import { createSequentialUuid } from "../fhir/utils";
+
+const CATALOG = [{ code: "718-7", display: "Hemoglobin [Mass/volume] in Blood", shortName: "Hgb Bld-mCnc", kind: "test" }];
+
+const CBC = [
+  "MSH|^~\\&|LIS|CITYLAB|DRB|HOSP|20240305103000||ORU^R01^ORU_R01|MSG0001|P|2.5.1",
+  "PID|1||0df16bf4^^^HOSP^MR~91710433218355^^^ABHA^NH~rohitkumar30@sbx^^^ABDM^NH||Kumar^Rohit^^^Mr||19900115|M|||12 MG Road^^Pune^MH^411001^IN||7273000898",
+  "OBR|1|ORD1|ACC-778^CITYLAB|58410-2^CBC panel^LN|||20240305080000|||||||||||||||20240305100000|||F|||||||DOC-17&Rao&Asha",
+  "OBX|1|NM|718-7^Hemoglobin^LN||11.2|g/dL^g/dL^UCUM|13-17|L|||F|||20240305090000",
+  "OBX|2|NM|6690-2^WBC^LN||14.1|10*3/uL|4-11|H|||F",
+  "OBX|3|ST|X-SMEAR^Smear comment^L||Few target cells\\.br\\seen; ratio 2\\S\\1||||||F",
+  "OBX|4|NM|777-3^Platelets^LN||||150-400||||X",
+  "SPM|1|SP-1&LIS^ACC-778&CITYLAB||119297000^Blood specimen^SCT|||||||||||||20240305080000",
+].join("\r");
+
+test("splits segments and re-bases MSH fields", () => {
+  const { separators, segments } = parseHl7(CBC);
+  expect(separators).toEqual({ field: "|", component: "^", repetition: "~", escape: "\\", subcomponent: "&" });
+  expect(segments.map(s => s.name)).toEqual(["MSH", "PID", "OBR", "OBX", "OBX", "OBX", "OBX", "SPM"]);
+  expect(segments[0].fields[9]).toBe("ORU^R01^ORU_R01");
+  expect(() => parseHl7("PID|1")).toThrow(/MSH/);
+});
+
+test("converts HL7 timestamps to datetime-local values", () => {
+  expect(hl7DateTimeToLocal("20240305")).toBe("2024-03-05T00:00");
+  expect(hl7DateTimeToLocal("202403051030")).toBe("2024-03-05T10:30");
+  expect(hl7DateTimeToLocal("not a date")).toBe("");
+});
+
+test("maps an ORU^R01 message to builder inputs", () => {
+  const parsed = parseOruR01(CBC, { catalog: CATALOG, uuid: createSequentialUuid() });
+
+  expect(parsed.message).toMatchObject({ type: "ORU^R01", controlId: "MSG0001", sendingFacility: "CITYLAB" });
+  expect(parsed.patient).toMatchObject({
+    name: "Mr Rohit Kumar",
+    gender: "Male",
+    dob: "15-01-1990",
+    mobile: "7273000898",
+    address: "12 MG Road, Pune, MH, 411001, IN",
+    abha_ref: "91710433218355",
+    user_ref_id: "0df16bf4",
+    additional_attributes: { abha_addresses: ["rohitkumar30@sbx"] },
+  });
+  expect(parsed.performer).toEqual({ license: "DOC-17", name: "Asha Rao" });
+
+  const { form } = parsed;
+  expect(form).toMatchObject({
+    status: "final",
+    dateTimeLocal: "2024-03-05T10:00",
+    testCode: "CBC panel",
+    testCoding: { system: "http://loinc.org", code: "58410-2", display: "CBC panel" },
+    panels: [],
+  });
+  expect(form.specimens).toHaveLength(1);
+  expect(form.specimens[0]).toMatchObject({ typeCode: "119297000", typeText: "Blood specimen", accessionId: "ACC-778", collectedDateTime: "2024-03-05T08:00" });
+
+  const [hb, wbc, smear] = form.observations;
+  expect(form.observations).toHaveLength(3); // the "X" (not obtained) result is skipped
+  expect(hb).toMatchObject({
+    codeText: "Hemoglobin",
+    codeCoding: { code: "718-7", display: "Hemoglobin [Mass/volume] in Blood" },
+    valueText: "11.2",
+    valueUnit: "g/dL",
+    refLow: "13",
+    refHigh: "17",
+    interpretation: "", // agrees with the computed flag
+    effectiveDate: "2024-03-05",
+    specimenId: form.specimens[0].id,
+  });
+  expect(wbc.valueUnit).toBe("10*3/uL");
+  expect(smear).toMatchObject({ codeText: "Smear comment", codeCoding: null, valueText: "Few target cells\nseen; ratio 2^1" });
+  expect(parsed.warnings).toEqual([
+    "OBX 3: L code X-SMEAR kept as text only.",
+    'OBX 4: result status "X" (deleted / not obtained / wrong) skipped.',
+  ]);
+});
+
+test("groups results of several OBRs into panels and keeps embedded PDFs", () => {
+  const message = [
+    "MSH|^~\\&|LIS|CITYLAB|||20240305||ORU^R01|MSG2|P|2.5",
+    "PID|1||MRN-9^^^HOSP^MR||Devi^Sita",
+    "OBR|1|||2093-3^Cholesterol^LN|||||||||||||||||||||P",
+    "OBX|1|SN|2093-3^Cholesterol^LN||<^200|mg/dL",
+    "OBR|2|||24331-1^Lipid panel^LN",
+    "OBX|1|NM|2571-8^Triglyceride^LN||180|mg/dL|<150|H",
+    "OBX|2|ED|PDF^Lipid report||^application^pdf^Base64^JVBERi0xLjQK",
+  ].join("\n");
+  const parsed = parseOruR01(message, { uuid: createSequentialUuid() });
+
+  expect(parsed.form.status).toBe("preliminary");
+  expect(parsed.form.testCode).toBe("Laboratory report");
+  expect(parsed.form.panels.map(p => [p.text, p.coding.code])).toEqual([["Cholesterol", "2093-3"], ["Lipid panel", "24331-1"]]);
+  const [chol, tg] = parsed.form.observations;
+  expect(chol).toMatchObject({ valueText: "<200", panelId: parsed.form.panels[0].id });
+  expect(tg).toMatchObject({ refHigh: "150", refText: "<150", interpretation: "", panelId: parsed.form.panels[1].id });
+  expect(parsed.attachments).toEqual([{ contentType: "application/pdf", title: "Lipid report.pdf", data: "JVBERi0xLjQK" }]);
+  expect(parsed.patient).toMatchObject({ name: "Sita Devi", user_ref_id: "MRN-9", abha_ref: null });
+});
+
+test("rejects messages that are not results", () => {
+  expect(() => parseOruR01("MSH|^~\\&|A|B|||20240305||ADT^A01|1|P|2.5\rPID|1")).toThrow(/got ADT\^A01/);
+  expect(() => parseOruR01("MSH|^~\\&|A|B|||20240305||ORU^R01|1|P|2.5\rPID|1")).toThrow(/no OBR/);
+});
@@ -0,0 +1,88 @@
+import { parseCsv, detectDelimiter } from "./csv";
+import { guessMapping, applyMapping, parseRange, parseFlag, parseImportDate } from "./mapping";
+import { createProfileStore, IMPORT_PROFILES_KEY } from "./profiles";
+
+const CATALOG = [
+  { code: "718-7", display: "Hemoglobin [Mass/volume] in Blood", shortName: "Hgb Bld-mCnc", kind: "test" },
+  { code: "2345-7", display: "Glucose [Mass/volume] in Serum or Plasma", shortName: "Glucose SerPl-mCnc", kind: "test" },
+];
+
+function memoryStorage() {
+  const data = {};
+  return { getItem: k => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+}
+
+test("parses quoted CSV and sniffs the delimiter", () => {
+  const text = '\uFEFFTest;Result;Unit\r\n"Hemoglobin; total";13.2;g/dL\r\n"Note ""A""\nline 2";x;\r\n\r\n';
+  expect(detectDelimiter(text)).toBe(";");
+  expect(parseCsv(text)).toEqual([
+    ["Test", "Result", "Unit"],
+    ["Hemoglobin; total", "13.2", "g/dL"],
+    ['Note "A"\nline 2', "x", ""],
+  ]);
+  expect(detectDelimiter("a\tb\tc")).toBe("\t");
+});
+
+test("guesses the mapping from analyzer headers", () => {
+  expect(guessMapping(["Sl No", "Parameter", "Result", "Units", "Biological Reference Interval", "Flag", "Sample Date"])).toEqual({
+    test: 1, code: -1, value: 2, unit: 3, range: 4, flag: 5, date: 6,
+  });
+});
+
+test("parses ranges, flags and dates", () => {
+  expect(parseRange("13 - 17")).toEqual({ refLow: "13", refHigh: "17", refText: "" });
+  expect(parseRange("<200")).toEqual({ refLow: "", refHigh: "200", refText: "<200" });
+  expect(parseRange("Negative")).toEqual({ refLow: "", refHigh: "", refText: "Negative" });
+  expect(parseFlag("High")).toBe("H");
+  expect(parseFlag("h*")).toBe("HH");
+  expect(parseFlag("")).toBe("");
+  expect(parseFlag("??")).toBeNull();
+  expect(parseImportDate("05/03/2024")).toBe("2024-03-05");
+  expect(parseImportDate("2024-03-05T10:30")).toBe("2024-03-05");
+  expect(parseImportDate("45356")).toBe("2024-03-05");
+  expect(parseImportDate("31/02/2024")).toBeNull();
+});
+
+test("maps rows to observation rows with row-level errors", () => {
+  const mapping = { test: 0, value: 1, unit: 2, range: 3, flag: 4, date: 5 };
+  const [hb, glucose, bad] = applyMapping(
+    [
+      ["Hgb Bld-mCnc", "11.2", "gm/dl", "13-17", "L", "05/03/2024"],
+      ["Glucose", "250", "mg/dL", "70 - 110", "HH", ""],
+      ["", "12", "furlongs", "", "", "yesterday"],
+    ],
+    mapping,
+    { catalog: CATALOG }
+  );
+
+  expect(hb.errors).toEqual([]);
+  expect(hb.row).toMatchObject({
+    codeText: "Hgb Bld-mCnc",
+    codeCoding: { system: "http://loinc.org", code: "718-7" },
+    valueText: "11.2",
+    valueUnit: "g/dL",
+    refLow: "13",
+    refHigh: "17",
+    effectiveDate: "2024-03-05",
+    interpretation: "", // analyzer flag agrees with the computed one
+  });
+  expect(glucose.row.codeCoding).toBeNull();
+  expect(glucose.row.interpretation).toBe("HH");
+
+  expect(bad.rowNumber).toBe(3);
+  expect(bad.errors).toEqual(["Test name is empty", 'Unknown unit "furlongs"', 'Unrecognised date "yesterday"']);
+});
+
+test("stores mapping profiles by unique name", () => {
+  const storage = memoryStorage();
+  const store = createProfileStore({ storage });
+  const first = store.save({ name: "Sysmex XN", mapping: { test: 0, value: 1 } });
+  store.save({ name: "Erba EM200", mapping: { test: 2, value: 3 } });
+  const replaced = store.save({ name: "sysmex xn", mapping: { test: 1, value: 2 } });
+
+  expect(replaced.id).toBe(first.id);
+  expect(store.list().map(p => [p.name, p.mapping.test])).toEqual([["Erba EM200", 2], ["sysmex xn", 1]]);
+  store.remove(first.id);
+  expect(JSON.parse(storage.getItem(IMPORT_PROFILES_KEY)).map(p => p.name)).toEqual(["Erba EM200"]);
+  expect(() => store.save({ name: " " })).toThrow(/name/);
+});
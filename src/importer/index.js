@@ -0,0 +1,29 @@
+// src/importer/index.js
+import { createProfileStore } from "./profiles";
+import { parseCsv } from "./csv";
+import { readXlsx } from "./xlsx";
+
+export { parseCsv, detectDelimiter } from "./csv";
+export { readXlsx } from "./xlsx";
+export {
+  IMPORT_FIELDS,
+  guessMapping,
+  applyMapping,
+  parseRange,
+  parseFlag,
+  parseImportDate,
+  excelSerialToIsoDate,
+} from "./mapping";
+export { createProfileStore, IMPORT_PROFILES_KEY } from "./profiles";
+export { parseHl7, parseOruR01, hl7DateTimeToLocal } from "./hl7";
+
+export function createBrowserProfileStore() {
+  return createProfileStore({ storage: window.localStorage });
+}
+
+/* File -> rows (arrays of strings), by extension */
+export async function readTableFile(file, { delimiter } = {}) {
+  if (/\.xlsx$/i.test(file.name)) return readXlsx(await file.arrayBuffer());
+  if (/\.xls$/i.test(file.name)) throw new Error("Legacy .xls files are not supported; save the export as .xlsx or .csv");
+  return parseCsv(await file.text(), { delimiter });
+}
@@ -0,0 +1,155 @@
+// src/importer/mapping.js
+import { isValidUcum, resolveUcum } from "../fhir/ucum";
+import { toLoincCoding } from "../fhir/loinc";
+import { computeInterpretation, INTERPRETATION_CODES } from "../fhir/interpretation";
+
+/*
+  Column mapping for analyzer exports.
+
+  mapping = { [field]: columnIndex }   // -1 / missing = not mapped
+  applyMapping(rows, mapping, { catalog }) -> [{ rowNumber, row, errors, warnings }]
+
+  `row` is an observation row in the shape App keeps in state (codeText, valueText,
+  valueUnit, refLow/refHigh/refText, interpretation, effectiveDate, ...). Rows
+  with errors are shown in the preview but never imported.
+*/
+
+export const IMPORT_FIELDS = [
+  { key: "test", label: "Test name", required: true, aliases: ["test", "test name", "testname", "parameter", "analyte", "investigation", "assay", "item"] },
+  { key: "code", label: "LOINC code", aliases: ["loinc", "loinc code", "code", "test code"] },
+  { key: "value", label: "Value", required: true, aliases: ["value", "result", "result value", "observed value", "reading"] },
+  { key: "unit", label: "Unit", aliases: ["unit", "units", "uom"] },
+  { key: "range", label: "Reference range", aliases: ["range", "reference range", "ref range", "normal range", "biological reference interval", "reference interval", "ref. range"] },
+  { key: "flag", label: "Flag", aliases: ["flag", "flags", "abnormal flag", "interpretation", "h/l"] },
+  { key: "date", label: "Date", aliases: ["date", "result date", "test date", "collection date", "sample date", "datetime"] },
+];
+
+const norm = s => String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+/* Best-effort mapping from a header row; unmatched fields stay -1 */
+export function guessMapping(headers) {
+  const cols = (headers || []).map(norm);
+  const mapping = {};
+  const taken = new Set();
+  IMPORT_FIELDS.forEach(f => {
+    let idx = cols.findIndex((c, i) => !taken.has(i) && f.aliases.includes(c));
+    if (idx < 0) idx = cols.findIndex((c, i) => !taken.has(i) && f.aliases.some(a => a.length > 3 && c.includes(a)));
+    mapping[f.key] = idx;
+    if (idx >= 0) taken.add(idx);
+  });
+  return mapping;
+}
+
+/* "13 - 17" | "<5" | "≤ 200" | ">40" | "Negative" -> { refLow, refHigh, refText } */
+export function parseRange(text) {
+  const t = String(text || "").trim();
+  if (!t) return { refLow: "", refHigh: "", refText: "" };
+  const num = "(-?\\d+(?:\\.\\d+)?)";
+  let m = new RegExp(`^${num}\\s*(?:-|–|to)\\s*${num}$`, "i").exec(t);
+  if (m) return { refLow: m[1], refHigh: m[2], refText: "" };
+  m = new RegExp(`^(?:<|<=|≤|upto|up to)\\s*${num}$`, "i").exec(t);
+  if (m) return { refLow: "", refHigh: m[1], refText: t };
+  m = new RegExp(`^(?:>|>=|≥)\\s*${num}$`).exec(t);
+  if (m) return { refLow: m[1], refHigh: "", refText: t };
+  return { refLow: "", refHigh: "", refText: t };
+}
+
+const FLAG_ALIASES = {
+  n: "N", normal: "N",
+  l: "L", low: "L",
+  h: "H", high: "H",
+  ll: "LL", "l*": "LL", "critical low": "LL", "panic low": "LL",
+  hh: "HH", "h*": "HH", "critical high": "HH", "panic high": "HH",
+  a: "A", abnormal: "A", "*": "A",
+};
+
+/* Analyzer flag -> v3 interpretation code; "" for blank, null when unrecognised */
+export function parseFlag(text) {
+  const t = norm(text);
+  if (!t) return "";
+  if (INTERPRETATION_CODES[t.toUpperCase()]) return t.toUpperCase();
+  return FLAG_ALIASES[t] || null;
+}
+
+/* Excel day serial (1900 date system) -> "YYYY-MM-DD" */
+export function excelSerialToIsoDate(serial) {
+  const ms = Math.round((Number(serial) - 25569) * 86400 * 1000);
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/* "dd/mm/yyyy", "dd-mm-yyyy", "yyyy-mm-dd[Thh:mm]" or an Excel serial -> "YYYY-MM-DD"; null if unparseable */
+export function parseImportDate(text) {
+  const t = String(text || "").trim();
+  if (!t) return "";
+  let y;
+  let mo;
+  let d;
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/.exec(t);
+  if (m) [, y, mo, d] = m;
+  else if ((m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s.*)?$/.exec(t))) [, d, mo, y] = m;
+  else if (/^\d{5}(\.\d+)?$/.test(t)) return excelSerialToIsoDate(t);
+  else return null;
+
+  const iso = `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+function findLoinc(catalog, code, name) {
+  const list = Array.isArray(catalog) ? catalog : [];
+  const c = String(code || "").trim();
+  if (c) return list.find(e => e.code === c) || null;
+  const n = norm(name);
+  return list.find(e => e.kind !== "panel" && (norm(e.shortName) === n || norm(e.display) === n)) || null;
+}
+
+export function applyMapping(rows, mapping, { catalog } = {}) {
+  const cell = (r, key) => {
+    const idx = mapping[key];
+    return idx === undefined || idx < 0 ? "" : String(r[idx] === undefined ? "" : r[idx]).trim();
+  };
+
+  return (rows || []).map((r, i) => {
+    const errors = [];
+    const warnings = [];
+    const codeText = cell(r, "test");
+    const valueText = cell(r, "value");
+    const unitText = cell(r, "unit");
+    if (!codeText) errors.push("Test name is empty");
+    if (!valueText) errors.push("Value is empty");
+
+    let valueUnit = "";
+    if (unitText) {
+      if (isValidUcum(unitText)) valueUnit = resolveUcum(unitText).code;
+      else errors.push(`Unknown unit "${unitText}"`);
+    }
+    if (valueUnit && valueText && isNaN(Number(valueText))) warnings.push("Unit given for a non-numeric value");
+
+    const entry = findLoinc(catalog, cell(r, "code"), codeText);
+    if (cell(r, "code") && !entry) warnings.push(`LOINC ${cell(r, "code")} is not in the catalog`);
+
+    const effectiveDate = parseImportDate(cell(r, "date"));
+    if (effectiveDate === null) errors.push(`Unrecognised date "${cell(r, "date")}"`);
+
+    const row = {
+      codeText,
+      codeCoding: entry ? toLoincCoding(entry) : null,
+      valueText,
+      valueUnit,
+      effectiveDate: effectiveDate || "",
+      specimenId: "",
+      ...parseRange(cell(r, "range")),
+      critLow: "",
+      critHigh: "",
+      interpretation: "",
+      panelId: "",
+    };
+
+    // Keep the analyzer's flag only where it disagrees with what the range computes
+    const flag = parseFlag(cell(r, "flag"));
+    if (flag === null) warnings.push(`Unrecognised flag "${cell(r, "flag")}" ignored`);
+    else if (flag && flag !== computeInterpretation(row)) row.interpretation = flag;
+
+    return { rowNumber: i + 1, row, errors, warnings };
+  });
+}
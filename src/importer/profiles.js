@@ -0,0 +1,42 @@
+// src/importer/profiles.js
+/*
+  Saved column mappings, one per analyzer / LIS export layout.
+
+  profile = { id, name, delimiter, headerRow, mapping, updatedAt }
+  Kept in localStorage under IMPORT_PROFILES_KEY; names are unique (case-insensitive),
+  so saving under an existing name replaces that profile.
+*/
+
+export const IMPORT_PROFILES_KEY = "drb.importProfiles";
+
+export function createProfileStore({ storage }) {
+  function readAll() {
+    try {
+      const arr = JSON.parse(storage.getItem(IMPORT_PROFILES_KEY) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    } catch { return []; }
+  }
+  function writeAll(profiles) {
+    storage.setItem(IMPORT_PROFILES_KEY, JSON.stringify(profiles));
+  }
+
+  /* Alphabetical */
+  function list() {
+    return readAll().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function save(profile) {
+    const name = String(profile.name || "").trim();
+    if (!name) throw new Error("A profile needs a name");
+    const existing = readAll().find(p => p.name.toLowerCase() === name.toLowerCase());
+    const record = { ...profile, name, id: existing ? existing.id : profile.id || `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, updatedAt: Date.now() };
+    writeAll([...readAll().filter(p => p.id !== record.id), record]);
+    return record;
+  }
+
+  function remove(id) {
+    writeAll(readAll().filter(p => p.id !== id));
+  }
+
+  return { list, save, remove };
+}
@@ -0,0 +1,120 @@
+// src/importer/xlsx.js
+/*
+  Minimal XLSX reader for analyzer exports: first worksheet -> rows of strings.
+
+  An .xlsx file is a ZIP of XML parts. Entries are located through the ZIP
+  central directory; "deflate" entries are inflated with the browser's
+  DecompressionStream("deflate-raw"), stored entries are used as-is. Only what
+  a results export needs is supported: shared / inline strings, numbers and
+  booleans. Numbers are returned as text, so date cells arrive as Excel serials
+  (see excelSerialToIsoDate in ./mapping).
+*/
+
+const SIG_EOCD = 0x06054b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot read compressed XLSX files");
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/* ZIP -> Map(name -> Uint8Array) for the requested entry names */
+export async function unzipEntries(buffer, wanted) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === SIG_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not an XLSX (ZIP) file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const out = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== SIG_CENTRAL) throw new Error("Corrupt ZIP directory");
+    const method = view.getUint16(p + 10, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    if (!wanted.includes(name)) continue;
+
+    if (view.getUint32(localOffset, true) !== SIG_LOCAL) throw new Error("Corrupt ZIP entry");
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(start, start + compressedSize);
+    if (method === 0) out.set(name, data);
+    else if (method === 8) out.set(name, await inflateRaw(data));
+    else throw new Error(`Unsupported ZIP compression method ${method}`);
+  }
+  return out;
+}
+
+function parseXml(bytes) {
+  const doc = new DOMParser().parseFromString(new TextDecoder().decode(bytes), "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Malformed XLSX part");
+  return doc;
+}
+
+const byTag = (node, tag) => Array.from(node.getElementsByTagName(tag));
+const textOf = node => byTag(node, "t").map(t => t.textContent).join("");
+
+/* "BC12" -> 54 (zero-based column index) */
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || "");
+  if (!letters) return -1;
+  return letters[0].split("").reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+/* First worksheet of an .xlsx ArrayBuffer -> array of rows (arrays of strings) */
+export async function readXlsx(buffer) {
+  const parts = await unzipEntries(buffer, ["xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/sharedStrings.xml", "xl/worksheets/sheet1.xml"]);
+
+  // Resolve the first sheet through the workbook relationships (usually sheet1.xml)
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  if (parts.has("xl/workbook.xml") && parts.has("xl/_rels/workbook.xml.rels")) {
+    const firstSheet = byTag(parseXml(parts.get("xl/workbook.xml")), "sheet")[0];
+    const relId = firstSheet && (firstSheet.getAttribute("r:id") || firstSheet.getAttributeNS("http://schemas.openxmlformats.org/officeDocument/2006/relationships", "id"));
+    const rel = byTag(parseXml(parts.get("xl/_rels/workbook.xml.rels")), "Relationship").find(r => r.getAttribute("Id") === relId);
+    if (rel) {
+      const target = rel.getAttribute("Target").replace(/^\//, "");
+      sheetPath = target.startsWith("xl/") ? target : `xl/${target}`;
+    }
+  }
+  if (!parts.has(sheetPath)) {
+    const extra = await unzipEntries(buffer, [sheetPath]);
+    if (!extra.has(sheetPath)) throw new Error("The workbook has no worksheet");
+    parts.set(sheetPath, extra.get(sheetPath));
+  }
+
+  const shared = parts.has("xl/sharedStrings.xml") ? byTag(parseXml(parts.get("xl/sharedStrings.xml")), "si").map(textOf) : [];
+  const sheet = parseXml(parts.get(sheetPath));
+
+  const rows = byTag(sheet, "row").map(rowEl => {
+    const row = [];
+    byTag(rowEl, "c").forEach((c, i) => {
+      const idx = columnIndex(c.getAttribute("r"));
+      const col = idx >= 0 ? idx : i;
+      const type = c.getAttribute("t");
+      const v = byTag(c, "v")[0];
+      let value = "";
+      if (type === "s") value = shared[Number(v && v.textContent)] || "";
+      else if (type === "inlineStr") value = textOf(c);
+      else if (type === "b") value = v && v.textContent === "1" ? "TRUE" : "FALSE";
+      else value = v ? v.textContent : "";
+      while (row.length < col) row.push("");
+      row[col] = String(value).trim();
+    });
+    return row;
+  });
+  return rows.filter(r => r.some(c => c !== ""));
+}
@@ -0,0 +1,68 @@
+import { TextEncoder, TextDecoder } from "util";
+import { readXlsx } from "./xlsx";
+
+// jsdom does not expose the Encoding API
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+/* Uncompressed ("stored") ZIP; CRCs are left at zero since the reader does not check them */
+function storedZip(files) {
+  const enc = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = enc.encode(name);
+    const data = enc.encode(text);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, data);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, Object.keys(files).length, true);
+  eocd.setUint16(10, Object.keys(files).length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(eocd.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let p = 0;
+  parts.forEach(b => { out.set(b, p); p += b.length; });
+  return out.buffer;
+}
+
+test("reads the first worksheet with shared and inline strings", async () => {
+  const buffer = storedZip({
+    "xl/workbook.xml": '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Results" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    "xl/_rels/workbook.xml.rels": '<Relationships><Relationship Id="rId1" Target="worksheets/results.xml"/></Relationships>',
+    "xl/sharedStrings.xml": "<sst><si><t>Test</t></si><si><t>Result</t></si><si><r><t>Hemo</t></r><r><t>globin</t></r></si></sst>",
+    "xl/worksheets/results.xml":
+      '<worksheet><sheetData>' +
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>Date</t></is></c></row>' +
+      '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>13.5</v></c><c r="D2"><v>45356</v></c></row>' +
+      '<row r="3"></row>' +
+      "</sheetData></worksheet>",
+  });
+
+  expect(await readXlsx(buffer)).toEqual([
+    ["Test", "Result", "", "Date"],
+    ["Hemoglobin", "13.5", "", "45356"],
+  ]);
+});
+
+test("rejects files that are not ZIP archives", async () => {
+  await expect(readXlsx(new TextEncoder().encode("Test,Result\nHb,13").buffer)).rejects.toThrow(/Not an XLSX/);
+});
@@ -3,13 +3,32 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { resolveBrowserEnvironment } from './config';
+import { completeLoginRedirect } from './auth';
+import { mountDiagnosticReportBuilder, iframeEmbedOptions, connectToParent } from './embed';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Script-tag embedding: window.DiagnosticReportBuilder.mount(element, config), see src/embed/mount.js
+window.DiagnosticReportBuilder = { mount: mountDiagnosticReportBuilder };
+
+const rootElement = document.getElementById('root');
+// In the OIDC sign-in popup this page load only hands the result back to the app
+if (rootElement && !completeLoginRedirect()) {
+  // The backend environment is settled before the first render (runtime config.json)
+  resolveBrowserEnvironment().then(({ environment, config }) => {
+    // the environment says which pages may embed us; hosts wait for drb:ready before sending
+    const frame = iframeEmbedOptions(environment.hostOrigins);
+    const embed = frame ? connectToParent(frame) : null;
+    ReactDOM.createRoot(rootElement).render(
+      <React.StrictMode>
+        <App
+          environment={environment}
+          environments={embed ? { [environment.id]: environment } : config.environments}
+          embed={embed}
+        />
+      </React.StrictMode>
+    );
+  });
+}
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
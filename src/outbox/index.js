@@ -0,0 +1,11 @@
+// src/outbox/index.js
+import { createOutbox } from "./outbox";
+import { createIdbStore, createMemoryStore, isIndexedDbAvailable } from "../utils/idb";
+
+export { createOutbox, OUTBOX_STATUS, backoffDelay, isRetryableError } from "./outbox";
+
+/* Outbox persisted in IndexedDB (falls back to memory when IndexedDB is unavailable) */
+export function createBrowserOutbox(send, options = {}) {
+  const store = isIndexedDbAvailable() ? createIdbStore("outbox") : createMemoryStore("id");
+  return createOutbox({ store, send, ...options });
+}
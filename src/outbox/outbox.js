@@ -0,0 +1,201 @@
+// src/outbox/outbox.js
+/*
+  Persistent outbox for bundle submissions.
+
+  record = {
+    id,              // Bundle.identifier.value — also the Idempotency-Key sent to the server
+    url, payload,    // what to POST
+    label,           // human-readable summary for the queue panel
+    status,          // pending | sending | failed | sent
+    attempts, nextAttemptAt, lastError,
+    createdAt, updatedAt, sentAt,
+  }
+
+  Network errors, 408, 429 and 5xx are retried with exponential backoff; other
+  4xx responses fail immediately (resending the same bundle cannot fix them).
+  A 409 means the server already holds this idempotency key, so it counts as sent.
+  A 401 leaves the record pending without a retry time: it goes out on the next
+  processDue() after the user has signed in again.
+*/
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  FAILED: "failed",
+  SENT: "sent",
+};
+
+export function backoffDelay(attempts, { baseDelayMs = 5000, maxDelayMs = 10 * 60 * 1000 } = {}) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+function httpStatusOf(err) {
+  return err && err.response ? err.response.status : undefined;
+}
+
+export function isRetryableError(err) {
+  const status = httpStatusOf(err);
+  if (!status) return true; // offline / timeout / CORS
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function errorMessage(err) {
+  const status = httpStatusOf(err);
+  const data = err && err.response ? err.response.data : undefined;
+  const detail = data ? (typeof data === "string" ? data : data.message || JSON.stringify(data)) : err && err.message;
+  return status ? `HTTP ${status}: ${detail}` : String(detail || "Network error");
+}
+
+export function createOutbox({
+  store,
+  send,
+  now = () => Date.now(),
+  maxAttempts = 8,
+  baseDelayMs,
+  maxDelayMs,
+  setTimer = (fn, ms) => setTimeout(fn, ms),
+  clearTimer = t => clearTimeout(t),
+}) {
+  const listeners = new Set();
+  const inFlight = new Set();
+  let timer = null;
+  let started = false;
+
+  async function list() {
+    const all = await store.getAll();
+    return all.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async function emit() {
+    if (!listeners.size) return;
+    const records = await list();
+    listeners.forEach(fn => fn(records));
+  }
+
+  async function save(record) {
+    const next = { ...record, updatedAt: now() };
+    await store.put(next);
+    return next;
+  }
+
+  async function attempt(record) {
+    if (inFlight.has(record.id)) return record;
+    inFlight.add(record.id);
+    try {
+      let current = await save({ ...record, status: OUTBOX_STATUS.SENDING });
+      await emit();
+      try {
+        await send(current);
+        current = await save({ ...current, status: OUTBOX_STATUS.SENT, sentAt: now(), lastError: null, nextAttemptAt: null });
+      } catch (err) {
+        const attempts = (current.attempts || 0) + 1;
+        const alreadyReceived = httpStatusOf(err) === 409;
+        const awaitingSignIn = httpStatusOf(err) === 401;
+        const retry = !alreadyReceived && !awaitingSignIn && isRetryableError(err) && attempts < maxAttempts;
+        current = await save({
+          ...current,
+          attempts,
+          status: alreadyReceived ? OUTBOX_STATUS.SENT : retry || awaitingSignIn ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+          lastError: alreadyReceived ? null : awaitingSignIn ? `Waiting for sign-in (${errorMessage(err)})` : errorMessage(err),
+          nextAttemptAt: retry ? now() + backoffDelay(attempts, { baseDelayMs, maxDelayMs }) : null,
+          ...(alreadyReceived ? { sentAt: now() } : {}),
+        });
+      }
+      await emit();
+      return current;
+    } finally {
+      inFlight.delete(record.id);
+      // the attempt's outcome is already stored; a failed re-arm must not turn it into an error
+      schedule().catch(err => console.error("Outbox could not schedule retries:", err));
+    }
+  }
+
+  /* Arm a single timer for the earliest pending retry */
+  async function schedule() {
+    if (!started) return;
+    if (timer) clearTimer(timer);
+    timer = null;
+    const pending = (await store.getAll()).filter(r => r.status === OUTBOX_STATUS.PENDING && r.nextAttemptAt);
+    if (!pending.length) return;
+    const due = Math.min(...pending.map(r => r.nextAttemptAt));
+    timer = setTimer(() => {
+      timer = null;
+      processDue().catch(err => console.error("Outbox retry failed:", err));
+    }, Math.max(0, due - now()));
+  }
+
+  async function processDue() {
+    const due = (await store.getAll())
+      .filter(r => r.status === OUTBOX_STATUS.PENDING && (!r.nextAttemptAt || r.nextAttemptAt <= now()))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const r of due) await attempt(r);
+    await schedule();
+  }
+
+  /* Queue a submission and try it right away; re-enqueueing a sent id is a no-op */
+  async function enqueue({ id, url, payload, label }) {
+    if (!id) throw new Error("Outbox entries need an id (Bundle.identifier.value)");
+    const existing = await store.get(id);
+    if (existing && (existing.status === OUTBOX_STATUS.SENT || inFlight.has(id))) return existing;
+    const t = now();
+    const record = await save({
+      id,
+      url,
+      payload,
+      label: label || id,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: t,
+      lastError: null,
+      createdAt: existing ? existing.createdAt : t,
+      sentAt: null,
+    });
+    await emit();
+    return attempt(record);
+  }
+
+  async function resend(id) {
+    const r = await store.get(id);
+    if (!r || r.status === OUTBOX_STATUS.SENT) return r;
+    return attempt({ ...r, attempts: 0, status: OUTBOX_STATUS.PENDING, nextAttemptAt: now() });
+  }
+
+  async function discard(id) {
+    if (inFlight.has(id)) return;
+    await store.delete(id);
+    await emit();
+    await schedule();
+  }
+
+  function onOnline() {
+    processDue().catch(err => console.error("Outbox retry failed:", err));
+  }
+
+  /* Resume after reload: anything stuck in "sending" was interrupted, retry it */
+  async function start() {
+    if (started) return;
+    started = true;
+    const all = await store.getAll();
+    for (const r of all) {
+      if (r.status === OUTBOX_STATUS.SENDING) await save({ ...r, status: OUTBOX_STATUS.PENDING, nextAttemptAt: now() });
+    }
+    if (typeof window !== "undefined") window.addEventListener("online", onOnline);
+    await emit();
+    await processDue();
+  }
+
+  function stop() {
+    started = false;
+    if (timer) clearTimer(timer);
+    timer = null;
+    if (typeof window !== "undefined") window.removeEventListener("online", onOnline);
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    list().then(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return { enqueue, resend, discard, list, processDue, start, stop, subscribe };
+}
@@ -0,0 +1,103 @@
+import { createOutbox, OUTBOX_STATUS, backoffDelay } from "./outbox";
+import { createMemoryStore } from "../utils/idb";
+
+function setup(send) {
+  let t = 1000;
+  const outbox = createOutbox({
+    store: createMemoryStore("id"),
+    send,
+    now: () => t,
+    baseDelayMs: 100,
+    maxAttempts: 3,
+    setTimer: () => 1,
+    clearTimer: () => {},
+  });
+  return { outbox, advance: ms => { t += ms; } };
+}
+
+const entry = { id: "urn:uuid:1", url: "/api/v5/fhir-bundle", payload: { bundle: {} } };
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status, data: { message: "nope" } } });
+
+test("backoff doubles up to the cap", () => {
+  expect([1, 2, 3, 4].map(n => backoffDelay(n, { baseDelayMs: 100, maxDelayMs: 500 }))).toEqual([100, 200, 400, 500]);
+});
+
+test("marks a successful submission as sent and never resends it", async () => {
+  const send = jest.fn().mockResolvedValue({ data: "ok" });
+  const { outbox } = setup(send);
+  expect((await outbox.enqueue(entry)).status).toBe(OUTBOX_STATUS.SENT);
+  expect((await outbox.enqueue(entry)).status).toBe(OUTBOX_STATUS.SENT);
+  expect(send).toHaveBeenCalledTimes(1);
+});
+
+test("retries network errors with backoff until it gives up", async () => {
+  const send = jest.fn().mockRejectedValue(new Error("Network Error"));
+  const { outbox, advance } = setup(send);
+
+  let r = await outbox.enqueue(entry);
+  expect(r).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 1, nextAttemptAt: 1100 });
+
+  await outbox.processDue();
+  expect(send).toHaveBeenCalledTimes(1); // not due yet
+
+  advance(100);
+  await outbox.processDue();
+  advance(200);
+  await outbox.processDue();
+  [r] = await outbox.list();
+  expect(r).toMatchObject({ status: OUTBOX_STATUS.FAILED, attempts: 3 });
+});
+
+test("fails client errors immediately and treats 409 as already received", async () => {
+  const { outbox } = setup(jest.fn().mockRejectedValue(httpError(422)));
+  expect(await outbox.enqueue(entry)).toMatchObject({ status: OUTBOX_STATUS.FAILED, lastError: "HTTP 422: nope" });
+
+  const dup = setup(jest.fn().mockRejectedValue(httpError(409)));
+  expect((await dup.outbox.enqueue(entry)).status).toBe(OUTBOX_STATUS.SENT);
+});
+
+test("keeps a 401 pending until the next processDue after sign-in", async () => {
+  const send = jest.fn().mockRejectedValueOnce(httpError(401)).mockResolvedValueOnce({});
+  const { outbox } = setup(send);
+  expect(await outbox.enqueue(entry)).toMatchObject({ status: OUTBOX_STATUS.PENDING, nextAttemptAt: null, lastError: "Waiting for sign-in (HTTP 401: nope)" });
+  await outbox.processDue();
+  expect((await outbox.list())[0].status).toBe(OUTBOX_STATUS.SENT);
+});
+
+test("manual resend and discard", async () => {
+  const send = jest.fn().mockRejectedValueOnce(httpError(400)).mockResolvedValueOnce({});
+  const { outbox } = setup(send);
+  await outbox.enqueue(entry);
+  expect((await outbox.resend(entry.id)).status).toBe(OUTBOX_STATUS.SENT);
+  await outbox.discard(entry.id);
+  expect(await outbox.list()).toEqual([]);
+});
+
+test("storage failures while re-arming or retrying are logged, not left unhandled", async () => {
+  const store = createMemoryStore("id");
+  const getAll = store.getAll;
+  let broken = false;
+  store.getAll = () => (broken ? Promise.reject(new Error("IndexedDB unavailable")) : getAll());
+  let fire = null;
+  const outbox = createOutbox({
+    store,
+    send: jest.fn().mockRejectedValue(new Error("Network Error")),
+    now: () => 1000,
+    baseDelayMs: 100,
+    setTimer: fn => { fire = fn; return 1; },
+    clearTimer: () => {},
+  });
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  await outbox.start();
+  await outbox.enqueue(entry);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(fire).toEqual(expect.any(Function));
+
+  broken = true;
+  await outbox.resend(entry.id); // re-arming after the attempt fails
+  fire(); // the retry timer fails
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(error.mock.calls.map(c => c[0])).toEqual(["Outbox could not schedule retries:", "Outbox retry failed:"]);
+  error.mockRestore();
+  outbox.stop();
+});
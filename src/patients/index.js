@@ -0,0 +1,14 @@
+// src/patients/index.js
+export {
+  PATIENTS_API_URL,
+  PATIENTS_LOCAL_URL,
+  PATIENT_PAGE_SIZE,
+  abhaAddressesOf,
+  mrnOf,
+  patientMatches,
+  searchLocalPatients,
+  createPatientSearch,
+  findPatientMatch,
+  findPatientById,
+  isRegistryUnavailable,
+} from "./patients";
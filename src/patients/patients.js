@@ -0,0 +1,162 @@
+// src/patients/patients.js
+/*
+  Patient lookup: search-as-you-type with server-side pagination, and a local
+  fallback that searches public/patients.json when the API is unreachable.
+
+  API:   GET <apiUrl, default /api/v5/patients>?search=<q>&page=<n>&per_page=<size>
+         -> Laravel-style page { data, total, current_page, per_page, last_page }
+            (a bare array is accepted too; then "more" means a full page came back)
+
+  search(q, page) -> { items, page, pageSize, total, hasMore, source: "api" | "local" }
+
+  With `http` (the app's axios client, see ./auth) the API call goes through it
+  and picks up its auth; otherwise fetch with an optional getAuthToken().
+
+  Searchable fields: name, mobile, ABHA number (dashes ignored), ABHA address, MRN.
+*/
+
+export const PATIENTS_API_URL = "/api/v5/patients";
+export const PATIENTS_LOCAL_URL = "/patients.json";
+export const PATIENT_PAGE_SIZE = 10;
+
+const digitsOf = v => String(v || "").replace(/\D/g, "");
+
+export function abhaAddressesOf(p) {
+  const raw = p?.additional_attributes?.abha_addresses || p?.abha_addresses || [];
+  return (Array.isArray(raw) ? raw : [])
+    .map(a => (typeof a === "string" ? a : a && a.address))
+    .filter(Boolean)
+    .map(String);
+}
+
+/* Medical record number: explicit mrn, else the platform's stable user reference */
+export function mrnOf(p) {
+  return String(p?.mrn || p?.user_ref_id || "");
+}
+
+/* Every whitespace-separated term must match one of the searchable fields */
+export function patientMatches(p, query) {
+  const terms = String(query || "").toLowerCase().trim().split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const name = String(p?.name || "").toLowerCase();
+  const mrn = mrnOf(p).toLowerCase();
+  const addresses = abhaAddressesOf(p).map(a => a.toLowerCase());
+  const phoneDigits = digitsOf(p?.mobile);
+  const abhaDigits = digitsOf(p?.abha_ref);
+  return terms.every(t => {
+    const d = digitsOf(t);
+    if (name.includes(t) || mrn.includes(t) || addresses.some(a => a.includes(t))) return true;
+    // digit-only comparison so "91-7104" and "917104" both find an ABHA number / phone
+    return d.length >= 3 && d.length === t.replace(/[\s-]/g, "").length && (phoneDigits.includes(d) || abhaDigits.includes(d));
+  });
+}
+
+export function searchLocalPatients(list, query, { page = 1, pageSize = PATIENT_PAGE_SIZE } = {}) {
+  const matches = (Array.isArray(list) ? list : []).filter(p => patientMatches(p, query));
+  const start = (page - 1) * pageSize;
+  return {
+    items: matches.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: matches.length,
+    hasMore: start + pageSize < matches.length,
+    source: "local",
+  };
+}
+
+function pageFromApi(data, page, pageSize) {
+  if (Array.isArray(data)) {
+    return { items: data, page, pageSize, total: null, hasMore: data.length >= pageSize, source: "api" };
+  }
+  if (data && Array.isArray(data.data)) {
+    const current = Number(data.current_page) || page;
+    const size = Number(data.per_page) || pageSize;
+    const total = data.total === undefined ? null : Number(data.total);
+    const hasMore = data.last_page !== undefined ? current < Number(data.last_page) : total !== null ? current * size < total : data.data.length >= size;
+    return { items: data.data, page: current, pageSize: size, total, hasMore, source: "api" };
+  }
+  throw new Error("Unexpected patient search response");
+}
+
+/* Network error (no response) or a server error; the error shape is axios' { response: { status } } */
+export function isRegistryUnavailable(err) {
+  const status = err && err.response ? err.response.status : undefined;
+  return !status || status >= 500;
+}
+
+export function createPatientSearch({ fetchImpl = (...args) => fetch(...args), http = null, getAuthToken = () => null, pageSize = PATIENT_PAGE_SIZE, apiUrl = PATIENTS_API_URL } = {}) {
+  let localPromise = null;
+
+  function loadLocal() {
+    if (!localPromise) {
+      localPromise = fetchImpl(PATIENTS_LOCAL_URL)
+        .then(res => res.json())
+        .then(data => (Array.isArray(data) ? data : []))
+        .catch(err => {
+          localPromise = null;
+          throw err;
+        });
+    }
+    return localPromise;
+  }
+
+  async function fetchPage(params) {
+    if (http) return (await http.get(apiUrl, { params: Object.fromEntries(params) })).data;
+    const token = getAuthToken();
+    const res = await fetchImpl(`${apiUrl}?${params}`, {
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { "Authorization": `Bearer ${token}` } : {}),
+      },
+    });
+    if (!res.ok) throw Object.assign(new Error(`API fetch failed (${res.status})`), { response: { status: res.status } });
+    return res.json();
+  }
+
+  async function search(query = "", page = 1) {
+    const params = new URLSearchParams({ search: query.trim(), page: String(page), per_page: String(pageSize) });
+    try {
+      return pageFromApi(await fetchPage(params), page, pageSize);
+    } catch (apiErr) {
+      // the bundled list stands in for an unreachable registry, not for one that refused us (401/403, ...)
+      if (!isRegistryUnavailable(apiErr)) throw apiErr;
+      console.warn("Patient search API unavailable, searching local patients.json instead", apiErr);
+      return searchLocalPatients(await loadLocal(), query, { page, pageSize });
+    }
+  }
+
+  return { search };
+}
+
+/*
+  Registry record for a patient described by an external message (HL7 PID, ...):
+  tried by ABHA number, then MRN, then ABHA address; only an unambiguous exact
+  identifier match counts. -> { patient, matchedOn } | null
+*/
+export async function findPatientMatch(search, candidate) {
+  if (!candidate) return null;
+  const keys = [
+    ["ABHA number", candidate.abha_ref, p => digitsOf(p.abha_ref) === digitsOf(candidate.abha_ref)],
+    ["MRN", mrnOf(candidate), p => mrnOf(p) === mrnOf(candidate)],
+    ...abhaAddressesOf(candidate).map(a => ["ABHA address", a, p => abhaAddressesOf(p).some(x => x.toLowerCase() === a.toLowerCase())]),
+  ];
+  for (const [matchedOn, value, same] of keys) {
+    if (!value) continue;
+    const { items } = await search(String(value), 1);
+    const hits = items.filter(same);
+    if (hits.length === 1) return { patient: hits[0], matchedOn };
+  }
+  return null;
+}
+
+/* Registry record for an id handed over by a host application (MRN / user reference, ABHA number or user id) */
+export async function findPatientById(search, id) {
+  const wanted = String(id || "").trim();
+  if (!wanted) return null;
+  const { items } = await search(wanted, 1);
+  const hits = items.filter(p =>
+    [p.user_ref_id, mrnOf(p), p.user_id, p.id].some(v => v !== undefined && v !== null && String(v) === wanted) ||
+    (digitsOf(wanted).length === 14 && digitsOf(p.abha_ref) === digitsOf(wanted))
+  );
+  return hits.length === 1 ? hits[0] : null;
+}
@@ -0,0 +1,93 @@
+import { patientMatches, searchLocalPatients, createPatientSearch, findPatientMatch, findPatientById, isRegistryUnavailable, PATIENTS_LOCAL_URL } from "./patients";
+
+const rohit = {
+  id: 3,
+  name: "Rohit Kumar",
+  mobile: "7273000898",
+  abha_ref: "91-7104-3321-8355",
+  user_ref_id: "0df16bf4-3271-411c-ab89-ccb09dc76857",
+  additional_attributes: { abha_addresses: ["rohitkumar30@sbx"] },
+};
+const sanyam = { id: 3, name: "Sanyam Jain", mobile: "7060494070", abha_ref: null, user_ref_id: "51614dc2-e77e-4ed1-84fd-766efa4410a4" };
+
+function jsonResponse(data, ok = true) {
+  return Promise.resolve({ ok, status: ok ? 200 : 503, json: () => Promise.resolve(data) });
+}
+
+test("matches name, mobile, ABHA number, ABHA address and MRN", () => {
+  expect(patientMatches(rohit, "rohit kum")).toBe(true);
+  expect(patientMatches(rohit, "72730")).toBe(true);
+  expect(patientMatches(rohit, "91-7104-3321")).toBe(true);
+  expect(patientMatches(rohit, "91710433")).toBe(true);
+  expect(patientMatches(rohit, "rohitkumar30@")).toBe(true);
+  expect(patientMatches(rohit, "0df16bf4")).toBe(true);
+  expect(patientMatches(rohit, "sanyam")).toBe(false);
+  expect(patientMatches(sanyam, "")).toBe(true);
+});
+
+test("paginates local results", () => {
+  const list = Array.from({ length: 23 }, (_, i) => ({ ...sanyam, name: `Patient ${i}` }));
+  const first = searchLocalPatients(list, "patient", { page: 1, pageSize: 10 });
+  expect(first).toMatchObject({ total: 23, hasMore: true, source: "local" });
+  expect(first.items).toHaveLength(10);
+  const last = searchLocalPatients(list, "patient", { page: 3, pageSize: 10 });
+  expect(last.items.map(p => p.name)).toEqual(["Patient 20", "Patient 21", "Patient 22"]);
+  expect(last.hasMore).toBe(false);
+});
+
+test("queries the API with search and paging parameters", async () => {
+  const fetchImpl = jest.fn(() => jsonResponse({ data: [rohit], total: 31, current_page: 2, per_page: 10, last_page: 4 }));
+  const { search } = createPatientSearch({ fetchImpl, getAuthToken: () => "tok" });
+  const result = await search(" rohit ", 2);
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe("/api/v5/patients?search=rohit&page=2&per_page=10");
+  expect(init.headers.Authorization).toBe("Bearer tok");
+  expect(result).toMatchObject({ items: [rohit], page: 2, total: 31, hasMore: true, source: "api" });
+});
+
+test("goes through the shared HTTP client when one is given", async () => {
+  const http = { get: jest.fn(() => Promise.resolve({ data: [rohit] })) };
+  const { search } = createPatientSearch({ http, apiUrl: "https://uat.example/api/v5/patients" });
+  expect((await search("rohit")).items).toEqual([rohit]);
+  expect(http.get).toHaveBeenCalledWith("https://uat.example/api/v5/patients", { params: { search: "rohit", page: "1", per_page: "10" } });
+});
+
+test("falls back to searching patients.json when the API fails, loading it once", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const fetchImpl = jest.fn(url => (url === PATIENTS_LOCAL_URL ? jsonResponse([rohit, sanyam]) : jsonResponse(null, false)));
+  const { search } = createPatientSearch({ fetchImpl });
+  expect((await search("jain")).items).toEqual([sanyam]);
+  expect((await search("")).total).toBe(2);
+  expect(fetchImpl.mock.calls.filter(([url]) => url === PATIENTS_LOCAL_URL)).toHaveLength(1);
+  warn.mockRestore();
+});
+
+test("does not fall back to patients.json when the registry refuses the request", async () => {
+  for (const status of [401, 403]) {
+    const fetchImpl = jest.fn(url => (url === PATIENTS_LOCAL_URL ? jsonResponse([rohit]) : Promise.resolve({ ok: false, status, json: () => Promise.resolve({}) })));
+    const { search } = createPatientSearch({ fetchImpl });
+    await expect(search("rohit")).rejects.toMatchObject({ response: { status } });
+    expect(fetchImpl.mock.calls.some(([url]) => url === PATIENTS_LOCAL_URL)).toBe(false);
+  }
+  const http = { get: jest.fn(() => Promise.reject(Object.assign(new Error("Request failed with status code 401"), { response: { status: 401 } }))) };
+  await expect(createPatientSearch({ http }).search("rohit")).rejects.toThrow("401");
+  expect(isRegistryUnavailable(new Error("Network Error"))).toBe(true);
+  expect(isRegistryUnavailable({ response: { status: 502 } })).toBe(true);
+});
+
+test("matches a message's patient on one exact identifier only", async () => {
+  const search = async q => searchLocalPatients([rohit, sanyam, { ...sanyam, id: 4 }], q);
+  expect(await findPatientMatch(search, { abha_ref: "91710433218355" })).toEqual({ patient: rohit, matchedOn: "ABHA number" });
+  expect(await findPatientMatch(search, { abha_ref: null, additional_attributes: { abha_addresses: ["RohitKumar30@sbx"] } })).toMatchObject({ matchedOn: "ABHA address" });
+  // two records share the MRN -> ambiguous, no match
+  expect(await findPatientMatch(search, { user_ref_id: sanyam.user_ref_id })).toBeNull();
+  expect(await findPatientMatch(search, { name: "Rohit Kumar" })).toBeNull();
+});
+
+test("finds a host application's patient id only on an exact match", async () => {
+  const search = async q => searchLocalPatients([rohit, sanyam], q);
+  expect(await findPatientById(search, rohit.user_ref_id)).toBe(rohit);
+  expect(await findPatientById(search, "91-7104-3321-8355")).toBe(rohit);
+  expect(await findPatientById(search, "0df16bf4")).toBeNull(); // partial
+  expect(await findPatientById(search, "")).toBeNull();
+});
@@ -0,0 +1,10 @@
+// src/practitioners/index.js
+export {
+  PRACTITIONERS_API_URL,
+  PRACTITIONERS_LOCAL_URL,
+  normalizePractitioner,
+  isSyntheticPractitioner,
+  mergePractitioners,
+  resolveGlobalPractitioner,
+  loadPractitioners,
+} from "./practitioners";
@@ -0,0 +1,92 @@
+// src/practitioners/practitioners.js
+/*
+  Practitioner directory for the author / performer / attester pickers.
+
+  practitioner = { id, name, license }
+
+  Sources: the API (/api/v5/practitioners); public/practitioners.json only while
+  the API is unreachable. The bundled sample rows carry TEMP- ids.
+  window.GlobalPractioner (host page) is normalised the same way and listed first.
+  Records without a real license, or carrying the old "Doctor ABC" placeholder
+  identity, are synthetic and must never be used to sign a report.
+*/
+
+import { isRegistryUnavailable } from "../patients";
+
+export const PRACTITIONERS_API_URL = "/api/v5/practitioners";
+export const PRACTITIONERS_LOCAL_URL = "/practitioners.json";
+
+const SYNTHETIC_LICENSE = "ABC-0000-0000";
+
+/* Flat { id, name, license } or a FHIR Practitioner -> { id, name, license }; null if unusable */
+export function normalizePractitioner(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name =
+    typeof raw.name === "string"
+      ? raw.name
+      : (Array.isArray(raw.name) && raw.name[0] && (raw.name[0].text || [raw.name[0].prefix, raw.name[0].given, raw.name[0].family].flat().filter(Boolean).join(" "))) || "";
+  const license =
+    raw.license ||
+    (Array.isArray(raw.identifier) && raw.identifier[0] && raw.identifier[0].value) ||
+    "";
+  const id = raw.id ? String(raw.id) : license;
+  if (!id || !name.trim()) return null;
+  return { id, name: name.trim(), license: String(license) };
+}
+
+export function isSyntheticPractitioner(p) {
+  if (!p || !p.id || !p.name || !p.license) return true;
+  return String(p.id).startsWith("TEMP-") || p.license === SYNTHETIC_LICENSE;
+}
+
+/* Normalise, drop unusable rows and de-duplicate by id (first wins) */
+export function mergePractitioners(...lists) {
+  const seen = new Set();
+  const out = [];
+  lists.flat().forEach(raw => {
+    const p = normalizePractitioner(raw);
+    if (!p || seen.has(p.id)) return;
+    seen.add(p.id);
+    out.push(p);
+  });
+  return out;
+}
+
+/* Practitioner supplied by the host page, if any (no placeholder fallback) */
+export function resolveGlobalPractitioner(win = typeof window !== "undefined" ? window : null) {
+  const gp = win && (win.GlobalPractioner || win.GlobalPractitionerFHIR);
+  const p = normalizePractitioner(gp);
+  return p && !isSyntheticPractitioner(p) ? p : null;
+}
+
+async function fetchApi({ fetchImpl, http, authToken, apiUrl }) {
+  if (http) return (await http.get(apiUrl)).data;
+  const res = await fetchImpl(apiUrl, {
+    headers: {
+      "Content-Type": "application/json",
+      ...(authToken ? { "Authorization": `Bearer ${authToken}` } : {}),
+    },
+  });
+  if (!res.ok) throw Object.assign(new Error(`API fetch failed (${res.status})`), { response: { status: res.status } });
+  return res.json();
+}
+
+/* API first (through `http`, the app's axios client, when given), local JSON fallback
+   while the API is unreachable; other API errors (401/403, ...) are thrown
+   -> { practitioners, source: "api" | "local" | "none" } */
+export async function loadPractitioners({ fetchImpl = fetch, http = null, authToken, apiUrl = PRACTITIONERS_API_URL } = {}) {
+  try {
+    return { practitioners: mergePractitioners(await fetchApi({ fetchImpl, http, authToken, apiUrl })), source: "api" };
+  } catch (apiErr) {
+    if (!isRegistryUnavailable(apiErr)) throw apiErr;
+    console.warn("Practitioner API unavailable, falling back to local practitioners.json", apiErr);
+    try {
+      const res = await fetchImpl(PRACTITIONERS_LOCAL_URL);
+      const data = mergePractitioners(await res.json());
+      return { practitioners: data, source: data.length ? "local" : "none" };
+    } catch (localErr) {
+      console.error("Failed to fetch local practitioners.json:", localErr);
+      return { practitioners: [], source: "none" };
+    }
+  }
+}
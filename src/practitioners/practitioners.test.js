@@ -0,0 +1,63 @@
+import {
+  normalizePractitioner,
+  isSyntheticPractitioner,
+  mergePractitioners,
+  resolveGlobalPractitioner,
+  loadPractitioners,
+  PRACTITIONERS_API_URL,
+  PRACTITIONERS_LOCAL_URL,
+} from "./practitioners";
+
+function jsonResponse(data, ok = true) {
+  return Promise.resolve({ ok, status: ok ? 200 : 500, json: () => Promise.resolve(data) });
+}
+
+test("normalises flat records and FHIR Practitioners", () => {
+  expect(normalizePractitioner({ id: "PR-001", name: "Dr. ABC1", license: "LIC-1" })).toEqual({ id: "PR-001", name: "Dr. ABC1", license: "LIC-1" });
+  expect(normalizePractitioner({
+    resourceType: "Practitioner",
+    id: "p9",
+    name: [{ prefix: ["Dr."], given: ["Asha"], family: "Rao" }],
+    identifier: [{ value: "MCI-42" }],
+  })).toEqual({ id: "p9", name: "Dr. Asha Rao", license: "MCI-42" });
+  expect(normalizePractitioner({ id: "x" })).toBeNull();
+});
+
+test("treats placeholder and license-less identities as synthetic", () => {
+  expect(isSyntheticPractitioner({ id: "TEMP-1", name: "Doctor ABC", license: "ABC-0000-0000" })).toBe(true);
+  expect(isSyntheticPractitioner({ id: "PR-9", name: "Dr. X", license: "" })).toBe(true);
+  expect(isSyntheticPractitioner(null)).toBe(true);
+  expect(isSyntheticPractitioner({ id: "PR-1", name: "Dr. X", license: "LIC-1" })).toBe(false);
+});
+
+test("merges lists without duplicates and ignores a synthetic global", () => {
+  const merged = mergePractitioners([{ id: "a", name: "A", license: "1" }], [{ id: "a", name: "A2", license: "2" }, { id: "b", name: "B", license: "3" }]);
+  expect(merged.map(p => p.name)).toEqual(["A", "B"]);
+  expect(resolveGlobalPractitioner({ GlobalPractioner: { id: "TEMP-x", name: "Doctor ABC", license: "ABC-0000-0000" } })).toBeNull();
+  expect(resolveGlobalPractitioner({})).toBeNull();
+  expect(resolveGlobalPractitioner({ GlobalPractioner: { id: "g", name: "Dr. G", license: "L" } })).toEqual({ id: "g", name: "Dr. G", license: "L" });
+});
+
+test("loads from the API first and falls back to the local list", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const api = jest.fn(url => (url === PRACTITIONERS_API_URL ? jsonResponse([{ id: "api", name: "Dr. API", license: "L" }]) : jsonResponse([])));
+  await expect(loadPractitioners({ fetchImpl: api, authToken: "t" })).resolves.toEqual({ practitioners: [{ id: "api", name: "Dr. API", license: "L" }], source: "api" });
+  expect(api.mock.calls[0][1].headers.Authorization).toBe("Bearer t");
+
+  const local = jest.fn(url => (url === PRACTITIONERS_LOCAL_URL ? jsonResponse([{ id: "PR-001", name: "Dr. ABC1", license: "LIC" }]) : jsonResponse(null, false)));
+  const result = await loadPractitioners({ fetchImpl: local });
+  expect(result.source).toBe("local");
+  expect(result.practitioners.map(p => p.id)).toEqual(["PR-001"]);
+  warn.mockRestore();
+});
+
+test("an empty or refused API answer is not replaced by the sample list", async () => {
+  const fetchImpl = jest.fn(url => (url === PRACTITIONERS_LOCAL_URL ? jsonResponse([{ id: "TEMP-PR-001", name: "Dr. ABC1", license: "LIC" }]) : jsonResponse([])));
+  await expect(loadPractitioners({ fetchImpl })).resolves.toEqual({ practitioners: [], source: "api" });
+  for (const status of [401, 403]) {
+    const refused = jest.fn(url => (url === PRACTITIONERS_LOCAL_URL ? jsonResponse([]) : Promise.resolve({ ok: false, status, json: () => Promise.resolve({}) })));
+    await expect(loadPractitioners({ fetchImpl: refused })).rejects.toMatchObject({ response: { status } });
+    expect(refused.mock.calls.some(([url]) => url === PRACTITIONERS_LOCAL_URL)).toBe(false);
+  }
+  expect(isSyntheticPractitioner({ id: "TEMP-PR-001", name: "Dr. ABC1", license: "LIC-1234-1" })).toBe(true);
+});
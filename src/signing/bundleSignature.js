@@ -0,0 +1,99 @@
+// src/signing/bundleSignature.js
+import { isoWithLocalOffsetFromDate } from "../fhir/utils";
+import { JWS_ALGORITHMS, verificationKeyFromHeader } from "./keys";
+import { subtle, base64url, base64urlToBytes, bytesToBase64, utf8, canonicalJson } from "./encoding";
+
+/*
+  Bundle.signature as a detached JWS (RFC 7515 appendix F).
+
+  signBundle(bundle, signingKey, { who, now }) -> copy of the Bundle with `signature`
+    who   reference of the signing practitioner (default: the Composition author)
+  verifyBundleSignature(bundle) -> {
+    status: "unsigned" | "valid" | "invalid", message,
+    alg, kid, subject (certificate CN), who (practitioner name), when,
+  }
+
+  The signed payload is the canonical JSON (sorted keys) of the Bundle without
+  id, meta and signature — the parts that may change when a document is stored —
+  so the signature survives re-serialization. The public key travels in the JWS
+  header (x5c certificate chain, or jwk for keys without a certificate), which
+  proves integrity; whether that key belongs to the practitioner is for the
+  receiver's trust list to decide.
+*/
+
+export const SIGNATURE_TYPE_AUTHOR = { system: "urn:iso-astm:E1762-95:2013", code: "1.2.840.10065.1.12.1.1", display: "Author's Signature" };
+export const JOSE_SIG_FORMAT = "application/jose";
+
+export function signingPayload(bundle) {
+  const { id, meta, signature, ...content } = bundle;
+  return utf8(canonicalJson(content));
+}
+
+export async function signBundle(bundle, signingKey, { who, now = () => new Date() } = {}) {
+  const composition = bundle.entry && bundle.entry[0] && bundle.entry[0].resource;
+  const whoRef = who || (composition && composition.author && composition.author[0] && composition.author[0].reference);
+  if (!whoRef) throw new Error("No author to sign as");
+
+  const header = { alg: signingKey.alg, kid: signingKey.kid };
+  if (signingKey.certificates.length) header.x5c = signingKey.certificates;
+  else header.jwk = signingKey.publicJwk;
+
+  const protectedHeader = base64url(utf8(JSON.stringify(header)));
+  const input = utf8(`${protectedHeader}.${base64url(signingPayload(bundle))}`);
+  const sig = await subtle().sign(JWS_ALGORITHMS[signingKey.alg].sign, signingKey.privateKey, input);
+  const jws = `${protectedHeader}..${base64url(new Uint8Array(sig))}`;
+
+  return {
+    ...bundle,
+    signature: {
+      type: [SIGNATURE_TYPE_AUTHOR],
+      when: isoWithLocalOffsetFromDate(now()),
+      who: { reference: whoRef },
+      sigFormat: JOSE_SIG_FORMAT,
+      data: bytesToBase64(utf8(jws)),
+    },
+  };
+}
+
+export async function verifyBundleSignature(bundle) {
+  const sig = bundle && bundle.signature;
+  if (!sig || !sig.data) return { status: "unsigned", message: "The bundle is not signed" };
+
+  const whoEntry = sig.who && sig.who.reference && (bundle.entry || []).find(e => e.fullUrl === sig.who.reference);
+  const whoRes = whoEntry && whoEntry.resource;
+  const result = {
+    when: sig.when,
+    who: (whoRes && whoRes.name && whoRes.name[0] && whoRes.name[0].text) || (sig.who && sig.who.display) || "",
+  };
+  const invalid = message => ({ ...result, status: "invalid", message });
+
+  if (sig.sigFormat && sig.sigFormat !== JOSE_SIG_FORMAT) return invalid(`Unsupported signature format ${sig.sigFormat}`);
+  if (!whoRes) return invalid("Signature.who does not resolve to an entry of the bundle");
+
+  let parts;
+  let header;
+  try {
+    parts = new TextDecoder().decode(base64urlToBytes(sig.data.replace(/\s+/g, ""))).split(".");
+    header = JSON.parse(new TextDecoder().decode(base64urlToBytes(parts[0])));
+  } catch (err) {
+    return invalid("Signature data is not a JWS");
+  }
+  if (parts.length !== 3 || parts[1] !== "") return invalid("Signature data is not a detached JWS");
+  Object.assign(result, { alg: header.alg, kid: header.kid });
+
+  try {
+    const { key, subject } = await verificationKeyFromHeader(header);
+    result.subject = subject;
+    const input = utf8(`${parts[0]}.${base64url(signingPayload(bundle))}`);
+    const ok = await subtle().verify(JWS_ALGORITHMS[header.alg].sign, key, base64urlToBytes(parts[2]), input);
+    if (!ok) return invalid("The signature does not match the bundle content (modified after signing?)");
+  } catch (err) {
+    return invalid(err.message);
+  }
+  return { ...result, status: "valid", message: `Signed by ${subjectOrKid(result)}` };
+}
+
+function subjectOrKid({ subject, who, kid }) {
+  if (subject) return who && who !== subject ? `${subject} for ${who}` : subject;
+  return `${who || "unknown"} (key ${kid ? kid.slice(0, 8) : "?"}…)`;
+}
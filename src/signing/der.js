@@ -0,0 +1,133 @@
+// src/signing/der.js
+/*
+  Just enough ASN.1 to read keys and certificates: a BER/DER TLV reader
+  (definite and indefinite lengths, constructed OCTET STRINGs as exported by
+  Windows), OID decoding and PEM unwrapping.
+
+  const node = readDer(bytes);     // { tag, constructed, cls, number, bytes (contents), children(), start, end }
+  node.children()[1].oid()         // "1.2.840.113549.1.1.1"
+*/
+
+export const TAGS = { INTEGER: 0x02, BIT_STRING: 0x03, OCTET_STRING: 0x04, NULL: 0x05, OID: 0x06, SEQUENCE: 0x30, SET: 0x31 };
+
+function readLength(buf, pos) {
+  const first = buf[pos];
+  if (first < 0x80) return { length: first, size: 1 };
+  if (first === 0x80) return { length: -1, size: 1 }; // indefinite
+  const n = first & 0x7f;
+  if (n > 4) throw new Error("ASN.1 length too large");
+  let length = 0;
+  for (let i = 1; i <= n; i++) length = length * 256 + buf[pos + i];
+  return { length, size: n + 1 };
+}
+
+/* TLV at `pos`; `end` is the offset after the element (including an indefinite-length terminator) */
+export function readDer(buf, pos = 0) {
+  if (pos + 2 > buf.length) throw new Error("Truncated ASN.1 data");
+  const tag = buf[pos];
+  if ((tag & 0x1f) === 0x1f) throw new Error("High tag numbers are not supported");
+  const { length, size } = readLength(buf, pos + 1);
+  const start = pos + 1 + size;
+  const constructed = (tag & 0x20) !== 0;
+
+  let end;
+  let contentEnd;
+  let kids = null;
+  if (length === -1) {
+    if (!constructed) throw new Error("Indefinite length on a primitive ASN.1 element");
+    kids = [];
+    let p = start;
+    while (!(buf[p] === 0 && buf[p + 1] === 0)) {
+      const child = readDer(buf, p);
+      kids.push(child);
+      p = child.end;
+      if (p >= buf.length) throw new Error("Unterminated indefinite-length ASN.1 element");
+    }
+    contentEnd = p;
+    end = p + 2;
+  } else {
+    contentEnd = start + length;
+    end = contentEnd;
+    if (end > buf.length) throw new Error("Truncated ASN.1 data");
+  }
+
+  const node = {
+    tag,
+    constructed,
+    cls: tag >> 6, // 0 universal, 2 context-specific
+    number: tag & 0x1f,
+    start: pos,
+    end,
+    bytes: buf.subarray(start, contentEnd),
+    /* The whole TLV, e.g. to hand a SubjectPublicKeyInfo to WebCrypto */
+    raw: () => buf.subarray(pos, end),
+    children() {
+      if (!constructed) throw new Error("Not a constructed ASN.1 element");
+      if (kids) return kids;
+      kids = [];
+      for (let p = start; p < contentEnd;) {
+        const child = readDer(buf, p);
+        kids.push(child);
+        p = child.end;
+      }
+      return kids;
+    },
+    oid() {
+      return decodeOid(node.bytes);
+    },
+    int() {
+      return node.bytes.reduce((n, b) => n * 256 + b, 0);
+    },
+    /* OCTET STRING contents, joining the pieces of a constructed one */
+    octets() {
+      if (!constructed) return node.bytes;
+      const parts = node.children().map(c => c.octets());
+      const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+      parts.reduce((o, p) => { out.set(p, o); return o + p.length; }, 0);
+      return out;
+    },
+    string() {
+      return new TextDecoder().decode(node.bytes);
+    },
+  };
+  return node;
+}
+
+export function decodeOid(bytes) {
+  const parts = [];
+  let value = 0;
+  bytes.forEach(b => {
+    value = value * 128 + (b & 0x7f);
+    if (!(b & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  });
+  const first = parts.shift();
+  const a = first < 80 ? Math.floor(first / 40) : 2;
+  return [a, first - a * 40, ...parts].join(".");
+}
+
+/* Context-specific [n] child of a SEQUENCE, or undefined */
+export function contextChild(node, n) {
+  return node.children().find(c => c.cls === 2 && c.number === n);
+}
+
+/* PEM blocks -> [{ label, der }] (text without armour is returned as-is) */
+export function parsePem(text) {
+  const blocks = [];
+  const re = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const bin = atob(m[2].replace(/[^A-Za-z0-9+/=]/g, ""));
+    blocks.push({ label: m[1], der: Uint8Array.from(bin, c => c.charCodeAt(0)) });
+  }
+  return blocks;
+}
+
+export function toPem(label, bytes) {
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  const b64 = btoa(bin).replace(/.{1,64}/g, "$&\n");
+  return `-----BEGIN ${label}-----\n${b64}-----END ${label}-----\n`;
+}
@@ -0,0 +1,38 @@
+// src/signing/encoding.js
+/* Byte <-> text helpers and WebCrypto access shared by the key and JWS code */
+
+export function subtle() {
+  const c = window.crypto;
+  if (!c || !c.subtle) throw new Error("WebCrypto is not available (serve the app over HTTPS or from localhost)");
+  return c.subtle;
+}
+
+export function bytesToBase64(bytes) {
+  let bin = "";
+  new Uint8Array(bytes).forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin);
+}
+
+export function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+export const base64url = bytes => bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+export function base64urlToBytes(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  return base64ToBytes(b64 + "===".slice((b64.length + 3) % 4));
+}
+
+export const utf8 = s => new TextEncoder().encode(s);
+
+/* JSON with object keys sorted at every level (RFC 8785 style), so signatures survive re-serialization */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? "null" : canonicalJson(v))).join(",")}]`;
+  return `{${Object.keys(value)
+    .filter(k => value[k] !== undefined)
+    .sort()
+    .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+    .join(",")}}`;
+}
@@ -0,0 +1,19 @@
+// src/signing/index.js
+/* Practitioner keys and Bundle.signature (WebCrypto; see ./keys and ./bundleSignature) */
+export {
+  importSigningKey,
+  generateSigningKey,
+  exportPrivateKeyPem,
+  readCertificate,
+  jwkThumbprint,
+  JWS_ALGORITHMS,
+} from "./keys";
+export {
+  signBundle,
+  verifyBundleSignature,
+  signingPayload,
+  SIGNATURE_TYPE_AUTHOR,
+  JOSE_SIG_FORMAT,
+} from "./bundleSignature";
+export { readPkcs12 } from "./pkcs12";
+export { canonicalJson } from "./encoding";
@@ -0,0 +1,174 @@
+// src/signing/keys.js
+import { readDer, parsePem, toPem } from "./der";
+import { readPkcs12, decryptPrivateKeyInfo } from "./pkcs12";
+import { subtle, base64url, bytesToBase64, base64ToBytes, utf8, canonicalJson } from "./encoding";
+
+/*
+  Practitioner signing keys (WebCrypto).
+
+  importSigningKey(bytes, { fileName, password }) -> SigningKey
+    .pem / .key   PKCS#8 "PRIVATE KEY" or "ENCRYPTED PRIVATE KEY", optionally followed by CERTIFICATE blocks
+    .der          unencrypted PKCS#8
+    .p12 / .pfx   PKCS#12 with the key and its certificate chain
+  generateSigningKey() -> SigningKey  (P-256, for testing; exportable with exportPrivateKeyPem)
+
+  SigningKey = {
+    alg,            // JWS alg: "ES256" | "ES384" | "RS256"
+    privateKey,     // CryptoKey (non-extractable unless generated)
+    publicJwk,      // public half, embedded in signatures made without a certificate
+    kid,            // RFC 7638 thumbprint of publicJwk
+    certificates,   // [base64 DER], leaf first (x5c)
+    subject,        // certificate CN, when there is one
+    source,         // "pkcs8" | "pkcs12" | "generated"
+  }
+*/
+
+const OID_RSA = "1.2.840.113549.1.1.1";
+const OID_EC = "1.2.840.10045.2.1";
+const CURVES = { "1.2.840.10045.3.1.7": "P-256", "1.3.132.0.34": "P-384" };
+
+export const JWS_ALGORITHMS = {
+  ES256: { key: { name: "ECDSA", namedCurve: "P-256" }, sign: { name: "ECDSA", hash: "SHA-256" } },
+  ES384: { key: { name: "ECDSA", namedCurve: "P-384" }, sign: { name: "ECDSA", hash: "SHA-384" } },
+  RS256: { key: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, sign: { name: "RSASSA-PKCS1-v1_5" } },
+};
+
+/* UTCTime "YYMMDDHHMMSSZ" / GeneralizedTime "YYYYMMDDHHMMSSZ" -> ISO string */
+function asn1Time(s) {
+  const full = s.length === 13 ? `${Number(s.slice(0, 2)) < 50 ? "20" : "19"}${s}` : s;
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(full);
+  return m ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}Z` : s;
+}
+
+/* AlgorithmIdentifier of a PrivateKeyInfo / SubjectPublicKeyInfo -> JWS alg */
+function algOf(algorithmIdentifier) {
+  const [oid, params] = algorithmIdentifier.children();
+  if (oid.oid() === OID_RSA) return "RS256";
+  if (oid.oid() === OID_EC) {
+    const curve = params && CURVES[params.oid()];
+    if (curve === "P-256") return "ES256";
+    if (curve === "P-384") return "ES384";
+    throw new Error("Unsupported EC curve (P-256 or P-384 expected)");
+  }
+  throw new Error(`Unsupported key type ${oid.oid()} (RSA or EC expected)`);
+}
+
+export function publicJwkOf(jwk) {
+  return jwk.kty === "EC" ? { kty: "EC", crv: jwk.crv, x: jwk.x, y: jwk.y } : { kty: "RSA", n: jwk.n, e: jwk.e };
+}
+
+/* RFC 7638 JWK thumbprint */
+export async function jwkThumbprint(jwk) {
+  const digest = await subtle().digest("SHA-256", utf8(canonicalJson(publicJwkOf(jwk))));
+  return base64url(new Uint8Array(digest));
+}
+
+/* X.509 certificate (DER) -> { spki (DER), alg, subject CN, notAfter } */
+export function readCertificate(der) {
+  const tbs = readDer(der).children()[0].children();
+  const fields = tbs[0].cls === 2 ? tbs.slice(1) : tbs; // skip [0] version
+  const [, , , validity, subject, spki] = fields;
+  let cn = "";
+  subject.children().forEach(rdn => rdn.children().forEach(atv => {
+    const [type, value] = atv.children();
+    if (type.oid() === "2.5.4.3") cn = value.string();
+  }));
+  const notAfter = asn1Time(validity.children()[1].string());
+  return { spki: spki.raw(), alg: algOf(spki.children()[0]), subject: cn, notAfter };
+}
+
+async function fromPrivateKeyInfo(pkcs8, certificates, source) {
+  let alg;
+  try {
+    alg = algOf(readDer(pkcs8).children()[1]);
+  } catch (err) {
+    throw new Error(err.message.startsWith("Unsupported") ? err.message : "Not a PKCS#8 private key");
+  }
+  const { key } = JWS_ALGORITHMS[alg];
+  const s = subtle();
+  // Import once extractable to read the public half, then keep a non-extractable copy
+  const extractable = await s.importKey("pkcs8", pkcs8, key, true, ["sign"]);
+  const jwk = await s.exportKey("jwk", extractable);
+  const privateKey = await s.importKey("jwk", jwk, key, false, ["sign"]);
+  const publicJwk = publicJwkOf(jwk);
+
+  let subject = "";
+  if (certificates.length) {
+    const cert = readCertificate(certificates[0]);
+    const certKey = await s.importKey("spki", cert.spki, JWS_ALGORITHMS[cert.alg].key, true, ["verify"]);
+    const certJwk = await s.exportKey("jwk", certKey);
+    if (canonicalJson(publicJwkOf(certJwk)) !== canonicalJson(publicJwk)) {
+      throw new Error("The certificate does not belong to the private key");
+    }
+    subject = cert.subject;
+  }
+
+  return {
+    alg,
+    privateKey,
+    publicJwk,
+    kid: await jwkThumbprint(publicJwk),
+    certificates: certificates.map(bytesToBase64),
+    subject,
+    source,
+  };
+}
+
+export async function importSigningKey(input, { fileName = "", password = "" } = {}) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (/\.(p12|pfx)$/i.test(fileName)) {
+    const { privateKeyInfo, certificates } = await readPkcs12(bytes, password);
+    return fromPrivateKeyInfo(privateKeyInfo, certificates, "pkcs12");
+  }
+
+  const blocks = bytes[0] === 0x30 ? [] : parsePem(new TextDecoder().decode(bytes));
+  if (!blocks.length) {
+    if (bytes[0] !== 0x30) throw new Error("Not a PEM, DER or PKCS#12 key file");
+    return fromPrivateKeyInfo(bytes, [], "pkcs8");
+  }
+  const certificates = blocks.filter(b => b.label === "CERTIFICATE").map(b => b.der);
+  const plain = blocks.find(b => b.label === "PRIVATE KEY");
+  if (plain) return fromPrivateKeyInfo(plain.der, certificates, "pkcs8");
+  const encrypted = blocks.find(b => b.label === "ENCRYPTED PRIVATE KEY");
+  if (encrypted) return fromPrivateKeyInfo(await decryptPrivateKeyInfo(encrypted.der, password), certificates, "pkcs8");
+  if (blocks.some(b => /^(RSA|EC) PRIVATE KEY$/.test(b.label))) {
+    throw new Error("Traditional RSA/EC key files are not supported; convert with: openssl pkcs8 -topk8 -nocrypt -in key.pem");
+  }
+  throw new Error("The file contains no private key");
+}
+
+export async function generateSigningKey() {
+  const { key } = JWS_ALGORITHMS.ES256;
+  const pair = await subtle().generateKey(key, true, ["sign", "verify"]);
+  const publicJwk = publicJwkOf(await subtle().exportKey("jwk", pair.publicKey));
+  return {
+    alg: "ES256",
+    privateKey: pair.privateKey,
+    publicJwk,
+    kid: await jwkThumbprint(publicJwk),
+    certificates: [],
+    subject: "",
+    source: "generated",
+  };
+}
+
+/* PKCS#8 PEM of an extractable (generated) key, so a test key can be reused */
+export async function exportPrivateKeyPem(signingKey) {
+  if (!signingKey.privateKey.extractable) throw new Error("Imported keys are not exportable");
+  return toPem("PRIVATE KEY", new Uint8Array(await subtle().exportKey("pkcs8", signingKey.privateKey)));
+}
+
+/* Public key to verify with: JWS header x5c (leaf certificate) or jwk */
+export async function verificationKeyFromHeader(header) {
+  if (!JWS_ALGORITHMS[header.alg]) throw new Error(`Unsupported signature algorithm "${header.alg}"`);
+  const { key } = JWS_ALGORITHMS[header.alg];
+  if (Array.isArray(header.x5c) && header.x5c.length) {
+    const cert = readCertificate(base64ToBytes(header.x5c[0]));
+    if (cert.alg !== header.alg) throw new Error(`Certificate key does not match alg ${header.alg}`);
+    return { key: await subtle().importKey("spki", cert.spki, key, false, ["verify"]), subject: cert.subject, notAfter: cert.notAfter };
+  }
+  if (header.jwk) {
+    return { key: await subtle().importKey("jwk", publicJwkOf(header.jwk), key, false, ["verify"]), subject: "" };
+  }
+  throw new Error("The signature carries no public key (x5c or jwk)");
+}
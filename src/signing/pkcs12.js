@@ -0,0 +1,137 @@
+// src/signing/pkcs12.js
+import { readDer, contextChild } from "./der";
+import { subtle } from "./encoding";
+
+/*
+  PKCS#12 (.p12 / .pfx) and encrypted PKCS#8 reader on top of WebCrypto.
+
+  readPkcs12(bytes, password) -> { privateKeyInfo (PKCS#8 DER), certificates: [DER] }
+  decryptPrivateKeyInfo(encryptedPrivateKeyInfoDer, password) -> PKCS#8 DER
+
+  Only PBES2 (PBKDF2 + AES-CBC) is supported — the OpenSSL 3 default. The legacy
+  3DES / RC2 schemes have no WebCrypto equivalent; such files have to be
+  re-exported. The integrity MAC is not checked: a wrong password already fails
+  the AES-CBC padding or the DER structure of the decrypted key.
+*/
+
+const OID = {
+  data: "1.2.840.113549.1.7.1",
+  encryptedData: "1.2.840.113549.1.7.6",
+  keyBag: "1.2.840.113549.1.12.10.1.1",
+  shroudedKeyBag: "1.2.840.113549.1.12.10.1.2",
+  certBag: "1.2.840.113549.1.12.10.1.3",
+  x509Certificate: "1.2.840.113549.1.9.22.1",
+  pbes2: "1.2.840.113549.1.5.13",
+  pbkdf2: "1.2.840.113549.1.5.12",
+};
+const PRF = {
+  "1.2.840.113549.2.7": "SHA-1",
+  "1.2.840.113549.2.9": "SHA-256",
+  "1.2.840.113549.2.10": "SHA-384",
+  "1.2.840.113549.2.11": "SHA-512",
+};
+const AES_CBC = {
+  "2.16.840.1.101.3.4.1.2": 128,
+  "2.16.840.1.101.3.4.1.42": 256,
+};
+const LEGACY_PBE = /^1\.2\.840\.113549\.1\.12\.1\./;
+
+/* AlgorithmIdentifier + ciphertext -> plaintext */
+async function pbeDecrypt(algorithm, ciphertext, password) {
+  const [algOid, params] = algorithm.children();
+  const oid = algOid.oid();
+  if (LEGACY_PBE.test(oid)) {
+    throw new Error("This file uses legacy 3DES/RC2 encryption; re-export it with AES (openssl pkcs12 -export -keypbe AES-256-CBC -certpbe AES-256-CBC)");
+  }
+  if (oid !== OID.pbes2) throw new Error(`Unsupported key encryption ${oid}`);
+
+  const [kdf, scheme] = params.children();
+  if (kdf.children()[0].oid() !== OID.pbkdf2) throw new Error("Unsupported key derivation (PBKDF2 expected)");
+  const kdfParams = kdf.children()[1].children();
+  const salt = kdfParams[0].bytes;
+  const iterations = kdfParams[1].int();
+  const prfNode = kdfParams.find(n => n.tag === 0x30);
+  const hash = prfNode ? PRF[prfNode.children()[0].oid()] : "SHA-1";
+  if (!hash) throw new Error("Unsupported PBKDF2 hash");
+
+  const [cipherOid, iv] = scheme.children();
+  const bits = AES_CBC[cipherOid.oid()];
+  if (!bits) throw new Error(`Unsupported cipher ${cipherOid.oid()} (AES-128-CBC or AES-256-CBC expected)`);
+
+  const s = subtle();
+  const base = await s.importKey("raw", new TextEncoder().encode(password || ""), "PBKDF2", false, ["deriveKey"]);
+  const key = await s.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash },
+    base,
+    { name: "AES-CBC", length: bits },
+    false,
+    ["decrypt"]
+  );
+  try {
+    return new Uint8Array(await s.decrypt({ name: "AES-CBC", iv: iv.bytes }, key, ciphertext));
+  } catch (err) {
+    throw new Error("Wrong password, or the file is damaged");
+  }
+}
+
+export async function decryptPrivateKeyInfo(der, password) {
+  const [algorithm, data] = readDer(der).children();
+  const plain = await pbeDecrypt(algorithm, data.octets(), password);
+  try {
+    readDer(plain).children();
+  } catch (err) {
+    throw new Error("Wrong password, or the file is damaged");
+  }
+  return plain;
+}
+
+async function readSafeContents(bytes, password, out) {
+  for (const bag of readDer(bytes).children()) {
+    const [bagId, bagValue] = bag.children();
+    const value = bagValue.children()[0];
+    switch (bagId.oid()) {
+      case OID.keyBag:
+        out.privateKeyInfo = out.privateKeyInfo || value.raw();
+        break;
+      case OID.shroudedKeyBag:
+        out.privateKeyInfo = out.privateKeyInfo || await decryptPrivateKeyInfo(value.raw(), password);
+        break;
+      case OID.certBag: {
+        const [certId, certValue] = value.children();
+        if (certId.oid() === OID.x509Certificate) out.certificates.push(certValue.children()[0].octets());
+        break;
+      }
+      default:
+        break; // CRL / secret bags are not needed for signing
+    }
+  }
+}
+
+export async function readPkcs12(bytes, password) {
+  let pfx;
+  try {
+    pfx = readDer(bytes).children();
+  } catch (err) {
+    throw new Error("Not a PKCS#12 file");
+  }
+  const authSafe = pfx[1];
+  if (!authSafe || authSafe.children()[0].oid() !== OID.data) throw new Error("Not a PKCS#12 file (public-key integrity mode is not supported)");
+
+  const out = { privateKeyInfo: null, certificates: [] };
+  const contentInfos = readDer(contextChild(authSafe, 0).children()[0].octets()).children();
+  for (const info of contentInfos) {
+    const type = info.children()[0].oid();
+    const content = contextChild(info, 0).children()[0];
+    if (type === OID.data) {
+      await readSafeContents(content.octets(), password, out);
+    } else if (type === OID.encryptedData) {
+      const [, encryptedContentInfo] = content.children();
+      const [, algorithm] = encryptedContentInfo.children();
+      const encrypted = contextChild(encryptedContentInfo, 0);
+      // [0] IMPLICIT OCTET STRING: primitive, or constructed from OCTET STRING pieces
+      await readSafeContents(await pbeDecrypt(algorithm, encrypted.octets(), password), password, out);
+    }
+  }
+  if (!out.privateKeyInfo) throw new Error("The PKCS#12 file contains no private key");
+  return out;
+}
@@ -0,0 +1,74 @@
+// src/utils/idb.js
+/*
+  Minimal promise wrapper over IndexedDB.
+  One database for the app; every object store is declared in STORES so the
+  upgrade handler can create whatever is missing when DB_VERSION is bumped.
+*/
+
+const DB_NAME = "diagnostic-report";
+const DB_VERSION = 2;
+const STORES = {
+  outbox: { keyPath: "id" },
+  draftFiles: { keyPath: "draftId" },
+};
+
+let dbPromise = null;
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+export function openDatabase() {
+  if (!isIndexedDbAvailable()) return Promise.reject(new Error("IndexedDB is not available"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.entries(STORES).forEach(([name, opts]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/* Key/value style access to one object store: { getAll, get, put, delete } */
+export function createIdbStore(storeName) {
+  async function run(mode, fn) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, mode);
+    return requestToPromise(fn(tx.objectStore(storeName)));
+  }
+  return {
+    getAll: () => run("readonly", s => s.getAll()),
+    get: key => run("readonly", s => s.get(key)),
+    put: value => run("readwrite", s => s.put(value)),
+    delete: key => run("readwrite", s => s.delete(key)),
+  };
+}
+
+/* In-memory store with the same interface (tests, or browsers without IndexedDB) */
+export function createMemoryStore(keyPath = "id") {
+  const map = new Map();
+  const clone = v => (v === undefined ? v : typeof structuredClone === "function" ? structuredClone(v) : JSON.parse(JSON.stringify(v)));
+  return {
+    getAll: async () => Array.from(map.values()).map(clone),
+    get: async key => clone(map.get(key)),
+    put: async value => { map.set(value[keyPath], clone(value)); return value[keyPath]; },
+    delete: async key => { map.delete(key); },
+  };
+}